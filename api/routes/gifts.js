@@ -5,24 +5,134 @@ const sendGridService = require('../../services/sendGridService');
 const db = require('../../services/databaseService');
 const aiMessage = require('../../services/aiMessageService');
 const twilioService = require('../../services/twilioService');
-const path = require('path');
+const giftDelivery = require('../../services/giftDeliveryService');
+const giftExpiry = require('../../services/giftExpiryService');
+const giftLifecycle = require('../../services/giftLifecycleService');
+const giftEdit = require('../../services/giftEditService');
+const reminderService = require('../../services/reminderService');
+const streakService = require('../../services/streakService');
+const giftTiers = require('../../services/giftTierService');
+const quizService = require('../../services/quizService');
+const locationService = require('../../services/locationService');
+const fitnessService = require('../../services/fitnessService');
+const videoService = require('../../services/videoService');
+const photoService = require('../../services/photoService');
+const mediaAccess = require('../../services/mediaAccessService');
+const storage = require('../../services/storageService');
+const duplicatePhotos = require('../../services/duplicatePhotoService');
+const uploadScan = require('../../services/uploadScanService');
+const submissionReview = require('../../services/submissionReviewService');
+const autoApproval = require('../../services/autoApprovalService');
+const smsConversation = require('../../services/smsConversationService');
+const emailEvents = require('../../services/emailEventService');
+const { readGpsLocation } = require('../../utils/exif');
+const { parseActivityUpload } = require('../../utils/activityFiles');
+const { parseFutureDeliveryTime, parseFutureExpirationTime } = require('../../utils/timeZone');
 const fs = require('fs');
 const https = require('https');
 const http = require('http');
 
-// Ensure uploads directory exists
-const uploadsDir = path.join(__dirname, '../../uploads/photos');
-if (!fs.existsSync(uploadsDir)) {
-  fs.mkdirSync(uploadsDir, { recursive: true });
-  console.log('📁 Created uploads/photos directory');
+/**
+ * JWT auth middleware for gift routes — sets req.userId
+ */
+function requireAuth(req, res, next) {
+  const authHeader = req.headers['authorization'];
+  if (!authHeader) {
+    return res.status(401).json({ success: false, message: 'Authorization required' });
+  }
+  const jwt = require('jsonwebtoken');
+  const token = authHeader.split(' ')[1];
+  const JWT_SECRET = process.env.JWT_SECRET || 'your-super-secret-jwt-key-change-in-production';
+  try {
+    const decoded = jwt.verify(token, JWT_SECRET);
+    req.userId = decoded.id;
+    next();
+  } catch (jwtError) {
+    return res.status(403).json({ success: false, message: 'Invalid or expired token' });
+  }
+}
+
+/**
+ * Respond 410 if the gift has expired. Returns true when a response was sent.
+ */
+function rejectIfExpired(res, giftOrder) {
+  if (!giftExpiry.isExpired(giftOrder)) {
+    return false;
+  }
+  res.status(410).json({
+    success: false,
+    message: 'This gift has expired and can no longer be completed or unlocked',
+    data: { giftId: giftOrder.tracking_id, status: 'expired', expiresAt: giftOrder.expires_at }
+  });
+  return true;
+}
+
+/**
+ * Respond 409 if the gift's current status does not allow moving to `to`.
+ * Returns true when a response was sent.
+ */
+function rejectIfNotAllowed(res, giftOrder, to) {
+  if (giftOrder.status === to || giftLifecycle.canTransition(giftOrder.status, to)) {
+    return false;
+  }
+  res.status(409).json({
+    success: false,
+    message: `This gift is ${giftOrder.status.replace('_', ' ')} and cannot move to ${to.replace('_', ' ')}`,
+    data: { giftId: giftOrder.tracking_id, status: giftOrder.status }
+  });
+  return true;
+}
+
+/**
+ * Respond 409 for a lifecycle transition that lost a race with another request.
+ * Returns true when a response was sent.
+ */
+function handleTransitionError(res, error) {
+  if (!(error instanceof giftLifecycle.InvalidTransitionError)) {
+    return false;
+  }
+  res.status(409).json({
+    success: false,
+    message: error.message,
+    data: { giftId: error.giftId, status: error.from }
+  });
+  return true;
+}
+
+/**
+ * The user a request's token belongs to, for routes that also take anonymous requests.
+ * Responds 403 for an invalid token; returns undefined when a response was sent.
+ */
+function optionalUserId(req, res) {
+  const authHeader = req.headers['authorization'];
+  if (!authHeader) {
+    return null;
+  }
+  const jwt = require('jsonwebtoken');
+  const token = authHeader.split(' ')[1];
+  const JWT_SECRET = process.env.JWT_SECRET || 'your-super-secret-jwt-key-change-in-production';
+  try {
+    return jwt.verify(token, JWT_SECRET).id;
+  } catch (jwtError) {
+    res.status(403).json({ success: false, message: 'Invalid or expired token' });
+    return undefined;
+  }
 }
 
 /**
- * Create a new gift/challenge combination
+ * Create a new gift/challenge combination. The gift order is saved for a
+ * signed-in sender, who can then track, reschedule or cancel it; anonymous
+ * gifts are sent right away and not saved, so only signed-in senders can
+ * schedule one.
  * POST /api/gifts
  */
 router.post('/gifts', async (req, res) => {
   try {
+    const userId = optionalUserId(req, res);
+    if (userId === undefined) {
+      return;
+    }
+
     const {
       recipientPhone,
       recipientEmail,
@@ -35,7 +145,12 @@ router.post('/gifts', async (req, res) => {
       challengeRequirements,
       expirationDate,
       reminderFrequency,
-      deliveryMethod  // 'sms', 'email', or 'both'
+      deliveryMethod,  // 'sms', 'email', or 'both'
+      deliverAt,       // Optional future delivery time
+      recipientTimeZone,
+      cardImageUrl,
+      autoApproveHours,
+      autoApproveTrusted
     } = req.body;
 
     // Validate required fields
@@ -46,6 +161,65 @@ router.post('/gifts', async (req, res) => {
       });
     }
 
+    if (challengeRequirements && challengeRequirements.graceDays !== undefined) {
+      const graceDays = Number(challengeRequirements.graceDays);
+      if (!Number.isInteger(graceDays) || graceDays < 0) {
+        return res.status(400).json({ success: false, message: 'graceDays must be a whole number of 0 or more' });
+      }
+    }
+
+    let requirements = challengeRequirements || {};
+    if (challengeType === 'quiz') {
+      const quiz = quizService.validateQuiz(requirements.questions, requirements.maxAttempts);
+      if (quiz.error) {
+        return res.status(400).json({ success: false, message: quiz.error });
+      }
+      requirements = { ...requirements, ...quiz.requirements };
+    }
+    if (challengeType === 'location') {
+      const { location, error } = locationService.validateLocation(requirements.location);
+      if (error) {
+        return res.status(400).json({ success: false, message: error });
+      }
+      requirements = { ...requirements, location };
+    }
+    if (challengeType === 'fitness') {
+      const { fitness, error } = fitnessService.validateFitness(requirements.fitness);
+      if (error) {
+        return res.status(400).json({ success: false, message: error });
+      }
+      if (fitness) requirements = { ...requirements, fitness };
+    }
+
+    const autoApprove = autoApproval.validateSettings(autoApproveHours, autoApproveTrusted);
+    if (autoApprove.error) {
+      return res.status(400).json({ success: false, message: autoApprove.error });
+    }
+
+    let scheduledFor = null;
+    if (deliverAt) {
+      if (!userId) {
+        return res.status(401).json({ success: false, message: 'Sign in to schedule a gift for later' });
+      }
+      const { date, error } = parseFutureDeliveryTime(deliverAt, recipientTimeZone);
+      if (error) {
+        return res.status(400).json({ success: false, message: error });
+      }
+      scheduledFor = date;
+    }
+
+    let expiresAt = null;
+    if (expirationDate) {
+      const { date, error } = parseFutureExpirationTime(expirationDate, recipientTimeZone);
+      if (error) {
+        return res.status(400).json({ success: false, message: error });
+      }
+      if (scheduledFor && date <= scheduledFor) {
+        return res.status(400).json({ success: false, message: 'expirationDate must be after deliverAt' });
+      }
+      expiresAt = date;
+    }
+
     // Generate unique IDs
     const giftId = uuidv4();
     const challengeId = uuidv4();
@@ -61,9 +235,11 @@ router.post('/gifts', async (req, res) => {
       type: giftType,
       details: giftDetails,
       challengeId,
-      status: 'pending',
+      status: scheduledFor ? 'scheduled' : 'delivered',
       createdAt: new Date(),
-      expirationDate: expirationDate || null,
+      deliverAt: scheduledFor,
+      recipientTimeZone: recipientTimeZone || null,
+      expirationDate: expiresAt,
       unlocked: false
     };
 
@@ -73,28 +249,62 @@ router.post('/gifts', async (req, res) => {
       giftId,
       type: challengeType,
       description: challengeDescription,
-      requirements: challengeRequirements || {},
+      requirements,
       progress: {
         started: false,
         completed: false,
         currentStep: 0,
-        totalSteps: challengeRequirements?.totalSteps || 1,
+        totalSteps: requirements.totalSteps || 1,
         submissions: []
       },
-      reminderFrequency: reminderFrequency || 'daily'
+      reminderFrequency
     };
 
     // Store challenge in database
+    let challengeSaved = false;
     try {
       await db.createChallenge(challenge);
+      challengeSaved = true;
       console.log('✅ Challenge created in database:', challengeId);
     } catch (dbError) {
       console.error('⚠️ Failed to create challenge in database:', dbError.message);
       // Continue anyway - the gift can still be sent
     }
 
-    // Send initial message
-    const initialMessage = await sendInitialMessage(gift, challenge);
+    // Save the gift order before anything is sent: scheduled delivery, expiry
+    // and the recipient's replies all work from it
+    if (userId) {
+      await db.createGiftOrder(userId, {
+        trackingId: giftId,
+        recipientName,
+        recipientEmail,
+        recipientPhone,
+        deliveryMethod: gift.deliveryMethod,
+        giftType,
+        giftValue: giftDetails?.value || giftDetails?.description || 'A special gift',
+        challengeType,
+        challengeDescription,
+        reminderFrequency,
+        personalNote: giftDetails?.personalMessage,
+        duration: challenge.progress.totalSteps,
+        cardImageUrl: cardImageUrl || null,
+        status: gift.status,
+        deliverAt: scheduledFor ? scheduledFor.toISOString() : null,
+        recipientTimeZone: recipientTimeZone || null,
+        expiresAt: expiresAt ? expiresAt.toISOString() : null,
+        autoApproveHours: autoApprove.hours,
+        autoApproveTrusted: autoApprove.trusted
+      });
+      if (challengeSaved) {
+        await db.linkChallengeToGiftOrder(giftId, challengeId);
+      }
+      console.log('✅ Gift order saved:', giftId);
+    }
+
+    // Send initial message now, unless delivery is scheduled for later
+    const initialMessage = scheduledFor
+      ? { success: false }
+      : await giftDelivery.sendInitialMessage(gift, challenge);
 
     res.status(201).json({
       success: true,
@@ -103,7 +313,11 @@ router.post('/gifts', async (req, res) => {
         challengeId,
         gift,
         challenge,
-        messageSent: initialMessage.success
+        messageSent: initialMessage.success,
+        deliveryHealth: initialMessage.deliveryHealth || null,
+        scheduled: !!scheduledFor,
+        deliverAt: scheduledFor,
+        expiresAt
       }
     });
   } catch (error) {
@@ -134,21 +348,7 @@ router.post('/messages/send-initial', async (req, res) => {
     }
 
     // Convert to gift format expected by sendInitialMessage
-    const gift = {
-      id: giftOrder.tracking_id,
-      senderName: giftOrder.sender_name || 'Someone special',
-      recipientName: giftOrder.recipient_name,
-      recipientPhone: giftOrder.recipient_phone,
-      recipientEmail: giftOrder.recipient_email,
-      deliveryMethod: giftOrder.delivery_method || 'email',
-      type: giftOrder.gift_type,
-      details: {
-        value: giftOrder.gift_value,
-        description: giftOrder.gift_value,
-        personalMessage: giftOrder.personal_note || giftOrder.message
-      },
-      challengeId: giftOrder.challenge_id
-    };
+    const gift = giftDelivery.giftFromOrder(giftOrder);
 
     // Get challenge from database
     const challenge = giftOrder.challenge_id ? await db.getChallengeById(giftOrder.challenge_id) : {
@@ -156,7 +356,7 @@ router.post('/messages/send-initial', async (req, res) => {
       description: giftOrder.challenge_description || giftOrder.challenge
     };
 
-    const result = await sendInitialMessage(gift, challenge);
+    const result = await giftDelivery.sendInitialMessage(gift, challenge);
 
     res.json(result);
   } catch (error) {
@@ -221,7 +421,7 @@ router.post('/messages/send-reminder', async (req, res) => {
       });
     }
 
-    const message = await twilioService.sendSMS(gift.recipientPhone, reminderMessage);
+    const message = await twilioService.sendSMS(gift.recipientPhone, reminderMessage, { giftId: giftOrder.tracking_id, category: 'reminder' });
 
     // Update last reminder sent in database
     await db.updateChallengeReminderSent(challengeId);
@@ -231,7 +431,9 @@ router.post('/messages/send-reminder', async (req, res) => {
       data: {
         messageId: message ? message.sid : null,
         messageSent: reminderMessage,
-        sentAt: new Date()
+        sentAt: new Date(),
+        deferredUntil: message && message.deferred ? message.sendAfter : null,
+        retryingAt: message && message.queued ? message.nextAttemptAt : null
       }
     });
   } catch (error) {
@@ -244,6 +446,363 @@ router.post('/messages/send-reminder', async (req, res) => {
   }
 });
 
+/**
+ * List the authenticated sender's gifts that are scheduled for future delivery
+ * GET /api/gifts/scheduled
+ */
+router.get('/gifts/scheduled', requireAuth, async (req, res) => {
+  try {
+    const scheduledGifts = await db.getScheduledGiftsByUserId(req.userId);
+
+    res.json({
+      success: true,
+      gifts: scheduledGifts.map(order => ({
+        id: order.tracking_id,
+        recipientName: order.recipient_name,
+        recipientEmail: order.recipient_email,
+        recipientPhone: order.recipient_phone,
+        giftType: order.gift_type,
+        giftValue: order.gift_value,
+        challengeDescription: order.challenge_description || order.challenge,
+        deliveryMethod: order.delivery_method,
+        deliverAt: order.deliver_at,
+        recipientTimeZone: order.recipient_timezone,
+        status: order.status,
+        createdAt: order.created_at
+      }))
+    });
+  } catch (error) {
+    console.error('Error listing scheduled gifts:', error);
+    res.status(500).json({ success: false, message: 'Failed to list scheduled gifts', error: error.message });
+  }
+});
+
+/**
+ * Reschedule a gift that has not been delivered yet
+ * PUT /api/gifts/:giftId/schedule
+ */
+router.put('/gifts/:giftId/schedule', requireAuth, async (req, res) => {
+  try {
+    const { giftId } = req.params;
+    const { deliverAt, recipientTimeZone } = req.body;
+
+    const giftOrder = await db.getGiftOrderByTrackingId(giftId);
+    if (!giftOrder) {
+      return res.status(404).json({ success: false, message: 'Gift not found' });
+    }
+    if (String(giftOrder.user_id) !== String(req.userId)) {
+      return res.status(403).json({ success: false, message: 'You can only reschedule gifts you sent' });
+    }
+    if (giftOrder.status !== 'scheduled') {
+      return res.status(400).json({ success: false, message: 'Only gifts that have not been delivered yet can be rescheduled' });
+    }
+
+    const timeZone = recipientTimeZone || giftOrder.recipient_timezone;
+    const { date, error } = parseFutureDeliveryTime(deliverAt, timeZone);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+    if (giftOrder.expires_at && date.toISOString() >= giftOrder.expires_at) {
+      return res.status(400).json({ success: false, message: 'deliverAt must be before the gift expires' });
+    }
+
+    const updated = await db.rescheduleGiftOrder(giftId, date.toISOString(), recipientTimeZone);
+    if (!updated) {
+      return res.status(409).json({ success: false, message: 'Gift was delivered or cancelled before it could be rescheduled' });
+    }
+
+    res.json({
+      success: true,
+      data: { giftId, status: 'scheduled', deliverAt: date, recipientTimeZone: timeZone || null }
+    });
+  } catch (error) {
+    console.error('Error rescheduling gift:', error);
+    res.status(500).json({ success: false, message: 'Failed to reschedule gift', error: error.message });
+  }
+});
+
+/**
+ * Extend (or set) the deadline for completing a gift's challenge.
+ * An expired gift becomes active again.
+ * PUT /api/gifts/:giftId/expiration
+ */
+router.put('/gifts/:giftId/expiration', requireAuth, async (req, res) => {
+  try {
+    const { giftId } = req.params;
+    const { expirationDate } = req.body;
+
+    const giftOrder = await db.getGiftOrderByTrackingId(giftId);
+    if (!giftOrder) {
+      return res.status(404).json({ success: false, message: 'Gift not found' });
+    }
+    if (String(giftOrder.user_id) !== String(req.userId)) {
+      return res.status(403).json({ success: false, message: 'You can only extend gifts you sent' });
+    }
+    if (['unlocked', 'redeemed', 'cancelled'].includes(giftOrder.status)) {
+      return res.status(400).json({ success: false, message: `A ${giftOrder.status} gift cannot be extended` });
+    }
+
+    const { date, error } = parseFutureExpirationTime(expirationDate, giftOrder.recipient_timezone);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+    if (giftOrder.expires_at && date.toISOString() <= giftOrder.expires_at) {
+      return res.status(400).json({ success: false, message: 'expirationDate must be later than the current deadline' });
+    }
+    if (giftOrder.deliver_at && giftOrder.status === 'scheduled' && date.toISOString() <= giftOrder.deliver_at) {
+      return res.status(400).json({ success: false, message: 'expirationDate must be after deliverAt' });
+    }
+
+    const updated = await db.extendGiftExpiration(giftId, date.toISOString());
+    if (!updated) {
+      return res.status(409).json({ success: false, message: 'Gift was completed or cancelled before it could be extended' });
+    }
+
+    // An expired gift picks up where the recipient left off
+    const reactivated = giftOrder.status === 'expired';
+    let status = giftOrder.status;
+    if (reactivated) {
+      const previous = await giftLifecycle.getStateBefore(giftId, 'expired');
+      status = giftLifecycle.canTransition('expired', previous) ? previous : 'delivered';
+      await giftLifecycle.transition(giftId, status, {
+        from: 'expired',
+        actor: 'sender',
+        actorId: req.userId,
+        reason: 'Deadline extended',
+        columns: { expired_at: null }
+      });
+    }
+
+    // Same channel rules as the other recipient notices (opt-in, failed channels)
+    const channels = reactivated ? await reminderService.resolveChannels(giftOrder) : { sms: false };
+    if (channels.sms) {
+      try {
+        const senderName = giftOrder.sender_name || 'Someone special';
+        await twilioService.sendSMS(
+          giftOrder.recipient_phone,
+          `🦡 Good news! ${senderName} gave you more time to complete your Honey Badger challenge. 👉 https://badgerbot.net/g/${giftId}`,
+          { giftId }
+        );
+      } catch (smsError) {
+        console.error('Failed to notify recipient of extension:', smsError.message);
+      }
+    }
+
+    res.json({
+      success: true,
+      data: {
+        giftId,
+        status,
+        expiresAt: date,
+        reactivated
+      }
+    });
+  } catch (error) {
+    if (handleTransitionError(res, error)) return;
+    console.error('Error extending gift expiration:', error);
+    res.status(500).json({ success: false, message: 'Failed to extend gift expiration', error: error.message });
+  }
+});
+
+/**
+ * Edit a gift the recipient has not unlocked yet. Which fields can change
+ * depends on the gift's status (see giftEditService).
+ * PATCH /api/gifts/:giftId
+ */
+router.patch('/gifts/:giftId', requireAuth, async (req, res) => {
+  try {
+    const { giftId } = req.params;
+
+    const giftOrder = await db.getGiftOrderByTrackingId(giftId);
+    if (!giftOrder) {
+      return res.status(404).json({ success: false, message: 'Gift not found' });
+    }
+    if (String(giftOrder.user_id) !== String(req.userId)) {
+      return res.status(403).json({ success: false, message: 'You can only edit gifts you sent' });
+    }
+    if (rejectIfExpired(res, giftOrder)) return;
+
+    const plan = giftEdit.planChanges(giftOrder, req.body);
+    if (plan.error) {
+      return res.status(plan.statusCode).json({
+        success: false,
+        message: plan.error,
+        data: { giftId, status: giftOrder.status }
+      });
+    }
+    if (plan.fields.length === 0) {
+      return res.status(400).json({ success: false, message: 'No changes to apply' });
+    }
+    // Tier milestones are tied to step numbers
+    if (plan.changes.duration !== undefined && (await db.getGiftTiers(giftId)).length > 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'duration cannot be changed on a gift with unlock tiers',
+        data: { giftId, status: giftOrder.status }
+      });
+    }
+
+    const updated = await giftEdit.applyChanges(giftOrder, plan);
+    if (!updated) {
+      return res.status(409).json({ success: false, message: 'Gift changed status before it could be edited' });
+    }
+
+    const editedOrder = await db.getGiftOrderByTrackingId(giftId);
+    let recipientNotified = false;
+    try {
+      recipientNotified = await giftEdit.notifyRecipientOfEdit(editedOrder, plan);
+    } catch (notifyError) {
+      console.error('Failed to notify recipient of gift edit:', notifyError.message);
+    }
+
+    res.json({
+      success: true,
+      message: 'Gift updated',
+      data: {
+        giftId,
+        status: editedOrder.status,
+        updatedFields: plan.fields,
+        recipientNotified
+      }
+    });
+  } catch (error) {
+    console.error('Error editing gift:', error);
+    res.status(500).json({ success: false, message: 'Failed to edit gift', error: error.message });
+  }
+});
+
+/**
+ * Cancel a gift before it is unlocked. Recipients who already received the
+ * gift are told it was withdrawn.
+ * POST /api/gifts/:giftId/cancel
+ */
+router.post('/gifts/:giftId/cancel', requireAuth, async (req, res) => {
+  try {
+    const { giftId } = req.params;
+    const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+
+    const giftOrder = await db.getGiftOrderByTrackingId(giftId);
+    if (!giftOrder) {
+      return res.status(404).json({ success: false, message: 'Gift not found' });
+    }
+    if (String(giftOrder.user_id) !== String(req.userId)) {
+      return res.status(403).json({ success: false, message: 'You can only cancel gifts you sent' });
+    }
+    if (giftOrder.status === 'cancelled') {
+      return res.status(400).json({ success: false, message: 'Gift is already cancelled' });
+    }
+    if (rejectIfNotAllowed(res, giftOrder, 'cancelled')) return;
+
+    const wasDelivered = giftOrder.status !== 'scheduled';
+    await giftLifecycle.transition(giftId, 'cancelled', {
+      from: giftOrder.status,
+      actor: 'sender',
+      actorId: req.userId,
+      reason: reason || (wasDelivered ? 'Withdrawn by sender' : 'Cancelled before delivery')
+    });
+
+    let recipientNotified = false;
+    if (wasDelivered) {
+      try {
+        recipientNotified = await giftEdit.notifyRecipientOfCancellation(giftOrder, reason || null);
+      } catch (notifyError) {
+        console.error('Failed to notify recipient of cancellation:', notifyError.message);
+      }
+    }
+
+    res.json({
+      success: true,
+      data: { giftId, status: 'cancelled', cancelledAt: new Date(), recipientNotified }
+    });
+  } catch (error) {
+    if (handleTransitionError(res, error)) return;
+    console.error('Error cancelling gift:', error);
+    res.status(500).json({ success: false, message: 'Failed to cancel gift', error: error.message });
+  }
+});
+
+/**
+ * Status history of a gift, for the sender or the recipient
+ * GET /api/gifts/:giftId/timeline
+ */
+router.get('/gifts/:giftId/timeline', requireAuth, async (req, res) => {
+  try {
+    const { giftId } = req.params;
+
+    const giftOrder = await db.getGiftOrderByTrackingId(giftId);
+    if (!giftOrder) {
+      return res.status(404).json({ success: false, message: 'Gift not found' });
+    }
+
+    const isSender = String(giftOrder.user_id) === String(req.userId);
+    if (!isSender) {
+      const user = await db.getUserById(req.userId);
+      const isRecipient = user && (
+        (user.email && giftOrder.recipient_email && user.email.toLowerCase() === giftOrder.recipient_email.toLowerCase()) ||
+        (user.phone && giftOrder.recipient_phone && user.phone === giftOrder.recipient_phone)
+      );
+      if (!isRecipient) {
+        return res.status(403).json({ success: false, message: 'Only the sender or recipient can view this gift' });
+      }
+    }
+
+    res.json({
+      success: true,
+      data: {
+        giftId,
+        status: giftExpiry.isExpired(giftOrder) ? 'expired' : giftOrder.status,
+        createdAt: giftOrder.created_at,
+        timeline: await giftLifecycle.getTimeline(giftId)
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching gift timeline:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch gift timeline', error: error.message });
+  }
+});
+
+/**
+ * Photo and video submissions of a gift by challenge step, with the sender's
+ * reviews, for the sender or the recipient
+ * GET /api/gifts/:giftId/submissions
+ */
+router.get('/gifts/:giftId/submissions', requireAuth, async (req, res) => {
+  try {
+    const { giftId } = req.params;
+
+    const giftOrder = await db.getGiftOrderByTrackingId(giftId);
+    if (!giftOrder) {
+      return res.status(404).json({ success: false, message: 'Gift not found' });
+    }
+
+    const isSender = String(giftOrder.user_id) === String(req.userId);
+    if (!isSender) {
+      const user = await db.getUserById(req.userId);
+      const isRecipient = user && (
+        (user.email && giftOrder.recipient_email && user.email.toLowerCase() === giftOrder.recipient_email.toLowerCase()) ||
+        (user.phone && giftOrder.recipient_phone && user.phone === giftOrder.recipient_phone)
+      );
+      if (!isRecipient) {
+        return res.status(403).json({ success: false, message: 'Only the sender or recipient can view this gift' });
+      }
+    }
+
+    const history = await submissionReview.getHistory(giftOrder);
+
+    res.json({
+      success: true,
+      data: {
+        giftId,
+        status: giftExpiry.isExpired(giftOrder) ? 'expired' : giftOrder.status,
+        ...history
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching gift submissions:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch gift submissions', error: error.message });
+  }
+});
+
 /**
  * Sender-initiated gift unlock
  * POST /api/gifts/:giftId/unlock
@@ -279,27 +838,39 @@ router.post('/gifts/:giftId/unlock', async (req, res) => {
     if (giftOrder.unlocked === 1) {
       return res.status(400).json({ success: false, message: 'Gift is already unlocked' });
     }
+    if (rejectIfExpired(res, giftOrder)) return;
+    if (rejectIfNotAllowed(res, giftOrder, 'unlocked')) return;
 
     // Unlock the gift
-    await db.unlockGiftOrder(giftId);
+    await giftLifecycle.transition(giftId, 'unlocked', {
+      actor: 'sender',
+      actorId: userId,
+      reason: 'Unlocked by sender'
+    });
 
     // Notify recipient via SMS
     if (giftOrder.recipient_phone) {
       const senderName = giftOrder.sender_name || 'Someone special';
       const unlockMessage = `🦡 Great news! ${senderName} has unlocked your gift! Open the Honey Badger app to claim it now.`;
-      await twilioService.sendSMS(giftOrder.recipient_phone, unlockMessage);
+      try {
+        await twilioService.sendSMS(giftOrder.recipient_phone, unlockMessage, { giftId, category: 'unlock' });
+      } catch (smsError) {
+        console.error('Failed to notify recipient:', smsError.message);
+        await giftDelivery.handleChannelFailure('sms', giftId, 'unlock', smsError.message);
+      }
     }
 
     res.json({
       success: true,
       data: {
         giftId,
-        status: 'completed',
+        status: 'unlocked',
         unlocked: true,
         unlockedAt: new Date()
       }
     });
   } catch (error) {
+    if (handleTransitionError(res, error)) return;
     console.error('Error unlocking gift:', error);
     res.status(500).json({ success: false, message: 'Failed to unlock gift', error: error.message });
   }
@@ -337,6 +908,8 @@ router.post('/gifts/:giftId/recipient-unlock', async (req, res) => {
     if (giftOrder.unlocked === 1) {
       return res.status(400).json({ success: false, message: 'Gift is already unlocked' });
     }
+    if (rejectIfExpired(res, giftOrder)) return;
+    if (rejectIfNotAllowed(res, giftOrder, 'unlocked')) return;
 
     // Verify recipient ownership — match user email/phone to gift recipient
     const user = await db.getUserById(userId);
@@ -358,14 +931,16 @@ router.post('/gifts/:giftId/recipient-unlock', async (req, res) => {
       const isPhotoChallenge = challengeType === 'photo' || challengeType === 'video';
 
       if (isPhotoChallenge) {
-        // Photo/video challenges require sender approval — check for an approved submission
-        const submissions = await db.getPhotoSubmissionsByGiftId(giftId);
-        const hasApproved = submissions && submissions.some(s => s.status === 'approved');
-        if (!hasApproved) {
-          const hasPending = submissions && submissions.some(s => s.status === 'pending_approval');
+        // Photo/video challenges require sender approval of every step
+        const { totalSteps, stepsApproved, steps } = await submissionReview.getHistory(giftOrder);
+        if (stepsApproved < totalSteps) {
+          const hasPending = steps.some(step => step.status === 'pending_approval');
           if (hasPending) {
             return res.status(403).json({ success: false, message: 'Your photo submission is awaiting sender approval. You\'ll be notified once it\'s reviewed!' });
           }
+          if (stepsApproved > 0) {
+            return res.status(403).json({ success: false, message: `${stepsApproved} of ${totalSteps} steps approved so far. Submit a photo for the next step!` });
+          }
           return res.status(403).json({ success: false, message: 'You must complete the challenge before unlocking this gift. Submit a photo to get started!' });
         }
       } else {
@@ -379,7 +954,11 @@ router.post('/gifts/:giftId/recipient-unlock', async (req, res) => {
     }
 
     // Challenge verified — unlock the gift
-    await db.unlockGiftOrder(giftId);
+    await giftLifecycle.transition(giftId, 'unlocked', {
+      actor: 'recipient',
+      actorId: userId,
+      reason: 'Unlocked by recipient after completing the challenge'
+    });
 
     // Notify sender via SMS or email
     const senderName = giftOrder.sender_name || 'Someone';
@@ -389,12 +968,13 @@ router.post('/gifts/:giftId/recipient-unlock', async (req, res) => {
       success: true,
       data: {
         giftId,
-        status: 'completed',
+        status: 'unlocked',
         unlocked: true,
         unlockedAt: new Date()
       }
     });
   } catch (error) {
+    if (handleTransitionError(res, error)) return;
     console.error('Error recipient-unlocking gift:', error);
     res.status(500).json({ success: false, message: 'Failed to unlock gift', error: error.message });
   }
@@ -453,33 +1033,94 @@ router.post('/gifts/:giftId/collect', async (req, res) => {
     }
 
     // Redeem the gift
-    await db.redeemGiftOrder(giftId);
+    await giftLifecycle.transition(giftId, 'redeemed', {
+      from: 'unlocked',
+      actor: 'recipient',
+      actorId: userId,
+      reason: 'Collected by recipient'
+    });
 
     res.json({
       success: true,
       data: {
         giftId,
+        status: 'redeemed',
         redeemed: true,
         redeemedAt: new Date()
       }
     });
   } catch (error) {
+    if (handleTransitionError(res, error)) return;
     console.error('Error collecting gift:', error);
     res.status(500).json({ success: false, message: 'Failed to collect gift', error: error.message });
   }
 });
 
 /**
- * Mark a gift as received (viewed by recipient)
- * POST /api/gifts/:giftId/mark-received
+ * Collect one unlocked tier of a tiered gift
+ * POST /api/gifts/:giftId/tiers/:tier/collect
  */
-router.post('/gifts/:giftId/mark-received', async (req, res) => {
+router.post('/gifts/:giftId/tiers/:tier/collect', requireAuth, async (req, res) => {
   try {
     const { giftId } = req.params;
+    const tierNumber = Number(req.params.tier);
 
-    // Inline JWT auth
-    const authHeader = req.headers['authorization'];
-    if (!authHeader) {
+    const giftOrder = await db.getGiftOrderByTrackingId(giftId);
+    if (!giftOrder) {
+      return res.status(404).json({ success: false, message: 'Gift not found' });
+    }
+
+    const user = await db.getUserById(req.userId);
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+
+    const isRecipient = (user.email && giftOrder.recipient_email && user.email.toLowerCase() === giftOrder.recipient_email.toLowerCase()) ||
+                        (user.phone && giftOrder.recipient_phone && user.phone === giftOrder.recipient_phone);
+    if (!isRecipient) {
+      return res.status(403).json({ success: false, message: 'Only the gift recipient can collect this gift' });
+    }
+
+    if (giftOrder.status === 'cancelled') {
+      return res.status(409).json({
+        success: false,
+        message: 'This gift was cancelled and can no longer be collected',
+        data: { giftId, status: giftOrder.status }
+      });
+    }
+
+    const result = await giftTiers.redeemTier(giftOrder, tierNumber, req.userId);
+    if (result.error) {
+      const statusCode = result.error === 'Tier not found' ? 404 : 400;
+      return res.status(statusCode).json({ success: false, message: result.error });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        giftId,
+        tier: result.tier,
+        giftRedeemed: result.giftRedeemed,
+        tiers: result.tiers
+      }
+    });
+  } catch (error) {
+    console.error('Error collecting gift tier:', error);
+    res.status(500).json({ success: false, message: 'Failed to collect gift tier', error: error.message });
+  }
+});
+
+/**
+ * Mark a gift as received (viewed by recipient)
+ * POST /api/gifts/:giftId/mark-received
+ */
+router.post('/gifts/:giftId/mark-received', async (req, res) => {
+  try {
+    const { giftId } = req.params;
+
+    // Inline JWT auth
+    const authHeader = req.headers['authorization'];
+    if (!authHeader) {
       return res.status(401).json({ success: false, message: 'Authorization required' });
     }
     const jwt = require('jsonwebtoken');
@@ -521,6 +1162,12 @@ router.post('/gifts/:giftId/mark-received', async (req, res) => {
 
     // Mark as received
     const wasFirstView = await db.markGiftReceived(giftId);
+    await giftLifecycle.transitionIfAllowed(giftId, 'accepted', {
+      from: 'delivered',
+      actor: 'recipient',
+      actorId: userId,
+      reason: 'Opened the gift'
+    });
 
     // Notify sender via SMS (fire-and-forget)
     if (wasFirstView && giftOrder.sender_phone) {
@@ -528,7 +1175,8 @@ router.post('/gifts/:giftId/mark-received', async (req, res) => {
         const recipientName = giftOrder.recipient_name || 'Someone';
         await twilioService.sendSMS(
           giftOrder.sender_phone,
-          `🦡 ${recipientName} just opened your Honey Badger gift!`
+          `🦡 ${recipientName} just opened your Honey Badger gift!`,
+          { giftId: giftOrder.tracking_id, category: 'progress' }
         );
       } catch (smsError) {
         console.error('Failed to send received notification to sender:', smsError.message);
@@ -616,7 +1264,7 @@ router.post('/gifts/:giftId/nudge', async (req, res) => {
       return res.status(503).json({ success: false, message: 'SMS service not configured' });
     }
 
-    const message = await twilioService.sendSMS(giftOrder.recipient_phone, nudgeMessage);
+    const message = await twilioService.sendSMS(giftOrder.recipient_phone, nudgeMessage, { giftId: giftOrder.tracking_id, category: 'nudge' });
 
     // Update last reminder sent if we have a challenge
     if (giftOrder.challenge_id) {
@@ -628,7 +1276,9 @@ router.post('/gifts/:giftId/nudge', async (req, res) => {
       data: {
         messageId: message ? message.sid : null,
         messageSent: nudgeMessage,
-        sentAt: new Date()
+        sentAt: new Date(),
+        deferredUntil: message && message.deferred ? message.sendAfter : null,
+        retryingAt: message && message.queued ? message.nextAttemptAt : null
       }
     });
   } catch (error) {
@@ -657,6 +1307,13 @@ router.get('/challenges/:challengeId/progress', async (req, res) => {
     // Get gift from database
     const giftOrder = await db.getGiftOrderByTrackingId(challenge.gift_id);
 
+    const streak = streakService.isStreakChallenge(challenge)
+      ? streakService.summarize(challenge, streakService.getTimeZone(giftOrder))
+      : null;
+    const quiz = quizService.isQuizChallenge(challenge) ? quizService.summarize(challenge) : null;
+    const location = locationService.isLocationChallenge(challenge) ? locationService.summarize(challenge) : null;
+    const fitness = fitnessService.isFitnessChallenge(challenge) ? fitnessService.summarize(challenge, giftOrder) : null;
+
     res.json({
       success: true,
       data: {
@@ -667,7 +1324,11 @@ router.get('/challenges/:challengeId/progress', async (req, res) => {
         progress: challenge.progress,
         giftStatus: giftOrder ? giftOrder.status : 'unknown',
         unlocked: giftOrder ? giftOrder.unlocked : false,
-        percentComplete: (challenge.progress.currentStep / challenge.progress.totalSteps) * 100
+        percentComplete: (challenge.progress.currentStep / challenge.progress.totalSteps) * 100,
+        streak,
+        quiz,
+        location,
+        fitness
       }
     });
   } catch (error) {
@@ -694,8 +1355,10 @@ router.put('/challenges/:challengeId/progress', async (req, res) => {
     const jwt = require('jsonwebtoken');
     const token = authHeader.split(' ')[1];
     const JWT_SECRET = process.env.JWT_SECRET || 'your-super-secret-jwt-key-change-in-production';
+    let userId;
     try {
-      jwt.verify(token, JWT_SECRET);
+      const decoded = jwt.verify(token, JWT_SECRET);
+      userId = decoded.id;
     } catch (jwtError) {
       return res.status(403).json({ success: false, message: 'Invalid or expired token' });
     }
@@ -704,7 +1367,7 @@ router.put('/challenges/:challengeId/progress', async (req, res) => {
     const { stepCompleted, submission, metadata } = req.body;
 
     // Get challenge from database
-    const challenge = await db.getChallengeById(challengeId);
+    let challenge = await db.getChallengeById(challengeId);
     if (!challenge) {
       return res.status(404).json({
         success: false,
@@ -712,18 +1375,45 @@ router.put('/challenges/:challengeId/progress', async (req, res) => {
       });
     }
 
-    // Update progress
-    if (!challenge.progress.started) {
-      challenge.progress.started = true;
+    const giftOrder = await db.getGiftOrderByTrackingId(challenge.gift_id);
+    if (rejectIfExpired(res, giftOrder)) return;
+
+    if (stepCompleted && quizService.isQuizChallenge(challenge)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Quiz steps are completed by answering questions: POST /api/challenges/:challengeId/answer'
+      });
+    }
+    if (stepCompleted && locationService.isLocationChallenge(challenge)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Location steps are completed by checking in: POST /api/challenges/:challengeId/check-in'
+      });
+    }
+    if (stepCompleted && fitnessService.tracksActivities(challenge)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Fitness steps are completed by uploading activities: POST /api/challenges/:challengeId/activity'
+      });
     }
 
-    if (stepCompleted) {
+    // Streak steps count once per calendar day in the recipient's time zone
+    let checkIn = null;
+    if (stepCompleted && streakService.isStreakChallenge(challenge)) {
+      checkIn = await streakService.checkIn(challenge, streakService.getTimeZone(giftOrder));
+      challenge = checkIn.challenge;
+    } else if (stepCompleted) {
       challenge.progress.currentStep = Math.min(
         challenge.progress.currentStep + 1,
         challenge.progress.totalSteps
       );
     }
 
+    // Update progress
+    if (!challenge.progress.started) {
+      challenge.progress.started = true;
+    }
+
     // Add submission record
     if (submission) {
       challenge.progress.submissions.push({
@@ -744,13 +1434,32 @@ router.put('/challenges/:challengeId/progress', async (req, res) => {
     // Update challenge progress in database
     await db.updateChallengeProgress(challengeId, challenge.progress);
 
+    if (giftOrder && (stepCompleted || submission)) {
+      await giftLifecycle.transitionIfAllowed(giftOrder.tracking_id, 'in_progress', {
+        from: ['delivered', 'accepted'],
+        actor: 'recipient',
+        actorId: userId,
+        reason: 'Challenge progress updated'
+      });
+    }
+
+    // Milestone tiers release as their step is reached; the final tier waits for the gift unlock
+    const tiersUnlocked = giftOrder
+      ? await giftTiers.unlockReachedTiers(giftOrder, challenge.progress.currentStep)
+      : [];
+
     res.json({
       success: true,
       data: {
         challengeId,
         progress: challenge.progress,
         completed: challenge.progress.completed,
-        giftUnlocked: false
+        giftUnlocked: false,
+        tiersUnlocked,
+        stepCounted: checkIn ? checkIn.counted : !!stepCompleted,
+        streak: streakService.isStreakChallenge(challenge)
+          ? streakService.summarize(challenge, streakService.getTimeZone(giftOrder))
+          : null
       }
     });
   } catch (error) {
@@ -763,6 +1472,89 @@ router.put('/challenges/:challengeId/progress', async (req, res) => {
   }
 });
 
+/**
+ * Answer the current question of a quiz challenge
+ * POST /api/challenges/:challengeId/answer
+ */
+router.post('/challenges/:challengeId/answer', requireAuth, async (req, res) => {
+  try {
+    const { challengeId } = req.params;
+    const answer = req.body.answer;
+
+    if (answer === undefined || answer === null || String(answer).trim() === '') {
+      return res.status(400).json({ success: false, message: 'answer is required' });
+    }
+
+    const challenge = await db.getChallengeById(challengeId);
+    if (!challenge) {
+      return res.status(404).json({ success: false, message: 'Challenge not found' });
+    }
+    if (!quizService.isQuizChallenge(challenge)) {
+      return res.status(400).json({ success: false, message: 'This challenge is not a quiz' });
+    }
+
+    const giftOrder = await db.getGiftOrderByTrackingId(challenge.gift_id);
+    if (!giftOrder) {
+      return res.status(404).json({ success: false, message: 'Gift not found' });
+    }
+
+    const user = await db.getUserById(req.userId);
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+
+    const isRecipient = (user.email && giftOrder.recipient_email && user.email.toLowerCase() === giftOrder.recipient_email.toLowerCase()) ||
+                        (user.phone && giftOrder.recipient_phone && user.phone === giftOrder.recipient_phone);
+    if (!isRecipient) {
+      return res.status(403).json({ success: false, message: 'Only the gift recipient can answer this quiz' });
+    }
+    if (rejectIfExpired(res, giftOrder)) return;
+    if (rejectIfNotAllowed(res, giftOrder, 'in_progress')) return;
+
+    const result = await quizService.answer(challenge, answer);
+
+    if (result.counted) {
+      await giftLifecycle.transitionIfAllowed(giftOrder.tracking_id, 'in_progress', {
+        from: ['delivered', 'accepted'],
+        actor: 'recipient',
+        actorId: req.userId,
+        reason: 'Quiz answer submitted'
+      });
+    }
+
+    if (result.notifySender) {
+      try {
+        await quizService.notifySenderStuck(giftOrder, result.challenge, result);
+      } catch (notifyError) {
+        console.error('Failed to notify sender of stuck quiz:', notifyError.message);
+      }
+    }
+
+    const tiersUnlocked = result.correct
+      ? await giftTiers.unlockReachedTiers(giftOrder, result.challenge.progress.currentStep)
+      : [];
+
+    res.json({
+      success: true,
+      data: {
+        challengeId,
+        counted: result.counted,
+        correct: result.correct,
+        questionNumber: result.questionNumber,
+        hint: result.hint,
+        senderNotified: result.notifySender,
+        completed: !!result.challenge.progress.completed,
+        giftUnlocked: false,
+        tiersUnlocked,
+        quiz: result.quiz
+      }
+    });
+  } catch (error) {
+    console.error('Error answering quiz:', error);
+    res.status(500).json({ success: false, message: 'Failed to answer quiz', error: error.message });
+  }
+});
+
 /**
  * Process recipient responses (webhook for Twilio incoming messages)
  * POST /api/webhooks/twilio/incoming
@@ -798,6 +1590,14 @@ router.post('/webhooks/twilio/incoming', twilioService.getWebhookMiddleware(), a
 
       // Look up active gifts for this recipient to build a deep link
       const activeGifts = await db.getActiveGiftsByRecipientPhone(From);
+      for (const gift of activeGifts) {
+        await giftLifecycle.transitionIfAllowed(gift.tracking_id, 'accepted', {
+          from: 'delivered',
+          actor: 'recipient',
+          actorId: From,
+          reason: 'Replied START'
+        });
+      }
       const baseUrl = process.env.BASE_URL || 'https://badgerbot.net';
       const badgerImageUrl = `${baseUrl}/images/honey-badger.png`;
 
@@ -818,7 +1618,7 @@ router.post('/webhooks/twilio/incoming', twilioService.getWebhookMiddleware(), a
     }
 
     if (lowerBody === 'help' || lowerBody === 'info') {
-      await twilioService.sendSMS(From, `Honey Badger Gifts: Gift notification & challenge reminder service. Msg frequency varies. Msg & data rates may apply. Reply STOP to cancel. For support visit https://badgerbot.net or email support@badgerbot.net`);
+      await twilioService.sendSMS(From, `Honey Badger Gifts: Gift notification & challenge reminder service.\n\n${smsConversation.COMMAND_HELP}\n\nMsg frequency varies. Msg & data rates may apply. Reply STOP to cancel. For support visit https://badgerbot.net or email support@badgerbot.net`);
       return res.status(200).send('<?xml version="1.0" encoding="UTF-8"?><Response></Response>');
     }
 
@@ -832,131 +1632,248 @@ router.post('/webhooks/twilio/incoming', twilioService.getWebhookMiddleware(), a
       return res.status(200).send('<?xml version="1.0" encoding="UTF-8"?><Response></Response>');
     }
 
-    // Process the response based on active challenges
-    let responseMessage = '';
-    let lastChallenge = null;
-
-    for (const giftOrder of activeGifts) {
-      // Get challenge from database
-      let challenge = giftOrder.challenge_id ? await db.getChallengeById(giftOrder.challenge_id) : null;
+    // Commands, "which gift?" questions and the gift a reply is for come from the conversation
+    const entries = await smsConversation.loadGifts(activeGifts);
+    const message = {
+      body: Body || '',
+      numMedia: parseInt(NumMedia, 10) || 0,
+      mediaUrl: MediaUrl0 || null,
+      mediaType: MediaContentType0 || null
+    };
+    const routed = await smsConversation.handleMessage(From, message, entries);
 
-      // Create challenge object if it doesn't exist
-      if (!challenge) {
-        challenge = {
-          id: uuidv4(),
-          type: giftOrder.challenge_type || 'photo',
-          description: giftOrder.challenge_description || giftOrder.challenge,
-          progress: { started: false, completed: false, currentStep: 0, totalSteps: 1, submissions: [] }
-        };
-      }
+    let responseMessage = routed.reply || '';
+    if (routed.entry) {
+      responseMessage = await applyReplyToGift(From, routed.entry, routed.message);
+    }
 
-      lastChallenge = challenge;
+    if (!responseMessage) {
+      const entry = routed.unmatched || routed.entry;
+      responseMessage = await aiMessage.generateInvalidResponseMessage(entry && entry.challenge);
+    }
 
-      // Check if response matches challenge requirements (photo challenges need media)
-      const hasPhoto = parseInt(NumMedia) > 0;
-      const validResponse = await validateResponse(challenge, Body, NumMedia, MediaUrl0);
+    // Send response
+    await twilioService.sendSMS(From, responseMessage);
 
-      if (validResponse) {
-        // Handle photo submission with approval workflow
-        if (hasPhoto && (challenge.type === 'photo' || challenge.type === 'video')) {
-          // Download the photo from Twilio
-          const photoUrl = await downloadTwilioMedia(MediaUrl0, giftOrder.tracking_id);
+    res.status(200).send('<?xml version="1.0" encoding="UTF-8"?><Response></Response>');
+  } catch (error) {
+    console.error('Error processing incoming message:', error);
+    res.status(500).send('Error processing message');
+  }
+});
 
-          // Create photo submission record with pending_approval status
-          const submissionId = uuidv4();
-          await db.createPhotoSubmission({
-            id: submissionId,
-            challengeId: challenge.id || giftOrder.challenge_id,
-            giftId: giftOrder.tracking_id,
-            photoUrl: photoUrl,
-            submitterPhone: From,
-            status: 'pending_approval'
-          });
+/**
+ * Apply a recipient's SMS reply to one of their gifts
+ * @param {string} from - The recipient's number
+ * @param {object} entry - From smsConversation.loadGifts: { giftOrder, challenge, challengeSaved }
+ * @param {object} message - { body, numMedia, mediaUrl, mediaType }
+ * @returns {Promise<string>} - Reply to send the recipient
+ */
+async function applyReplyToGift(from, entry, message) {
+  const { giftOrder, challengeSaved } = entry;
+  let { challenge } = entry;
+  const hasMedia = message.numMedia > 0;
+
+  // Handle photo submission with approval workflow
+  if (hasMedia && (challenge.type === 'photo' || challenge.type === 'video')) {
+    // Download the photo or video from Twilio
+    const isVideo = videoService.isVideoType(message.mediaType);
+    const mediaLabel = isVideo ? 'video' : 'photo';
+    const target = await submissionReview.resolveStep(giftOrder.tracking_id, challenge.id || giftOrder.challenge_id);
+    if (!target.step) {
+      return '🦡 Every step of your challenge has already been approved. Hang tight!';
+    }
+    const stepText = target.totalSteps > 1 ? ` for step ${target.step} of ${target.totalSteps}` : '';
+    const download = await downloadTwilioMedia(message.mediaUrl, giftOrder.tracking_id, message.mediaType);
+    const inspection = await uploadScan.inspect(download.filePath, {
+      declaredType: message.mediaType,
+      accept: videoService.acceptedMmsTypes(),
+      source: 'mms',
+      giftId: giftOrder.tracking_id,
+      submittedBy: from
+    });
+    if (!inspection.ok) {
+      return inspection.reason === 'scan_failed'
+        ? "🦡 We couldn't check that file right now. Please try sending it again in a few minutes!"
+        : "🦡 We couldn't accept that file. Please send a photo or video taken with your camera!";
+    }
+    let photoUrl;
+    let media = null;
+    if (isVideo) {
+      media = await videoService.storeVideo(download.filePath, { mimeType: message.mediaType });
+      // Unreadable containers are still passed on for the sender to judge
+      photoUrl = media ? media.url : await videoService.storeUnreadable(download.filePath, message.mediaType);
+    } else {
+      // Strip metadata and write renditions before anyone can see the photo
+      let processed;
+      try {
+        processed = await photoService.processPhoto(download.filePath);
+      } catch (processingError) {
+        console.error('⚠️  MMS photo processing failed:', processingError.message);
+        photoService.discardPhoto(download.filePath);
+        return "🦡 We couldn't open that photo. Please try sending it again!";
+      }
+      media = await photoService.storePhoto(processed);
+      photoUrl = media.photoUrl;
+    }
 
-          // Update gift status to pending_approval
-          await db.updateGiftOrderStatus(giftOrder.tracking_id, 'pending_approval');
+    // Create photo submission record with pending_approval status
+    const submissionId = uuidv4();
+    const duplicate = await duplicatePhotos.findDuplicate(giftOrder, media && media.perceptualHash);
+    await db.createPhotoSubmission({
+      id: submissionId,
+      challengeId: challenge.id || giftOrder.challenge_id,
+      giftId: giftOrder.tracking_id,
+      photoUrl: photoUrl,
+      submitterPhone: from,
+      status: 'pending_approval',
+      step: target.step,
+      mediaType: mediaLabel,
+      media: media || { mimeType: message.mediaType || null },
+      duplicate
+    });
 
-          // Notify the sender
-          if (giftOrder.sender_phone) {
-            try {
-              await twilioService.sendSMS(giftOrder.sender_phone, `🦡 ${giftOrder.recipient_name || 'Your gift recipient'} just submitted a photo for their challenge! Open the Honey Badger app to review and approve it.`);
-            } catch (smsError) {
-              console.error('Failed to notify sender via SMS:', smsError.message);
-            }
-          }
+    // Update gift status to pending_approval
+    await giftLifecycle.transition(giftOrder.tracking_id, 'pending_approval', {
+      actor: 'recipient',
+      actorId: from,
+      reason: `${isVideo ? 'Video' : 'Photo'} submitted by SMS`
+    });
 
-          // Send email notification to sender
-          if (giftOrder.sender_email) {
-            try {
-              await sendGridService.sendApprovalNotificationEmail(giftOrder.sender_email, {
-                recipientName: giftOrder.recipient_name,
-                photoUrl: photoUrl,
-                giftType: giftOrder.gift_type,
-                challengeDescription: challenge.description
-              });
-            } catch (emailError) {
-              console.error('Failed to notify sender via email:', emailError.message);
-            }
-          }
+    // Notify the sender
+    if (giftOrder.sender_phone) {
+      try {
+        // A signed preview (medium rendition, or the video's poster) rides along as MMS
+        const previewUrl = isVideo ? media && media.posterUrl : media.mediumUrl;
+        await twilioService.sendSMS(giftOrder.sender_phone, `🦡 ${giftOrder.recipient_name || 'Your gift recipient'} just submitted a ${mediaLabel}${stepText} for their challenge! Open the Honey Badger app to review and approve it.`, {
+          mediaUrl: previewUrl ? mediaAccess.absoluteSignedUrl(previewUrl) : undefined,
+          giftId: giftOrder.tracking_id,
+          category: 'progress'
+        });
+      } catch (smsError) {
+        console.error('Failed to notify sender via SMS:', smsError.message);
+      }
+    }
 
-          responseMessage = "🦡 Photo received! Your submission has been sent to the gift sender for approval. You'll be notified once it's reviewed!";
-          break;
-        } else {
-          // Non-photo challenge - direct completion
-          challenge.progress.currentStep++;
-          challenge.progress.submissions.push({
-            timestamp: new Date(),
-            type: hasPhoto ? 'media' : 'text',
-            data: { body: Body, mediaUrl: MediaUrl0, mediaType: MediaContentType0 }
-          });
+    // Send email notification to sender
+    if (giftOrder.sender_email) {
+      try {
+        await sendGridService.sendApprovalNotificationEmail(giftOrder.sender_email, {
+          recipientName: giftOrder.recipient_name,
+          photoUrl: photoUrl,
+          mediaType: mediaLabel,
+          videoUrl: isVideo ? photoUrl : null,
+          posterUrl: media ? media.posterUrl : null,
+          durationSeconds: media ? media.durationSeconds : null,
+          giftType: giftOrder.gift_type,
+          challengeDescription: challenge.description
+        });
+      } catch (emailError) {
+        console.error('Failed to notify sender via email:', emailError.message);
+      }
+    }
 
-          if (challenge.progress.currentStep >= challenge.progress.totalSteps) {
-            // Challenge completed!
-            challenge.progress.completed = true;
-            await db.unlockGiftOrder(giftOrder.tracking_id);
-
-            const gift = {
-              senderName: giftOrder.sender_name || 'Someone special',
-              recipientPhone: giftOrder.recipient_phone,
-              type: giftOrder.gift_type,
-              details: { redemptionInstructions: giftOrder.personal_note || giftOrder.message }
-            };
-            responseMessage = await getCompletionMessage(gift, challenge);
-          } else {
-            const gift = { type: giftOrder.gift_type };
-            responseMessage = await getProgressMessage(gift, challenge);
-          }
+    return `🦡 ${isVideo ? 'Video' : 'Photo'} received${stepText}! Your submission has been sent to the gift sender for approval. You'll be notified once it's reviewed!`;
+  }
 
-          // Update challenge progress in database
-          if (challenge.id && giftOrder.challenge_id) {
-            await db.updateChallengeProgress(challenge.id, challenge.progress);
-          }
-          break;
-        }
+  // Non-photo challenge - direct completion
+  let responseMessage = '';
+  let stepCounted = true;
+  let statusLine = '';
+  if (challengeSaved && quizService.isQuizChallenge(challenge)) {
+    const result = await quizService.answer(challenge, message.body);
+    challenge = result.challenge;
+    // Only a correct answer moves the quiz on a step
+    stepCounted = result.correct;
+    statusLine = quizService.formatAnswerSms(result);
+    if (result.counted && !result.correct) {
+      await giftLifecycle.transitionIfAllowed(giftOrder.tracking_id, 'in_progress', {
+        from: ['delivered', 'accepted'],
+        actor: 'recipient',
+        actorId: from,
+        reason: 'Quiz answer submitted by SMS'
+      });
+    }
+    if (result.notifySender) {
+      try {
+        await quizService.notifySenderStuck(giftOrder, challenge, result);
+      } catch (notifyError) {
+        console.error('Failed to notify sender of stuck quiz:', notifyError.message);
       }
     }
+  } else if (challengeSaved && streakService.isStreakChallenge(challenge)) {
+    // One check-in per day, however many texts arrive
+    const checkIn = await streakService.checkIn(challenge, streakService.getTimeZone(giftOrder));
+    challenge = checkIn.challenge;
+    stepCounted = checkIn.counted;
+    statusLine = streakService.formatCheckInSms(checkIn);
+  } else {
+    challenge.progress.currentStep++;
+    challenge.progress.submissions.push({
+      timestamp: new Date(),
+      type: hasMedia ? 'media' : 'text',
+      data: { body: message.body, mediaUrl: message.mediaUrl, mediaType: message.mediaType }
+    });
+  }
 
-    if (!responseMessage) {
-      responseMessage = await aiMessage.generateInvalidResponseMessage(lastChallenge);
+  if (!stepCounted) {
+    responseMessage = statusLine;
+  } else if (challenge.progress.currentStep >= challenge.progress.totalSteps) {
+    // Challenge completed!
+    challenge.progress.completed = true;
+    await giftLifecycle.transition(giftOrder.tracking_id, 'unlocked', {
+      actor: 'recipient',
+      actorId: from,
+      reason: 'Challenge completed by SMS'
+    });
+
+    const gift = {
+      senderName: giftOrder.sender_name || 'Someone special',
+      recipientPhone: giftOrder.recipient_phone,
+      type: giftOrder.gift_type,
+      details: { redemptionInstructions: giftOrder.personal_note || giftOrder.message }
+    };
+    responseMessage = await getCompletionMessage(gift, challenge);
+  } else {
+    await giftLifecycle.transitionIfAllowed(giftOrder.tracking_id, 'in_progress', {
+      from: ['delivered', 'accepted'],
+      actor: 'recipient',
+      actorId: from,
+      reason: 'Challenge step completed by SMS'
+    });
+    const gift = { type: giftOrder.gift_type };
+    responseMessage = await getProgressMessage(gift, challenge);
+    if (statusLine) {
+      responseMessage += `\n\n${statusLine}`;
     }
+  }
 
-    // Send response
-    await twilioService.sendSMS(From, responseMessage);
+  // Update challenge progress in database
+  if (challengeSaved) {
+    await db.updateChallengeProgress(challenge.id, challenge.progress);
+  }
 
-    res.status(200).send('<?xml version="1.0" encoding="UTF-8"?><Response></Response>');
-  } catch (error) {
-    console.error('Error processing incoming message:', error);
-    res.status(500).send('Error processing message');
+  // The reply already goes to the recipient, so milestone tiers ride along in it
+  if (stepCounted && !challenge.progress.completed) {
+    const unlockedTiers = await giftTiers.unlockReachedTiers(giftOrder, challenge.progress.currentStep, { notify: false });
+    unlockedTiers.forEach(tier => {
+      responseMessage += `\n\n🎁 Milestone reached! You unlocked ${tier.value} of your gift.`;
+    });
   }
-});
+
+  return responseMessage;
+}
 
 /**
- * Download media from Twilio and save locally
+ * Download media from Twilio into the staging directory, with an extension
+ * matching its content type; the caller processes and stores it
+ * @returns {Promise<{filePath: string}>}
  */
-async function downloadTwilioMedia(mediaUrl, giftId) {
+async function downloadTwilioMedia(mediaUrl, giftId, contentType) {
   return new Promise((resolve, reject) => {
-    const filename = `photo-${giftId}-${Date.now()}.jpg`;
-    const filepath = path.join(uploadsDir, filename);
+    const isVideo = videoService.isVideoType(contentType);
+    const filename = `${isVideo ? 'video' : 'photo'}-${giftId}-${Date.now()}${videoService.extensionFor(contentType)}`;
+    const filepath = storage.stagingPath(filename);
     const file = fs.createWriteStream(filepath);
 
     // Twilio media URLs require auth
@@ -975,7 +1892,7 @@ async function downloadTwilioMedia(mediaUrl, giftId) {
     protocol.get(mediaUrl, options, (response) => {
       // Handle redirects
       if (response.statusCode === 301 || response.statusCode === 302) {
-        return downloadTwilioMedia(response.headers.location, giftId)
+        return downloadTwilioMedia(response.headers.location, giftId, contentType)
           .then(resolve)
           .catch(reject);
       }
@@ -984,10 +1901,8 @@ async function downloadTwilioMedia(mediaUrl, giftId) {
 
       file.on('finish', () => {
         file.close();
-        // Return relative URL for serving
-        const publicUrl = `/uploads/photos/${filename}`;
-        console.log('✅ Downloaded photo to:', filepath);
-        resolve(publicUrl);
+        console.log(`✅ Downloaded ${isVideo ? 'video' : 'photo'} to:`, filepath);
+        resolve({ filePath: filepath });
       });
     }).on('error', (err) => {
       fs.unlink(filepath, () => {}); // Delete incomplete file
@@ -998,7 +1913,8 @@ async function downloadTwilioMedia(mediaUrl, giftId) {
 }
 
 /**
- * Twilio delivery status callback
+ * Twilio delivery status callback. A gift's failed delivery or unlock SMS
+ * falls back to email (see giftDeliveryService.handleChannelFailure).
  * POST /api/webhooks/twilio/status
  */
 router.post('/webhooks/twilio/status', twilioService.getWebhookMiddleware(), async (req, res) => {
@@ -1006,9 +1922,16 @@ router.post('/webhooks/twilio/status', twilioService.getWebhookMiddleware(), asy
     const { MessageSid, MessageStatus, ErrorCode, ErrorMessage } = req.body;
 
     await db.updateMessageStatus(MessageSid, MessageStatus, ErrorCode || null, ErrorMessage || null);
+    const message = await db.getSmsMessageBySid(MessageSid);
 
     if (MessageStatus === 'failed' || MessageStatus === 'undelivered') {
       console.error(`❌ Delivery failed: ${MessageSid} - ${ErrorCode}: ${ErrorMessage}`);
+      if (message && message.gift_id) {
+        await giftDelivery.handleChannelFailure('sms', message.gift_id, message.category,
+          `${MessageStatus}${ErrorCode ? ` (${ErrorCode}${ErrorMessage ? `: ${ErrorMessage}` : ''})` : ''}`);
+      }
+    } else if (MessageStatus === 'delivered' && message && message.gift_id) {
+      await db.setGiftChannelHealth(message.gift_id, 'sms', 'ok');
     }
   } catch (error) {
     console.error('Error processing status callback:', error.message);
@@ -1016,6 +1939,35 @@ router.post('/webhooks/twilio/status', twilioService.getWebhookMiddleware(), asy
   res.status(200).send('OK');
 });
 
+/**
+ * SendGrid event webhook: records delivered, bounce, open, click and spam
+ * report events for logged emails (see emailEventService). Signed with
+ * SENDGRID_WEBHOOK_PUBLIC_KEY. Responds 500 when an event could not be
+ * processed, so SendGrid retries the batch; events already recorded are
+ * skipped by their sg_event_id.
+ * POST /api/webhooks/sendgrid/events
+ */
+router.post('/webhooks/sendgrid/events', sendGridService.getEventWebhookMiddleware(), async (req, res) => {
+  if (!Array.isArray(req.body)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Expected an array of events'
+    });
+  }
+
+  try {
+    const stats = await emailEvents.processEvents(req.body);
+    console.log(`📬 SendGrid events: ${stats.recorded} recorded, ${stats.duplicates} duplicate, ${stats.unmatched} unmatched, ${stats.suppressed} suppressed, ${stats.failed} failed`);
+    if (stats.failed > 0) {
+      return res.status(500).send('Some events could not be processed');
+    }
+  } catch (error) {
+    console.error('Error processing SendGrid events:', error.message);
+    return res.status(500).send('Events could not be processed');
+  }
+  res.status(200).send('OK');
+});
+
 /**
  * Get all gifts for a recipient
  * GET /api/recipients/:phone/gifts
@@ -1079,7 +2031,7 @@ router.get('/recipients/:phone/gifts', async (req, res) => {
       SELECT g.*, u.name as sender_name, u.email as sender_email
       FROM gift_orders g
       LEFT JOIN users u ON g.user_id = u.id
-      WHERE g.recipient_phone = ? AND g.status = 'completed'
+      WHERE g.recipient_phone = ? AND g.status IN ('unlocked', 'redeemed')
       ORDER BY g.created_at DESC
     `;
 
@@ -1140,6 +2092,17 @@ router.post('/challenges/:id/submit-photo', async (req, res) => {
       });
     }
 
+    // Only a file this server stored for the same gift can be (re)submitted,
+    // so nobody can claim another gift's media by its URL
+    const photoKey = storage.keyForUrl(photoUrl);
+    const owner = photoKey ? await mediaAccess.findGiftForMedia(storage.urlFor(photoKey)) : null;
+    if (!owner || owner.tracking_id !== challenge.gift_id) {
+      return res.status(400).json({
+        success: false,
+        message: 'Photo URL must be a photo uploaded for this gift'
+      });
+    }
+
     // Get gift order
     const giftOrder = await db.getGiftOrderByTrackingId(challenge.gift_id);
     if (!giftOrder) {
@@ -1148,6 +2111,11 @@ router.post('/challenges/:id/submit-photo', async (req, res) => {
         message: 'Gift not found'
       });
     }
+    if (rejectIfExpired(res, giftOrder)) return;
+    if (rejectIfNotAllowed(res, giftOrder, 'pending_approval')) return;
+
+    const target = await resolveSubmissionStep(res, giftOrder, challengeId, req.body.step);
+    if (!target) return;
 
     // Create photo submission
     const submissionId = uuidv4();
@@ -1155,23 +2123,31 @@ router.post('/challenges/:id/submit-photo', async (req, res) => {
       id: submissionId,
       challengeId,
       giftId: challenge.gift_id,
-      photoUrl,
+      photoUrl: storage.urlFor(photoKey),
       submitterPhone,
-      status: 'pending_approval'
+      status: 'pending_approval',
+      step: target.step
     });
 
     // Update gift status
-    await db.updateGiftOrderStatus(challenge.gift_id, 'pending_approval');
+    await giftLifecycle.transition(challenge.gift_id, 'pending_approval', {
+      actor: 'recipient',
+      actorId: submitterPhone,
+      reason: 'Photo submitted'
+    });
 
     res.status(201).json({
       success: true,
       data: {
         submissionId,
+        step: target.step,
+        totalSteps: target.totalSteps,
         status: 'pending_approval',
         message: 'Photo submitted for approval'
       }
     });
   } catch (error) {
+    if (handleTransitionError(res, error)) return;
     console.error('Error submitting photo:', error);
     res.status(500).json({
       success: false,
@@ -1182,8 +2158,10 @@ router.post('/challenges/:id/submit-photo', async (req, res) => {
 });
 
 /**
- * Review (approve/reject) a photo submission
+ * Review a photo or video submission: approve it (counting its step), reject
+ * it, or ask for a retake of its step
  * PUT /api/submissions/:id/review
+ * JSON { action: 'approve'|'reject'|'retake', comment, rejectionReason, retakeReason, retakeInstructions }
  */
 router.put('/submissions/:id/review', async (req, res) => {
   try {
@@ -1204,12 +2182,25 @@ router.put('/submissions/:id/review', async (req, res) => {
     }
 
     const { id: submissionId } = req.params;
-    const { action, rejectionReason } = req.body;
+    const { action, rejectionReason, retakeReason, retakeInstructions } = req.body;
+    const comment = typeof req.body.comment === 'string' ? req.body.comment.trim() : null;
 
-    if (!action || !['approve', 'reject'].includes(action)) {
+    if (!action || !['approve', 'reject', 'retake'].includes(action)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Action must be "approve", "reject" or "retake"'
+      });
+    }
+    if (action === 'retake' && !submissionReview.isRetakeReason(retakeReason)) {
       return res.status(400).json({
         success: false,
-        message: 'Action must be "approve" or "reject"'
+        message: `retakeReason must be one of: ${submissionReview.RETAKE_REASONS.join(', ')}`
+      });
+    }
+    if (action === 'retake' && retakeReason === 'other' && !retakeInstructions) {
+      return res.status(400).json({
+        success: false,
+        message: 'retakeInstructions are required when retakeReason is "other"'
       });
     }
 
@@ -1232,67 +2223,96 @@ router.put('/submissions/:id/review', async (req, res) => {
         message: 'Only the gift sender can review submissions'
       });
     }
+    if (submission.status !== 'pending_approval') {
+      return res.status(409).json({
+        success: false,
+        message: 'This submission has already been reviewed',
+        data: { submissionId, status: submission.status }
+      });
+    }
+    // Any review needs a gift that is still open
+    if (rejectIfNotAllowed(res, giftOrder, 'unlocked')) return;
 
-    if (action === 'approve') {
-      // Update submission status
-      await db.updatePhotoSubmissionStatus(submissionId, 'approved');
+    const mediaLabel = submission.media_type === 'video' ? 'video' : 'photo';
+    const mediaTitle = mediaLabel === 'video' ? 'Video' : 'Photo';
 
-      // Unlock the gift
-      await db.unlockGiftOrder(submission.gift_id, submission.photo_url);
+    const review = {
+      action,
+      userId,
+      comment,
+      rejectionReason,
+      retakeReason,
+      retakeInstructions: typeof retakeInstructions === 'string' ? retakeInstructions.trim() : null
+    };
+    const result = await submissionReview.review(submission, giftOrder, review);
+    if (!result) {
+      return res.status(409).json({
+        success: false,
+        message: 'This submission has already been reviewed',
+        data: { submissionId }
+      });
+    }
 
-      // Notify recipient
-      if (giftOrder && giftOrder.recipient_phone) {
-        try {
-          await twilioService.sendSMS(giftOrder.recipient_phone, `🎉 CONGRATULATIONS! 🎉\n\nYour photo has been approved! Your ${giftOrder.gift_type} gift is now unlocked!\n\n${giftOrder.personal_note || giftOrder.message || 'Enjoy your gift!'}`);
-        } catch (smsError) {
-          console.error('Failed to notify recipient:', smsError.message);
-        }
-      }
+    const stepText = result.totalSteps > 1 ? ` for step ${result.step} of ${result.totalSteps}` : '';
+    const data = {
+      status: result.status,
+      step: result.step,
+      totalSteps: result.totalSteps,
+      stepsApproved: result.stepsApproved,
+      giftUnlocked: result.giftUnlocked,
+      tiersUnlocked: result.tiersUnlocked,
+      comment
+    };
 
-      // Send completion email
-      if (giftOrder && giftOrder.recipient_email) {
-        try {
-          await sendGridService.sendCompletionEmail(giftOrder.recipient_email, {
-            recipientName: giftOrder.recipient_name,
-            giftType: giftOrder.gift_type,
-            giftValue: giftOrder.gift_value,
-            senderName: giftOrder.sender_name,
-            giftId: giftOrder.tracking_id
-          });
-        } catch (emailError) {
-          console.error('Failed to send completion email:', emailError.message);
-        }
-      }
+    if (action === 'approve') {
+      await submissionReview.notifyRecipientOfApproval(giftOrder, result, mediaLabel, comment);
 
-      res.json({
+      return res.json({
         success: true,
-        message: 'Photo approved and gift unlocked',
-        data: { status: 'approved', giftUnlocked: true }
+        message: result.giftUnlocked ? `${mediaTitle} approved and gift unlocked` : `${mediaTitle} approved${stepText}`,
+        data
       });
-    } else {
-      // Reject submission
-      await db.updatePhotoSubmissionStatus(submissionId, 'rejected', rejectionReason);
-
-      // Update gift status back to pending
-      await db.updateGiftOrderStatus(submission.gift_id, 'pending');
+    }
 
-      // Notify recipient
-      if (giftOrder && giftOrder.recipient_phone) {
+    if (action === 'retake') {
+      if (giftOrder.recipient_phone) {
         try {
-          const reason = rejectionReason ? `Reason: ${rejectionReason}` : 'Please try submitting a new photo.';
-          await twilioService.sendSMS(giftOrder.recipient_phone, `🦡 Your photo submission wasn't approved this time. ${reason}\n\nDon't give up! Send another photo to complete your challenge!`);
+          await twilioService.sendSMS(giftOrder.recipient_phone, submissionReview.formatRetakeRequest(giftOrder, result, review, mediaLabel), {
+            giftId: giftOrder.tracking_id,
+            category: 'progress'
+          });
         } catch (smsError) {
           console.error('Failed to notify recipient:', smsError.message);
         }
       }
 
-      res.json({
+      return res.json({
         success: true,
-        message: 'Photo submission rejected',
-        data: { status: 'rejected', rejectionReason }
+        message: `Retake requested${stepText}`,
+        data: { ...data, retakeReason, retakeInstructions: review.retakeInstructions }
       });
     }
+
+    // Notify recipient
+    if (giftOrder.recipient_phone) {
+      try {
+        const reason = rejectionReason ? `Reason: ${rejectionReason}` : `Please try submitting a new ${mediaLabel}.`;
+        await twilioService.sendSMS(giftOrder.recipient_phone, `🦡 Your ${mediaLabel} submission${stepText} wasn't approved this time. ${reason}${comment ? `\n\n"${comment}"` : ''}\n\nDon't give up! Send another ${mediaLabel} to complete your challenge!`, {
+          giftId: giftOrder.tracking_id,
+          category: 'progress'
+        });
+      } catch (smsError) {
+        console.error('Failed to notify recipient:', smsError.message);
+      }
+    }
+
+    res.json({
+      success: true,
+      message: `${mediaTitle} submission rejected`,
+      data: { ...data, rejectionReason }
+    });
   } catch (error) {
+    if (handleTransitionError(res, error)) return;
     console.error('Error reviewing submission:', error);
     res.status(500).json({
       success: false,
@@ -1340,8 +2360,37 @@ router.get('/my-pending-approvals', async (req, res) => {
     // Format response
     const formattedApprovals = pendingApprovals.map(approval => ({
       submissionId: approval.id,
+      mediaType: approval.media_type || 'photo',
       photoUrl: approval.photo_url,
+      thumbnailUrl: approval.thumbnail_url,
+      mediumUrl: approval.medium_url,
+      video: approval.media_type === 'video' ? {
+        url: approval.photo_url,
+        mimeType: approval.mime_type,
+        fileSize: approval.file_size,
+        durationSeconds: approval.duration_seconds,
+        width: approval.width,
+        height: approval.height,
+        posterUrl: approval.poster_url
+      } : null,
+      // Near-identical to an earlier submission; other senders' gifts stay anonymous
+      possibleDuplicate: !!approval.duplicate_of,
+      duplicate: approval.duplicate_of ? {
+        scope: approval.duplicate_scope,
+        distance: approval.duplicate_distance,
+        previousStatus: approval.duplicate_status || null,
+        previousSubmittedAt: approval.duplicate_submitted_at || null,
+        ...(String(approval.duplicate_sender_id) === String(userId) ? {
+          submissionId: approval.duplicate_of,
+          giftId: approval.duplicate_gift_id,
+          thumbnailUrl: approval.duplicate_thumbnail_url
+        } : {})
+      } : null,
+      step: approval.step || 1,
+      totalSteps: approval.total_steps || 1,
       submittedAt: approval.submitted_at,
+      // When the gift's auto-approval timeout approves it (duplicates are never auto-approved)
+      autoApproveAt: approval.duplicate_of ? null : autoApproval.getDeadline(approval),
       recipientName: approval.recipient_name,
       recipientPhone: approval.recipient_phone,
       recipientEmail: approval.recipient_email,
@@ -1372,8 +2421,22 @@ router.get('/my-pending-approvals', async (req, res) => {
  * Multipart form data with 'photo' field
  */
 const upload = require('../../config/multerConfig');
+const activityUpload = require('../../config/activityUploadConfig');
+const videoUpload = require('../../config/videoUploadConfig');
 
 router.post('/challenges/:id/upload-photo', upload.single('photo'), async (req, res) => {
+  // Photos are kept once the submission is saved
+  let keepPhoto = false;
+  let photo = null;
+  const discardPhoto = () => {
+    if (req.file && !keepPhoto) {
+      photoService.discardPhoto(req.file.path);
+    }
+    if (photo && !keepPhoto) {
+      photoService.deletePhoto(photo);
+    }
+  };
+
   try {
     const { id: challengeId } = req.params;
 
@@ -1387,6 +2450,7 @@ router.post('/challenges/:id/upload-photo', upload.single('photo'), async (req,
     // Get challenge from database
     const challenge = await db.getChallengeById(challengeId);
     if (!challenge) {
+      discardPhoto();
       return res.status(404).json({
         success: false,
         message: 'Challenge not found'
@@ -1396,28 +2460,54 @@ router.post('/challenges/:id/upload-photo', upload.single('photo'), async (req,
     // Get gift order
     const giftOrder = await db.getGiftOrderByTrackingId(challenge.gift_id);
     if (!giftOrder) {
+      discardPhoto();
       return res.status(404).json({
         success: false,
         message: 'Gift not found'
       });
     }
+    if (rejectIfExpired(res, giftOrder) || rejectIfNotAllowed(res, giftOrder, 'pending_approval')) {
+      discardPhoto();
+      return;
+    }
+    if (await rejectIfUnsafeUpload(res, req.file, upload.acceptedTypes, {
+      giftId: challenge.gift_id,
+      submittedBy: req.body.submitterPhone
+    })) return;
+
+    const target = await resolveSubmissionStep(res, giftOrder, challengeId, req.body.step);
+    if (!target) {
+      discardPhoto();
+      return;
+    }
 
-    // Create photo URL
-    const photoUrl = `/uploads/photos/${req.file.filename}`;
+    // Strip metadata and write renditions before anyone can see the photo
+    photo = await processUploadedPhoto(res, req.file);
+    if (!photo) return;
+    const { photoUrl } = photo;
 
     // Create photo submission
     const submissionId = uuidv4();
+    const duplicate = await duplicatePhotos.findDuplicate(giftOrder, photo.perceptualHash);
     await db.createPhotoSubmission({
       id: submissionId,
       challengeId,
       giftId: challenge.gift_id,
       photoUrl,
       submitterPhone: req.body.submitterPhone || null,
-      status: 'pending_approval'
+      status: 'pending_approval',
+      step: target.step,
+      media: photo,
+      duplicate
     });
+    keepPhoto = true;
 
     // Update gift status
-    await db.updateGiftOrderStatus(challenge.gift_id, 'pending_approval');
+    await giftLifecycle.transition(challenge.gift_id, 'pending_approval', {
+      actor: 'recipient',
+      actorId: req.body.submitterPhone || null,
+      reason: 'Photo uploaded'
+    });
 
     // Notify sender
     if (giftOrder.sender_email) {
@@ -1434,11 +2524,17 @@ router.post('/challenges/:id/upload-photo', upload.single('photo'), async (req,
       data: {
         submissionId,
         photoUrl,
+        thumbnailUrl: photo.thumbnailUrl,
+        mediumUrl: photo.mediumUrl,
+        step: target.step,
+        totalSteps: target.totalSteps,
         status: 'pending_approval',
         message: 'Photo uploaded and submitted for approval'
       }
     });
   } catch (error) {
+    discardPhoto();
+    if (handleTransitionError(res, error)) return;
     console.error('Error uploading photo:', error);
     res.status(500).json({
       success: false,
@@ -1455,10 +2551,23 @@ router.post('/challenges/:id/upload-photo', upload.single('photo'), async (req,
  * Requires auth token - matches user to gift recipient
  */
 router.post('/gifts/:trackingId/submit-challenge', upload.single('photo'), async (req, res) => {
+  // Photos are kept once the submission is saved
+  let keepPhoto = false;
+  let photo = null;
+  const discardPhoto = () => {
+    if (req.file && !keepPhoto) {
+      photoService.discardPhoto(req.file.path);
+    }
+    if (photo && !keepPhoto) {
+      photoService.deletePhoto(photo);
+    }
+  };
+
   try {
     // Verify JWT auth
     const authHeader = req.headers['authorization'];
     if (!authHeader) {
+      discardPhoto();
       return res.status(401).json({ success: false, message: 'Authorization required' });
     }
 
@@ -1471,6 +2580,7 @@ router.post('/gifts/:trackingId/submit-challenge', upload.single('photo'), async
       const decoded = jwt.verify(token, JWT_SECRET);
       userId = decoded.id;
     } catch (jwtError) {
+      discardPhoto();
       return res.status(403).json({ success: false, message: 'Invalid or expired token' });
     }
 
@@ -1484,12 +2594,14 @@ router.post('/gifts/:trackingId/submit-challenge', upload.single('photo'), async
     // Get gift order
     const giftOrder = await db.getGiftOrderByTrackingId(trackingId);
     if (!giftOrder) {
+      discardPhoto();
       return res.status(404).json({ success: false, message: 'Gift not found' });
     }
 
     // Verify the authenticated user is the recipient
     const user = await db.getUserById(userId);
     if (!user) {
+      discardPhoto();
       return res.status(404).json({ success: false, message: 'User not found' });
     }
 
@@ -1502,45 +2614,50 @@ router.post('/gifts/:trackingId/submit-challenge', upload.single('photo'), async
                         (userPhone && recipientPhone && userPhone.endsWith(recipientPhone.slice(-10)));
 
     if (!isRecipient) {
+      discardPhoto();
       return res.status(403).json({ success: false, message: 'You are not the recipient of this gift' });
     }
+    if (rejectIfExpired(res, giftOrder) || rejectIfNotAllowed(res, giftOrder, 'pending_approval')) {
+      discardPhoto();
+      return;
+    }
 
-    // Resolve challenge ID (from gift_orders or fallback to challenges table)
-    let challengeId = giftOrder.challenge_id;
-    if (!challengeId) {
-      const challenge = await db.getChallengeByGiftId(trackingId);
-      if (challenge) {
-        challengeId = challenge.id;
-        // Back-fill the link for future lookups
-        await db.linkChallengeToGiftOrder(trackingId, challengeId);
-      } else {
-        // Create a challenge record for legacy gifts
-        challengeId = 'CH' + Date.now();
-        await db.createChallenge({
-          id: challengeId,
-          giftId: trackingId,
-          type: giftOrder.challenge_type || 'custom',
-          description: giftOrder.challenge_description || giftOrder.challenge || '',
-          requirements: { totalSteps: giftOrder.duration || 1 }
-        });
-        await db.linkChallengeToGiftOrder(trackingId, challengeId);
-      }
+    if (await rejectIfUnsafeUpload(res, req.file, upload.acceptedTypes, { giftId: trackingId, submittedBy: userId })) return;
+
+    const challengeId = await resolveChallengeId(giftOrder);
+    const target = await resolveSubmissionStep(res, giftOrder, challengeId, req.body.step);
+    if (!target) {
+      discardPhoto();
+      return;
     }
 
+    // Strip metadata and write renditions before anyone can see the photo
+    photo = await processUploadedPhoto(res, req.file);
+    if (!photo) return;
+    const { photoUrl } = photo;
+
     // Create photo submission
-    const photoUrl = `/uploads/photos/${req.file.filename}`;
     const submissionId = uuidv4();
+    const duplicate = await duplicatePhotos.findDuplicate(giftOrder, photo.perceptualHash);
     await db.createPhotoSubmission({
       id: submissionId,
       challengeId,
       giftId: trackingId,
       photoUrl,
       submitterPhone: user.phone || null,
-      status: 'pending_approval'
+      status: 'pending_approval',
+      step: target.step,
+      media: photo,
+      duplicate
     });
+    keepPhoto = true;
 
     // Update gift status
-    await db.updateGiftOrderStatus(trackingId, 'pending_approval');
+    await giftLifecycle.transition(trackingId, 'pending_approval', {
+      actor: 'recipient',
+      actorId: userId,
+      reason: 'Challenge photo submitted'
+    });
 
     // Best-effort sender notification
     try {
@@ -1563,10 +2680,16 @@ router.post('/gifts/:trackingId/submit-challenge', upload.single('photo'), async
       data: {
         submissionId,
         photoUrl,
+        thumbnailUrl: photo.thumbnailUrl,
+        mediumUrl: photo.mediumUrl,
+        step: target.step,
+        totalSteps: target.totalSteps,
         status: 'pending_approval'
       }
     });
   } catch (error) {
+    discardPhoto();
+    if (handleTransitionError(res, error)) return;
     console.error('Error submitting challenge photo:', error);
     res.status(500).json({
       success: false,
@@ -1576,6 +2699,481 @@ router.post('/gifts/:trackingId/submit-challenge', upload.single('photo'), async
   }
 });
 
+/**
+ * Sanitize an uploaded photo, write its renditions and store them; answers
+ * 422 (and removes the upload) if it is not a readable image
+ * @returns {Promise<object|null>} - photoService.storePhoto result, or null once a response was sent
+ */
+async function processUploadedPhoto(res, file) {
+  let processed;
+  try {
+    processed = await photoService.processPhoto(file.path);
+  } catch (error) {
+    console.error('⚠️  Photo processing failed:', error.message);
+    photoService.discardPhoto(file.path);
+    res.status(422).json({ success: false, message: 'This photo could not be read. Upload a JPEG, PNG, HEIC, GIF or WebP image.' });
+    return null;
+  }
+  return photoService.storePhoto(processed);
+}
+
+/**
+ * Check an upload's contents before it is processed (see uploadScanService).
+ * Returns true when a response was sent; the file has already been removed or quarantined.
+ */
+async function rejectIfUnsafeUpload(res, file, acceptedTypes, context = {}) {
+  const result = await uploadScan.inspect(file.path, {
+    declaredType: file.mimetype,
+    accept: acceptedTypes,
+    originalName: file.originalname,
+    source: 'upload',
+    ...context
+  });
+  if (result.ok) {
+    return false;
+  }
+
+  const responses = {
+    unrecognized_type: [415, 'This file is not a supported image or video'],
+    type_mismatch: [415, `This file's contents do not match its type (${file.mimetype})`],
+    infected: [422, 'This file was rejected by the virus scanner'],
+    scan_failed: [503, 'This file could not be checked right now. Please try again shortly.']
+  };
+  const [status, message] = responses[result.reason];
+  res.status(status).json({ success: false, message, data: { reason: result.reason } });
+  return true;
+}
+
+/**
+ * Step a new submission is for (see submissionReviewService.resolveStep).
+ * Answers 400/409 and returns null when the requested step can't take one.
+ */
+async function resolveSubmissionStep(res, giftOrder, challengeId, requestedStep) {
+  const result = await submissionReview.resolveStep(giftOrder.tracking_id, challengeId, requestedStep);
+  if (result.error) {
+    res.status(result.status).json({ success: false, message: result.error, data: { totalSteps: result.totalSteps } });
+    return null;
+  }
+  return result;
+}
+
+/**
+ * Challenge ID for a gift: from gift_orders, else the challenges table
+ * (back-filling the link), else a new challenge record for legacy gifts
+ */
+async function resolveChallengeId(giftOrder) {
+  const trackingId = giftOrder.tracking_id;
+  if (giftOrder.challenge_id) {
+    return giftOrder.challenge_id;
+  }
+
+  const challenge = await db.getChallengeByGiftId(trackingId);
+  if (challenge) {
+    // Back-fill the link for future lookups
+    await db.linkChallengeToGiftOrder(trackingId, challenge.id);
+    return challenge.id;
+  }
+
+  // Create a challenge record for legacy gifts
+  const challengeId = 'CH' + Date.now();
+  await db.createChallenge({
+    id: challengeId,
+    giftId: trackingId,
+    type: giftOrder.challenge_type || 'custom',
+    description: giftOrder.challenge_description || giftOrder.challenge || '',
+    requirements: { totalSteps: giftOrder.duration || 1 }
+  });
+  await db.linkChallengeToGiftOrder(trackingId, challengeId);
+  return challengeId;
+}
+
+/**
+ * Submit a challenge video for a received gift; it goes to the sender for
+ * approval like a photo
+ * POST /api/gifts/:trackingId/submit-video
+ * Multipart form data with a 'video' field (MP4, MOV or WebM) and an optional 'poster' image
+ */
+router.post('/gifts/:trackingId/submit-video', requireAuth, videoUpload.fields([
+  { name: 'video', maxCount: 1 },
+  { name: 'poster', maxCount: 1 }
+]), async (req, res) => {
+  const videoFile = req.files && req.files.video ? req.files.video[0] : null;
+  const posterFile = req.files && req.files.poster ? req.files.poster[0] : null;
+
+  // Files are kept once the submission is saved
+  let keepFiles = false;
+  let media = null;
+  const discardFiles = () => {
+    if (keepFiles) return;
+    if (videoFile) {
+      videoService.discardVideo(videoFile.path, posterFile ? posterFile.path : null);
+    } else if (posterFile) {
+      fs.unlink(posterFile.path, () => {});
+    }
+    if (media) {
+      videoService.deleteVideo(media);
+    }
+  };
+
+  try {
+    if (!videoFile) {
+      discardFiles();
+      return res.status(400).json({ success: false, message: 'No video file provided' });
+    }
+
+    const { trackingId } = req.params;
+
+    const giftOrder = await db.getGiftOrderByTrackingId(trackingId);
+    if (!giftOrder) {
+      discardFiles();
+      return res.status(404).json({ success: false, message: 'Gift not found' });
+    }
+
+    // Verify the authenticated user is the recipient
+    const user = await db.getUserById(req.userId);
+    if (!user) {
+      discardFiles();
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+
+    const userEmail = (user.email || '').toLowerCase();
+    const userPhone = (user.phone || '').replace(/\D/g, '');
+    const recipientEmail = (giftOrder.recipient_email || '').toLowerCase();
+    const recipientPhone = (giftOrder.recipient_phone || '').replace(/\D/g, '');
+
+    const isRecipient = (userEmail && recipientEmail && userEmail === recipientEmail) ||
+                        (userPhone && recipientPhone && userPhone.endsWith(recipientPhone.slice(-10)));
+
+    if (!isRecipient) {
+      discardFiles();
+      return res.status(403).json({ success: false, message: 'You are not the recipient of this gift' });
+    }
+    if (rejectIfExpired(res, giftOrder) || rejectIfNotAllowed(res, giftOrder, 'pending_approval')) {
+      discardFiles();
+      return;
+    }
+    const scanContext = { giftId: trackingId, submittedBy: req.userId };
+    if (await rejectIfUnsafeUpload(res, videoFile, videoUpload.acceptedTypes.video, scanContext) ||
+        (posterFile && await rejectIfUnsafeUpload(res, posterFile, videoUpload.acceptedTypes.poster, scanContext))) {
+      discardFiles();
+      return;
+    }
+
+    const challengeId = await resolveChallengeId(giftOrder);
+    const target = await resolveSubmissionStep(res, giftOrder, challengeId, req.body.step);
+    if (!target) {
+      discardFiles();
+      return;
+    }
+
+    media = await videoService.storeVideo(videoFile.path, {
+      mimeType: videoFile.mimetype,
+      posterPath: posterFile ? posterFile.path : null
+    });
+    if (!media) {
+      discardFiles();
+      return res.status(422).json({ success: false, message: 'This file could not be read as an MP4, MOV or WebM video' });
+    }
+
+    const videoUrl = media.url;
+    const submissionId = uuidv4();
+    const duplicate = await duplicatePhotos.findDuplicate(giftOrder, media.perceptualHash);
+    await db.createPhotoSubmission({
+      id: submissionId,
+      challengeId,
+      giftId: trackingId,
+      photoUrl: videoUrl,
+      submitterPhone: user.phone || null,
+      status: 'pending_approval',
+      step: target.step,
+      mediaType: 'video',
+      media,
+      duplicate
+    });
+    keepFiles = true;
+
+    await giftLifecycle.transition(trackingId, 'pending_approval', {
+      actor: 'recipient',
+      actorId: req.userId,
+      reason: 'Challenge video submitted'
+    });
+
+    // Best-effort sender notification
+    try {
+      if (giftOrder.sender_email) {
+        const sender = await db.getUserById(giftOrder.user_id);
+        await sendGridService.sendApprovalNotificationEmail(sender?.email || giftOrder.sender_email, {
+          recipientName: giftOrder.recipient_name,
+          mediaType: 'video',
+          videoUrl,
+          posterUrl: media.posterUrl,
+          durationSeconds: media.durationSeconds,
+          giftType: giftOrder.gift_type,
+          challengeDescription: giftOrder.challenge_description || giftOrder.challenge || ''
+        });
+      }
+    } catch (emailError) {
+      console.error('⚠️  Failed to send approval notification email:', emailError.message);
+    }
+
+    res.status(201).json({
+      success: true,
+      data: {
+        submissionId,
+        videoUrl,
+        posterUrl: media.posterUrl,
+        durationSeconds: media.durationSeconds,
+        width: media.width,
+        height: media.height,
+        step: target.step,
+        totalSteps: target.totalSteps,
+        status: 'pending_approval'
+      }
+    });
+  } catch (error) {
+    discardFiles();
+    if (handleTransitionError(res, error)) return;
+    console.error('Error submitting challenge video:', error);
+    res.status(500).json({ success: false, message: 'Failed to submit challenge video', error: error.message });
+  }
+});
+
+/**
+ * Check in at a location challenge's geofence, with coordinates from the app
+ * or a photo carrying EXIF GPS data
+ * POST /api/challenges/:challengeId/check-in
+ * JSON { latitude, longitude, accuracy } or multipart form data with a 'photo' field
+ */
+router.post('/challenges/:challengeId/check-in', requireAuth, upload.single('photo'), async (req, res) => {
+  // Only photos that verified a check-in are kept
+  let keepPhoto = false;
+  let photo = null;
+  const discardPhoto = () => {
+    if (req.file && !keepPhoto) {
+      photoService.discardPhoto(req.file.path);
+    }
+    if (photo && !keepPhoto) {
+      photoService.deletePhoto(photo);
+    }
+  };
+
+  try {
+    const { challengeId } = req.params;
+
+    const challenge = await db.getChallengeById(challengeId);
+    if (!challenge) {
+      discardPhoto();
+      return res.status(404).json({ success: false, message: 'Challenge not found' });
+    }
+    if (!locationService.isLocationChallenge(challenge) || !locationService.getGeofence(challenge)) {
+      discardPhoto();
+      return res.status(400).json({ success: false, message: 'This challenge is not a location check-in' });
+    }
+
+    const giftOrder = await db.getGiftOrderByTrackingId(challenge.gift_id);
+    if (!giftOrder) {
+      discardPhoto();
+      return res.status(404).json({ success: false, message: 'Gift not found' });
+    }
+
+    const user = await db.getUserById(req.userId);
+    if (!user) {
+      discardPhoto();
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+
+    const isRecipient = (user.email && giftOrder.recipient_email && user.email.toLowerCase() === giftOrder.recipient_email.toLowerCase()) ||
+                        (user.phone && giftOrder.recipient_phone && user.phone === giftOrder.recipient_phone);
+    if (!isRecipient) {
+      discardPhoto();
+      return res.status(403).json({ success: false, message: 'Only the gift recipient can check in' });
+    }
+    if (challenge.progress.completed) {
+      discardPhoto();
+      return res.status(400).json({ success: false, message: 'This challenge is already complete' });
+    }
+    if (rejectIfExpired(res, giftOrder) || rejectIfNotAllowed(res, giftOrder, 'in_progress')) {
+      discardPhoto();
+      return;
+    }
+
+    let position;
+    if (req.file) {
+      if (await rejectIfUnsafeUpload(res, req.file, upload.acceptedTypes, { giftId: giftOrder.tracking_id, submittedBy: req.userId })) {
+        return;
+      }
+      const gps = readGpsLocation(await fs.promises.readFile(req.file.path));
+      if (!gps) {
+        discardPhoto();
+        return res.status(422).json({
+          success: false,
+          message: 'This photo has no GPS location. Turn on location for your camera, or check in from the app instead.'
+        });
+      }
+      // The position is read first: processing strips it from the stored photo
+      photo = await processUploadedPhoto(res, req.file);
+      if (!photo) return;
+      position = {
+        ...gps,
+        method: 'photo',
+        photoUrl: photo.photoUrl,
+        notBefore: locationService.getEarliestPhotoTime(giftOrder)
+      };
+    } else {
+      const coordinates = locationService.parseCoordinates(req.body.latitude, req.body.longitude);
+      if (!coordinates) {
+        return res.status(400).json({ success: false, message: 'A valid latitude and longitude (or a photo) is required' });
+      }
+      const accuracy = Number(req.body.accuracy);
+      position = {
+        ...coordinates,
+        accuracy: Number.isFinite(accuracy) && accuracy >= 0 ? accuracy : null,
+        method: 'coordinates'
+      };
+    }
+
+    const result = await locationService.checkIn(challenge, position);
+    keepPhoto = result.verified;
+    discardPhoto();
+
+    await giftLifecycle.transitionIfAllowed(giftOrder.tracking_id, 'in_progress', {
+      from: ['delivered', 'accepted'],
+      actor: 'recipient',
+      actorId: req.userId,
+      reason: 'Location check-in'
+    });
+
+    const tiersUnlocked = result.verified
+      ? await giftTiers.unlockReachedTiers(giftOrder, result.challenge.progress.currentStep)
+      : [];
+
+    let message = 'Check-in verified!';
+    if (result.reason === 'outside_geofence') {
+      message = `You're about ${result.distanceMeters}m away. Get within ${result.radiusMeters}m and try again.`;
+    } else if (result.reason === 'photo_taken_before_gift') {
+      message = 'This photo was taken before you received the gift. Take a new one there!';
+    }
+
+    res.json({
+      success: true,
+      message,
+      data: {
+        challengeId,
+        verified: result.verified,
+        reason: result.reason,
+        distanceMeters: result.distanceMeters,
+        radiusMeters: result.radiusMeters,
+        progress: result.challenge.progress,
+        completed: !!result.challenge.progress.completed,
+        giftUnlocked: false,
+        tiersUnlocked
+      }
+    });
+  } catch (error) {
+    discardPhoto();
+    if (handleTransitionError(res, error)) return;
+    console.error('Error checking in:', error);
+    res.status(500).json({ success: false, message: 'Failed to check in', error: error.message });
+  }
+});
+
+/**
+ * Upload workout files for a fitness challenge: GPX, TCX or FIT files, or an
+ * Apple Health / Google Fit export zip. Matching activities count toward the
+ * goal and the parsed summary is kept as a submission for the sender.
+ * POST /api/challenges/:challengeId/activity
+ * Multipart form data with an 'activity' file field
+ */
+router.post('/challenges/:challengeId/activity', requireAuth, activityUpload.single('activity'), async (req, res) => {
+  try {
+    const { challengeId } = req.params;
+
+    const challenge = await db.getChallengeById(challengeId);
+    if (!challenge) {
+      return res.status(404).json({ success: false, message: 'Challenge not found' });
+    }
+    if (!fitnessService.tracksActivities(challenge)) {
+      return res.status(400).json({ success: false, message: 'This challenge has no fitness goal to upload activities for' });
+    }
+
+    const giftOrder = await db.getGiftOrderByTrackingId(challenge.gift_id);
+    if (!giftOrder) {
+      return res.status(404).json({ success: false, message: 'Gift not found' });
+    }
+
+    const user = await db.getUserById(req.userId);
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+
+    const isRecipient = (user.email && giftOrder.recipient_email && user.email.toLowerCase() === giftOrder.recipient_email.toLowerCase()) ||
+                        (user.phone && giftOrder.recipient_phone && user.phone === giftOrder.recipient_phone);
+    if (!isRecipient) {
+      return res.status(403).json({ success: false, message: 'Only the gift recipient can upload activities' });
+    }
+    if (challenge.progress.completed) {
+      return res.status(400).json({ success: false, message: 'This challenge is already complete' });
+    }
+    if (rejectIfExpired(res, giftOrder) || rejectIfNotAllowed(res, giftOrder, 'in_progress')) return;
+
+    if (!req.file) {
+      return res.status(400).json({ success: false, message: "An activity file is required in the 'activity' field" });
+    }
+
+    const parsed = await parseActivityUpload(req.file.buffer, req.file.originalname);
+    if (parsed.error) {
+      return res.status(400).json({ success: false, message: parsed.error });
+    }
+    if (parsed.activities.length === 0) {
+      return res.status(422).json({ success: false, message: 'No activities were found in this file' });
+    }
+
+    const result = await fitnessService.submitActivities(challenge, {
+      fileName: req.file.originalname,
+      format: parsed.format,
+      activities: parsed.activities
+    }, giftOrder);
+
+    await giftLifecycle.transitionIfAllowed(giftOrder.tracking_id, 'in_progress', {
+      from: ['delivered', 'accepted'],
+      actor: 'recipient',
+      actorId: req.userId,
+      reason: 'Activity upload'
+    });
+
+    const tiersUnlocked = result.counted > 0
+      ? await giftTiers.unlockReachedTiers(giftOrder, result.challenge.progress.currentStep)
+      : [];
+
+    let message = `${result.counted} ${result.counted === 1 ? 'activity' : 'activities'} counted toward your goal!`;
+    if (result.counted === 0) {
+      message = result.activities.length > 0
+        ? 'None of these activities count toward this goal.'
+        : 'All of these activities were before you received the gift.';
+    }
+
+    res.json({
+      success: true,
+      message,
+      data: {
+        challengeId,
+        activities: result.activities,
+        counted: result.counted,
+        ignored: result.ignored,
+        fitness: fitnessService.summarize(result.challenge, giftOrder),
+        progress: result.challenge.progress,
+        completed: !!result.challenge.progress.completed,
+        giftUnlocked: false,
+        tiersUnlocked
+      }
+    });
+  } catch (error) {
+    if (handleTransitionError(res, error)) return;
+    console.error('Error uploading activity:', error);
+    res.status(500).json({ success: false, message: 'Failed to upload activity', error: error.message });
+  }
+});
+
 // Helper function to format gift order for response
 function formatGiftForResponse(giftOrder) {
   return {
@@ -1595,77 +3193,6 @@ function formatGiftForResponse(giftOrder) {
 
 // Helper functions
 
-async function sendInitialMessage(gift, challenge) {
-  const results = { sms: null, email: null };
-
-  try {
-    const giftData = {
-      recipientName: gift.recipientName,
-      senderName: gift.senderName,
-      giftType: gift.type,
-      giftValue: gift.details?.description || 'A surprise!',
-      challenge: challenge.description,
-      message: gift.details?.personalMessage || null
-    };
-
-    // Send via SMS if phone number provided and delivery method allows
-    if (gift.recipientPhone && (gift.deliveryMethod === 'sms' || gift.deliveryMethod === 'both')) {
-      if (!twilioService.isInitialized()) {
-        console.warn('⚠️  SMS requested but Twilio is not configured');
-        results.sms = {
-          success: false,
-          error: 'Twilio not configured - SMS delivery unavailable'
-        };
-      } else {
-        try {
-          const giftLink = `https://badgerbot.net/g/${gift.id}`;
-          const messageBody = `Honey Badger Gifts: ${gift.senderName} sent you a gift!\n\n` +
-            `🎁 ${gift.type} - ${giftData.giftValue}\n` +
-            `🎯 Challenge: ${challenge.description}\n\n` +
-            `👉 Open your gift: ${giftLink}\n\n` +
-            `Reply START to accept and receive challenge updates. Msg frequency varies. Msg & data rates may apply. Reply HELP for help. Reply STOP to opt out.`;
-
-          const message = await twilioService.sendSMS(gift.recipientPhone, messageBody, { giftId: gift.id });
-
-          results.sms = {
-            success: !!message,
-            messageId: message ? message.sid : null,
-            sentAt: new Date()
-          };
-        } catch (smsError) {
-          console.error('Error sending SMS:', smsError);
-          results.sms = {
-            success: false,
-            error: smsError.message
-          };
-        }
-      }
-    }
-
-    // Send via Email if email provided and delivery method allows
-    if (gift.recipientEmail && (gift.deliveryMethod === 'email' || gift.deliveryMethod === 'both')) {
-      const emailResult = await sendGridService.sendInitialGiftEmail(gift.recipientEmail, giftData);
-      results.email = emailResult;
-    }
-
-    // Return success if at least one method succeeded
-    const success = (results.sms?.success || results.email?.success);
-
-    return {
-      success,
-      results,
-      sentAt: new Date()
-    };
-  } catch (error) {
-    console.error('Error sending initial message:', error);
-    return {
-      success: false,
-      error: error.message,
-      results
-    };
-  }
-}
-
 async function generateReminderMessage(gift, challenge) {
   return aiMessage.generateReminderMessage(gift, challenge);
 }
@@ -1675,22 +3202,6 @@ async function sendCompletionMessage(gift, challenge) {
   await twilioService.sendSMS(gift.recipientPhone, messageBody);
 }
 
-async function validateResponse(challenge, body, numMedia, mediaUrl) {
-  // Implement validation logic based on challenge type
-  switch (challenge.type) {
-    case 'photo':
-      return numMedia > 0;
-    case 'video':
-      return numMedia > 0;
-    case 'text':
-      return body && body.length > 10;
-    case 'keyword':
-      return body && body.toLowerCase().includes(challenge.requirements.keyword?.toLowerCase());
-    default:
-      return true;
-  }
-}
-
 async function getProgressMessage(gift, challenge) {
   return aiMessage.generateProgressMessage(gift, challenge);
 }
@@ -0,0 +1,99 @@
+const express = require('express');
+const path = require('path');
+const router = express.Router();
+const db = require('../../services/databaseService');
+const mediaAccess = require('../../services/mediaAccessService');
+const storage = require('../../services/storageService');
+
+/**
+ * Serve an uploaded photo or video
+ * GET /uploads/*
+ *
+ * Either a signed URL (?expires=&signature=, from approval emails and MMS) or
+ * a Bearer token belonging to the gift's sender or recipient is required.
+ * Files are streamed from the storage driver, with single byte ranges for video seeking.
+ */
+router.get('/*', async (req, res) => {
+  try {
+    const key = storage.keyForUrl(`/uploads${req.path}`);
+    if (!key) {
+      return res.status(404).json({ success: false, message: 'File not found' });
+    }
+    const mediaPath = storage.urlFor(key);
+
+    if (req.query.signature) {
+      if (!mediaAccess.verify(mediaPath, req.query.expires, req.query.signature)) {
+        return res.status(403).json({ success: false, message: 'This link is invalid or has expired' });
+      }
+    } else {
+      const authHeader = req.headers['authorization'];
+      if (!authHeader) {
+        return res.status(401).json({ success: false, message: 'Authorization required' });
+      }
+
+      const jwt = require('jsonwebtoken');
+      const token = authHeader.split(' ')[1];
+      const JWT_SECRET = process.env.JWT_SECRET || 'your-super-secret-jwt-key-change-in-production';
+      let userId;
+      try {
+        userId = jwt.verify(token, JWT_SECRET).id;
+      } catch (jwtError) {
+        return res.status(403).json({ success: false, message: 'Invalid or expired token' });
+      }
+
+      const giftOrder = await mediaAccess.findGiftForMedia(mediaPath);
+      if (!giftOrder) {
+        return res.status(404).json({ success: false, message: 'File not found' });
+      }
+
+      const user = await db.getUserById(userId);
+      if (!mediaAccess.canAccess(user, giftOrder)) {
+        return res.status(403).json({ success: false, message: 'Only the gift sender and recipient can view this file' });
+      }
+    }
+
+    const file = await storage.stat(key);
+    if (!file) {
+      return res.status(404).json({ success: false, message: 'File not found' });
+    }
+
+    // Participants only; shared caches must not keep a copy
+    res.set('Cache-Control', 'private, max-age=300');
+    res.set('Accept-Ranges', 'bytes');
+    if (file.contentType) {
+      res.set('Content-Type', file.contentType);
+    } else {
+      res.type(path.extname(key));
+    }
+    if (file.lastModified) {
+      res.set('Last-Modified', new Date(file.lastModified).toUTCString());
+    }
+
+    let range = {};
+    let status = 200;
+    const ranges = req.headers.range ? req.range(file.size) : null;
+    if (ranges === -1) {
+      res.set('Content-Range', `bytes */${file.size}`);
+      return res.status(416).end();
+    }
+    if (Array.isArray(ranges) && ranges.type === 'bytes' && ranges.length === 1) {
+      range = { start: ranges[0].start, end: ranges[0].end };
+      status = 206;
+      res.set('Content-Range', `bytes ${range.start}-${range.end}/${file.size}`);
+    }
+    res.set('Content-Length', String(status === 206 ? range.end - range.start + 1 : file.size));
+
+    const stream = await storage.createReadStream(key, range);
+    res.status(status);
+    stream.on('error', (error) => {
+      console.error('❌ Error streaming media:', error.message);
+      res.destroy(error);
+    });
+    stream.pipe(res);
+  } catch (error) {
+    console.error('❌ Error serving media:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,29 @@
+const multer = require('multer');
+const path = require('path');
+
+// Activity files are parsed in memory and never written to disk
+const storage = multer.memoryStorage();
+
+// GPX/TCX/FIT files, or a zip of them (Google Fit) or an Apple Health export
+const allowedExtensions = ['.gpx', '.tcx', '.fit', '.zip'];
+
+const fileFilter = (req, file, cb) => {
+    if (allowedExtensions.includes(path.extname(file.originalname).toLowerCase())) {
+        cb(null, true);
+    } else {
+        cb(new Error('Invalid file type. Only GPX, TCX, FIT and ZIP activity files are allowed.'), false);
+    }
+};
+
+const maxSizeMb = parseInt(process.env.FITNESS_UPLOAD_MAX_MB, 10) || 50;
+
+const activityUpload = multer({
+    storage: storage,
+    fileFilter: fileFilter,
+    limits: {
+        fileSize: maxSizeMb * 1024 * 1024,
+        files: 1
+    }
+});
+
+module.exports = activityUpload;
@@ -1,35 +1,36 @@
 const multer = require('multer');
-const path = require('path');
-const fs = require('fs');
 const { v4: uuidv4 } = require('uuid');
+const storageService = require('../services/storageService');
 
-// Ensure uploads directory exists
-const uploadsDir = path.join(__dirname, '..', 'uploads', 'photos');
-if (!fs.existsSync(uploadsDir)) {
-    fs.mkdirSync(uploadsDir, { recursive: true });
-    console.log('📁 Created uploads/photos directory');
-}
+// Accepted image types and the extension they are staged with; the file's
+// contents are checked against the type by uploadScanService before use
+const IMAGE_TYPES = {
+    'image/jpeg': '.jpg',
+    'image/png': '.png',
+    'image/gif': '.gif',
+    'image/webp': '.webp',
+    'image/heic': '.heic',
+    'image/heif': '.heif'
+};
 
-// Configure storage
+// Photos are staged locally; photoService stores them once processed
 const storage = multer.diskStorage({
     destination: (req, file, cb) => {
-        cb(null, uploadsDir);
+        cb(null, storageService.stagingDir);
     },
     filename: (req, file, cb) => {
-        // Generate unique filename with original extension
-        const ext = path.extname(file.originalname) || '.jpg';
-        const filename = `photo-${uuidv4()}${ext}`;
+        // The extension comes from the (checked) type, never the client's file name
+        const filename = `photo-${uuidv4()}${IMAGE_TYPES[file.mimetype]}`;
         cb(null, filename);
     }
 });
 
 // File filter to only accept images
 const fileFilter = (req, file, cb) => {
-    const allowedTypes = ['image/jpeg', 'image/png', 'image/gif', 'image/webp'];
-    if (allowedTypes.includes(file.mimetype)) {
+    if (IMAGE_TYPES[file.mimetype]) {
         cb(null, true);
     } else {
-        cb(new Error('Invalid file type. Only JPEG, PNG, GIF, and WebP images are allowed.'), false);
+        cb(new Error('Invalid file type. Only JPEG, PNG, GIF, WebP and HEIC images are allowed.'), false);
     }
 };
 
@@ -43,4 +44,7 @@ const upload = multer({
     }
 });
 
+// Types uploadScanService accepts for these uploads
+upload.acceptedTypes = Object.keys(IMAGE_TYPES);
+
 module.exports = upload;
@@ -0,0 +1,60 @@
+const multer = require('multer');
+const { v4: uuidv4 } = require('uuid');
+const storageService = require('../services/storageService');
+
+// Accepted video types and the extension they are stored with
+const VIDEO_TYPES = {
+    'video/mp4': '.mp4',
+    'video/quicktime': '.mov',
+    'video/webm': '.webm'
+};
+
+// An optional poster frame picked by the app
+const POSTER_TYPES = {
+    'image/jpeg': '.jpg',
+    'image/png': '.png',
+    'image/webp': '.webp'
+};
+
+// Videos are staged locally; videoService stores them once their metadata is read
+const storage = multer.diskStorage({
+    destination: (req, file, cb) => {
+        cb(null, storageService.stagingDir);
+    },
+    filename: (req, file, cb) => {
+        const ext = file.fieldname === 'video' ? VIDEO_TYPES[file.mimetype] : POSTER_TYPES[file.mimetype];
+        cb(null, `${file.fieldname}-${uuidv4()}${ext}`);
+    }
+});
+
+const fileFilter = (req, file, cb) => {
+    if (file.fieldname === 'video' && VIDEO_TYPES[file.mimetype]) {
+        cb(null, true);
+    } else if (file.fieldname === 'poster' && POSTER_TYPES[file.mimetype]) {
+        cb(null, true);
+    } else if (file.fieldname === 'poster') {
+        cb(new Error('Invalid poster type. Only JPEG, PNG and WebP images are allowed.'), false);
+    } else {
+        cb(new Error('Invalid file type. Only MP4, MOV and WebM videos are allowed.'), false);
+    }
+};
+
+// Videos get their own (larger) limit than photos
+const maxSizeMb = parseInt(process.env.VIDEO_UPLOAD_MAX_MB, 10) || 100;
+
+const videoUpload = multer({
+    storage: storage,
+    fileFilter: fileFilter,
+    limits: {
+        fileSize: maxSizeMb * 1024 * 1024,
+        files: 2 // The video and its poster
+    }
+});
+
+// Types uploadScanService accepts for each field
+videoUpload.acceptedTypes = {
+    video: Object.keys(VIDEO_TYPES),
+    poster: Object.keys(POSTER_TYPES)
+};
+
+module.exports = videoUpload;
@@ -0,0 +1,49 @@
+/**
+ * Media retention report for ops. Lists the files the retention sweep would
+ * delete (past retention, orphaned, stale staging files) and the submission
+ * rows whose files are missing; nothing is changed unless --apply is given.
+ *
+ *   npm run media:retention            # dry run
+ *   npm run media:retention -- --apply # delete
+ *   npm run media:retention -- --json  # report as JSON
+ */
+require('dotenv').config();
+const db = require('../services/databaseService');
+const mediaRetention = require('../services/mediaRetentionService');
+
+async function main() {
+    const apply = process.argv.includes('--apply');
+    const asJson = process.argv.includes('--json');
+
+    // Queries queue until the database is open; wait so its startup logs come first
+    await new Promise(resolve => db.db.once('open', resolve));
+
+    const report = await mediaRetention.sweep({ dryRun: !apply });
+    if (!report) {
+        throw new Error('A sweep is already running');
+    }
+
+    if (asJson) {
+        console.log(JSON.stringify(report, null, 2));
+    } else {
+        console.log('');
+        mediaRetention.describe(report).forEach(line => console.log(line));
+        console.log(`\n🧹 ${mediaRetention.summarize(report)}`);
+        if (report.aborted) {
+            console.log('Nothing was deleted: the storage listing looks wrong.');
+        } else if (!apply) {
+            console.log('Nothing was deleted. Run with --apply to delete these files.');
+        }
+    }
+    return report.failed === 0 && !report.aborted;
+}
+
+main()
+    .then(ok => {
+        process.exitCode = ok ? 0 : 1;
+    })
+    .catch(error => {
+        console.error('❌ Media retention failed:', error.message);
+        process.exitCode = 1;
+    })
+    .finally(() => db.close());
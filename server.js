@@ -11,6 +11,20 @@ const crypto = require('crypto');
 const Anthropic = require('@anthropic-ai/sdk');
 const db = require('./services/databaseService');
 const sendGridService = require('./services/sendGridService');
+const reminderService = require('./services/reminderService');
+const giftDelivery = require('./services/giftDeliveryService');
+const specialDateService = require('./services/specialDateService');
+const giftExpiry = require('./services/giftExpiryService');
+const giftTiers = require('./services/giftTierService');
+const quizService = require('./services/quizService');
+const locationService = require('./services/locationService');
+const fitnessService = require('./services/fitnessService');
+const mediaRetention = require('./services/mediaRetentionService');
+const autoApproval = require('./services/autoApprovalService');
+const twilioService = require('./services/twilioService');
+const outboundQueue = require('./services/outboundQueueService');
+const emailEvents = require('./services/emailEventService');
+const { parseFutureDeliveryTime, parseFutureExpirationTime, isValidTimeZone } = require('./utils/timeZone');
 
 const app = express();
 app.set('trust proxy', 1); // Trust first proxy (for Twilio webhook signature validation)
@@ -79,11 +93,17 @@ const corsOptions = {
 };
 app.use(cors(corsOptions));
 
+// SendGrid signs the raw body of its event webhook, which posts events in batches
+app.use('/api/webhooks/sendgrid', express.json({
+    limit: '5mb',
+    verify: (req, res, buf) => { req.rawBody = buf; }
+}));
+
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
-// Serve uploaded files (photos)
-app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
+// Uploaded challenge media, for gift participants or signed URLs only
+app.use('/uploads', require('./api/routes/media'));
 
 // Serve static files from public directory (consent pages, legal docs, etc.)
 app.use(express.static(path.join(__dirname, 'public')));
@@ -108,12 +128,9 @@ app.get('/reset-password', (req, res) => {
     res.sendFile(path.join(__dirname, 'public', 'reset-password.html'));
 });
 
-// Short gift deep link — opens the app via universal link or redirects to App Store
-app.get('/g/:trackingId', (req, res) => {
-    const { trackingId } = req.params;
-    const appScheme = `honeybadger://gift/${trackingId}`;
+// Page that opens an app deep link, falling back to the App Store
+const sendAppRedirectPage = (res, appScheme, heading) => {
     const appStoreUrl = 'https://apps.apple.com/app/honey-badger-ai-gifts/id6745189755';
-    const universalLink = `https://badgerbot.net/gift/${trackingId}`;
 
     res.send(`<!DOCTYPE html>
 <html><head>
@@ -125,7 +142,7 @@ app.get('/g/:trackingId', (req, res) => {
 </head><body>
 <div class="c">
 <p style="font-size:48px">🦡</p>
-<h2>Opening your gift...</h2>
+<h2>${heading}</h2>
 <p>If the app doesn't open automatically:</p>
 <a class="btn" href="${appStoreUrl}">Get the App</a>
 </div>
@@ -134,6 +151,20 @@ window.location.href="${appScheme}";
 setTimeout(function(){window.location.href="${appStoreUrl}"},1500);
 </script>
 </body></html>`);
+};
+
+// Short gift deep link — opens the app via universal link or redirects to App Store
+app.get('/g/:trackingId', (req, res) => {
+    const { trackingId } = req.params;
+    sendAppRedirectPage(res, `honeybadger://gift/${trackingId}`, 'Opening your gift...');
+});
+
+// Special date deep link — opens the app with a Honey Badger prefilled for a contact
+app.get('/s/:contactId', (req, res) => {
+    const params = new URLSearchParams({ contactId: req.params.contactId });
+    if (typeof req.query.occasion === 'string') params.set('occasion', req.query.occasion);
+    if (typeof req.query.date === 'string') params.set('deliverAt', req.query.date);
+    sendAppRedirectPage(res, `honeybadger://send?${params.toString()}`, 'Opening Honey Badger...');
 });
 
 // Request logging middleware
@@ -169,6 +200,15 @@ const authenticateToken = (req, res, next) => {
     });
 };
 
+// Admin middleware (after authenticateToken): admins are the accounts listed in ADMIN_EMAILS
+const adminEmails = (process.env.ADMIN_EMAILS || '').split(',').map(email => email.trim().toLowerCase()).filter(Boolean);
+const requireAdmin = (req, res, next) => {
+    if (!req.user || !req.user.email || !adminEmails.includes(req.user.email.toLowerCase())) {
+        return res.status(403).json({ success: false, message: 'Admin access required' });
+    }
+    next();
+};
+
 // Mount gift routes if available
 if (giftsRouter) {
     app.use('/api', giftsRouter);
@@ -358,6 +398,7 @@ app.get('/api/auth/me', authenticateToken, async (req, res) => {
                 name: user.name,
                 email: user.email,
                 phone: user.phone,
+                timeZone: user.timezone || null,
                 createdAt: user.created_at,
                 emailVerified: user.email_verified,
                 phoneVerified: user.phone_verified
@@ -398,7 +439,8 @@ app.post('/api/auth/logout', authenticateToken, async (req, res) => {
 
 // Update user profile
 app.put('/api/auth/profile', authenticateToken, [
-    body('name').trim().isLength({ min: 2 }).withMessage('Name must be at least 2 characters')
+    body('name').trim().isLength({ min: 2 }).withMessage('Name must be at least 2 characters'),
+    body('timeZone').optional({ nullable: true }).custom(isValidTimeZone).withMessage('timeZone must be an IANA time zone, e.g. America/Chicago')
 ], async (req, res) => {
     try {
         const errors = validationResult(req);
@@ -410,10 +452,10 @@ app.put('/api/auth/profile', authenticateToken, [
             });
         }
 
-        const { name } = req.body;
+        const { name, timeZone } = req.body;
         const userId = req.user.id;
 
-        await db.updateUserProfile(userId, { name });
+        await db.updateUserProfile(userId, { name, timeZone });
 
         console.log('✅ Profile updated for user:', req.user.email);
         res.json({
@@ -674,7 +716,8 @@ function getFallbackResponse(userMessage) {
 // Contact management endpoints
 // Add a contact to user's network
 app.post('/api/contacts', authenticateToken, [
-    body('name').trim().notEmpty().withMessage('Contact name is required')
+    body('name').trim().notEmpty().withMessage('Contact name is required'),
+    body('timeZone').optional({ nullable: true }).custom(isValidTimeZone).withMessage('timeZone must be an IANA time zone, e.g. America/Chicago')
 ], async (req, res) => {
     try {
         const errors = validationResult(req);
@@ -686,7 +729,7 @@ app.post('/api/contacts', authenticateToken, [
             });
         }
 
-        const { name, email, phone, relationship, birthday } = req.body;
+        const { name, email, phone, relationship, birthday, trusted, timeZone } = req.body;
 
         // Create contact in database
         const contact = await db.createContact(req.user.id, {
@@ -694,7 +737,9 @@ app.post('/api/contacts', authenticateToken, [
             email,
             phone,
             relationship,
-            birthday
+            birthday,
+            trusted: trusted === true,
+            timeZone
         });
 
         res.status(201).json({
@@ -763,6 +808,48 @@ app.delete('/api/contacts/:contactId', authenticateToken, async (req, res) => {
     }
 });
 
+// Mark a contact as trusted: gifts sent with autoApproveTrusted approve their submissions automatically
+app.put('/api/contacts/:contactId/trusted', authenticateToken, [
+    body('trusted').isBoolean({ strict: true }).withMessage('trusted must be true or false').toBoolean()
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { contactId } = req.params;
+        const { trusted } = req.body;
+        const updated = await db.setContactTrusted(req.user.id, contactId, trusted);
+
+        if (!updated) {
+            return res.status(404).json({
+                success: false,
+                message: 'Contact not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: trusted ? 'Contact marked as trusted' : 'Contact is no longer trusted',
+            contact: { id: Number(contactId), trusted }
+        });
+
+        console.log('✅ Contact trust updated for user:', req.user.email, '- Contact ID:', contactId, '- Trusted:', trusted);
+
+    } catch (error) {
+        console.error('Update contact trust error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error updating contact'
+        });
+    }
+});
+
 // Special dates management endpoints
 // Add a special date to a contact
 app.post('/api/contacts/:contactId/special-dates', authenticateToken, [
@@ -877,6 +964,310 @@ app.delete('/api/special-dates/:specialDateId', authenticateToken, async (req, r
     }
 });
 
+// Upcoming birthdays and special dates across all of the user's contacts (calendar view)
+app.get('/api/upcoming-dates', authenticateToken, async (req, res) => {
+    try {
+        const days = req.query.days !== undefined ? parseInt(req.query.days, 10) : 30;
+        if (!Number.isInteger(days) || days < 0 || days > 366) {
+            return res.status(400).json({
+                success: false,
+                message: 'days must be a whole number between 0 and 366'
+            });
+        }
+
+        const timeZone = req.query.timeZone || undefined;
+        if (timeZone && !isValidTimeZone(timeZone)) {
+            return res.status(400).json({
+                success: false,
+                message: `Unknown time zone: ${timeZone}`
+            });
+        }
+
+        const events = await specialDateService.getUpcomingDates(req.user.id, { days, timeZone });
+
+        res.json({
+            success: true,
+            days,
+            upcomingDates: events.map(({ userId, sender, occasionKey, ...event }) => event)
+        });
+
+    } catch (error) {
+        console.error('Get upcoming dates error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching upcoming dates'
+        });
+    }
+});
+
+/**
+ * Read the shared query filters of the outbound queue endpoints
+ * @returns {object} - { error } or { filters }
+ */
+function parseOutboundFilters(query, statuses = null) {
+    const filters = {};
+    if (query.channel) {
+        if (!['sms', 'email'].includes(query.channel)) {
+            return { error: 'channel must be sms or email' };
+        }
+        filters.channel = query.channel;
+    }
+    if (statuses && query.status) {
+        if (!statuses.includes(query.status)) {
+            return { error: `status must be one of: ${statuses.join(', ')}` };
+        }
+        filters.status = query.status;
+    }
+    if (query.limit !== undefined) {
+        const limit = parseInt(query.limit, 10);
+        if (!Number.isInteger(limit) || limit < 1 || limit > 200) {
+            return { error: 'limit must be a whole number between 1 and 200' };
+        }
+        filters.limit = limit;
+    }
+    return { filters };
+}
+
+// Outbound SMS and email queue: counts per channel and status, and the latest messages
+app.get('/api/admin/outbound', authenticateToken, requireAdmin, async (req, res) => {
+    try {
+        const { error, filters } = parseOutboundFilters(req.query, ['queued', 'sending', 'sent', 'dead']);
+        if (error) {
+            return res.status(400).json({ success: false, message: error });
+        }
+
+        const queue = await outboundQueue.getQueue(filters);
+
+        res.json({
+            success: true,
+            counts: queue.counts,
+            messages: queue.messages
+        });
+
+    } catch (error) {
+        console.error('Get outbound queue error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching outbound queue'
+        });
+    }
+});
+
+// Messages that failed permanently or ran out of retries
+app.get('/api/admin/outbound/dead-letters', authenticateToken, requireAdmin, async (req, res) => {
+    try {
+        const { error, filters } = parseOutboundFilters(req.query);
+        if (error) {
+            return res.status(400).json({ success: false, message: error });
+        }
+        if (req.query.errorClass) {
+            if (!outboundQueue.RETRY_POLICIES[req.query.errorClass]) {
+                return res.status(400).json({
+                    success: false,
+                    message: `errorClass must be one of: ${Object.keys(outboundQueue.RETRY_POLICIES).join(', ')}`
+                });
+            }
+            filters.errorClass = req.query.errorClass;
+        }
+        if (req.query.replayed !== undefined) {
+            if (!['true', 'false'].includes(req.query.replayed)) {
+                return res.status(400).json({ success: false, message: 'replayed must be true or false' });
+            }
+            filters.replayed = req.query.replayed === 'true';
+        }
+
+        const deadLetters = await outboundQueue.getDeadLetters(filters);
+
+        res.json({
+            success: true,
+            deadLetters
+        });
+
+    } catch (error) {
+        console.error('Get dead letters error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching dead letters'
+        });
+    }
+});
+
+app.get('/api/admin/outbound/dead-letters/:deadLetterId', authenticateToken, requireAdmin, async (req, res) => {
+    try {
+        const deadLetter = await outboundQueue.getDeadLetter(req.params.deadLetterId);
+        if (!deadLetter) {
+            return res.status(404).json({
+                success: false,
+                message: 'Dead letter not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            deadLetter
+        });
+
+    } catch (error) {
+        console.error('Get dead letter error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching dead letter'
+        });
+    }
+});
+
+// Send a dead letter again, as a new outbound message with a fresh retry budget
+app.post('/api/admin/outbound/dead-letters/:deadLetterId/replay', authenticateToken, requireAdmin, async (req, res) => {
+    try {
+        const replay = await outboundQueue.replay(req.params.deadLetterId);
+        if (replay.error) {
+            return res.status(replay.statusCode).json({
+                success: false,
+                message: replay.error
+            });
+        }
+
+        const { result } = replay;
+        const outcomes = {
+            sent: 'Message sent',
+            queued: 'Message failed again and is queued for retry',
+            dead: 'Message failed again and is back in the dead letters'
+        };
+        res.json({
+            success: true,
+            message: outcomes[result.status],
+            deadLetter: replay.deadLetter,
+            outbound: {
+                id: result.id,
+                status: result.status,
+                nextAttemptAt: result.nextAttemptAt || null,
+                deadLetterId: result.deadLetterId || null,
+                errorClass: result.errorClass || null,
+                error: result.error || null
+            }
+        });
+
+    } catch (error) {
+        console.error('Replay dead letter error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error replaying dead letter'
+        });
+    }
+});
+
+// Email log with SendGrid delivery, open and click tracking
+app.get('/api/admin/emails', authenticateToken, requireAdmin, async (req, res) => {
+    try {
+        const statuses = ['sent', 'deferred', 'delivered', 'bounced', 'dropped'];
+        const { error, filters } = parseOutboundFilters({ limit: req.query.limit });
+        if (error) {
+            return res.status(400).json({ success: false, message: error });
+        }
+        if (req.query.status) {
+            if (!statuses.includes(req.query.status)) {
+                return res.status(400).json({ success: false, message: `status must be one of: ${statuses.join(', ')}` });
+            }
+            filters.status = req.query.status;
+        }
+        filters.giftId = req.query.giftId;
+        filters.email = req.query.email;
+
+        const emails = await emailEvents.getMessages(filters);
+
+        res.json({
+            success: true,
+            emails
+        });
+
+    } catch (error) {
+        console.error('Get emails error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching emails'
+        });
+    }
+});
+
+app.get('/api/admin/emails/:emailId', authenticateToken, requireAdmin, async (req, res) => {
+    try {
+        const email = await emailEvents.getMessage(req.params.emailId);
+        if (!email) {
+            return res.status(404).json({
+                success: false,
+                message: 'Email not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            email
+        });
+
+    } catch (error) {
+        console.error('Get email error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching email'
+        });
+    }
+});
+
+// Addresses that hard-bounced; no email is sent to them
+app.get('/api/admin/email-suppressions', authenticateToken, requireAdmin, async (req, res) => {
+    try {
+        const { error, filters } = parseOutboundFilters({ limit: req.query.limit });
+        if (error) {
+            return res.status(400).json({ success: false, message: error });
+        }
+
+        const suppressions = await db.getEmailSuppressions(filters.limit);
+
+        res.json({
+            success: true,
+            suppressions: suppressions.map(row => ({
+                email: row.email,
+                reason: row.reason,
+                detail: row.detail,
+                suppressedAt: row.suppressed_at
+            }))
+        });
+
+    } catch (error) {
+        console.error('Get email suppressions error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching email suppressions'
+        });
+    }
+});
+
+// Send email to an address again, e.g. after the recipient fixed their mailbox
+app.delete('/api/admin/email-suppressions/:email', authenticateToken, requireAdmin, async (req, res) => {
+    try {
+        const removed = await db.removeEmailSuppression(req.params.email);
+        if (!removed) {
+            return res.status(404).json({
+                success: false,
+                message: 'Address is not suppressed'
+            });
+        }
+
+        console.log(`✅ Email suppression lifted for ${req.params.email.toLowerCase()}`);
+        res.json({
+            success: true,
+            message: 'Suppression removed'
+        });
+
+    } catch (error) {
+        console.error('Remove email suppression error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error removing email suppression'
+        });
+    }
+});
+
 // Request password reset token
 app.post('/api/auth/forgot-password', [
     body('email').isEmail().normalizeEmail().withMessage('Valid email is required')
@@ -1025,12 +1416,113 @@ app.post('/api/send-honey-badger', authenticateToken, async (req, res) => {
         personalNote,
         message, // Legacy field
         duration,
-        cardImageUrl
+        cardImageUrl,
+        deliverAt, // Optional future delivery time (e.g. a birthday)
+        recipientTimeZone,
+        expirationDate, // Optional deadline for completing the challenge
+        graceDays, // Streak challenges: missed days allowed before the streak resets
+        tiers, // Optional partial unlocks: [{ afterStep, value, label }]
+        questions, // Quiz challenges: [{ question, answers, tolerance, hints }]
+        maxAttempts, // Quiz challenges: tries per question before the sender is told
+        location, // Location challenges: { latitude, longitude, radiusMeters, name }
+        fitness, // Fitness challenges: { sport, distance, unit, minutes, mode, withinDays }
+        autoApproveHours, // Optional: approve submissions nobody reviewed within this many hours
+        autoApproveTrusted // Optional: approve submissions right away if the recipient is a trusted contact
     } = req.body;
 
     // Use giftAmount if giftValue is not provided (for iOS app compatibility)
     const finalGiftValue = giftValue || giftAmount || 'A special gift';
 
+    // Validate scheduled delivery up front so both paths below agree
+    let scheduledFor = null;
+    if (deliverAt) {
+        const { date, error } = parseFutureDeliveryTime(deliverAt, recipientTimeZone);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error
+            });
+        }
+        scheduledFor = date;
+    }
+
+    let expiresAt = null;
+    if (expirationDate) {
+        const { date, error } = parseFutureExpirationTime(expirationDate, recipientTimeZone);
+        if (error || (scheduledFor && date <= scheduledFor)) {
+            return res.status(400).json({
+                success: false,
+                message: error || 'expirationDate must be after deliverAt'
+            });
+        }
+        expiresAt = date;
+    }
+
+    if (graceDays !== undefined && (!Number.isInteger(Number(graceDays)) || Number(graceDays) < 0)) {
+        return res.status(400).json({
+            success: false,
+            message: 'graceDays must be a whole number of 0 or more'
+        });
+    }
+    let challengeRequirements = graceDays !== undefined
+        ? { totalSteps: duration || 1, graceDays: Number(graceDays) }
+        : { totalSteps: duration || 1 };
+
+    // A quiz has one step per question
+    if (challengeType === 'quiz') {
+        const quiz = quizService.validateQuiz(questions, maxAttempts);
+        if (quiz.error) {
+            return res.status(400).json({
+                success: false,
+                message: quiz.error
+            });
+        }
+        challengeRequirements = quiz.requirements;
+    }
+    if (challengeType === 'location') {
+        const geofence = locationService.validateLocation(location);
+        if (geofence.error) {
+            return res.status(400).json({
+                success: false,
+                message: geofence.error
+            });
+        }
+        challengeRequirements = { ...challengeRequirements, location: geofence.location };
+    }
+    if (challengeType === 'fitness') {
+        const goal = fitnessService.validateFitness(fitness);
+        if (goal.error) {
+            return res.status(400).json({
+                success: false,
+                message: goal.error
+            });
+        }
+        if (goal.fitness) {
+            challengeRequirements = { ...challengeRequirements, fitness: goal.fitness };
+        }
+    }
+    const totalSteps = challengeRequirements.totalSteps;
+
+    let unlockTiers = null;
+    if (tiers !== undefined && tiers !== null) {
+        const validated = giftTiers.validateTiers(tiers, Number(totalSteps) || 1);
+        if (validated.error) {
+            return res.status(400).json({
+                success: false,
+                message: validated.error
+            });
+        }
+        unlockTiers = validated.tiers;
+    }
+
+    const autoApprove = autoApproval.validateSettings(autoApproveHours, autoApproveTrusted);
+    if (autoApprove.error) {
+        return res.status(400).json({
+            success: false,
+            message: autoApprove.error
+        });
+    }
+
     console.log('New Honey Badger request from:', req.user.email, req.body);
 
     // If gift routes are available and email or SMS is enabled, use the new system
@@ -1052,68 +1544,48 @@ app.post('/api/send-honey-badger', authenticateToken, async (req, res) => {
                 },
                 challengeType: challengeType || 'custom',
                 challengeDescription: challengeDescription || challenge,
-                challengeRequirements: {
-                    totalSteps: duration || 1
-                }
+                challengeRequirements,
+                deliverAt: scheduledFor ? scheduledFor.toISOString() : undefined,
+                recipientTimeZone,
+                expirationDate: expiresAt ? expiresAt.toISOString() : undefined,
+                reminderFrequency: req.body.reminderFrequency,
+                cardImageUrl: cardImageUrl || null,
+                autoApproveHours: autoApprove.hours,
+                autoApproveTrusted: autoApprove.trusted
             };
 
+            // The sender's token makes the gift order /api/gifts saves theirs
             const response = await axios.post(`http://localhost:${PORT}/api/gifts`, giftPayload, {
                 headers: {
-                    'Content-Type': 'application/json'
+                    'Content-Type': 'application/json',
+                    'Authorization': req.headers['authorization']
                 }
             });
 
             const result = response.data;
 
             if (result.success) {
-                // Save to database for persistent storage
-                const trackingId = result.data?.giftId || 'HB' + Date.now();
-                try {
-                    await db.createGiftOrder(req.user.id, {
-                        trackingId,
-                        recipientName,
-                        recipientEmail,
-                        recipientPhone: recipientPhone || recipientContact,
-                        deliveryMethod: deliveryMethod || (recipientEmail ? 'email' : 'sms'),
-                        giftType,
-                        giftValue: finalGiftValue,
-                        challenge: challengeDescription || challenge,
-                        challengeType: challengeType || 'custom',
-                        challengeDescription: challengeDescription || challenge,
-                        personalNote: personalNote || message,
-                        duration: duration || 1,
-                        cardImageUrl: cardImageUrl || null
-                    });
-                    console.log('✅ Gift saved to database with tracking ID:', trackingId);
-
-                    // Create challenge record and link to gift order
+                // /api/gifts saved the gift order and its challenge
+                const trackingId = result.data.giftId;
+                if (unlockTiers) {
                     try {
-                        const challengeId = result.data?.challengeId || ('CH' + Date.now());
-                        await db.createChallenge({
-                            id: challengeId,
-                            giftId: trackingId,
-                            type: challengeType || 'custom',
-                            description: challengeDescription || challenge || '',
-                            requirements: { totalSteps: duration || 1 }
-                        });
-                        await db.linkChallengeToGiftOrder(trackingId, challengeId);
-                        console.log('✅ Challenge linked to gift order:', challengeId);
-                    } catch (challengeError) {
-                        console.error('⚠️  Failed to create/link challenge:', challengeError.message);
+                        await db.createGiftTiers(trackingId, unlockTiers);
+                    } catch (dbError) {
+                        console.error('⚠️  Failed to save gift tiers:', dbError.message);
                     }
-                } catch (dbError) {
-                    console.error('⚠️  Failed to save gift to database:', dbError.message);
-                    // Don't fail the request if database save fails
                 }
 
                 return res.json({
                     success: true,
-                    message: 'Honey Badger sent successfully!',
-                    giftId: result.data?.giftId || trackingId,
+                    message: scheduledFor ? 'Honey Badger scheduled successfully!' : 'Honey Badger sent successfully!',
+                    giftId: trackingId,
                     challengeId: result.data?.challengeId,
                     trackingId,
                     sender: req.user.name,
-                    deliveryResults: result.data?.messageSent
+                    deliveryResults: result.data?.messageSent,
+                    scheduled: !!scheduledFor,
+                    deliverAt: scheduledFor,
+                    expiresAt
                 });
             } else {
                 return res.status(response.status).json({
@@ -1147,16 +1619,26 @@ app.post('/api/send-honey-badger', authenticateToken, async (req, res) => {
             challengeDescription: challengeDescription || challenge || '',
             challenge: challenge || challengeDescription || '',
             verificationType: req.body.verificationType || null,
-            reminderFrequency: req.body.reminderFrequency || 'none',
+            reminderFrequency: req.body.reminderFrequency,
             personalNote: personalNote || message || '',
             message: message || personalNote || '',
-            duration: duration || 1,
+            duration: totalSteps,
             notifyOnComplete: req.body.notifyOnComplete !== undefined ? req.body.notifyOnComplete : true,
-            cardImageUrl: cardImageUrl || null
+            cardImageUrl: cardImageUrl || null,
+            status: scheduledFor ? 'scheduled' : 'delivered',
+            deliverAt: scheduledFor ? scheduledFor.toISOString() : null,
+            recipientTimeZone: recipientTimeZone || null,
+            expiresAt: expiresAt ? expiresAt.toISOString() : null,
+            autoApproveHours: autoApprove.hours,
+            autoApproveTrusted: autoApprove.trusted
         };
 
         await db.createGiftOrder(req.user.id, orderData);
 
+        if (unlockTiers) {
+            await db.createGiftTiers(trackingId, unlockTiers);
+        }
+
         // Create challenge record and link to gift order
         try {
             const challengeId = 'CH' + Date.now();
@@ -1165,7 +1647,8 @@ app.post('/api/send-honey-badger', authenticateToken, async (req, res) => {
                 giftId: trackingId,
                 type: challengeType || 'custom',
                 description: challengeDescription || challenge || '',
-                requirements: { totalSteps: duration || 1 }
+                requirements: challengeRequirements,
+                reminderFrequency: req.body.reminderFrequency
             });
             await db.linkChallengeToGiftOrder(trackingId, challengeId);
             console.log('✅ Challenge linked to gift order:', challengeId);
@@ -1175,9 +1658,12 @@ app.post('/api/send-honey-badger', authenticateToken, async (req, res) => {
 
         res.json({
             success: true,
-            message: 'Honey Badger sent successfully!',
+            message: scheduledFor ? 'Honey Badger scheduled successfully!' : 'Honey Badger sent successfully!',
             trackingId,
             sender: req.user.name,
+            scheduled: !!scheduledFor,
+            deliverAt: scheduledFor,
+            expiresAt,
             note: process.env.ENABLE_SMS !== 'true' && process.env.ENABLE_EMAIL !== 'true'
                 ? 'Email and SMS not configured. Gift created but recipient will not be notified.'
                 : null
@@ -1195,6 +1681,8 @@ app.post('/api/send-honey-badger', authenticateToken, async (req, res) => {
 app.get('/api/honey-badgers', authenticateToken, async (req, res) => {
     try {
         const orders = await db.getUserOrders(req.user.id);
+        const tiersByGift = await giftTiers.getTiersByGift(orders.map(order => order.tracking_id));
+        const fallbacks = await db.getDeliveryFallbacksForGifts(orders.map(order => order.tracking_id));
 
         // Format orders for frontend
         const honeyBadgers = orders.map(order => ({
@@ -1208,7 +1696,7 @@ app.get('/api/honey-badgers', authenticateToken, async (req, res) => {
             challengeType: order.challenge_type,
             challengeDescription: order.challenge_description || order.challenge,
             verificationType: order.verification_type,
-            status: order.status,
+            status: giftExpiry.isExpired(order) ? 'expired' : order.status,
             createdAt: order.created_at,
             deliveryMethod: order.delivery_method,
             duration: order.duration,
@@ -1222,7 +1710,28 @@ app.get('/api/honey-badgers', authenticateToken, async (req, res) => {
             redeemed: order.redeemed === 1,
             redeemedAt: order.redeemed_at,
             received: order.received === 1,
-            receivedAt: order.received_at
+            receivedAt: order.received_at,
+            deliverAt: order.deliver_at,
+            recipientTimeZone: order.recipient_timezone,
+            deliveredAt: order.delivered_at,
+            expiresAt: order.expires_at,
+            expiredAt: order.expired_at,
+            tiers: tiersByGift.get(order.tracking_id) || null,
+            deliveryHealth: {
+                sms: order.sms_health || null,
+                email: order.email_health || null
+            },
+            // Notices that had to be re-sent through the other channel
+            deliveryFallbacks: fallbacks
+                .filter(fallback => fallback.gift_id === order.tracking_id)
+                .map(fallback => ({
+                    notice: fallback.notice,
+                    from: fallback.from_channel,
+                    to: fallback.to_channel,
+                    reason: fallback.reason,
+                    status: fallback.status,
+                    at: fallback.created_at
+                }))
         }));
 
         res.json({
@@ -1252,6 +1761,7 @@ app.get('/api/my-received-gifts', authenticateToken, async (req, res) => {
 
         // Pass userId to exclude self-sent gifts from received gifts
         const receivedGifts = await db.getReceivedGifts(user.email, user.phone, req.user.id);
+        const tiersByGift = await giftTiers.getTiersByGift(receivedGifts.map(gift => gift.tracking_id));
 
         // Format gifts for frontend
         const formattedGifts = receivedGifts.map(gift => ({
@@ -1267,7 +1777,7 @@ app.get('/api/my-received-gifts', authenticateToken, async (req, res) => {
             challengeType: gift.challenge_type,
             challengeDescription: gift.challenge_description || gift.challenge,
             verificationType: gift.verification_type,
-            status: gift.status,
+            status: giftExpiry.isExpired(gift) ? 'expired' : gift.status,
             createdAt: gift.created_at,
             deliveryMethod: gift.delivery_method,
             duration: gift.duration,
@@ -1281,7 +1791,10 @@ app.get('/api/my-received-gifts', authenticateToken, async (req, res) => {
             redeemed: gift.redeemed === 1,
             redeemedAt: gift.redeemed_at,
             received: gift.received === 1,
-            receivedAt: gift.received_at
+            receivedAt: gift.received_at,
+            expiresAt: gift.expires_at,
+            expiredAt: gift.expired_at,
+            tiers: tiersByGift.get(gift.tracking_id) || null
         }));
 
         res.json({
@@ -1334,10 +1847,28 @@ app.get('/api', (req, res) => {
                 add: 'POST /api/contacts',
                 list: 'GET /api/contacts',
                 delete: 'DELETE /api/contacts/:contactId',
+                trusted: 'PUT /api/contacts/:contactId/trusted',
                 specialDates: {
                     add: 'POST /api/contacts/:contactId/special-dates',
                     list: 'GET /api/contacts/:contactId/special-dates',
                     delete: 'DELETE /api/special-dates/:specialDateId'
+                },
+                upcomingDates: 'GET /api/upcoming-dates?days=30'
+            },
+            admin: {
+                outbound: 'GET /api/admin/outbound?status=&channel=&limit=',
+                deadLetters: {
+                    list: 'GET /api/admin/outbound/dead-letters?channel=&errorClass=&replayed=&limit=',
+                    get: 'GET /api/admin/outbound/dead-letters/:deadLetterId',
+                    replay: 'POST /api/admin/outbound/dead-letters/:deadLetterId/replay'
+                },
+                emails: {
+                    list: 'GET /api/admin/emails?giftId=&status=&email=&limit=',
+                    get: 'GET /api/admin/emails/:emailId'
+                },
+                emailSuppressions: {
+                    list: 'GET /api/admin/email-suppressions?limit=',
+                    remove: 'DELETE /api/admin/email-suppressions/:email'
                 }
             },
             honeyBadgers: {
@@ -1346,19 +1877,36 @@ app.get('/api', (req, res) => {
             },
             gifts: giftsRouter ? {
                 create: 'POST /api/gifts',
+                scheduled: {
+                    list: 'GET /api/gifts/scheduled',
+                    reschedule: 'PUT /api/gifts/:giftId/schedule'
+                },
+                edit: 'PATCH /api/gifts/:giftId',
+                collectTier: 'POST /api/gifts/:giftId/tiers/:tier/collect',
+                cancel: 'POST /api/gifts/:giftId/cancel',
+                extendExpiration: 'PUT /api/gifts/:giftId/expiration',
+                submitVideo: 'POST /api/gifts/:trackingId/submit-video',
+                timeline: 'GET /api/gifts/:giftId/timeline',
+                submissions: 'GET /api/gifts/:giftId/submissions',
+                reviewSubmission: 'PUT /api/submissions/:id/review',
                 messages: {
                     sendInitial: 'POST /api/messages/send-initial',
                     sendReminder: 'POST /api/messages/send-reminder'
                 },
                 challenges: {
                     getProgress: 'GET /api/challenges/:challengeId/progress',
-                    updateProgress: 'PUT /api/challenges/:challengeId/progress'
+                    updateProgress: 'PUT /api/challenges/:challengeId/progress',
+                    answerQuiz: 'POST /api/challenges/:challengeId/answer',
+                    checkIn: 'POST /api/challenges/:challengeId/check-in',
+                    uploadActivity: 'POST /api/challenges/:challengeId/activity'
                 },
                 recipients: {
                     getGifts: 'GET /api/recipients/:phone/gifts'
                 },
                 webhooks: {
-                    twilioIncoming: 'POST /api/webhooks/twilio/incoming'
+                    twilioIncoming: 'POST /api/webhooks/twilio/incoming',
+                    twilioStatus: 'POST /api/webhooks/twilio/status',
+                    sendgridEvents: 'POST /api/webhooks/sendgrid/events'
                 }
             } : 'Gift routes not configured',
             health: 'GET /health'
@@ -1371,12 +1919,103 @@ if (process.env.ENABLE_SCHEDULED_REMINDERS === 'true') {
     const cronSchedule = process.env.REMINDER_CRON_SCHEDULE || '0 * * * *';
     cron.schedule(cronSchedule, async () => {
         console.log('🔔 Running scheduled reminder check...');
-        // This would check all active challenges and send reminders as needed
-        // Implementation would depend on your database setup
+        const stats = await reminderService.runScheduledReminders();
+        if (stats) {
+            console.log(`🔔 Reminder check done: ${stats.checked} checked, ${stats.sent} sent, ${stats.skipped} skipped, ${stats.failed} failed`);
+        }
     });
     console.log('📅 Scheduled reminders enabled with cron:', cronSchedule);
 }
 
+// Scheduled task for delivering gifts with a future deliverAt (runs every minute)
+if (process.env.ENABLE_SCHEDULED_DELIVERY !== 'false') {
+    const deliverySchedule = process.env.DELIVERY_CRON_SCHEDULE || '* * * * *';
+    cron.schedule(deliverySchedule, async () => {
+        const stats = await giftDelivery.dispatchScheduledGifts();
+        if (stats && stats.due > 0) {
+            console.log(`📬 Scheduled delivery: ${stats.delivered} delivered, ${stats.failed} failed of ${stats.due} due`);
+        }
+    });
+    console.log('📅 Scheduled gift delivery enabled with cron:', deliverySchedule);
+}
+
+// Scheduled task for expiring overdue gifts and warning recipients before expiry
+if (process.env.ENABLE_GIFT_EXPIRY !== 'false') {
+    const expirySchedule = process.env.EXPIRY_CRON_SCHEDULE || '*/15 * * * *';
+    cron.schedule(expirySchedule, async () => {
+        const stats = await giftExpiry.sweep();
+        if (stats && (stats.warned > 0 || stats.expired > 0 || stats.failed > 0)) {
+            console.log(`⌛ Expiry sweep: ${stats.warned} warned, ${stats.expired} expired, ${stats.failed} failed`);
+        }
+    });
+    console.log('📅 Gift expiry enabled with cron:', expirySchedule);
+}
+
+// Daily task that reminds senders about contacts' upcoming birthdays and special dates
+if (process.env.ENABLE_SPECIAL_DATE_REMINDERS === 'true') {
+    const specialDateSchedule = process.env.SPECIAL_DATE_CRON_SCHEDULE || '0 9 * * *';
+    cron.schedule(specialDateSchedule, async () => {
+        console.log('🎂 Checking upcoming special dates...');
+        const stats = await specialDateService.runDailyReminders();
+        if (stats) {
+            console.log(`🎂 Special date check done: ${stats.upcoming} upcoming, ${stats.notified} notified, ${stats.skipped} already notified, ${stats.failed} failed`);
+        }
+    });
+    console.log('📅 Special date reminders enabled with cron:', specialDateSchedule);
+}
+
+// Daily task that deletes media past its retention period and orphaned files
+if (process.env.ENABLE_MEDIA_RETENTION === 'true') {
+    const retentionSchedule = process.env.MEDIA_RETENTION_CRON_SCHEDULE || '30 3 * * *';
+    cron.schedule(retentionSchedule, async () => {
+        const report = await mediaRetention.sweep();
+        if (report) {
+            if (report.dryRun || report.aborted) {
+                mediaRetention.describe(report).forEach(line => console.log(`🧹 ${line}`));
+            }
+            console.log(`🧹 Media retention: ${mediaRetention.summarize(report)}`);
+        }
+    });
+    console.log(`📅 Media retention enabled with cron: ${retentionSchedule}${mediaRetention.dryRun ? ' (dry run)' : ''}`);
+}
+
+// Approves submissions past their gift's auto-approval timeout (or from trusted recipients)
+// and reminds senders before the timeout fires
+if (process.env.ENABLE_AUTO_APPROVAL === 'true') {
+    const autoApprovalSchedule = process.env.AUTO_APPROVE_CRON_SCHEDULE || '*/10 * * * *';
+    cron.schedule(autoApprovalSchedule, async () => {
+        const stats = await autoApproval.sweep();
+        if (stats && (stats.approved > 0 || stats.reminded > 0 || stats.failed > 0)) {
+            console.log(`🤖 Auto-approval: ${stats.approved} approved, ${stats.reminded} reminders sent, ${stats.failed} failed of ${stats.checked} pending`);
+        }
+    });
+    console.log('📅 Auto-approval enabled with cron:', autoApprovalSchedule);
+}
+
+// Sends reminders, nudges and progress updates that were held during recipients' quiet hours
+if (process.env.ENABLE_QUIET_HOURS === 'true') {
+    const quietHoursSchedule = process.env.QUIET_HOURS_CRON_SCHEDULE || '*/5 * * * *';
+    cron.schedule(quietHoursSchedule, async () => {
+        const stats = await twilioService.sendDeferredSMS();
+        if (stats && (stats.sent > 0 || stats.queued > 0 || stats.blocked > 0 || stats.failed > 0)) {
+            console.log(`🌅 Deferred SMS: ${stats.sent} sent, ${stats.queued} queued for retry, ${stats.blocked} blocked, ${stats.failed} failed`);
+        }
+    });
+    console.log('📅 Quiet hours enabled with cron:', quietHoursSchedule);
+}
+
+// Retries outbound SMS and email that failed on their first attempt
+if (process.env.ENABLE_OUTBOUND_QUEUE !== 'false') {
+    const outboundSchedule = process.env.OUTBOUND_QUEUE_CRON_SCHEDULE || '* * * * *';
+    cron.schedule(outboundSchedule, async () => {
+        const stats = await outboundQueue.processDue();
+        if (stats && (stats.sent > 0 || stats.retrying > 0 || stats.dead > 0 || stats.released > 0)) {
+            console.log(`📤 Outbound queue: ${stats.sent} sent, ${stats.retrying} retrying, ${stats.dead} dead-lettered, ${stats.released} stale claims released`);
+        }
+    });
+    console.log('📅 Outbound queue retries enabled with cron:', outboundSchedule);
+}
+
 // 404 handler
 app.use((req, res) => {
     res.status(404).json({ 
@@ -1422,6 +2061,11 @@ app.listen(PORT, () => {
     console.log(`  📱 SMS (Twilio): ${process.env.ENABLE_SMS === 'true' ? '✅ Enabled' : '❌ Disabled'}`);
     console.log(`  📧 Email: ${process.env.ENABLE_EMAIL === 'true' ? '✅ Enabled' : '❌ Disabled'}`);
     console.log(`  🔔 Scheduled Reminders: ${process.env.ENABLE_SCHEDULED_REMINDERS === 'true' ? '✅ Enabled' : '❌ Disabled'}`);
+    console.log(`  📬 Scheduled Delivery: ${process.env.ENABLE_SCHEDULED_DELIVERY !== 'false' ? '✅ Enabled' : '❌ Disabled'}`);
+    console.log(`  ⌛ Gift Expiry: ${process.env.ENABLE_GIFT_EXPIRY !== 'false' ? '✅ Enabled' : '❌ Disabled'}`);
+    console.log(`  🎂 Special Date Reminders: ${process.env.ENABLE_SPECIAL_DATE_REMINDERS === 'true' ? '✅ Enabled' : '❌ Disabled'}`);
+    console.log(`  🌙 Quiet Hours: ${process.env.ENABLE_QUIET_HOURS === 'true' ? '✅ Enabled' : '❌ Disabled'}`);
+    console.log(`  📤 Outbound Queue Retries: ${process.env.ENABLE_OUTBOUND_QUEUE !== 'false' ? '✅ Enabled' : '❌ Disabled'}`);
     
     if (process.env.ENABLE_SMS === 'true' && process.env.TWILIO_ACCOUNT_SID) {
         console.log('');
@@ -158,14 +158,14 @@ The sender specifically asked us to nudge this person. Make it feel personal —
  * AI-powered response to an invalid challenge submission.
  */
 async function generateInvalidResponseMessage(challenge) {
-  const fallback = "🦡 Hmm, that doesn't seem right for your challenge. Try again! Reply HELP for hints.";
+  const fallback = "🦡 Hmm, that doesn't seem right for your challenge. Try again! Reply HINT for a hint.";
 
   const prompt = `Write a short, encouraging SMS telling someone their challenge response wasn't valid.
 
 Challenge type: ${challenge?.type || 'general'}
 Challenge description: ${challenge?.description || 'a challenge'}
 
-Be kind but clear. Tell them what they need to do (e.g., send a photo, include a keyword, write more). End with "Reply HELP for hints."`;
+Be kind but clear. Tell them what they need to do (e.g., send a photo, include a keyword, write more). End with "Reply HINT for a hint."`;
 
   return generateMessage(prompt, fallback);
 }
@@ -0,0 +1,254 @@
+const db = require('./databaseService');
+const twilioService = require('./twilioService');
+const sendGridService = require('./sendGridService');
+const submissionReview = require('./submissionReviewService');
+const { parseStoredTimestamp } = require('../utils/timeZone');
+
+const HOUR_MS = 60 * 60 * 1000;
+const MIN_TIMEOUT_HOURS = 1;
+const MAX_TIMEOUT_HOURS = 30 * 24;
+const DEFAULT_REMINDER_HOURS = [24, 2];
+
+function normalizePhone(phone) {
+    return (phone || '').replace(/\D/g, '').slice(-10);
+}
+
+function formatTimeLeft(ms) {
+    const hours = Math.max(1, Math.round(ms / HOUR_MS));
+    if (hours < 48) return `${hours} hour${hours === 1 ? '' : 's'}`;
+    return `${Math.round(hours / 24)} days`;
+}
+
+/**
+ * Hours before the timeout at which the sender is reminded, furthest first
+ */
+function readReminderHours() {
+    const raw = process.env.AUTO_APPROVE_REMINDER_HOURS;
+    if (raw === undefined) return DEFAULT_REMINDER_HOURS;
+    return raw.split(',')
+        .map(value => parseFloat(value))
+        .filter(hours => Number.isFinite(hours) && hours > 0)
+        .sort((a, b) => b - a);
+}
+
+/**
+ * Approves pending submissions the sender hasn't reviewed, per the gift's
+ * settings (gift_orders.auto_approve_hours / auto_approve_trusted):
+ *   - trusted: the recipient is one of the sender's trusted contacts, so the
+ *     submission is approved as soon as the job sees it
+ *   - timeout: nobody reviewed it within auto_approve_hours of submitting
+ * Before a timeout fires the sender gets escalating reminders, one per entry
+ * of AUTO_APPROVE_REMINDER_HOURS (photo_submissions.approval_reminders_sent
+ * counts them). Approvals go through submissionReview.review(), so steps,
+ * tiers and unlocking work as if the sender had approved, and are recorded as
+ * the system's. Submissions flagged as possible duplicates always wait for
+ * the sender.
+ */
+class AutoApprovalService {
+    constructor() {
+        this.sweeping = false;
+        this.reminderHours = readReminderHours();
+    }
+
+    /**
+     * Validate the auto-approval settings of a gift
+     * @param {*} hours - autoApproveHours from the request; null or '' turns the timeout off
+     * @param {*} trusted - autoApproveTrusted from the request
+     * @returns {object} - { error } or { hours: number|null, trusted: boolean }
+     */
+    validateSettings(hours, trusted) {
+        let timeout = null;
+        if (hours !== undefined && hours !== null && hours !== '') {
+            timeout = Number(hours);
+            if (!Number.isFinite(timeout) || timeout < MIN_TIMEOUT_HOURS || timeout > MAX_TIMEOUT_HOURS) {
+                return { error: `autoApproveHours must be between ${MIN_TIMEOUT_HOURS} and ${MAX_TIMEOUT_HOURS}` };
+            }
+        }
+        if (trusted !== undefined && trusted !== null && typeof trusted !== 'boolean') {
+            return { error: 'autoApproveTrusted must be true or false' };
+        }
+        return { hours: timeout, trusted: trusted === true };
+    }
+
+    /**
+     * When a pending submission will be approved if nobody reviews it
+     * @returns {Date|null} - null if the gift has no timeout
+     */
+    getDeadline(submission) {
+        const submittedAt = parseStoredTimestamp(submission.submitted_at);
+        if (!submission.auto_approve_hours || !submittedAt) return null;
+        return new Date(submittedAt.getTime() + submission.auto_approve_hours * HOUR_MS);
+    }
+
+    /**
+     * The latest reminder that is due, as its 1-based position in
+     * reminderHours. Reminders as long as the timeout itself are skipped.
+     * @returns {number} - 0 if none is due
+     */
+    getDueReminder(submission, deadline, now) {
+        let due = 0;
+        this.reminderHours.forEach((hours, index) => {
+            if (hours < submission.auto_approve_hours && now.getTime() >= deadline.getTime() - hours * HOUR_MS) {
+                due = index + 1;
+            }
+        });
+        return due;
+    }
+
+    isTrustedRecipient(submission, trustedContacts) {
+        const email = (submission.recipient_email || '').toLowerCase();
+        const phone = normalizePhone(submission.recipient_phone);
+        return trustedContacts.some(contact =>
+            (!!email && email === (contact.email || '').toLowerCase()) ||
+            (!!phone && phone === normalizePhone(contact.phone)));
+    }
+
+    /**
+     * Remind the sender that a submission will be approved without them
+     * @returns {Promise<boolean>} - true if the reminder went out on any channel
+     */
+    async sendReminder(submission, deadline, now) {
+        const recipientName = submission.recipient_name || 'Your recipient';
+        const mediaLabel = submission.media_type === 'video' ? 'video' : 'photo';
+        const autoApprovesIn = formatTimeLeft(deadline.getTime() - now.getTime());
+        const challenge = await db.getChallengeById(submission.challenge_id);
+        const totalSteps = submissionReview.getTotalSteps(challenge);
+        const stepText = totalSteps > 1 ? ` for step ${submission.step || 1} of ${totalSteps}` : '';
+        let delivered = false;
+
+        if (submission.sender_phone && twilioService.isInitialized()) {
+            try {
+                const message = await twilioService.sendSMS(
+                    submission.sender_phone,
+                    `🦡 ${recipientName}'s ${mediaLabel}${stepText} is waiting for your review. ` +
+                    `It will be approved automatically in ${autoApprovesIn}. Open the Honey Badger app to review it.`,
+                    { giftId: submission.gift_id, category: 'reminder' }
+                );
+                delivered = delivered || !!(message && (message.sid || message.deferred || message.queued));
+            } catch (error) {
+                console.error(`❌ Approval reminder SMS failed for ${submission.id}:`, error.message);
+            }
+        }
+
+        if (submission.sender_email) {
+            const result = await sendGridService.sendApprovalReminderEmail(submission.sender_email, {
+                senderName: submission.sender_name,
+                recipientName,
+                mediaLabel,
+                stepText,
+                challenge: (challenge && challenge.description) || 'your challenge',
+                autoApprovesIn
+            });
+            delivered = delivered || result.success;
+        }
+
+        return delivered;
+    }
+
+    /**
+     * Approve a submission on the sender's behalf and let both sides know
+     * @param {string} autoApproved - 'timeout' or 'trusted'
+     * @returns {Promise<boolean>} - false if it was reviewed or the gift moved on first
+     */
+    async approve(submission, autoApproved) {
+        const giftOrder = await db.getGiftOrderByTrackingId(submission.gift_id);
+        if (!giftOrder || giftOrder.status !== 'pending_approval') {
+            return false;
+        }
+
+        const result = await submissionReview.review(submission, giftOrder, {
+            action: 'approve',
+            userId: giftOrder.user_id,
+            autoApproved
+        });
+        if (!result) {
+            return false;
+        }
+
+        const mediaLabel = submission.media_type === 'video' ? 'video' : 'photo';
+        console.log(`🤖 Auto-approved ${mediaLabel} ${submission.id} for gift ${giftOrder.tracking_id} (${autoApproved})`);
+        await submissionReview.notifyRecipientOfApproval(giftOrder, result, mediaLabel);
+
+        if (autoApproved === 'timeout' && giftOrder.sender_phone && twilioService.isInitialized()) {
+            try {
+                await twilioService.sendSMS(
+                    giftOrder.sender_phone,
+                    `🦡 ${giftOrder.recipient_name || 'Your recipient'}'s ${mediaLabel} was approved automatically ` +
+                    `after ${formatTimeLeft(giftOrder.auto_approve_hours * HOUR_MS)} without a review.` +
+                    (result.giftUnlocked ? ' Their gift is now unlocked.' : ''),
+                    { giftId: giftOrder.tracking_id, category: 'progress' }
+                );
+            } catch (error) {
+                console.error(`❌ Auto-approval SMS to sender failed for ${giftOrder.tracking_id}:`, error.message);
+            }
+        }
+
+        return true;
+    }
+
+    /**
+     * Approve what is due and send due reminders
+     * @returns {Promise<object|null>} - { checked, approved, reminded, failed }, or null if a sweep is in progress
+     */
+    async sweep(now = new Date()) {
+        if (this.sweeping) {
+            return null;
+        }
+
+        this.sweeping = true;
+        const stats = { checked: 0, approved: 0, reminded: 0, failed: 0 };
+
+        try {
+            const submissions = await db.getSubmissionsForAutoApproval();
+            const trustedContacts = new Map();
+
+            for (const submission of submissions) {
+                stats.checked++;
+                try {
+                    if (submission.duplicate_of) continue;
+
+                    if (submission.auto_approve_trusted) {
+                        if (!trustedContacts.has(submission.user_id)) {
+                            trustedContacts.set(submission.user_id, await db.getTrustedContacts(submission.user_id));
+                        }
+                        if (this.isTrustedRecipient(submission, trustedContacts.get(submission.user_id))) {
+                            if (await this.approve(submission, 'trusted')) stats.approved++;
+                            continue;
+                        }
+                    }
+
+                    const deadline = this.getDeadline(submission);
+                    if (!deadline) continue;
+
+                    if (now >= deadline) {
+                        if (await this.approve(submission, 'timeout')) stats.approved++;
+                        continue;
+                    }
+
+                    // Only the latest due reminder goes out; earlier ones the job missed are skipped
+                    const reminder = this.getDueReminder(submission, deadline, now);
+                    if (reminder > (submission.approval_reminders_sent || 0) &&
+                        await db.claimApprovalReminder(submission.id, reminder)) {
+                        if (await this.sendReminder(submission, deadline, now)) {
+                            stats.reminded++;
+                        } else {
+                            stats.failed++;
+                        }
+                    }
+                } catch (error) {
+                    stats.failed++;
+                    console.error(`❌ Auto-approval failed for submission ${submission.id}:`, error.message);
+                }
+            }
+        } catch (error) {
+            console.error('❌ Auto-approval sweep failed:', error.message);
+        } finally {
+            this.sweeping = false;
+        }
+
+        return stats;
+    }
+}
+
+// Export singleton instance
+module.exports = new AutoApprovalService();
@@ -3,6 +3,16 @@ const bcrypt = require('bcryptjs');
 const path = require('path');
 const fs = require('fs');
 
+// Gifts and challenges saved without a reminder frequency get no scheduled reminders
+const DEFAULT_REMINDER_FREQUENCY = 'none';
+
+// Perceptual hashes are indexed by band, 2 hex characters each (see utils/perceptualHash hashBands)
+const PERCEPTUAL_HASH_BANDS = 8;
+
+function hashBandSql(band, column = 'perceptual_hash') {
+    return `substr(${column}, ${band * 2 + 1}, 2)`;
+}
+
 class DatabaseService {
     constructor() {
         this.db = null;
@@ -43,7 +53,8 @@ class DatabaseService {
                 updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
                 is_active BOOLEAN DEFAULT 1,
                 email_verified BOOLEAN DEFAULT 0,
-                phone_verified BOOLEAN DEFAULT 0
+                phone_verified BOOLEAN DEFAULT 0,
+                timezone TEXT
             )
         `;
 
@@ -63,7 +74,7 @@ class DatabaseService {
         const createGiftOrdersTable = `
             CREATE TABLE IF NOT EXISTS gift_orders (
                 id INTEGER PRIMARY KEY AUTOINCREMENT,
-                user_id INTEGER,
+                user_id INTEGER NOT NULL,
                 tracking_id TEXT UNIQUE NOT NULL,
                 recipient_name TEXT NOT NULL,
                 recipient_contact TEXT NOT NULL,
@@ -72,7 +83,7 @@ class DatabaseService {
                 challenge TEXT,
                 message TEXT,
                 duration INTEGER,
-                status TEXT DEFAULT 'pending',
+                status TEXT DEFAULT 'delivered',
                 created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
                 updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
                 FOREIGN KEY (user_id) REFERENCES users (id)
@@ -89,6 +100,8 @@ class DatabaseService {
                 phone TEXT,
                 relationship TEXT,
                 birthday TEXT,
+                trusted BOOLEAN DEFAULT 0,
+                timezone TEXT,
                 created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
                 updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
                 FOREIGN KEY (user_id) REFERENCES users (id)
@@ -144,6 +157,7 @@ class DatabaseService {
                 progress TEXT,
                 reminder_frequency TEXT,
                 last_reminder_sent DATETIME,
+                reminder_count INTEGER DEFAULT 0,
                 created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
                 FOREIGN KEY (gift_id) REFERENCES gift_orders(tracking_id)
             )
@@ -156,9 +170,31 @@ class DatabaseService {
                 challenge_id TEXT NOT NULL,
                 gift_id TEXT NOT NULL,
                 photo_url TEXT NOT NULL,
+                media_type TEXT DEFAULT 'photo',
+                mime_type TEXT,
+                file_size INTEGER,
+                duration_seconds REAL,
+                width INTEGER,
+                height INTEGER,
+                poster_url TEXT,
+                thumbnail_url TEXT,
+                medium_url TEXT,
+                perceptual_hash TEXT,
+                duplicate_of TEXT,
+                duplicate_distance INTEGER,
+                duplicate_scope TEXT,
+                media_deleted_at DATETIME,
+                media_deleted_reason TEXT,
+                media_missing_at DATETIME,
+                step INTEGER,
                 submitter_phone TEXT,
                 status TEXT DEFAULT 'pending_approval',
                 rejection_reason TEXT,
+                review_comment TEXT,
+                retake_reason TEXT,
+                retake_instructions TEXT,
+                approval_reminders_sent INTEGER DEFAULT 0,
+                auto_approved TEXT,
                 submitted_at DATETIME DEFAULT CURRENT_TIMESTAMP,
                 reviewed_at DATETIME,
                 FOREIGN KEY (challenge_id) REFERENCES challenges(id),
@@ -236,6 +272,7 @@ class DatabaseService {
                 error_code TEXT,
                 error_message TEXT,
                 gift_id TEXT,
+                category TEXT,
                 created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
                 updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
             )
@@ -246,6 +283,312 @@ class DatabaseService {
             else console.log('✅ SMS messages table ready');
         });
 
+        // Reminder runs table (one row per scheduled reminder sweep)
+        const createReminderRunsTable = `
+            CREATE TABLE IF NOT EXISTS reminder_runs (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                started_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                finished_at DATETIME,
+                challenges_checked INTEGER DEFAULT 0,
+                reminders_sent INTEGER DEFAULT 0,
+                reminders_skipped INTEGER DEFAULT 0,
+                reminders_failed INTEGER DEFAULT 0,
+                error_message TEXT
+            )
+        `;
+
+        this.db.run(createReminderRunsTable, (err) => {
+            if (err) console.error('Error creating reminder_runs table:', err.message);
+            else console.log('✅ Reminder runs table ready');
+        });
+
+        // Reminder log table (every reminder attempt made by a sweep)
+        const createReminderLogTable = `
+            CREATE TABLE IF NOT EXISTS reminder_log (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                run_id INTEGER,
+                challenge_id TEXT NOT NULL,
+                gift_id TEXT,
+                channel TEXT,
+                status TEXT NOT NULL,
+                detail TEXT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (run_id) REFERENCES reminder_runs(id),
+                FOREIGN KEY (challenge_id) REFERENCES challenges(id)
+            )
+        `;
+
+        this.db.run(createReminderLogTable, (err) => {
+            if (err) console.error('Error creating reminder_log table:', err.message);
+            else console.log('✅ Reminder log table ready');
+        });
+
+        // Special date notifications (one row per sender reminder, so each occurrence is only sent once)
+        const createSpecialDateNotificationsTable = `
+            CREATE TABLE IF NOT EXISTS special_date_notifications (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                user_id INTEGER NOT NULL,
+                contact_id INTEGER NOT NULL,
+                occasion_key TEXT NOT NULL,
+                occurrence_date TEXT NOT NULL,
+                channels TEXT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE (contact_id, occasion_key, occurrence_date),
+                FOREIGN KEY (user_id) REFERENCES users (id),
+                FOREIGN KEY (contact_id) REFERENCES contacts (id) ON DELETE CASCADE
+            )
+        `;
+
+        this.db.run(createSpecialDateNotificationsTable, (err) => {
+            if (err) console.error('Error creating special_date_notifications table:', err.message);
+            else console.log('✅ Special date notifications table ready');
+        });
+
+        // Gift status history (every lifecycle transition, see giftLifecycleService)
+        const createGiftStatusHistoryTable = `
+            CREATE TABLE IF NOT EXISTS gift_status_history (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                gift_id TEXT NOT NULL,
+                from_status TEXT,
+                to_status TEXT NOT NULL,
+                actor TEXT NOT NULL,
+                actor_id TEXT,
+                reason TEXT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )
+        `;
+
+        this.db.run(createGiftStatusHistoryTable, (err) => {
+            if (err) console.error('Error creating gift_status_history table:', err.message);
+            else console.log('✅ Gift status history table ready');
+        });
+
+        // Unlock tiers: a gift's value split across challenge milestones
+        const createGiftTiersTable = `
+            CREATE TABLE IF NOT EXISTS gift_tiers (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                gift_id TEXT NOT NULL,
+                tier INTEGER NOT NULL,
+                after_step INTEGER NOT NULL,
+                value TEXT NOT NULL,
+                label TEXT,
+                unlocked BOOLEAN DEFAULT 0,
+                unlocked_at DATETIME,
+                redeemed BOOLEAN DEFAULT 0,
+                redeemed_at DATETIME,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE(gift_id, tier),
+                FOREIGN KEY (gift_id) REFERENCES gift_orders(tracking_id)
+            )
+        `;
+
+        this.db.run(createGiftTiersTable, (err) => {
+            if (err) console.error('Error creating gift_tiers table:', err.message);
+            else console.log('✅ Gift tiers table ready');
+        });
+
+        // Uploads rejected as unrecognized or infected, kept for review
+        const createQuarantinedFilesTable = `
+            CREATE TABLE IF NOT EXISTS quarantined_files (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                storage_key TEXT NOT NULL,
+                original_name TEXT,
+                declared_type TEXT,
+                detected_type TEXT,
+                file_size INTEGER,
+                reason TEXT NOT NULL,
+                signature TEXT,
+                source TEXT,
+                gift_id TEXT,
+                submitted_by TEXT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )
+        `;
+
+        this.db.run(createQuarantinedFilesTable, (err) => {
+            if (err) console.error('Error creating quarantined_files table:', err.message);
+            else console.log('✅ Quarantined files table ready');
+        });
+
+        // SMS conversation state (one row per recipient phone)
+        const createSmsConversationsTable = `
+            CREATE TABLE IF NOT EXISTS sms_conversations (
+                phone TEXT PRIMARY KEY,
+                gift_id TEXT,
+                awaiting TEXT,
+                choices TEXT,
+                pending_message TEXT,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )
+        `;
+
+        this.db.run(createSmsConversationsTable, (err) => {
+            if (err) console.error('Error creating sms_conversations table:', err.message);
+            else console.log('✅ SMS conversations table ready');
+        });
+
+        // Non-urgent SMS held until the recipient's quiet hours end
+        const createDeferredSmsTable = `
+            CREATE TABLE IF NOT EXISTS deferred_sms (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                to_phone TEXT NOT NULL,
+                body TEXT NOT NULL,
+                media_url TEXT,
+                gift_id TEXT,
+                category TEXT NOT NULL,
+                time_zone TEXT,
+                send_after TEXT NOT NULL,
+                status TEXT DEFAULT 'pending',
+                detail TEXT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                sent_at DATETIME
+            )
+        `;
+
+        this.db.run(createDeferredSmsTable, (err) => {
+            if (err) console.error('Error creating deferred_sms table:', err.message);
+            else console.log('✅ Deferred SMS table ready');
+        });
+
+        // Outbound SMS and email, with their retry state
+        const createOutboundMessagesTable = `
+            CREATE TABLE IF NOT EXISTS outbound_messages (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                channel TEXT NOT NULL,
+                recipient TEXT NOT NULL,
+                payload TEXT NOT NULL,
+                gift_id TEXT,
+                category TEXT,
+                status TEXT DEFAULT 'sending',
+                attempts INTEGER DEFAULT 0,
+                next_attempt_at TEXT,
+                error_class TEXT,
+                last_error TEXT,
+                result TEXT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                sent_at DATETIME
+            )
+        `;
+
+        this.db.run(createOutboundMessagesTable, (err) => {
+            if (err) console.error('Error creating outbound_messages table:', err.message);
+            else console.log('✅ Outbound messages table ready');
+        });
+
+        // Outbound messages that will not be retried, kept for inspection and replay
+        const createOutboundDeadLettersTable = `
+            CREATE TABLE IF NOT EXISTS outbound_dead_letters (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                message_id INTEGER NOT NULL,
+                channel TEXT NOT NULL,
+                recipient TEXT NOT NULL,
+                payload TEXT NOT NULL,
+                gift_id TEXT,
+                category TEXT,
+                attempts INTEGER NOT NULL,
+                error_class TEXT NOT NULL,
+                last_error TEXT,
+                failed_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                replayed_at DATETIME,
+                replayed_message_id INTEGER,
+                FOREIGN KEY (message_id) REFERENCES outbound_messages (id)
+            )
+        `;
+
+        this.db.run(createOutboundDeadLettersTable, (err) => {
+            if (err) console.error('Error creating outbound_dead_letters table:', err.message);
+            else console.log('✅ Outbound dead letters table ready');
+        });
+
+        // Notices re-sent through the other channel after their SMS or email failed (one per gift and notice)
+        const createGiftDeliveryFallbacksTable = `
+            CREATE TABLE IF NOT EXISTS gift_delivery_fallbacks (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                gift_id TEXT NOT NULL,
+                notice TEXT NOT NULL,
+                from_channel TEXT NOT NULL,
+                to_channel TEXT NOT NULL,
+                reason TEXT,
+                status TEXT DEFAULT 'sending',
+                detail TEXT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE (gift_id, notice),
+                FOREIGN KEY (gift_id) REFERENCES gift_orders (tracking_id)
+            )
+        `;
+
+        this.db.run(createGiftDeliveryFallbacksTable, (err) => {
+            if (err) console.error('Error creating gift_delivery_fallbacks table:', err.message);
+            else console.log('✅ Gift delivery fallbacks table ready');
+        });
+
+        // Email message log (delivery tracking through the SendGrid event webhook)
+        const createEmailMessagesTable = `
+            CREATE TABLE IF NOT EXISTS email_messages (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                message_id TEXT UNIQUE NOT NULL,
+                sg_message_id TEXT,
+                outbound_message_id INTEGER,
+                to_email TEXT NOT NULL,
+                subject TEXT,
+                gift_id TEXT,
+                category TEXT,
+                status TEXT DEFAULT 'sent',
+                error_message TEXT,
+                opens INTEGER DEFAULT 0,
+                clicks INTEGER DEFAULT 0,
+                delivered_at DATETIME,
+                first_opened_at DATETIME,
+                first_clicked_at DATETIME,
+                spam_reported_at DATETIME,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )
+        `;
+
+        this.db.run(createEmailMessagesTable, (err) => {
+            if (err) console.error('Error creating email_messages table:', err.message);
+            else console.log('✅ Email messages table ready');
+        });
+
+        // SendGrid events, once each (SendGrid retries webhook posts)
+        const createEmailEventsTable = `
+            CREATE TABLE IF NOT EXISTS email_events (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                sg_event_id TEXT UNIQUE,
+                email_message_id INTEGER,
+                event TEXT NOT NULL,
+                email TEXT,
+                reason TEXT,
+                url TEXT,
+                occurred_at DATETIME,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (email_message_id) REFERENCES email_messages (id)
+            )
+        `;
+
+        this.db.run(createEmailEventsTable, (err) => {
+            if (err) console.error('Error creating email_events table:', err.message);
+            else console.log('✅ Email events table ready');
+        });
+
+        // Addresses no email is sent to (hard bounces)
+        const createEmailSuppressionsTable = `
+            CREATE TABLE IF NOT EXISTS email_suppressions (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                email TEXT UNIQUE NOT NULL,
+                reason TEXT NOT NULL,
+                detail TEXT,
+                suppressed_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )
+        `;
+
+        this.db.run(createEmailSuppressionsTable, (err) => {
+            if (err) console.error('Error creating email_suppressions table:', err.message);
+            else console.log('✅ Email suppressions table ready');
+        });
+
         // Run migrations to update existing tables
         this.runMigrations();
     }
@@ -270,6 +613,55 @@ class DatabaseService {
                     }
                 });
             }
+
+            // Trusted contacts can have their submissions approved automatically
+            const hasTrusted = columns && columns.some(col => col.name === 'trusted');
+
+            if (!hasTrusted) {
+                console.log('📝 Running migration: Adding trusted column to contacts table');
+                this.db.run('ALTER TABLE contacts ADD COLUMN trusted BOOLEAN DEFAULT 0', (err) => {
+                    if (err) {
+                        console.error('❌ Migration failed:', err.message);
+                    } else {
+                        console.log('✅ Migration successful: trusted column added');
+                    }
+                });
+            }
+
+            // A contact's time zone decides when non-urgent SMS reach them
+            const hasTimeZone = columns && columns.some(col => col.name === 'timezone');
+
+            if (!hasTimeZone) {
+                console.log('📝 Running migration: Adding timezone column to contacts table');
+                this.db.run('ALTER TABLE contacts ADD COLUMN timezone TEXT', (err) => {
+                    if (err) {
+                        console.error('❌ Migration failed:', err.message);
+                    } else {
+                        console.log('✅ Migration successful: timezone column added to contacts');
+                    }
+                });
+            }
+        });
+
+        // Users can set their own time zone for quiet hours
+        this.db.all("PRAGMA table_info(users)", (err, columns) => {
+            if (err) {
+                console.error('Error checking users table:', err.message);
+                return;
+            }
+
+            const hasTimeZone = columns && columns.some(col => col.name === 'timezone');
+
+            if (!hasTimeZone) {
+                console.log('📝 Running migration: Adding timezone column to users table');
+                this.db.run('ALTER TABLE users ADD COLUMN timezone TEXT', (err) => {
+                    if (err) {
+                        console.error('❌ Migration failed:', err.message);
+                    } else {
+                        console.log('✅ Migration successful: timezone column added to users');
+                    }
+                });
+            }
         });
 
         // Add new columns to gift_orders table
@@ -318,11 +710,161 @@ class DatabaseService {
                 { name: 'received_at', type: 'DATETIME' }
             ];
 
-            photoWorkflowColumns.forEach(column => {
+            // Columns for scheduled (future) delivery
+            const scheduledDeliveryColumns = [
+                { name: 'deliver_at', type: 'TEXT' },
+                { name: 'recipient_timezone', type: 'TEXT' },
+                { name: 'delivered_at', type: 'DATETIME' }
+            ];
+
+            // Columns for gift expiration
+            const expirationColumns = [
+                { name: 'expires_at', type: 'TEXT' },
+                { name: 'expiry_warning_sent_at', type: 'DATETIME' },
+                { name: 'expired_at', type: 'DATETIME' }
+            ];
+
+            // Columns for automatic approval of submissions
+            const autoApprovalColumns = [
+                { name: 'auto_approve_hours', type: 'REAL' },
+                { name: 'auto_approve_trusted', type: 'BOOLEAN DEFAULT 0' }
+            ];
+
+            // Whether the recipient's phone and email work for this gift: 'ok', 'failed' or NULL (unknown)
+            const deliveryHealthColumns = [
+                { name: 'sms_health', type: 'TEXT' },
+                { name: 'email_health', type: 'TEXT' }
+            ];
+
+            // Serialized so the status migration below sees the unlocked/redeemed/received columns
+            this.db.serialize(() => {
+                [...photoWorkflowColumns, ...scheduledDeliveryColumns, ...expirationColumns, ...autoApprovalColumns, ...deliveryHealthColumns].forEach(column => {
+                    const exists = columns && columns.some(col => col.name === column.name);
+                    if (!exists) {
+                        console.log(`📝 Running migration: Adding ${column.name} column to gift_orders table`);
+                        this.db.run(`ALTER TABLE gift_orders ADD COLUMN ${column.name} ${column.type}`, (err) => {
+                            if (err) {
+                                console.error(`❌ Migration failed for ${column.name}:`, err.message);
+                            } else {
+                                console.log(`✅ Migration successful: ${column.name} column added`);
+                            }
+                        });
+                    }
+                });
+
+                // Map legacy free-form statuses onto the gift lifecycle states
+                this.db.run(`
+                    UPDATE gift_orders
+                    SET status = CASE
+                        WHEN status = 'completed' AND redeemed = 1 THEN 'redeemed'
+                        WHEN status = 'completed' THEN 'unlocked'
+                        WHEN status = 'pending' AND received = 1 THEN 'accepted'
+                        ELSE 'delivered'
+                    END
+                    WHERE status IN ('pending', 'completed')
+                `, function(err) {
+                    if (err) {
+                        console.error('❌ Gift status migration failed:', err.message);
+                    } else if (this.changes > 0) {
+                        console.log(`✅ Migrated ${this.changes} gift orders to lifecycle statuses`);
+                    }
+                });
+            });
+        });
+
+        // Add reminder tracking columns to challenges table
+        this.db.all("PRAGMA table_info(challenges)", (err, columns) => {
+            if (err) {
+                console.error('Error checking challenges table:', err.message);
+                return;
+            }
+
+            const challengeColumns = [
+                { name: 'reminder_count', type: 'INTEGER DEFAULT 0' }
+            ];
+
+            challengeColumns.forEach(column => {
                 const exists = columns && columns.some(col => col.name === column.name);
                 if (!exists) {
-                    console.log(`📝 Running migration: Adding ${column.name} column to gift_orders table`);
-                    this.db.run(`ALTER TABLE gift_orders ADD COLUMN ${column.name} ${column.type}`, (err) => {
+                    console.log(`📝 Running migration: Adding ${column.name} column to challenges table`);
+                    this.db.run(`ALTER TABLE challenges ADD COLUMN ${column.name} ${column.type}`, (err) => {
+                        if (err) {
+                            console.error(`❌ Migration failed for ${column.name}:`, err.message);
+                        } else {
+                            console.log(`✅ Migration successful: ${column.name} column added`);
+                        }
+                    });
+                }
+            });
+        });
+
+        // Video submissions share the photo approval flow; photo_url holds the media URL
+        this.db.all("PRAGMA table_info(photo_submissions)", (err, columns) => {
+            if (err) {
+                console.error('Error checking photo_submissions table:', err.message);
+                return;
+            }
+
+            const mediaColumns = [
+                { name: 'media_type', type: "TEXT DEFAULT 'photo'" },
+                { name: 'mime_type', type: 'TEXT' },
+                { name: 'file_size', type: 'INTEGER' },
+                { name: 'duration_seconds', type: 'REAL' },
+                { name: 'width', type: 'INTEGER' },
+                { name: 'height', type: 'INTEGER' },
+                { name: 'poster_url', type: 'TEXT' },
+                { name: 'thumbnail_url', type: 'TEXT' },
+                { name: 'medium_url', type: 'TEXT' },
+                { name: 'perceptual_hash', type: 'TEXT' },
+                { name: 'duplicate_of', type: 'TEXT' },
+                { name: 'duplicate_distance', type: 'INTEGER' },
+                { name: 'duplicate_scope', type: 'TEXT' },
+                { name: 'media_deleted_at', type: 'DATETIME' },
+                { name: 'media_deleted_reason', type: 'TEXT' },
+                { name: 'media_missing_at', type: 'DATETIME' }
+            ];
+
+            // Columns for step-aware review
+            const reviewColumns = [
+                { name: 'step', type: 'INTEGER' },
+                { name: 'review_comment', type: 'TEXT' },
+                { name: 'retake_reason', type: 'TEXT' },
+                { name: 'retake_instructions', type: 'TEXT' },
+                { name: 'approval_reminders_sent', type: 'INTEGER DEFAULT 0' },
+                { name: 'auto_approved', type: 'TEXT' }
+            ];
+
+            [...mediaColumns, ...reviewColumns].forEach(column => {
+                const exists = columns && columns.some(col => col.name === column.name);
+                if (!exists) {
+                    console.log(`📝 Running migration: Adding ${column.name} column to photo_submissions table`);
+                    this.db.run(`ALTER TABLE photo_submissions ADD COLUMN ${column.name} ${column.type}`, (err) => {
+                        if (err) {
+                            console.error(`❌ Migration failed for ${column.name}:`, err.message);
+                        } else {
+                            console.log(`✅ Migration successful: ${column.name} column added`);
+                        }
+                    });
+                }
+            });
+        });
+
+        // Outbound SMS log: notice category, used to re-send failed notices by email
+        this.db.all("PRAGMA table_info(sms_messages)", (err, columns) => {
+            if (err) {
+                console.error('Error checking sms_messages table:', err.message);
+                return;
+            }
+
+            const smsMessageColumns = [
+                { name: 'category', type: 'TEXT' }
+            ];
+
+            smsMessageColumns.forEach(column => {
+                const exists = columns && columns.some(col => col.name === column.name);
+                if (!exists) {
+                    console.log(`📝 Running migration: Adding ${column.name} column to sms_messages table`);
+                    this.db.run(`ALTER TABLE sms_messages ADD COLUMN ${column.name} ${column.type}`, (err) => {
                         if (err) {
                             console.error(`❌ Migration failed for ${column.name}:`, err.message);
                         } else {
@@ -344,6 +886,10 @@ class DatabaseService {
             'CREATE INDEX IF NOT EXISTS idx_gift_orders_recipient_phone ON gift_orders(recipient_phone)',
             'CREATE INDEX IF NOT EXISTS idx_gift_orders_status ON gift_orders(status)',
             'CREATE INDEX IF NOT EXISTS idx_gift_orders_tracking_id ON gift_orders(tracking_id)',
+            'CREATE INDEX IF NOT EXISTS idx_gift_orders_deliver_at ON gift_orders(deliver_at)',
+            'CREATE INDEX IF NOT EXISTS idx_gift_orders_expires_at ON gift_orders(expires_at)',
+            'CREATE INDEX IF NOT EXISTS idx_gift_status_history_gift_id ON gift_status_history(gift_id)',
+            'CREATE INDEX IF NOT EXISTS idx_gift_tiers_gift_id ON gift_tiers(gift_id)',
             'CREATE INDEX IF NOT EXISTS idx_challenges_gift_id ON challenges(gift_id)',
             'CREATE INDEX IF NOT EXISTS idx_photo_submissions_challenge_id ON photo_submissions(challenge_id)',
             'CREATE INDEX IF NOT EXISTS idx_photo_submissions_gift_id ON photo_submissions(gift_id)',
@@ -353,7 +899,17 @@ class DatabaseService {
             'CREATE INDEX IF NOT EXISTS idx_sms_messages_message_sid ON sms_messages(message_sid)',
             'CREATE INDEX IF NOT EXISTS idx_sms_messages_to_phone ON sms_messages(to_phone)',
             'CREATE INDEX IF NOT EXISTS idx_sms_messages_status ON sms_messages(status)',
-            'CREATE INDEX IF NOT EXISTS idx_sms_messages_gift_id ON sms_messages(gift_id)'
+            'CREATE INDEX IF NOT EXISTS idx_sms_messages_gift_id ON sms_messages(gift_id)',
+            'CREATE INDEX IF NOT EXISTS idx_reminder_log_challenge_id ON reminder_log(challenge_id)',
+            'CREATE INDEX IF NOT EXISTS idx_reminder_log_run_id ON reminder_log(run_id)',
+            'CREATE INDEX IF NOT EXISTS idx_outbound_messages_status ON outbound_messages(status, next_attempt_at)',
+            'CREATE INDEX IF NOT EXISTS idx_outbound_dead_letters_message_id ON outbound_dead_letters(message_id)',
+            'CREATE INDEX IF NOT EXISTS idx_outbound_messages_gift_id ON outbound_messages(gift_id)',
+            'CREATE INDEX IF NOT EXISTS idx_email_messages_sg_message_id ON email_messages(sg_message_id)',
+            'CREATE INDEX IF NOT EXISTS idx_email_messages_gift_id ON email_messages(gift_id)',
+            'CREATE INDEX IF NOT EXISTS idx_email_events_email_message_id ON email_events(email_message_id)',
+            ...Array.from({ length: PERCEPTUAL_HASH_BANDS }, (_, band) =>
+                `CREATE INDEX IF NOT EXISTS idx_photo_submissions_hash_band_${band} ON photo_submissions(${hashBandSql(band)})`)
         ];
 
         indexes.forEach(indexSql => {
@@ -419,7 +975,7 @@ class DatabaseService {
 
     async getUserById(id) {
         return new Promise((resolve, reject) => {
-            const sql = `SELECT id, name, email, phone, created_at, email_verified, phone_verified FROM users WHERE id = ? AND is_active = 1`;
+            const sql = `SELECT id, name, email, phone, timezone, created_at, email_verified, phone_verified FROM users WHERE id = ? AND is_active = 1`;
             
             this.db.get(sql, [id], (err, row) => {
                 if (err) {
@@ -517,12 +1073,16 @@ class DatabaseService {
     }
 
     async updateUserProfile(userId, profileData) {
-        const { name } = profileData;
+        const { name, timeZone } = profileData;
 
         return new Promise((resolve, reject) => {
-            const sql = `UPDATE users SET name = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`;
+            // timeZone is only changed when given; null clears it
+            const sql = timeZone === undefined
+                ? `UPDATE users SET name = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`
+                : `UPDATE users SET name = ?, timezone = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`;
+            const params = timeZone === undefined ? [name, userId] : [name, timeZone, userId];
 
-            this.db.run(sql, [name, userId], function(err) {
+            this.db.run(sql, params, function(err) {
                 if (err) {
                     reject(new Error('Profile update failed: ' + err.message));
                 } else {
@@ -648,8 +1208,15 @@ class DatabaseService {
             message,
             duration,
             notifyOnComplete,
-            cardImageUrl
+            cardImageUrl,
+            status,
+            deliverAt,
+            recipientTimeZone,
+            expiresAt,
+            autoApproveHours,
+            autoApproveTrusted
         } = orderData;
+        const service = this;
 
         return new Promise((resolve, reject) => {
             const sql = `
@@ -658,9 +1225,10 @@ class DatabaseService {
                     recipient_phone, delivery_method, gift_type, gift_value, challenge,
                     challenge_type, challenge_description, verification_type,
                     reminder_frequency, personal_note, message, duration, notify_on_complete,
-                    card_image_url
+                    card_image_url, status, deliver_at, recipient_timezone, expires_at,
+                    auto_approve_hours, auto_approve_trusted
                 )
-                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
             `;
 
             this.db.run(sql, [
@@ -677,22 +1245,39 @@ class DatabaseService {
                 challengeType || null,
                 challengeDescription || challenge || null,
                 verificationType || null,
-                reminderFrequency || null,
+                reminderFrequency || DEFAULT_REMINDER_FREQUENCY,
                 personalNote || message || null,
                 message || personalNote || null,
                 duration || null,
                 notifyOnComplete !== undefined ? notifyOnComplete : 1,
-                cardImageUrl || null
+                cardImageUrl || null,
+                status || 'delivered',
+                deliverAt || null,
+                recipientTimeZone || null,
+                expiresAt || null,
+                autoApproveHours || null,
+                autoApproveTrusted ? 1 : 0
             ], function(err) {
                 if (err) {
                     reject(new Error('Gift order creation failed: ' + err.message));
-                } else {
-                    resolve({
-                        id: this.lastID,
-                        trackingId,
-                        ...orderData
-                    });
+                    return;
                 }
+
+                const orderId = this.lastID;
+                service.addGiftStatusHistory({
+                    giftId: trackingId,
+                    fromStatus: null,
+                    toStatus: status || 'delivered',
+                    actor: 'sender',
+                    actorId: userId,
+                    reason: 'Gift created'
+                }).catch(historyError => console.error('⚠️  Failed to record gift creation:', historyError.message));
+
+                resolve({
+                    id: orderId,
+                    trackingId,
+                    ...orderData
+                });
             });
         });
     }
@@ -724,6 +1309,8 @@ class DatabaseService {
                 LEFT JOIN users u ON g.user_id = u.id
                 WHERE (g.recipient_email = ? OR g.recipient_phone = ?)
                   AND (? IS NULL OR g.user_id != ?)
+                  AND g.status != 'scheduled'
+                  AND NOT (g.status = 'cancelled' AND g.deliver_at IS NOT NULL AND g.delivered_at IS NULL)
                 ORDER BY g.created_at DESC
             `;
 
@@ -754,15 +1341,15 @@ class DatabaseService {
 
     // Contact management
     async createContact(userId, contactData) {
-        const { name, email, phone, relationship, birthday } = contactData;
+        const { name, email, phone, relationship, birthday, trusted, timeZone } = contactData;
 
         return new Promise((resolve, reject) => {
             const sql = `
-                INSERT INTO contacts (user_id, name, email, phone, relationship, birthday)
-                VALUES (?, ?, ?, ?, ?, ?)
+                INSERT INTO contacts (user_id, name, email, phone, relationship, birthday, trusted, timezone)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?)
             `;
 
-            this.db.run(sql, [userId, name, email || null, phone || null, relationship || null, birthday || null], function(err) {
+            this.db.run(sql, [userId, name, email || null, phone || null, relationship || null, birthday || null, trusted ? 1 : 0, timeZone || null], function(err) {
                 if (err) {
                     reject(new Error('Contact creation failed: ' + err.message));
                 } else {
@@ -773,7 +1360,9 @@ class DatabaseService {
                         email: email || null,
                         phone: phone || null,
                         relationship: relationship || null,
-                        birthday: birthday || null
+                        birthday: birthday || null,
+                        trusted: !!trusted,
+                        timezone: timeZone || null
                     });
                 }
             });
@@ -783,7 +1372,7 @@ class DatabaseService {
     async getUserContacts(userId) {
         return new Promise((resolve, reject) => {
             const sql = `
-                SELECT id, name, email, phone, relationship, birthday, created_at
+                SELECT id, name, email, phone, relationship, birthday, trusted, timezone, created_at
                 FROM contacts
                 WHERE user_id = ?
                 ORDER BY created_at DESC
@@ -813,6 +1402,44 @@ class DatabaseService {
         });
     }
 
+    /**
+     * Mark a contact as trusted (or not). Resolves false if the contact isn't the user's.
+     */
+    async setContactTrusted(userId, contactId, trusted) {
+        return new Promise((resolve, reject) => {
+            const sql = `
+                UPDATE contacts SET trusted = ?, updated_at = CURRENT_TIMESTAMP
+                WHERE id = ? AND user_id = ?
+            `;
+
+            this.db.run(sql, [trusted ? 1 : 0, contactId, userId], function(err) {
+                if (err) {
+                    reject(new Error('Contact update failed: ' + err.message));
+                } else {
+                    resolve(this.changes > 0);
+                }
+            });
+        });
+    }
+
+    async getTrustedContacts(userId) {
+        return new Promise((resolve, reject) => {
+            const sql = `
+                SELECT id, name, email, phone
+                FROM contacts
+                WHERE user_id = ? AND trusted = 1
+            `;
+
+            this.db.all(sql, [userId], (err, rows) => {
+                if (err) {
+                    reject(new Error('Trusted contacts lookup failed: ' + err.message));
+                } else {
+                    resolve(rows || []);
+                }
+            });
+        });
+    }
+
     // Special dates management
     async createSpecialDate(contactId, dateData) {
         const { dateName, dateValue, notes } = dateData;
@@ -872,8 +1499,75 @@ class DatabaseService {
         });
     }
 
-    // Verify contact ownership before special date operations
-    async verifyContactOwnership(userId, contactId) {
+    /**
+     * Contacts joined with their owner and special dates, one row per special date
+     * (or a single row with null special date columns when a contact has none).
+     * Pass a userId to limit the result to one user's contacts.
+     */
+    async getSpecialDateSources(userId = null) {
+        return new Promise((resolve, reject) => {
+            const sql = `
+                SELECT c.id as contact_id, c.user_id, c.name as contact_name, c.email as contact_email,
+                       c.phone as contact_phone, c.birthday,
+                       u.name as user_name, u.email as user_email, u.phone as user_phone,
+                       sd.id as special_date_id, sd.date_name, sd.date_value, sd.notes
+                FROM contacts c
+                JOIN users u ON c.user_id = u.id
+                LEFT JOIN special_dates sd ON sd.contact_id = c.id
+                WHERE u.is_active = 1 AND (? IS NULL OR c.user_id = ?)
+                ORDER BY c.id ASC
+            `;
+
+            this.db.all(sql, [userId, userId], (err, rows) => {
+                if (err) {
+                    reject(new Error('Special date sources lookup failed: ' + err.message));
+                } else {
+                    resolve(rows || []);
+                }
+            });
+        });
+    }
+
+    /**
+     * Record that a sender was reminded about a date occurrence.
+     * Resolves false if this occurrence was already recorded.
+     */
+    async claimSpecialDateNotification(userId, contactId, occasionKey, occurrenceDate) {
+        return new Promise((resolve, reject) => {
+            const sql = `
+                INSERT OR IGNORE INTO special_date_notifications (user_id, contact_id, occasion_key, occurrence_date)
+                VALUES (?, ?, ?, ?)
+            `;
+
+            this.db.run(sql, [userId, contactId, occasionKey, occurrenceDate], function(err) {
+                if (err) {
+                    reject(new Error('Special date notification save failed: ' + err.message));
+                } else {
+                    resolve(this.changes > 0);
+                }
+            });
+        });
+    }
+
+    async updateSpecialDateNotificationChannels(contactId, occasionKey, occurrenceDate, channels) {
+        return new Promise((resolve, reject) => {
+            const sql = `
+                UPDATE special_date_notifications SET channels = ?
+                WHERE contact_id = ? AND occasion_key = ? AND occurrence_date = ?
+            `;
+
+            this.db.run(sql, [channels, contactId, occasionKey, occurrenceDate], function(err) {
+                if (err) {
+                    reject(new Error('Special date notification update failed: ' + err.message));
+                } else {
+                    resolve(this.changes > 0);
+                }
+            });
+        });
+    }
+
+    // Verify contact ownership before special date operations
+    async verifyContactOwnership(userId, contactId) {
         return new Promise((resolve, reject) => {
             const sql = `SELECT id FROM contacts WHERE id = ? AND user_id = ?`;
 
@@ -903,8 +1597,8 @@ class DatabaseService {
                 type,
                 description,
                 JSON.stringify(requirements || {}),
-                JSON.stringify(progress || { started: false, completed: false, currentStep: 0, totalSteps: 1, submissions: [] }),
-                reminderFrequency || 'daily'
+                JSON.stringify(progress || { started: false, completed: false, currentStep: 0, totalSteps: (requirements && requirements.totalSteps) || 1, submissions: [] }),
+                reminderFrequency || DEFAULT_REMINDER_FREQUENCY
             ], function(err) {
                 if (err) {
                     reject(new Error('Challenge creation failed: ' + err.message));
@@ -965,13 +1659,22 @@ class DatabaseService {
         });
     }
 
-    async updateChallengeReminderSent(challengeId) {
+    /**
+     * Save a streak check-in, guarded on the previous check-in date so two
+     * check-ins racing on the same day cannot both count. Resolves false if
+     * another check-in was saved first.
+     */
+    async saveStreakCheckIn(challengeId, progress, previousCheckInDate) {
         return new Promise((resolve, reject) => {
-            const sql = `UPDATE challenges SET last_reminder_sent = CURRENT_TIMESTAMP WHERE id = ?`;
+            const sql = `
+                UPDATE challenges
+                SET progress = ?
+                WHERE id = ? AND json_extract(progress, '$.streak.lastCheckInDate') IS ?
+            `;
 
-            this.db.run(sql, [challengeId], function(err) {
+            this.db.run(sql, [JSON.stringify(progress), challengeId, previousCheckInDate || null], function(err) {
                 if (err) {
-                    reject(new Error('Challenge reminder update failed: ' + err.message));
+                    reject(new Error('Streak check-in failed: ' + err.message));
                 } else {
                     resolve(this.changes > 0);
                 }
@@ -979,94 +1682,145 @@ class DatabaseService {
         });
     }
 
-    // Photo submission methods
-    async createPhotoSubmission(submissionData) {
-        const { id, challengeId, giftId, photoUrl, submitterPhone, status } = submissionData;
+    /**
+     * Save a quiz answer, unless another answer was recorded since the caller
+     * read the challenge. Resolves false if the write lost that race.
+     */
+    async saveQuizAnswer(challengeId, progress, previousAttemptCount) {
+        return new Promise((resolve, reject) => {
+            const sql = `
+                UPDATE challenges
+                SET progress = ?
+                WHERE id = ? AND COALESCE(json_extract(progress, '$.quiz.totalAttempts'), 0) = ?
+            `;
+
+            this.db.run(sql, [JSON.stringify(progress), challengeId, previousAttemptCount || 0], function(err) {
+                if (err) {
+                    reject(new Error('Quiz answer save failed: ' + err.message));
+                } else {
+                    resolve(this.changes > 0);
+                }
+            });
+        });
+    }
 
+    /**
+     * Save a location check-in, unless another submission was recorded since
+     * the caller read the challenge (two check-ins racing could otherwise both
+     * count, or one overwrite the other). Resolves false if the write lost that race.
+     */
+    async saveLocationCheckIn(challengeId, progress, previousSubmissionCount) {
         return new Promise((resolve, reject) => {
             const sql = `
-                INSERT INTO photo_submissions (id, challenge_id, gift_id, photo_url, submitter_phone, status)
-                VALUES (?, ?, ?, ?, ?, ?)
+                UPDATE challenges
+                SET progress = ?
+                WHERE id = ? AND COALESCE(json_array_length(progress, '$.submissions'), 0) = ?
             `;
 
-            this.db.run(sql, [
-                id,
-                challengeId,
-                giftId,
-                photoUrl,
-                submitterPhone || null,
-                status || 'pending_approval'
-            ], function(err) {
+            this.db.run(sql, [JSON.stringify(progress), challengeId, previousSubmissionCount || 0], function(err) {
                 if (err) {
-                    reject(new Error('Photo submission creation failed: ' + err.message));
+                    reject(new Error('Location check-in failed: ' + err.message));
                 } else {
-                    resolve({ id, challengeId, giftId, photoUrl, status: status || 'pending_approval' });
+                    resolve(this.changes > 0);
                 }
             });
         });
     }
 
-    async getPhotoSubmissionById(submissionId) {
+    /**
+     * Update a challenge's editable details. Fields left undefined are unchanged.
+     * @param {object} details - { type, description, requirements, progress }
+     */
+    async updateChallengeDetails(challengeId, details) {
+        const { type, description, requirements, progress } = details;
+
         return new Promise((resolve, reject) => {
-            const sql = `SELECT * FROM photo_submissions WHERE id = ?`;
+            const sql = `
+                UPDATE challenges
+                SET type = COALESCE(?, type),
+                    description = COALESCE(?, description),
+                    requirements = COALESCE(?, requirements),
+                    progress = COALESCE(?, progress)
+                WHERE id = ?
+            `;
 
-            this.db.get(sql, [submissionId], (err, row) => {
+            this.db.run(sql, [
+                type || null,
+                description !== undefined ? description : null,
+                requirements ? JSON.stringify(requirements) : null,
+                progress ? JSON.stringify(progress) : null,
+                challengeId
+            ], function(err) {
                 if (err) {
-                    reject(new Error('Photo submission lookup failed: ' + err.message));
+                    reject(new Error('Challenge update failed: ' + err.message));
                 } else {
-                    resolve(row);
+                    resolve(this.changes > 0);
                 }
             });
         });
     }
 
-    async getPhotoSubmissionsByGiftId(giftId) {
+    async updateChallengeReminderSent(challengeId) {
         return new Promise((resolve, reject) => {
-            const sql = `SELECT * FROM photo_submissions WHERE gift_id = ? ORDER BY submitted_at DESC`;
+            const sql = `UPDATE challenges SET last_reminder_sent = CURRENT_TIMESTAMP WHERE id = ?`;
 
-            this.db.all(sql, [giftId], (err, rows) => {
+            this.db.run(sql, [challengeId], function(err) {
                 if (err) {
-                    reject(new Error('Photo submissions lookup failed: ' + err.message));
+                    reject(new Error('Challenge reminder update failed: ' + err.message));
                 } else {
-                    resolve(rows || []);
+                    resolve(this.changes > 0);
                 }
             });
         });
     }
 
-    async getPendingApprovalsBySenderId(userId) {
+    // Scheduled reminder methods
+    async getChallengesForReminders() {
         return new Promise((resolve, reject) => {
+            // Only gifts still waiting on the recipient: not unlocked and not awaiting sender review
             const sql = `
-                SELECT ps.*, g.recipient_name, g.recipient_email, g.recipient_phone,
-                       g.gift_type, g.gift_value, g.tracking_id, c.description as challenge_description
-                FROM photo_submissions ps
-                JOIN gift_orders g ON ps.gift_id = g.tracking_id
-                JOIN challenges c ON ps.challenge_id = c.id
-                WHERE g.user_id = ? AND ps.status = 'pending_approval'
-                ORDER BY ps.submitted_at DESC
+                SELECT c.*, g.tracking_id, g.recipient_name, g.recipient_phone, g.recipient_email,
+                       g.delivery_method, g.gift_type, g.status as gift_status,
+                       g.sms_health, g.email_health,
+                       g.reminder_frequency as gift_reminder_frequency,
+                       g.created_at as gift_created_at, u.name as sender_name
+                FROM challenges c
+                JOIN gift_orders g ON c.gift_id = g.tracking_id
+                LEFT JOIN users u ON g.user_id = u.id
+                WHERE (g.unlocked IS NULL OR g.unlocked = 0)
+                  AND g.status IN ('delivered', 'accepted', 'in_progress')
             `;
 
-            this.db.all(sql, [userId], (err, rows) => {
+            this.db.all(sql, [], (err, rows) => {
                 if (err) {
-                    reject(new Error('Pending approvals lookup failed: ' + err.message));
+                    reject(new Error('Reminder challenges lookup failed: ' + err.message));
                 } else {
+                    (rows || []).forEach(row => {
+                        row.requirements = JSON.parse(row.requirements || '{}');
+                        row.progress = JSON.parse(row.progress || '{}');
+                    });
                     resolve(rows || []);
                 }
             });
         });
     }
 
-    async updatePhotoSubmissionStatus(submissionId, status, rejectionReason = null) {
+    /**
+     * Atomically claim the next reminder slot for a challenge.
+     * Succeeds only if reminder_count still matches what the caller read, so two
+     * overlapping sweeps (or a sweep racing a restart) can never both send.
+     */
+    async claimChallengeReminder(challengeId, expectedCount) {
         return new Promise((resolve, reject) => {
             const sql = `
-                UPDATE photo_submissions
-                SET status = ?, rejection_reason = ?, reviewed_at = CURRENT_TIMESTAMP
-                WHERE id = ?
+                UPDATE challenges
+                SET reminder_count = COALESCE(reminder_count, 0) + 1, last_reminder_sent = CURRENT_TIMESTAMP
+                WHERE id = ? AND COALESCE(reminder_count, 0) = ?
             `;
 
-            this.db.run(sql, [status, rejectionReason, submissionId], function(err) {
+            this.db.run(sql, [challengeId, expectedCount], function(err) {
                 if (err) {
-                    reject(new Error('Photo submission update failed: ' + err.message));
+                    reject(new Error('Reminder claim failed: ' + err.message));
                 } else {
                     resolve(this.changes > 0);
                 }
@@ -1074,33 +1828,34 @@ class DatabaseService {
         });
     }
 
-    // Gift order updates for unlock workflow
-    async updateGiftOrderStatus(trackingId, status) {
+    async createReminderRun() {
         return new Promise((resolve, reject) => {
-            const sql = `UPDATE gift_orders SET status = ?, updated_at = CURRENT_TIMESTAMP WHERE tracking_id = ?`;
+            const sql = `INSERT INTO reminder_runs (started_at) VALUES (CURRENT_TIMESTAMP)`;
 
-            this.db.run(sql, [status, trackingId], function(err) {
+            this.db.run(sql, [], function(err) {
                 if (err) {
-                    reject(new Error('Gift order status update failed: ' + err.message));
+                    reject(new Error('Reminder run creation failed: ' + err.message));
                 } else {
-                    resolve(this.changes > 0);
+                    resolve(this.lastID);
                 }
             });
         });
     }
 
-    async unlockGiftOrder(trackingId, photoSubmissionUrl = null) {
+    async finishReminderRun(runId, stats) {
+        const { checked, sent, skipped, failed, errorMessage } = stats;
+
         return new Promise((resolve, reject) => {
             const sql = `
-                UPDATE gift_orders
-                SET status = 'completed', unlocked = 1, unlocked_at = CURRENT_TIMESTAMP,
-                    photo_submission_url = ?, updated_at = CURRENT_TIMESTAMP
-                WHERE tracking_id = ?
+                UPDATE reminder_runs
+                SET finished_at = CURRENT_TIMESTAMP, challenges_checked = ?, reminders_sent = ?,
+                    reminders_skipped = ?, reminders_failed = ?, error_message = ?
+                WHERE id = ?
             `;
 
-            this.db.run(sql, [photoSubmissionUrl, trackingId], function(err) {
+            this.db.run(sql, [checked || 0, sent || 0, skipped || 0, failed || 0, errorMessage || null, runId], function(err) {
                 if (err) {
-                    reject(new Error('Gift order unlock failed: ' + err.message));
+                    reject(new Error('Reminder run update failed: ' + err.message));
                 } else {
                     resolve(this.changes > 0);
                 }
@@ -1108,54 +1863,84 @@ class DatabaseService {
         });
     }
 
-    async redeemGiftOrder(trackingId) {
+    async logReminderAttempt(attempt) {
+        const { runId, challengeId, giftId, channel, status, detail } = attempt;
+
         return new Promise((resolve, reject) => {
             const sql = `
-                UPDATE gift_orders
-                SET redeemed = 1, redeemed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
-                WHERE tracking_id = ?
+                INSERT INTO reminder_log (run_id, challenge_id, gift_id, channel, status, detail)
+                VALUES (?, ?, ?, ?, ?, ?)
             `;
 
-            this.db.run(sql, [trackingId], function(err) {
+            this.db.run(sql, [runId || null, challengeId, giftId || null, channel || null, status, detail || null], function(err) {
                 if (err) {
-                    reject(new Error('Gift order redeem failed: ' + err.message));
+                    reject(new Error('Reminder log failed: ' + err.message));
                 } else {
-                    resolve(this.changes > 0);
+                    resolve(this.lastID);
                 }
             });
         });
     }
 
-    async markGiftReceived(trackingId) {
+    // Photo (and video) submission methods
+    /**
+     * @param {object} submissionData - { id, challengeId, giftId, photoUrl, submitterPhone, status, step,
+     *   mediaType: 'photo'|'video', media: { mimeType, fileSize, durationSeconds, width, height, posterUrl,
+     *   thumbnailUrl, mediumUrl } }
+     */
+    async createPhotoSubmission(submissionData) {
+        const { id, challengeId, giftId, photoUrl, submitterPhone, status, step } = submissionData;
+        const mediaType = submissionData.mediaType || 'photo';
+        const media = submissionData.media || {};
+        // { submissionId, distance, scope } of an earlier near-identical submission
+        const duplicate = submissionData.duplicate || {};
+
         return new Promise((resolve, reject) => {
             const sql = `
-                UPDATE gift_orders
-                SET received = 1, received_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
-                WHERE tracking_id = ? AND received = 0
+                INSERT INTO photo_submissions (id, challenge_id, gift_id, photo_url, submitter_phone, status,
+                    media_type, mime_type, file_size, duration_seconds, width, height, poster_url,
+                    thumbnail_url, medium_url, perceptual_hash, duplicate_of, duplicate_distance, duplicate_scope, step)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
             `;
 
-            this.db.run(sql, [trackingId], function(err) {
+            this.db.run(sql, [
+                id,
+                challengeId,
+                giftId,
+                photoUrl,
+                submitterPhone || null,
+                status || 'pending_approval',
+                mediaType,
+                media.mimeType || null,
+                media.fileSize || null,
+                media.durationSeconds ?? null,
+                media.width || null,
+                media.height || null,
+                media.posterUrl || null,
+                media.thumbnailUrl || null,
+                media.mediumUrl || null,
+                media.perceptualHash || null,
+                duplicate.submissionId || null,
+                duplicate.distance ?? null,
+                duplicate.scope || null,
+                step || null
+            ], function(err) {
                 if (err) {
-                    reject(new Error('Mark gift received failed: ' + err.message));
+                    reject(new Error('Photo submission creation failed: ' + err.message));
                 } else {
-                    resolve(this.changes > 0);
+                    resolve({ id, challengeId, giftId, photoUrl, mediaType, step: step || null, status: status || 'pending_approval' });
                 }
             });
         });
     }
 
-    async getGiftOrderByTrackingId(trackingId) {
+    async getPhotoSubmissionById(submissionId) {
         return new Promise((resolve, reject) => {
-            const sql = `
-                SELECT g.*, u.name as sender_name, u.email as sender_email, u.phone as sender_phone
-                FROM gift_orders g
-                LEFT JOIN users u ON g.user_id = u.id
-                WHERE g.tracking_id = ?
-            `;
+            const sql = `SELECT * FROM photo_submissions WHERE id = ?`;
 
-            this.db.get(sql, [trackingId], (err, row) => {
+            this.db.get(sql, [submissionId], (err, row) => {
                 if (err) {
-                    reject(new Error('Gift order lookup failed: ' + err.message));
+                    reject(new Error('Photo submission lookup failed: ' + err.message));
                 } else {
                     resolve(row);
                 }
@@ -1163,40 +1948,59 @@ class DatabaseService {
         });
     }
 
-    async getGiftOrderByRecipientPhone(phone) {
+    /**
+     * Find which gift owns an uploaded file: the gift whose check-in progress
+     * holds it, or else the gift of the first submission made with it (the
+     * upload that stored it). Later submissions reusing the URL don't count.
+     * @param {string} mediaUrl - e.g. '/uploads/photos/photo-<uuid>-thumbnail.jpg'
+     * @param {string} stem - The URL without rendition suffix and extension, e.g. '/uploads/photos/photo-<uuid>.'
+     * @returns {Promise<string|null>} - Gift tracking ID
+     */
+    async getGiftIdForMedia(mediaUrl, stem) {
         return new Promise((resolve, reject) => {
             const sql = `
-                SELECT g.*, u.name as sender_name, u.email as sender_email, u.phone as sender_phone
-                FROM gift_orders g
-                LEFT JOIN users u ON g.user_id = u.id
-                WHERE g.recipient_phone = ? AND g.status != 'completed'
-                ORDER BY g.created_at DESC
+                SELECT gift_id FROM (
+                    SELECT gift_id, 0 AS source, NULL AS submitted_at, rowid AS seq FROM challenges
+                    WHERE progress IS NOT NULL AND instr(progress, ?) > 0
+                    UNION ALL
+                    SELECT gift_id, 1 AS source, submitted_at, rowid AS seq FROM photo_submissions
+                    WHERE ? IN (photo_url, thumbnail_url, medium_url, poster_url)
+                )
+                ORDER BY source, submitted_at, seq
                 LIMIT 1
             `;
 
-            this.db.get(sql, [phone], (err, row) => {
+            this.db.get(sql, [stem, mediaUrl], (err, row) => {
                 if (err) {
-                    reject(new Error('Gift order lookup failed: ' + err.message));
+                    reject(new Error('Media lookup failed: ' + err.message));
                 } else {
-                    resolve(row);
+                    resolve(row ? row.gift_id : null);
                 }
             });
         });
     }
 
-    async getActiveGiftsByRecipientPhone(phone) {
+    /**
+     * Hashed submissions with their gift's recipient, for duplicate checks
+     * @param {string[]} bands - Only submissions sharing one of these hash bands
+     *   (utils/perceptualHash hashBands), through the band indexes; omit for all of them
+     */
+    async getPhotoSubmissionHashes(bands = null) {
         return new Promise((resolve, reject) => {
+            const bandFilter = bands
+                ? `AND (${bands.map((_, band) => `${hashBandSql(band, 'ps.perceptual_hash')} = ?`).join(' OR ')})`
+                : '';
             const sql = `
-                SELECT g.*, u.name as sender_name, u.email as sender_email
-                FROM gift_orders g
-                LEFT JOIN users u ON g.user_id = u.id
-                WHERE g.recipient_phone = ? AND g.status != 'completed'
-                ORDER BY g.created_at DESC
+                SELECT ps.id, ps.gift_id, ps.perceptual_hash, ps.status, ps.submitted_at,
+                       g.recipient_email, g.recipient_phone
+                FROM photo_submissions ps
+                LEFT JOIN gift_orders g ON ps.gift_id = g.tracking_id
+                WHERE ps.perceptual_hash IS NOT NULL ${bandFilter}
             `;
 
-            this.db.all(sql, [phone], (err, rows) => {
+            this.db.all(sql, bands || [], (err, rows) => {
                 if (err) {
-                    reject(new Error('Active gifts lookup failed: ' + err.message));
+                    reject(new Error('Photo submission hashes lookup failed: ' + err.message));
                 } else {
                     resolve(rows || []);
                 }
@@ -1204,103 +2008,1355 @@ class DatabaseService {
         });
     }
 
-    async linkChallengeToGiftOrder(trackingId, challengeId) {
+    /**
+     * Every submission's media with its gift's status, for the retention sweep
+     */
+    async getSubmissionMediaForSweep() {
         return new Promise((resolve, reject) => {
-            const sql = `UPDATE gift_orders SET challenge_id = ? WHERE tracking_id = ?`;
+            const sql = `
+                SELECT ps.id, ps.gift_id, ps.status, ps.photo_url, ps.thumbnail_url, ps.medium_url,
+                       ps.poster_url, ps.submitted_at, ps.reviewed_at, ps.media_deleted_at, ps.media_deleted_reason,
+                       ps.media_missing_at, g.status as gift_status, g.redeemed_at as gift_redeemed_at,
+                       COALESCE(
+                           (SELECT MAX(h.created_at) FROM gift_status_history h
+                            WHERE h.gift_id = ps.gift_id AND h.to_status = 'cancelled'),
+                           g.updated_at
+                       ) as gift_closed_at
+                FROM photo_submissions ps
+                LEFT JOIN gift_orders g ON ps.gift_id = g.tracking_id
+            `;
 
-            this.db.run(sql, [challengeId, trackingId], function(err) {
+            this.db.all(sql, [], (err, rows) => {
                 if (err) {
-                    reject(new Error('Challenge link failed: ' + err.message));
+                    reject(new Error('Submission media lookup failed: ' + err.message));
                 } else {
-                    resolve(this.changes > 0);
+                    resolve(rows || []);
                 }
             });
         });
     }
 
-    // SMS opt-out management
-    async isPhoneOptedOut(phone) {
+    /**
+     * Challenges whose progress refers to uploaded media (check-in photos), with their gift's status
+     */
+    async getChallengeMediaForSweep() {
         return new Promise((resolve, reject) => {
-            const sql = `SELECT id FROM sms_opt_outs WHERE phone = ?`;
-            this.db.get(sql, [phone], (err, row) => {
-                if (err) reject(new Error('Opt-out check failed: ' + err.message));
-                else resolve(!!row);
-            });
-        });
-    }
+            const sql = `
+                SELECT c.id, c.gift_id, c.progress,
+                       g.status as gift_status, g.redeemed_at as gift_redeemed_at,
+                       COALESCE(
+                           (SELECT MAX(h.created_at) FROM gift_status_history h
+                            WHERE h.gift_id = c.gift_id AND h.to_status = 'cancelled'),
+                           g.updated_at
+                       ) as gift_closed_at
+                FROM challenges c
+                LEFT JOIN gift_orders g ON c.gift_id = g.tracking_id
+                WHERE c.progress LIKE '%/uploads/%'
+            `;
 
-    async addSmsOptOut(phone) {
-        return new Promise((resolve, reject) => {
-            const sql = `INSERT OR IGNORE INTO sms_opt_outs (phone) VALUES (?)`;
-            this.db.run(sql, [phone], function(err) {
-                if (err) reject(new Error('Opt-out save failed: ' + err.message));
-                else resolve(true);
+            this.db.all(sql, [], (err, rows) => {
+                if (err) {
+                    reject(new Error('Challenge media lookup failed: ' + err.message));
+                } else {
+                    resolve(rows || []);
+                }
             });
         });
     }
 
-    async removeSmsOptOut(phone) {
+    /**
+     * Record that submissions' files were deleted; the rows (and their hashes) are kept
+     */
+    async markSubmissionMediaDeleted(submissionIds, reason) {
+        if (!submissionIds || submissionIds.length === 0) {
+            return 0;
+        }
+
         return new Promise((resolve, reject) => {
-            const sql = `DELETE FROM sms_opt_outs WHERE phone = ?`;
-            this.db.run(sql, [phone], function(err) {
-                if (err) reject(new Error('Opt-in save failed: ' + err.message));
-                else resolve(this.changes > 0);
+            const placeholders = submissionIds.map(() => '?').join(', ');
+            const sql = `
+                UPDATE photo_submissions
+                SET media_deleted_at = CURRENT_TIMESTAMP, media_deleted_reason = ?
+                WHERE id IN (${placeholders}) AND media_deleted_at IS NULL
+            `;
+
+            this.db.run(sql, [reason, ...submissionIds], function(err) {
+                if (err) {
+                    reject(new Error('Submission media update failed: ' + err.message));
+                } else {
+                    resolve(this.changes);
+                }
             });
         });
     }
 
-    // SMS opt-in consent tracking
-    async hasPhoneOptedIn(phone) {
+    /**
+     * Flag submissions whose media is gone from storage. The rows stay: an
+     * approved submission is what unlocked (or will unlock) its gift.
+     * @returns {Promise<number>} - Rows flagged
+     */
+    async markSubmissionMediaMissing(submissionIds) {
+        if (!submissionIds || submissionIds.length === 0) {
+            return 0;
+        }
+
         return new Promise((resolve, reject) => {
-            const sql = `SELECT id FROM sms_opt_ins WHERE phone = ?`;
-            this.db.get(sql, [phone], (err, row) => {
-                if (err) reject(new Error('Opt-in check failed: ' + err.message));
-                else resolve(!!row);
+            const placeholders = submissionIds.map(() => '?').join(', ');
+            const sql = `
+                UPDATE photo_submissions SET media_missing_at = CURRENT_TIMESTAMP
+                WHERE id IN (${placeholders}) AND media_missing_at IS NULL
+            `;
+
+            this.db.run(sql, submissionIds, function(err) {
+                if (err) {
+                    reject(new Error('Submission media update failed: ' + err.message));
+                } else {
+                    resolve(this.changes);
+                }
             });
         });
     }
 
-    async addSmsOptIn(phone, method = 'sms_keyword') {
+    async deletePhotoSubmissions(submissionIds) {
+        if (!submissionIds || submissionIds.length === 0) {
+            return 0;
+        }
+
         return new Promise((resolve, reject) => {
-            const sql = `INSERT OR REPLACE INTO sms_opt_ins (phone, opted_in_at, consent_method) VALUES (?, CURRENT_TIMESTAMP, ?)`;
-            this.db.run(sql, [phone, method], function(err) {
-                if (err) reject(new Error('Opt-in save failed: ' + err.message));
-                else resolve(true);
+            const placeholders = submissionIds.map(() => '?').join(', ');
+            const sql = `DELETE FROM photo_submissions WHERE id IN (${placeholders})`;
+
+            this.db.run(sql, submissionIds, function(err) {
+                if (err) {
+                    reject(new Error('Photo submission deletion failed: ' + err.message));
+                } else {
+                    resolve(this.changes);
+                }
             });
         });
     }
 
-    async removeSmsOptIn(phone) {
+    async getPhotoSubmissionsByGiftId(giftId) {
         return new Promise((resolve, reject) => {
-            const sql = `DELETE FROM sms_opt_ins WHERE phone = ?`;
-            this.db.run(sql, [phone], function(err) {
-                if (err) reject(new Error('Opt-in removal failed: ' + err.message));
-                else resolve(this.changes > 0);
+            const sql = `SELECT * FROM photo_submissions WHERE gift_id = ? ORDER BY submitted_at DESC`;
+
+            this.db.all(sql, [giftId], (err, rows) => {
+                if (err) {
+                    reject(new Error('Photo submissions lookup failed: ' + err.message));
+                } else {
+                    resolve(rows || []);
+                }
             });
         });
     }
 
-    // SMS message logging
-    async logOutboundMessage(messageSid, to, from, body, mediaUrl, giftId) {
+    async getPendingApprovalsBySenderId(userId) {
         return new Promise((resolve, reject) => {
-            const sql = `INSERT INTO sms_messages (message_sid, to_phone, from_phone, body, media_url, direction, gift_id) VALUES (?, ?, ?, ?, ?, 'outbound', ?)`;
-            this.db.run(sql, [messageSid, to, from, body, mediaUrl || null, giftId || null], function(err) {
-                if (err) reject(new Error('Message log failed: ' + err.message));
-                else resolve(this.lastID);
-            });
+            const sql = `
+                SELECT ps.*, g.recipient_name, g.recipient_email, g.recipient_phone,
+                       g.gift_type, g.gift_value, g.tracking_id, g.auto_approve_hours,
+                       c.description as challenge_description,
+                       json_extract(c.progress, '$.totalSteps') as total_steps,
+                       dup.gift_id as duplicate_gift_id, dup.status as duplicate_status,
+                       dup.submitted_at as duplicate_submitted_at,
+                       COALESCE(dup.thumbnail_url, dup.poster_url) as duplicate_thumbnail_url,
+                       dg.user_id as duplicate_sender_id
+                FROM photo_submissions ps
+                JOIN gift_orders g ON ps.gift_id = g.tracking_id
+                JOIN challenges c ON ps.challenge_id = c.id
+                LEFT JOIN photo_submissions dup ON ps.duplicate_of = dup.id
+                LEFT JOIN gift_orders dg ON dup.gift_id = dg.tracking_id
+                WHERE g.user_id = ? AND ps.status = 'pending_approval'
+                ORDER BY ps.submitted_at DESC
+            `;
+
+            this.db.all(sql, [userId], (err, rows) => {
+                if (err) {
+                    reject(new Error('Pending approvals lookup failed: ' + err.message));
+                } else {
+                    resolve(rows || []);
+                }
+            });
+        });
+    }
+
+    /**
+     * Record the sender's review of a pending submission. Resolves false if it
+     * was already reviewed.
+     * @param {object} review - { status: 'approved'|'rejected'|'retake_requested', rejectionReason,
+     *   reviewComment, retakeReason, retakeInstructions, autoApproved: 'timeout'|'trusted' }
+     */
+    async reviewPhotoSubmission(submissionId, review) {
+        return new Promise((resolve, reject) => {
+            const sql = `
+                UPDATE photo_submissions
+                SET status = ?, rejection_reason = ?, review_comment = ?, retake_reason = ?,
+                    retake_instructions = ?, auto_approved = ?, reviewed_at = CURRENT_TIMESTAMP
+                WHERE id = ? AND status = 'pending_approval'
+            `;
+
+            this.db.run(sql, [
+                review.status,
+                review.rejectionReason || null,
+                review.reviewComment || null,
+                review.retakeReason || null,
+                review.retakeInstructions || null,
+                review.autoApproved || null,
+                submissionId
+            ], function(err) {
+                if (err) {
+                    reject(new Error('Photo submission update failed: ' + err.message));
+                } else {
+                    resolve(this.changes > 0);
+                }
+            });
+        });
+    }
+
+    /**
+     * Close the other pending submissions for a step once one of them is approved
+     * @returns {Promise<number>} - Submissions superseded
+     */
+    async supersedePendingSubmissions(giftId, step, approvedSubmissionId) {
+        return new Promise((resolve, reject) => {
+            const sql = `
+                UPDATE photo_submissions
+                SET status = 'superseded', reviewed_at = CURRENT_TIMESTAMP
+                WHERE gift_id = ? AND COALESCE(step, 1) = ? AND id != ? AND status = 'pending_approval'
+            `;
+
+            this.db.run(sql, [giftId, step, approvedSubmissionId], function(err) {
+                if (err) {
+                    reject(new Error('Photo submission update failed: ' + err.message));
+                } else {
+                    resolve(this.changes);
+                }
+            });
+        });
+    }
+
+    /**
+     * Pending submissions of gifts with automatic approval turned on, oldest first,
+     * with the gift and its sender
+     */
+    async getSubmissionsForAutoApproval() {
+        return new Promise((resolve, reject) => {
+            const sql = `
+                SELECT ps.*, g.user_id, g.status as gift_status, g.auto_approve_hours, g.auto_approve_trusted,
+                       g.recipient_name, g.recipient_email, g.recipient_phone,
+                       u.name as sender_name, u.email as sender_email, u.phone as sender_phone
+                FROM photo_submissions ps
+                JOIN gift_orders g ON ps.gift_id = g.tracking_id
+                LEFT JOIN users u ON g.user_id = u.id
+                WHERE ps.status = 'pending_approval' AND g.status = 'pending_approval'
+                  AND (g.auto_approve_hours IS NOT NULL OR g.auto_approve_trusted = 1)
+                ORDER BY ps.submitted_at ASC
+            `;
+
+            this.db.all(sql, [], (err, rows) => {
+                if (err) {
+                    reject(new Error('Auto-approval lookup failed: ' + err.message));
+                } else {
+                    resolve(rows || []);
+                }
+            });
+        });
+    }
+
+    /**
+     * Record that the sender got approval reminder number `stage` for a pending
+     * submission. Resolves false if that reminder (or a later one) was already sent.
+     */
+    async claimApprovalReminder(submissionId, stage) {
+        return new Promise((resolve, reject) => {
+            const sql = `
+                UPDATE photo_submissions
+                SET approval_reminders_sent = ?
+                WHERE id = ? AND status = 'pending_approval' AND COALESCE(approval_reminders_sent, 0) < ?
+            `;
+
+            this.db.run(sql, [stage, submissionId, stage], function(err) {
+                if (err) {
+                    reject(new Error('Approval reminder update failed: ' + err.message));
+                } else {
+                    resolve(this.changes > 0);
+                }
+            });
+        });
+    }
+
+    // Gift lifecycle (status changes go through giftLifecycleService)
+    /**
+     * Move a gift from one status to another, guarded on the current status so
+     * concurrent transitions cannot both apply. Resolves false if the gift was
+     * no longer in fromStatus.
+     * @param {object} effects - { columns: {column: value}, timestamps: [column] }
+     *   timestamps are set to CURRENT_TIMESTAMP unless already set
+     */
+    async transitionGiftOrderStatus(trackingId, fromStatus, toStatus, effects = {}) {
+        const columns = effects.columns || {};
+        const timestamps = effects.timestamps || [];
+        const assignments = ['status = ?', 'updated_at = CURRENT_TIMESTAMP'];
+        const params = [toStatus];
+
+        Object.keys(columns).forEach(column => {
+            if (!/^[a-z_]+$/.test(column)) throw new Error(`Invalid gift order column: ${column}`);
+            assignments.push(`${column} = ?`);
+            params.push(columns[column]);
+        });
+        timestamps.forEach(column => {
+            if (!/^[a-z_]+$/.test(column)) throw new Error(`Invalid gift order column: ${column}`);
+            assignments.push(`${column} = COALESCE(${column}, CURRENT_TIMESTAMP)`);
+        });
+
+        return new Promise((resolve, reject) => {
+            const sql = `
+                UPDATE gift_orders
+                SET ${assignments.join(', ')}
+                WHERE tracking_id = ? AND status = ?
+            `;
+
+            this.db.run(sql, [...params, trackingId, fromStatus], function(err) {
+                if (err) {
+                    reject(new Error('Gift order status update failed: ' + err.message));
+                } else {
+                    resolve(this.changes > 0);
+                }
+            });
+        });
+    }
+
+    async addGiftStatusHistory(entry) {
+        const { giftId, fromStatus, toStatus, actor, actorId, reason } = entry;
+
+        return new Promise((resolve, reject) => {
+            const sql = `
+                INSERT INTO gift_status_history (gift_id, from_status, to_status, actor, actor_id, reason)
+                VALUES (?, ?, ?, ?, ?, ?)
+            `;
+
+            this.db.run(sql, [
+                giftId,
+                fromStatus || null,
+                toStatus,
+                actor,
+                actorId !== undefined && actorId !== null ? String(actorId) : null,
+                reason || null
+            ], function(err) {
+                if (err) {
+                    reject(new Error('Gift status history save failed: ' + err.message));
+                } else {
+                    resolve(this.lastID);
+                }
+            });
+        });
+    }
+
+    async getGiftStatusHistory(giftId) {
+        return new Promise((resolve, reject) => {
+            const sql = `
+                SELECT * FROM gift_status_history
+                WHERE gift_id = ?
+                ORDER BY created_at ASC, id ASC
+            `;
+
+            this.db.all(sql, [giftId], (err, rows) => {
+                if (err) {
+                    reject(new Error('Gift status history lookup failed: ' + err.message));
+                } else {
+                    resolve(rows || []);
+                }
+            });
+        });
+    }
+
+    // Gift unlock tiers
+    async createGiftTiers(giftId, tiers) {
+        return new Promise((resolve, reject) => {
+            const sql = `
+                INSERT INTO gift_tiers (gift_id, tier, after_step, value, label)
+                VALUES ${tiers.map(() => '(?, ?, ?, ?, ?)').join(', ')}
+            `;
+            const params = [];
+            tiers.forEach((tier, index) => {
+                params.push(giftId, index + 1, tier.afterStep, tier.value, tier.label || null);
+            });
+
+            this.db.run(sql, params, function(err) {
+                if (err) {
+                    reject(new Error('Gift tiers creation failed: ' + err.message));
+                } else {
+                    resolve(this.changes);
+                }
+            });
+        });
+    }
+
+    async getGiftTiers(giftId) {
+        return new Promise((resolve, reject) => {
+            const sql = `SELECT * FROM gift_tiers WHERE gift_id = ? ORDER BY tier ASC`;
+
+            this.db.all(sql, [giftId], (err, rows) => {
+                if (err) {
+                    reject(new Error('Gift tiers lookup failed: ' + err.message));
+                } else {
+                    resolve(rows || []);
+                }
+            });
+        });
+    }
+
+    async getGiftTiersForGifts(giftIds) {
+        if (!giftIds || giftIds.length === 0) {
+            return [];
+        }
+
+        return new Promise((resolve, reject) => {
+            const placeholders = giftIds.map(() => '?').join(', ');
+            const sql = `SELECT * FROM gift_tiers WHERE gift_id IN (${placeholders}) ORDER BY gift_id, tier ASC`;
+
+            this.db.all(sql, giftIds, (err, rows) => {
+                if (err) {
+                    reject(new Error('Gift tiers lookup failed: ' + err.message));
+                } else {
+                    resolve(rows || []);
+                }
+            });
+        });
+    }
+
+    /**
+     * Mark a tier unlocked. Resolves false if it already was.
+     */
+    async unlockGiftTier(giftId, tier) {
+        return new Promise((resolve, reject) => {
+            const sql = `
+                UPDATE gift_tiers
+                SET unlocked = 1, unlocked_at = CURRENT_TIMESTAMP
+                WHERE gift_id = ? AND tier = ? AND unlocked = 0
+            `;
+
+            this.db.run(sql, [giftId, tier], function(err) {
+                if (err) {
+                    reject(new Error('Gift tier unlock failed: ' + err.message));
+                } else {
+                    resolve(this.changes > 0);
+                }
+            });
+        });
+    }
+
+    /**
+     * Mark an unlocked tier redeemed. Resolves false if it was locked or already redeemed.
+     */
+    async redeemGiftTier(giftId, tier) {
+        return new Promise((resolve, reject) => {
+            const sql = `
+                UPDATE gift_tiers
+                SET redeemed = 1, redeemed_at = CURRENT_TIMESTAMP
+                WHERE gift_id = ? AND tier = ? AND unlocked = 1 AND redeemed = 0
+            `;
+
+            this.db.run(sql, [giftId, tier], function(err) {
+                if (err) {
+                    reject(new Error('Gift tier redemption failed: ' + err.message));
+                } else {
+                    resolve(this.changes > 0);
+                }
+            });
+        });
+    }
+
+    /**
+     * Unlock (or unlock and redeem) every remaining tier of a gift, for when
+     * the whole gift is unlocked or collected
+     * @param {string} state - 'unlocked' or 'redeemed'
+     */
+    async completeGiftTiers(giftId, state) {
+        const sql = state === 'redeemed'
+            ? `UPDATE gift_tiers
+               SET unlocked = 1, unlocked_at = COALESCE(unlocked_at, CURRENT_TIMESTAMP),
+                   redeemed = 1, redeemed_at = COALESCE(redeemed_at, CURRENT_TIMESTAMP)
+               WHERE gift_id = ? AND redeemed = 0`
+            : `UPDATE gift_tiers
+               SET unlocked = 1, unlocked_at = CURRENT_TIMESTAMP
+               WHERE gift_id = ? AND unlocked = 0`;
+
+        return new Promise((resolve, reject) => {
+            this.db.run(sql, [giftId], function(err) {
+                if (err) {
+                    reject(new Error('Gift tiers update failed: ' + err.message));
+                } else {
+                    resolve(this.changes);
+                }
+            });
+        });
+    }
+
+    async markGiftReceived(trackingId) {
+        return new Promise((resolve, reject) => {
+            const sql = `
+                UPDATE gift_orders
+                SET received = 1, received_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+                WHERE tracking_id = ? AND received = 0
+            `;
+
+            this.db.run(sql, [trackingId], function(err) {
+                if (err) {
+                    reject(new Error('Mark gift received failed: ' + err.message));
+                } else {
+                    resolve(this.changes > 0);
+                }
+            });
+        });
+    }
+
+    async getGiftOrderByTrackingId(trackingId) {
+        return new Promise((resolve, reject) => {
+            const sql = `
+                SELECT g.*, u.name as sender_name, u.email as sender_email, u.phone as sender_phone
+                FROM gift_orders g
+                LEFT JOIN users u ON g.user_id = u.id
+                WHERE g.tracking_id = ?
+            `;
+
+            this.db.get(sql, [trackingId], (err, row) => {
+                if (err) {
+                    reject(new Error('Gift order lookup failed: ' + err.message));
+                } else {
+                    resolve(row);
+                }
+            });
+        });
+    }
+
+    async getGiftOrderByRecipientPhone(phone) {
+        return new Promise((resolve, reject) => {
+            const sql = `
+                SELECT g.*, u.name as sender_name, u.email as sender_email, u.phone as sender_phone
+                FROM gift_orders g
+                LEFT JOIN users u ON g.user_id = u.id
+                WHERE g.recipient_phone = ? AND g.status IN ('delivered', 'accepted', 'in_progress', 'pending_approval')
+                  AND (g.expires_at IS NULL OR g.expires_at > strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+                ORDER BY g.created_at DESC
+                LIMIT 1
+            `;
+
+            this.db.get(sql, [phone], (err, row) => {
+                if (err) {
+                    reject(new Error('Gift order lookup failed: ' + err.message));
+                } else {
+                    resolve(row);
+                }
+            });
+        });
+    }
+
+    async getActiveGiftsByRecipientPhone(phone) {
+        return new Promise((resolve, reject) => {
+            const sql = `
+                SELECT g.*, u.name as sender_name, u.email as sender_email, u.phone as sender_phone
+                FROM gift_orders g
+                LEFT JOIN users u ON g.user_id = u.id
+                WHERE g.recipient_phone = ? AND g.status IN ('delivered', 'accepted', 'in_progress', 'pending_approval')
+                  AND (g.expires_at IS NULL OR g.expires_at > strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+                ORDER BY g.created_at DESC
+            `;
+
+            this.db.all(sql, [phone], (err, rows) => {
+                if (err) {
+                    reject(new Error('Active gifts lookup failed: ' + err.message));
+                } else {
+                    resolve(rows || []);
+                }
+            });
+        });
+    }
+
+    // Scheduled delivery methods
+    async getDueScheduledGifts(now = new Date()) {
+        return new Promise((resolve, reject) => {
+            const sql = `
+                SELECT g.*, u.name as sender_name, u.email as sender_email, u.phone as sender_phone
+                FROM gift_orders g
+                LEFT JOIN users u ON g.user_id = u.id
+                WHERE g.status = 'scheduled' AND g.deliver_at IS NOT NULL AND g.deliver_at <= ?
+                ORDER BY g.deliver_at ASC
+            `;
+
+            this.db.all(sql, [now.toISOString()], (err, rows) => {
+                if (err) {
+                    reject(new Error('Scheduled gifts lookup failed: ' + err.message));
+                } else {
+                    resolve(rows || []);
+                }
+            });
+        });
+    }
+
+    async getScheduledGiftsByUserId(userId) {
+        return new Promise((resolve, reject) => {
+            const sql = `
+                SELECT * FROM gift_orders
+                WHERE user_id = ? AND status = 'scheduled'
+                ORDER BY deliver_at ASC
+            `;
+
+            this.db.all(sql, [userId], (err, rows) => {
+                if (err) {
+                    reject(new Error('Scheduled gifts lookup failed: ' + err.message));
+                } else {
+                    resolve(rows || []);
+                }
+            });
+        });
+    }
+
+    async rescheduleGiftOrder(trackingId, deliverAt, recipientTimeZone) {
+        return new Promise((resolve, reject) => {
+            const sql = `
+                UPDATE gift_orders
+                SET deliver_at = ?, recipient_timezone = COALESCE(?, recipient_timezone), updated_at = CURRENT_TIMESTAMP
+                WHERE tracking_id = ? AND status = 'scheduled'
+            `;
+
+            this.db.run(sql, [deliverAt, recipientTimeZone || null, trackingId], function(err) {
+                if (err) {
+                    reject(new Error('Gift reschedule failed: ' + err.message));
+                } else {
+                    resolve(this.changes > 0);
+                }
+            });
+        });
+    }
+
+    /**
+     * Apply sender edits to a gift, guarded on its status so an edit cannot
+     * land after the gift has moved on. Resolves false if the status changed.
+     * @param {object} columns - { column: value }
+     */
+    async updateGiftOrderDetails(trackingId, expectedStatus, columns) {
+        const assignments = ['updated_at = CURRENT_TIMESTAMP'];
+        const params = [];
+
+        Object.keys(columns).forEach(column => {
+            if (!/^[a-z_]+$/.test(column)) throw new Error(`Invalid gift order column: ${column}`);
+            assignments.push(`${column} = ?`);
+            params.push(columns[column]);
+        });
+
+        return new Promise((resolve, reject) => {
+            const sql = `
+                UPDATE gift_orders
+                SET ${assignments.join(', ')}
+                WHERE tracking_id = ? AND status = ?
+            `;
+
+            this.db.run(sql, [...params, trackingId, expectedStatus], function(err) {
+                if (err) {
+                    reject(new Error('Gift order update failed: ' + err.message));
+                } else {
+                    resolve(this.changes > 0);
+                }
+            });
+        });
+    }
+
+    /**
+     * Record whether a channel works for a gift's recipient
+     * @param {string} channel - 'sms' or 'email'
+     * @param {string|null} health - 'ok', 'failed' or null (unknown)
+     */
+    async setGiftChannelHealth(trackingId, channel, health) {
+        const column = { sms: 'sms_health', email: 'email_health' }[channel];
+        if (!column) throw new Error(`Invalid delivery channel: ${channel}`);
+
+        return new Promise((resolve, reject) => {
+            const sql = `UPDATE gift_orders SET ${column} = ?, updated_at = CURRENT_TIMESTAMP WHERE tracking_id = ?`;
+            this.db.run(sql, [health, trackingId], function(err) {
+                if (err) reject(new Error('Gift channel health update failed: ' + err.message));
+                else resolve(this.changes > 0);
+            });
+        });
+    }
+
+    /**
+     * Claim the fallback of a gift notice. Resolves null if the notice already fell back.
+     * @param {object} fallback - { giftId, notice, fromChannel, toChannel, reason }
+     * @returns {Promise<number|null>} - Row id
+     */
+    async claimDeliveryFallback(fallback) {
+        return new Promise((resolve, reject) => {
+            const sql = `
+                INSERT OR IGNORE INTO gift_delivery_fallbacks (gift_id, notice, from_channel, to_channel, reason)
+                VALUES (?, ?, ?, ?, ?)
+            `;
+            this.db.run(sql, [fallback.giftId, fallback.notice, fallback.fromChannel, fallback.toChannel, fallback.reason || null], function(err) {
+                if (err) reject(new Error('Delivery fallback claim failed: ' + err.message));
+                else resolve(this.changes > 0 ? this.lastID : null);
+            });
+        });
+    }
+
+    /**
+     * Record how a claimed fallback went
+     * @param {string} status - 'sent', 'queued', 'blocked', 'failed' or 'unavailable' (no other channel)
+     */
+    async finishDeliveryFallback(id, status, detail = null) {
+        return new Promise((resolve, reject) => {
+            const sql = `UPDATE gift_delivery_fallbacks SET status = ?, detail = ? WHERE id = ?`;
+            this.db.run(sql, [status, detail, id], function(err) {
+                if (err) reject(new Error('Delivery fallback update failed: ' + err.message));
+                else resolve(this.changes > 0);
+            });
+        });
+    }
+
+    async getDeliveryFallbacksForGifts(giftIds) {
+        if (!giftIds || giftIds.length === 0) {
+            return [];
+        }
+
+        return new Promise((resolve, reject) => {
+            const placeholders = giftIds.map(() => '?').join(', ');
+            const sql = `SELECT * FROM gift_delivery_fallbacks WHERE gift_id IN (${placeholders}) ORDER BY gift_id, id ASC`;
+
+            this.db.all(sql, giftIds, (err, rows) => {
+                if (err) reject(new Error('Delivery fallback lookup failed: ' + err.message));
+                else resolve(rows || []);
+            });
+        });
+    }
+
+    // Gift expiration methods
+    // Only gifts the recipient is actively working on expire (see giftLifecycleService.EXPIRABLE_STATES)
+    async getGiftsToExpire(now = new Date()) {
+        return new Promise((resolve, reject) => {
+            const sql = `
+                SELECT g.*, u.name as sender_name, u.email as sender_email, u.phone as sender_phone
+                FROM gift_orders g
+                LEFT JOIN users u ON g.user_id = u.id
+                WHERE g.expires_at IS NOT NULL AND g.expires_at <= ?
+                  AND g.status IN ('delivered', 'accepted', 'in_progress')
+                ORDER BY g.expires_at ASC
+            `;
+
+            this.db.all(sql, [now.toISOString()], (err, rows) => {
+                if (err) {
+                    reject(new Error('Expiring gifts lookup failed: ' + err.message));
+                } else {
+                    resolve(rows || []);
+                }
+            });
+        });
+    }
+
+    async getGiftsNeedingExpiryWarning(now, warnUntil) {
+        return new Promise((resolve, reject) => {
+            const sql = `
+                SELECT g.*, u.name as sender_name, u.email as sender_email, u.phone as sender_phone
+                FROM gift_orders g
+                LEFT JOIN users u ON g.user_id = u.id
+                WHERE g.expires_at IS NOT NULL AND g.expires_at > ? AND g.expires_at <= ?
+                  AND g.expiry_warning_sent_at IS NULL
+                  AND g.status IN ('delivered', 'accepted', 'in_progress')
+                ORDER BY g.expires_at ASC
+            `;
+
+            this.db.all(sql, [now.toISOString(), warnUntil.toISOString()], (err, rows) => {
+                if (err) {
+                    reject(new Error('Expiry warning lookup failed: ' + err.message));
+                } else {
+                    resolve(rows || []);
+                }
+            });
+        });
+    }
+
+    /**
+     * Mark a gift's expiry warning as sent. Resolves false if it was already sent.
+     */
+    async claimExpiryWarning(trackingId) {
+        return new Promise((resolve, reject) => {
+            const sql = `
+                UPDATE gift_orders
+                SET expiry_warning_sent_at = CURRENT_TIMESTAMP
+                WHERE tracking_id = ? AND expiry_warning_sent_at IS NULL
+            `;
+
+            this.db.run(sql, [trackingId], function(err) {
+                if (err) {
+                    reject(new Error('Expiry warning claim failed: ' + err.message));
+                } else {
+                    resolve(this.changes > 0);
+                }
+            });
+        });
+    }
+
+    /**
+     * Set a new deadline and re-arm the expiry warning for it.
+     * Reactivating an expired gift is a separate lifecycle transition.
+     */
+    async extendGiftExpiration(trackingId, expiresAt) {
+        return new Promise((resolve, reject) => {
+            const sql = `
+                UPDATE gift_orders
+                SET expires_at = ?, expiry_warning_sent_at = NULL, updated_at = CURRENT_TIMESTAMP
+                WHERE tracking_id = ?
+                  AND status IN ('scheduled', 'delivered', 'accepted', 'in_progress', 'pending_approval', 'expired')
+            `;
+
+            this.db.run(sql, [expiresAt, trackingId], function(err) {
+                if (err) {
+                    reject(new Error('Gift expiration update failed: ' + err.message));
+                } else {
+                    resolve(this.changes > 0);
+                }
+            });
+        });
+    }
+
+    async linkChallengeToGiftOrder(trackingId, challengeId) {
+        return new Promise((resolve, reject) => {
+            const sql = `UPDATE gift_orders SET challenge_id = ? WHERE tracking_id = ?`;
+
+            this.db.run(sql, [challengeId, trackingId], function(err) {
+                if (err) {
+                    reject(new Error('Challenge link failed: ' + err.message));
+                } else {
+                    resolve(this.changes > 0);
+                }
+            });
+        });
+    }
+
+    // SMS opt-out management
+    async isPhoneOptedOut(phone) {
+        return new Promise((resolve, reject) => {
+            const sql = `SELECT id FROM sms_opt_outs WHERE phone = ?`;
+            this.db.get(sql, [phone], (err, row) => {
+                if (err) reject(new Error('Opt-out check failed: ' + err.message));
+                else resolve(!!row);
+            });
+        });
+    }
+
+    async addSmsOptOut(phone) {
+        return new Promise((resolve, reject) => {
+            const sql = `INSERT OR IGNORE INTO sms_opt_outs (phone) VALUES (?)`;
+            this.db.run(sql, [phone], function(err) {
+                if (err) reject(new Error('Opt-out save failed: ' + err.message));
+                else resolve(true);
+            });
+        });
+    }
+
+    async removeSmsOptOut(phone) {
+        return new Promise((resolve, reject) => {
+            const sql = `DELETE FROM sms_opt_outs WHERE phone = ?`;
+            this.db.run(sql, [phone], function(err) {
+                if (err) reject(new Error('Opt-in save failed: ' + err.message));
+                else resolve(this.changes > 0);
+            });
+        });
+    }
+
+    // SMS opt-in consent tracking
+    async hasPhoneOptedIn(phone) {
+        return new Promise((resolve, reject) => {
+            const sql = `SELECT id FROM sms_opt_ins WHERE phone = ?`;
+            this.db.get(sql, [phone], (err, row) => {
+                if (err) reject(new Error('Opt-in check failed: ' + err.message));
+                else resolve(!!row);
+            });
+        });
+    }
+
+    async addSmsOptIn(phone, method = 'sms_keyword') {
+        return new Promise((resolve, reject) => {
+            const sql = `INSERT OR REPLACE INTO sms_opt_ins (phone, opted_in_at, consent_method) VALUES (?, CURRENT_TIMESTAMP, ?)`;
+            this.db.run(sql, [phone, method], function(err) {
+                if (err) reject(new Error('Opt-in save failed: ' + err.message));
+                else resolve(true);
+            });
+        });
+    }
+
+    async removeSmsOptIn(phone) {
+        return new Promise((resolve, reject) => {
+            const sql = `DELETE FROM sms_opt_ins WHERE phone = ?`;
+            this.db.run(sql, [phone], function(err) {
+                if (err) reject(new Error('Opt-in removal failed: ' + err.message));
+                else resolve(this.changes > 0);
+            });
+        });
+    }
+
+    // SMS message logging
+    async logOutboundMessage(messageSid, to, from, body, mediaUrl, giftId, category = null) {
+        return new Promise((resolve, reject) => {
+            const sql = `INSERT INTO sms_messages (message_sid, to_phone, from_phone, body, media_url, direction, gift_id, category) VALUES (?, ?, ?, ?, ?, 'outbound', ?, ?)`;
+            this.db.run(sql, [messageSid, to, from, body, mediaUrl || null, giftId || null, category || null], function(err) {
+                if (err) reject(new Error('Message log failed: ' + err.message));
+                else resolve(this.lastID);
+            });
+        });
+    }
+
+    async logInboundMessage(messageSid, from, body, mediaUrl) {
+        return new Promise((resolve, reject) => {
+            const sql = `INSERT INTO sms_messages (message_sid, to_phone, from_phone, body, media_url, direction, status) VALUES (?, ?, ?, ?, ?, 'inbound', 'received')`;
+            this.db.run(sql, [process.env.TWILIO_PHONE_NUMBER || null, from, body, mediaUrl || null], function(err) {
+                if (err) reject(new Error('Inbound message log failed: ' + err.message));
+                else resolve(this.lastID);
+            });
+        });
+    }
+
+    /**
+     * Conversation state of a phone, or null if it has none
+     * @returns {Promise<object|null>} - { phone, giftId, awaiting, choices, pendingMessage, updatedAt }
+     */
+    async getSmsConversation(phone) {
+        return new Promise((resolve, reject) => {
+            const sql = `SELECT * FROM sms_conversations WHERE phone = ?`;
+            this.db.get(sql, [phone], (err, row) => {
+                if (err) {
+                    reject(new Error('SMS conversation lookup failed: ' + err.message));
+                } else if (!row) {
+                    resolve(null);
+                } else {
+                    resolve({
+                        phone: row.phone,
+                        giftId: row.gift_id,
+                        awaiting: row.awaiting,
+                        choices: row.choices ? JSON.parse(row.choices) : [],
+                        pendingMessage: row.pending_message ? JSON.parse(row.pending_message) : null,
+                        updatedAt: row.updated_at
+                    });
+                }
+            });
+        });
+    }
+
+    /**
+     * Replace the conversation state of a phone
+     * @param {object} state - { giftId, awaiting, choices, pendingMessage }
+     */
+    async saveSmsConversation(phone, state) {
+        return new Promise((resolve, reject) => {
+            const sql = `
+                INSERT OR REPLACE INTO sms_conversations (phone, gift_id, awaiting, choices, pending_message, updated_at)
+                VALUES (?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+            `;
+            this.db.run(sql, [
+                phone,
+                state.giftId || null,
+                state.awaiting || null,
+                state.choices && state.choices.length > 0 ? JSON.stringify(state.choices) : null,
+                state.pendingMessage ? JSON.stringify(state.pendingMessage) : null
+            ], function(err) {
+                if (err) reject(new Error('SMS conversation save failed: ' + err.message));
+                else resolve(true);
+            });
+        });
+    }
+
+    /**
+     * Time zones people have set for a phone number: the user whose number it
+     * is, and the most recently updated contact record with it
+     * @param {string} phone - Any format; matched on its last 10 digits
+     * @returns {Promise<{user: string|null, contact: string|null}>}
+     */
+    async getTimeZonesForPhone(phone) {
+        const digits = (phone || '').replace(/\D/g, '').slice(-10);
+        if (digits.length < 10) {
+            return { user: null, contact: null };
+        }
+
+        // Stored numbers come in many formats, so compare digits only
+        const normalized = column => `substr(replace(replace(replace(replace(replace(replace(${column}, '+', ''), '-', ''), ' ', ''), '(', ''), ')', ''), '.', ''), -10)`;
+
+        return new Promise((resolve, reject) => {
+            const sql = `
+                SELECT
+                    (SELECT timezone FROM users WHERE timezone IS NOT NULL AND is_active = 1 AND ${normalized('phone')} = ?
+                     ORDER BY updated_at DESC LIMIT 1) as user_timezone,
+                    (SELECT timezone FROM contacts WHERE timezone IS NOT NULL AND ${normalized('phone')} = ?
+                     ORDER BY updated_at DESC LIMIT 1) as contact_timezone
+            `;
+            this.db.get(sql, [digits, digits], (err, row) => {
+                if (err) reject(new Error('Time zone lookup failed: ' + err.message));
+                else resolve({ user: row.user_timezone || null, contact: row.contact_timezone || null });
+            });
         });
     }
 
-    async logInboundMessage(messageSid, from, body, mediaUrl) {
+    /**
+     * Hold an SMS until send_after. A newer reminder replaces the pending
+     * reminder for the same phone and gift, so a night of reminders arrives as
+     * one; other messages (progress notices, nudges) are only merged with an
+     * identical pending one, since each says something different.
+     * @param {object} message - { to, body, mediaUrl, giftId, category, timeZone, sendAfter (ISO) }
+     * @returns {Promise<number>} - Row id
+     */
+    async deferSms(message) {
+        const { to, body, mediaUrl, giftId, category, timeZone, sendAfter } = message;
+        const db = this.db;
+
         return new Promise((resolve, reject) => {
-            const sql = `INSERT INTO sms_messages (message_sid, to_phone, from_phone, body, media_url, direction, status) VALUES (?, ?, ?, ?, ?, 'inbound', 'received')`;
-            this.db.run(sql, [process.env.TWILIO_PHONE_NUMBER || null, from, body, mediaUrl || null], function(err) {
-                if (err) reject(new Error('Inbound message log failed: ' + err.message));
+            db.get(`
+                SELECT id FROM deferred_sms
+                WHERE to_phone = ? AND gift_id IS ? AND category = ? AND status = 'pending'
+                  AND (category = 'reminder' OR (body = ? AND media_url IS ?))
+                ORDER BY id DESC LIMIT 1
+            `, [to, giftId || null, category, body, mediaUrl || null], (err, existing) => {
+                if (err) {
+                    return reject(new Error('Deferred SMS lookup failed: ' + err.message));
+                }
+
+                if (existing) {
+                    db.run(`
+                        UPDATE deferred_sms SET body = ?, media_url = ?, time_zone = ?, send_after = ?, created_at = CURRENT_TIMESTAMP
+                        WHERE id = ?
+                    `, [body, mediaUrl || null, timeZone || null, sendAfter, existing.id], (updateErr) => {
+                        if (updateErr) reject(new Error('Deferred SMS update failed: ' + updateErr.message));
+                        else resolve(existing.id);
+                    });
+                    return;
+                }
+
+                db.run(`
+                    INSERT INTO deferred_sms (to_phone, body, media_url, gift_id, category, time_zone, send_after)
+                    VALUES (?, ?, ?, ?, ?, ?, ?)
+                `, [to, body, mediaUrl || null, giftId || null, category, timeZone || null, sendAfter], function(insertErr) {
+                    if (insertErr) reject(new Error('Deferred SMS insert failed: ' + insertErr.message));
+                    else resolve(this.lastID);
+                });
+            });
+        });
+    }
+
+    /**
+     * Deferred SMS whose quiet hours are over, oldest first
+     */
+    async getDueDeferredSms(now = new Date()) {
+        return new Promise((resolve, reject) => {
+            const sql = `
+                SELECT * FROM deferred_sms
+                WHERE status = 'pending' AND send_after <= ?
+                ORDER BY send_after ASC, id ASC
+            `;
+            this.db.all(sql, [now.toISOString()], (err, rows) => {
+                if (err) reject(new Error('Deferred SMS lookup failed: ' + err.message));
+                else resolve(rows || []);
+            });
+        });
+    }
+
+    /**
+     * Claim a deferred SMS for sending. Resolves false if another run took it.
+     */
+    async claimDeferredSms(id) {
+        return new Promise((resolve, reject) => {
+            const sql = `UPDATE deferred_sms SET status = 'sending' WHERE id = ? AND status = 'pending'`;
+            this.db.run(sql, [id], function(err) {
+                if (err) reject(new Error('Deferred SMS claim failed: ' + err.message));
+                else resolve(this.changes > 0);
+            });
+        });
+    }
+
+    /**
+     * Record how a claimed deferred SMS went
+     * @param {string} status - 'sent', 'queued' (handed to the outbound queue for retries), 'blocked' or 'failed'
+     * @param {string|null} detail - Message SID, outbound message, block reason or error
+     */
+    async finishDeferredSms(id, status, detail = null) {
+        return new Promise((resolve, reject) => {
+            const sql = `
+                UPDATE deferred_sms SET status = ?, detail = ?,
+                    sent_at = CASE WHEN ? = 'sent' THEN CURRENT_TIMESTAMP ELSE sent_at END
+                WHERE id = ?
+            `;
+            this.db.run(sql, [status, detail, status, id], function(err) {
+                if (err) reject(new Error('Deferred SMS update failed: ' + err.message));
+                else resolve(this.changes > 0);
+            });
+        });
+    }
+
+    /**
+     * Whether a gift's notice was sent, or tried, on a channel
+     * @param {string} category - Outbound message category, e.g. 'delivery'
+     */
+    async hasOutboundMessage(giftId, category, channel) {
+        return new Promise((resolve, reject) => {
+            const sql = `
+                SELECT 1 FROM outbound_messages
+                WHERE gift_id = ? AND category = ? AND channel = ?
+                LIMIT 1
+            `;
+            this.db.get(sql, [giftId, category, channel], (err, row) => {
+                if (err) reject(new Error('Outbound message lookup failed: ' + err.message));
+                else resolve(!!row);
+            });
+        });
+    }
+
+    /**
+     * Record an outbound message that is about to be sent. It starts out
+     * claimed ('sending') so the queue worker leaves it alone during the first attempt.
+     * @param {object} message - { channel, recipient, payload (object), giftId, category }
+     * @returns {Promise<number>} - Row id
+     */
+    async createOutboundMessage(message) {
+        const { channel, recipient, payload, giftId, category } = message;
+        return new Promise((resolve, reject) => {
+            const sql = `
+                INSERT INTO outbound_messages (channel, recipient, payload, gift_id, category, status)
+                VALUES (?, ?, ?, ?, ?, 'sending')
+            `;
+            this.db.run(sql, [channel, recipient, JSON.stringify(payload), giftId || null, category || null], function(err) {
+                if (err) reject(new Error('Outbound message creation failed: ' + err.message));
                 else resolve(this.lastID);
             });
         });
     }
 
+    /**
+     * Record that a claimed outbound message was accepted by its provider
+     * @param {string|null} result - Provider's message id (e.g. Twilio SID)
+     */
+    async markOutboundMessageSent(id, attempts, result = null) {
+        return new Promise((resolve, reject) => {
+            const sql = `
+                UPDATE outbound_messages SET status = 'sent', attempts = ?, result = ?,
+                    next_attempt_at = NULL, sent_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+                WHERE id = ?
+            `;
+            this.db.run(sql, [attempts, result, id], function(err) {
+                if (err) reject(new Error('Outbound message update failed: ' + err.message));
+                else resolve(this.changes > 0);
+            });
+        });
+    }
+
+    /**
+     * Put a claimed outbound message back in the queue after a failed attempt
+     * @param {object} failure - { attempts, nextAttemptAt (ISO), errorClass, error }
+     */
+    async scheduleOutboundRetry(id, failure) {
+        return new Promise((resolve, reject) => {
+            const sql = `
+                UPDATE outbound_messages SET status = 'queued', attempts = ?, next_attempt_at = ?,
+                    error_class = ?, last_error = ?, updated_at = CURRENT_TIMESTAMP
+                WHERE id = ?
+            `;
+            this.db.run(sql, [failure.attempts, failure.nextAttemptAt, failure.errorClass, failure.error, id], function(err) {
+                if (err) reject(new Error('Outbound message update failed: ' + err.message));
+                else resolve(this.changes > 0);
+            });
+        });
+    }
+
+    /**
+     * Give up on a claimed outbound message and copy it to the dead-letter table
+     * @param {object} failure - { attempts, errorClass, error }
+     * @returns {Promise<number>} - Dead letter id
+     */
+    async deadLetterOutboundMessage(id, failure) {
+        const db = this.db;
+        return new Promise((resolve, reject) => {
+            db.run(`
+                UPDATE outbound_messages SET status = 'dead', attempts = ?, next_attempt_at = NULL,
+                    error_class = ?, last_error = ?, updated_at = CURRENT_TIMESTAMP
+                WHERE id = ?
+            `, [failure.attempts, failure.errorClass, failure.error, id], (err) => {
+                if (err) {
+                    return reject(new Error('Outbound message update failed: ' + err.message));
+                }
+
+                db.run(`
+                    INSERT INTO outbound_dead_letters (message_id, channel, recipient, payload, gift_id, category,
+                        attempts, error_class, last_error)
+                    SELECT id, channel, recipient, payload, gift_id, category, attempts, error_class, last_error
+                    FROM outbound_messages WHERE id = ?
+                `, [id], function(insertErr) {
+                    if (insertErr) reject(new Error('Dead letter creation failed: ' + insertErr.message));
+                    else resolve(this.lastID);
+                });
+            });
+        });
+    }
+
+    /**
+     * Queued outbound messages due for another attempt, oldest first
+     */
+    async getDueOutboundMessages(now = new Date(), limit = 100) {
+        return new Promise((resolve, reject) => {
+            const sql = `
+                SELECT * FROM outbound_messages
+                WHERE status = 'queued' AND next_attempt_at <= ?
+                ORDER BY next_attempt_at ASC, id ASC
+                LIMIT ?
+            `;
+            this.db.all(sql, [now.toISOString(), limit], (err, rows) => {
+                if (err) reject(new Error('Outbound message lookup failed: ' + err.message));
+                else resolve(rows || []);
+            });
+        });
+    }
+
+    /**
+     * Claim a queued outbound message for sending. Resolves false if another run took it.
+     */
+    async claimOutboundMessage(id) {
+        return new Promise((resolve, reject) => {
+            const sql = `UPDATE outbound_messages SET status = 'sending', updated_at = CURRENT_TIMESTAMP WHERE id = ? AND status = 'queued'`;
+            this.db.run(sql, [id], function(err) {
+                if (err) reject(new Error('Outbound message claim failed: ' + err.message));
+                else resolve(this.changes > 0);
+            });
+        });
+    }
+
+    /**
+     * Requeue messages left 'sending' by a process that stopped mid-attempt
+     * @param {Date} before - Claims older than this are released
+     * @returns {Promise<number>} - Number of messages requeued
+     */
+    async releaseStaleOutboundMessages(before) {
+        return new Promise((resolve, reject) => {
+            const sql = `
+                UPDATE outbound_messages SET status = 'queued', next_attempt_at = ?, updated_at = CURRENT_TIMESTAMP
+                WHERE status = 'sending' AND updated_at < datetime(?)
+            `;
+            this.db.run(sql, [before.toISOString(), before.toISOString()], function(err) {
+                if (err) reject(new Error('Outbound message release failed: ' + err.message));
+                else resolve(this.changes);
+            });
+        });
+    }
+
+    /**
+     * Outbound messages, newest first
+     * @param {object} filters - { status, channel, limit }
+     */
+    async getOutboundMessages(filters = {}) {
+        const conditions = [];
+        const params = [];
+        if (filters.status) {
+            conditions.push('status = ?');
+            params.push(filters.status);
+        }
+        if (filters.channel) {
+            conditions.push('channel = ?');
+            params.push(filters.channel);
+        }
+        params.push(filters.limit || 50);
+
+        return new Promise((resolve, reject) => {
+            const sql = `
+                SELECT * FROM outbound_messages
+                ${conditions.length > 0 ? 'WHERE ' + conditions.join(' AND ') : ''}
+                ORDER BY id DESC
+                LIMIT ?
+            `;
+            this.db.all(sql, params, (err, rows) => {
+                if (err) reject(new Error('Outbound message lookup failed: ' + err.message));
+                else resolve(rows || []);
+            });
+        });
+    }
+
+    /**
+     * Number of outbound messages per channel and status
+     * @returns {Promise<Array>} - [{ channel, status, count }]
+     */
+    async getOutboundMessageCounts() {
+        return new Promise((resolve, reject) => {
+            const sql = `SELECT channel, status, COUNT(*) as count FROM outbound_messages GROUP BY channel, status`;
+            this.db.all(sql, [], (err, rows) => {
+                if (err) reject(new Error('Outbound message count failed: ' + err.message));
+                else resolve(rows || []);
+            });
+        });
+    }
+
+    /**
+     * Dead letters, newest first
+     * @param {object} filters - { channel, errorClass, replayed (boolean), limit }
+     */
+    async getOutboundDeadLetters(filters = {}) {
+        const conditions = [];
+        const params = [];
+        if (filters.channel) {
+            conditions.push('channel = ?');
+            params.push(filters.channel);
+        }
+        if (filters.errorClass) {
+            conditions.push('error_class = ?');
+            params.push(filters.errorClass);
+        }
+        if (filters.replayed === true) {
+            conditions.push('replayed_at IS NOT NULL');
+        } else if (filters.replayed === false) {
+            conditions.push('replayed_at IS NULL');
+        }
+        params.push(filters.limit || 50);
+
+        return new Promise((resolve, reject) => {
+            const sql = `
+                SELECT * FROM outbound_dead_letters
+                ${conditions.length > 0 ? 'WHERE ' + conditions.join(' AND ') : ''}
+                ORDER BY id DESC
+                LIMIT ?
+            `;
+            this.db.all(sql, params, (err, rows) => {
+                if (err) reject(new Error('Dead letter lookup failed: ' + err.message));
+                else resolve(rows || []);
+            });
+        });
+    }
+
+    async getOutboundDeadLetterById(id) {
+        return new Promise((resolve, reject) => {
+            const sql = `SELECT * FROM outbound_dead_letters WHERE id = ?`;
+            this.db.get(sql, [id], (err, row) => {
+                if (err) reject(new Error('Dead letter lookup failed: ' + err.message));
+                else resolve(row || null);
+            });
+        });
+    }
+
+    /**
+     * Claim a dead letter for replay. Resolves false if it was already replayed.
+     */
+    async claimOutboundDeadLetter(id) {
+        return new Promise((resolve, reject) => {
+            const sql = `UPDATE outbound_dead_letters SET replayed_at = CURRENT_TIMESTAMP WHERE id = ? AND replayed_at IS NULL`;
+            this.db.run(sql, [id], function(err) {
+                if (err) reject(new Error('Dead letter claim failed: ' + err.message));
+                else resolve(this.changes > 0);
+            });
+        });
+    }
+
+    /**
+     * Link a replayed dead letter to the outbound message that replaced it
+     */
+    async setOutboundDeadLetterReplay(id, messageId) {
+        return new Promise((resolve, reject) => {
+            const sql = `UPDATE outbound_dead_letters SET replayed_message_id = ? WHERE id = ?`;
+            this.db.run(sql, [messageId, id], function(err) {
+                if (err) reject(new Error('Dead letter update failed: ' + err.message));
+                else resolve(this.changes > 0);
+            });
+        });
+    }
+
     async updateMessageStatus(messageSid, status, errorCode, errorMessage) {
         return new Promise((resolve, reject) => {
             const sql = `UPDATE sms_messages SET status = ?, error_code = ?, error_message = ?, updated_at = CURRENT_TIMESTAMP WHERE message_sid = ?`;
@@ -1311,6 +3367,260 @@ class DatabaseService {
         });
     }
 
+    /**
+     * Record a quarantined upload
+     * @param {object} file - { storageKey, originalName, declaredType, detectedType, fileSize, reason, signature, source, giftId, submittedBy }
+     */
+    async createQuarantinedFile(file) {
+        return new Promise((resolve, reject) => {
+            const sql = `
+                INSERT INTO quarantined_files (storage_key, original_name, declared_type, detected_type, file_size,
+                    reason, signature, source, gift_id, submitted_by)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            `;
+
+            this.db.run(sql, [
+                file.storageKey,
+                file.originalName || null,
+                file.declaredType || null,
+                file.detectedType || null,
+                file.fileSize ?? null,
+                file.reason,
+                file.signature || null,
+                file.source || null,
+                file.giftId || null,
+                file.submittedBy || null
+            ], function(err) {
+                if (err) {
+                    reject(new Error('Quarantined file creation failed: ' + err.message));
+                } else {
+                    resolve({ id: this.lastID });
+                }
+            });
+        });
+    }
+
+    async getSmsMessageBySid(messageSid) {
+        return new Promise((resolve, reject) => {
+            const sql = `SELECT * FROM sms_messages WHERE message_sid = ?`;
+            this.db.get(sql, [messageSid], (err, row) => {
+                if (err) reject(new Error('Message lookup failed: ' + err.message));
+                else resolve(row || null);
+            });
+        });
+    }
+
+    // Email message log
+    /**
+     * Log an email SendGrid accepted. Replays of a dead letter send the same
+     * message again and keep its row.
+     * @param {object} message - { messageId, sgMessageId, outboundMessageId, to, subject, giftId, category }
+     */
+    async logEmailMessage(message) {
+        return new Promise((resolve, reject) => {
+            const sql = `
+                INSERT INTO email_messages (message_id, sg_message_id, outbound_message_id, to_email, subject, gift_id, category)
+                VALUES (?, ?, ?, ?, ?, ?, ?)
+                ON CONFLICT (message_id) DO UPDATE SET
+                    sg_message_id = excluded.sg_message_id,
+                    outbound_message_id = excluded.outbound_message_id,
+                    status = 'sent',
+                    updated_at = CURRENT_TIMESTAMP
+            `;
+            this.db.run(sql, [
+                message.messageId,
+                message.sgMessageId || null,
+                message.outboundMessageId || null,
+                message.to,
+                message.subject || null,
+                message.giftId || null,
+                message.category || null
+            ], function(err) {
+                if (err) reject(new Error('Email log failed: ' + err.message));
+                else resolve(this.lastID);
+            });
+        });
+    }
+
+    /**
+     * Find the logged email an event is about, by our message id or SendGrid's
+     */
+    async findEmailMessage(messageId, sgMessageId) {
+        return new Promise((resolve, reject) => {
+            const sql = `
+                SELECT * FROM email_messages
+                WHERE message_id = ? OR (sg_message_id IS NOT NULL AND sg_message_id = ?)
+                ORDER BY message_id = ? DESC
+                LIMIT 1
+            `;
+            this.db.get(sql, [messageId || null, sgMessageId || null, messageId || null], (err, row) => {
+                if (err) reject(new Error('Email lookup failed: ' + err.message));
+                else resolve(row || null);
+            });
+        });
+    }
+
+    /**
+     * Record a SendGrid event. Resolves null if it was already recorded.
+     * @param {object} event - { sgEventId, emailMessageId, event, email, reason, url, occurredAt }
+     * @returns {Promise<number|null>} - Row id
+     */
+    async recordEmailEvent(event) {
+        return new Promise((resolve, reject) => {
+            const sql = `
+                INSERT OR IGNORE INTO email_events (sg_event_id, email_message_id, event, email, reason, url, occurred_at)
+                VALUES (?, ?, ?, ?, ?, ?, ?)
+            `;
+            this.db.run(sql, [
+                event.sgEventId || null,
+                event.emailMessageId || null,
+                event.event,
+                event.email || null,
+                event.reason || null,
+                event.url || null,
+                event.occurredAt || null
+            ], function(err) {
+                if (err) reject(new Error('Email event save failed: ' + err.message));
+                else resolve(this.changes > 0 ? this.lastID : null);
+            });
+        });
+    }
+
+    /**
+     * Forget a recorded SendGrid event whose processing failed, so its redelivery is processed again
+     */
+    async deleteEmailEvent(id) {
+        return new Promise((resolve, reject) => {
+            const sql = `DELETE FROM email_events WHERE id = ?`;
+            this.db.run(sql, [id], function(err) {
+                if (err) reject(new Error('Email event delete failed: ' + err.message));
+                else resolve(this.changes > 0);
+            });
+        });
+    }
+
+    /**
+     * Apply a SendGrid event to its logged email
+     * @param {string} event - 'delivered', 'deferred', 'bounce', 'dropped', 'open', 'click' or 'spamreport'
+     */
+    async applyEmailEvent(id, event, { reason = null, occurredAt = null } = {}) {
+        const updates = {
+            // A deferred email can still be delivered; a delivered one stays delivered
+            deferred: `status = CASE WHEN status IN ('sent', 'deferred') THEN 'deferred' ELSE status END, error_message = ?`,
+            delivered: `status = 'delivered', delivered_at = COALESCE(delivered_at, ?)`,
+            bounce: `status = 'bounced', error_message = ?`,
+            dropped: `status = 'dropped', error_message = ?`,
+            open: `opens = opens + 1, first_opened_at = COALESCE(first_opened_at, ?)`,
+            click: `clicks = clicks + 1, first_clicked_at = COALESCE(first_clicked_at, ?)`,
+            spamreport: `spam_reported_at = COALESCE(spam_reported_at, ?)`
+        };
+        if (!updates[event]) return false;
+
+        const value = ['deferred', 'bounce', 'dropped'].includes(event) ? reason : (occurredAt || new Date().toISOString());
+
+        return new Promise((resolve, reject) => {
+            const sql = `UPDATE email_messages SET ${updates[event]}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`;
+            this.db.run(sql, [value, id], function(err) {
+                if (err) reject(new Error('Email status update failed: ' + err.message));
+                else resolve(this.changes > 0);
+            });
+        });
+    }
+
+    /**
+     * @param {object} filters - { giftId, status, email, limit }
+     */
+    async getEmailMessages(filters = {}) {
+        return new Promise((resolve, reject) => {
+            const conditions = [];
+            const params = [];
+            if (filters.giftId) {
+                conditions.push('gift_id = ?');
+                params.push(filters.giftId);
+            }
+            if (filters.status) {
+                conditions.push('status = ?');
+                params.push(filters.status);
+            }
+            if (filters.email) {
+                conditions.push('LOWER(to_email) = ?');
+                params.push(filters.email.toLowerCase());
+            }
+            const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+            const sql = `SELECT * FROM email_messages ${where} ORDER BY id DESC LIMIT ?`;
+            params.push(filters.limit || 50);
+
+            this.db.all(sql, params, (err, rows) => {
+                if (err) reject(new Error('Email log lookup failed: ' + err.message));
+                else resolve(rows || []);
+            });
+        });
+    }
+
+    async getEmailMessageById(id) {
+        return new Promise((resolve, reject) => {
+            const sql = `SELECT * FROM email_messages WHERE id = ?`;
+            this.db.get(sql, [id], (err, row) => {
+                if (err) reject(new Error('Email lookup failed: ' + err.message));
+                else resolve(row || null);
+            });
+        });
+    }
+
+    async getEmailEvents(emailMessageId) {
+        return new Promise((resolve, reject) => {
+            const sql = `SELECT * FROM email_events WHERE email_message_id = ? ORDER BY occurred_at ASC, id ASC`;
+            this.db.all(sql, [emailMessageId], (err, rows) => {
+                if (err) reject(new Error('Email event lookup failed: ' + err.message));
+                else resolve(rows || []);
+            });
+        });
+    }
+
+    // Email suppressions (addresses are stored lower case)
+    async isEmailSuppressed(email) {
+        return new Promise((resolve, reject) => {
+            const sql = `SELECT id FROM email_suppressions WHERE email = ?`;
+            this.db.get(sql, [String(email).toLowerCase()], (err, row) => {
+                if (err) reject(new Error('Suppression check failed: ' + err.message));
+                else resolve(!!row);
+            });
+        });
+    }
+
+    /**
+     * @returns {Promise<boolean>} - false if the address was already suppressed
+     */
+    async addEmailSuppression(email, reason, detail = null) {
+        return new Promise((resolve, reject) => {
+            const sql = `INSERT OR IGNORE INTO email_suppressions (email, reason, detail) VALUES (?, ?, ?)`;
+            this.db.run(sql, [String(email).toLowerCase(), reason, detail], function(err) {
+                if (err) reject(new Error('Suppression save failed: ' + err.message));
+                else resolve(this.changes > 0);
+            });
+        });
+    }
+
+    async removeEmailSuppression(email) {
+        return new Promise((resolve, reject) => {
+            const sql = `DELETE FROM email_suppressions WHERE email = ?`;
+            this.db.run(sql, [String(email).toLowerCase()], function(err) {
+                if (err) reject(new Error('Suppression removal failed: ' + err.message));
+                else resolve(this.changes > 0);
+            });
+        });
+    }
+
+    async getEmailSuppressions(limit = 50) {
+        return new Promise((resolve, reject) => {
+            const sql = `SELECT * FROM email_suppressions ORDER BY id DESC LIMIT ?`;
+            this.db.all(sql, [limit], (err, rows) => {
+                if (err) reject(new Error('Suppression lookup failed: ' + err.message));
+                else resolve(rows || []);
+            });
+        });
+    }
+
     async getMessagesByGiftId(giftId) {
         return new Promise((resolve, reject) => {
             const sql = `SELECT * FROM sms_messages WHERE gift_id = ? ORDER BY created_at DESC`;
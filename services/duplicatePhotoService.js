@@ -0,0 +1,74 @@
+const db = require('./databaseService');
+const { hammingDistance, hashBands, HASH_BANDS } = require('../utils/perceptualHash');
+
+// Hashes at most this many bits apart (of 64) count as the same picture
+const DEFAULT_MAX_DISTANCE = 6;
+
+// Closer matches win ties in this order
+const SCOPES = ['same_gift', 'same_recipient', 'other_gift'];
+
+function normalizePhone(phone) {
+    return (phone || '').replace(/\D/g, '').slice(-10);
+}
+
+/**
+ * Recycled photo detection. Every submission stores a perceptual hash of its
+ * photo (or a video's poster frame); a new submission is compared with the
+ * earlier ones sharing a hash band (all that can be within maxDistance, when
+ * that is below HASH_BANDS) and flagged when it is a near-duplicate of:
+ *   - same_gift: an earlier step or a rejected attempt on this gift
+ *   - same_recipient: something the recipient submitted for another gift
+ *   - other_gift: a photo someone submitted for any other gift
+ * The flag is only shown to the sender; nothing is rejected automatically.
+ */
+class DuplicatePhotoService {
+    constructor() {
+        const configured = parseInt(process.env.DUPLICATE_PHOTO_MAX_DISTANCE, 10);
+        this.maxDistance = Number.isFinite(configured) && configured >= 0 ? configured : DEFAULT_MAX_DISTANCE;
+    }
+
+    isSameRecipient(giftOrder, row) {
+        const email = (giftOrder.recipient_email || '').toLowerCase();
+        const phone = normalizePhone(giftOrder.recipient_phone);
+        return (!!email && email === (row.recipient_email || '').toLowerCase()) ||
+               (!!phone && phone === normalizePhone(row.recipient_phone));
+    }
+
+    /**
+     * Find the closest earlier submission of the same picture
+     * @param {object} giftOrder - Gift the new submission is for
+     * @param {string|null} perceptualHash - Hash of the new photo or poster
+     * @returns {Promise<object|null>} - { submissionId, giftId, distance, scope }
+     */
+    async findDuplicate(giftOrder, perceptualHash) {
+        if (!perceptualHash) {
+            return null;
+        }
+
+        // A larger distance can't be narrowed down by band, so it compares with everything
+        const rows = await db.getPhotoSubmissionHashes(this.maxDistance < HASH_BANDS ? hashBands(perceptualHash) : null);
+        let best = null;
+        for (const row of rows) {
+            const distance = hammingDistance(perceptualHash, row.perceptual_hash);
+            if (distance > this.maxDistance) continue;
+
+            let scope = 'other_gift';
+            if (row.gift_id === giftOrder.tracking_id) {
+                scope = 'same_gift';
+            } else if (this.isSameRecipient(giftOrder, row)) {
+                scope = 'same_recipient';
+            }
+
+            const better = !best ||
+                distance < best.distance ||
+                (distance === best.distance && SCOPES.indexOf(scope) < SCOPES.indexOf(best.scope));
+            if (better) {
+                best = { submissionId: row.id, giftId: row.gift_id, distance, scope };
+            }
+        }
+        return best;
+    }
+}
+
+// Export singleton instance
+module.exports = new DuplicatePhotoService();
@@ -0,0 +1,154 @@
+const db = require('./databaseService');
+const giftDelivery = require('./giftDeliveryService');
+
+/**
+ * SendGrid event webhook processing. Events are matched to the logged email
+ * (email_messages) by the hb_message_id custom arg that sendGridService
+ * tags every email with, or by SendGrid's message id, and recorded once each
+ * in email_events. Hard bounces suppress the address, and a bounced or
+ * dropped gift notice falls back to SMS (see giftDeliveryService.handleChannelFailure).
+ * An event that fails is forgotten again, so SendGrid's redelivery of the
+ * batch processes it while the events that worked are skipped as duplicates.
+ */
+class EmailEventService {
+    /**
+     * Process a batch of events
+     * @param {Array} events - The webhook's JSON body
+     * @returns {Promise<object>} - { recorded, duplicates, unmatched, suppressed, failed }; the
+     *   webhook should fail when any event failed, so SendGrid sends the batch again
+     */
+    async processEvents(events) {
+        const stats = { recorded: 0, duplicates: 0, unmatched: 0, suppressed: 0, failed: 0 };
+
+        for (const event of events) {
+            try {
+                await this.processEvent(event, stats);
+            } catch (error) {
+                stats.failed++;
+                console.error(`❌ SendGrid event ${event && event.sg_event_id} failed:`, error.message);
+            }
+        }
+
+        return stats;
+    }
+
+    async processEvent(event, stats) {
+        if (!event || !event.event) {
+            return;
+        }
+
+        // SendGrid's message id in events is the X-Message-Id it returned, plus a suffix
+        const sgMessageId = event.sg_message_id ? String(event.sg_message_id).split('.')[0] : null;
+        const message = await db.findEmailMessage(event.hb_message_id, sgMessageId);
+        const occurredAt = event.timestamp ? new Date(event.timestamp * 1000).toISOString() : null;
+        const reason = event.reason || event.response || null;
+
+        const eventId = await db.recordEmailEvent({
+            sgEventId: event.sg_event_id,
+            emailMessageId: message ? message.id : null,
+            event: event.event,
+            email: event.email,
+            reason,
+            url: event.url,
+            occurredAt
+        });
+        if (!eventId) {
+            stats.duplicates++;
+            return;
+        }
+
+        try {
+            await this.applyEvent(event, message, { reason, occurredAt }, stats);
+        } catch (error) {
+            await db.deleteEmailEvent(eventId);
+            throw error;
+        }
+        stats.recorded++;
+    }
+
+    /**
+     * What an event changes: suppressions, the logged email and its gift's channel health
+     */
+    async applyEvent(event, message, { reason, occurredAt }, stats) {
+        // Hard bounces suppress the address even for emails we did not log;
+        // 'blocked' bounces are temporary rejections
+        if (event.event === 'bounce' && event.type !== 'blocked' && event.email) {
+            if (await db.addEmailSuppression(event.email, 'bounce', reason)) {
+                stats.suppressed++;
+                console.log(`⛔ ${event.email} suppressed after a hard bounce`);
+            }
+        }
+
+        if (!message) {
+            stats.unmatched++;
+            return;
+        }
+
+        await db.applyEmailEvent(message.id, event.event, { reason, occurredAt });
+        if (!message.gift_id) {
+            return;
+        }
+
+        if (event.event === 'delivered') {
+            await db.setGiftChannelHealth(message.gift_id, 'email', 'ok');
+        } else if (event.event === 'bounce' || event.event === 'dropped') {
+            await giftDelivery.handleChannelFailure('email', message.gift_id, message.category,
+                `${event.event}${reason ? ` (${reason})` : ''}`);
+        }
+    }
+
+    /**
+     * Logged emails, newest first
+     * @param {object} filters - { giftId, status, email, limit }
+     */
+    async getMessages(filters = {}) {
+        const messages = await db.getEmailMessages(filters);
+        return messages.map(formatMessage);
+    }
+
+    /**
+     * A logged email with its events
+     */
+    async getMessage(id) {
+        const message = await db.getEmailMessageById(id);
+        if (!message) {
+            return null;
+        }
+
+        const events = await db.getEmailEvents(message.id);
+        return {
+            ...formatMessage(message),
+            events: events.map(event => ({
+                event: event.event,
+                reason: event.reason,
+                url: event.url,
+                occurredAt: event.occurred_at
+            }))
+        };
+    }
+}
+
+function formatMessage(row) {
+    return {
+        id: row.id,
+        messageId: row.message_id,
+        sgMessageId: row.sg_message_id,
+        outboundMessageId: row.outbound_message_id,
+        to: row.to_email,
+        subject: row.subject,
+        giftId: row.gift_id,
+        category: row.category,
+        status: row.status,
+        error: row.error_message,
+        opens: row.opens,
+        clicks: row.clicks,
+        deliveredAt: row.delivered_at,
+        firstOpenedAt: row.first_opened_at,
+        firstClickedAt: row.first_clicked_at,
+        spamReportedAt: row.spam_reported_at,
+        createdAt: row.created_at
+    };
+}
+
+// Export singleton instance
+module.exports = new EmailEventService();
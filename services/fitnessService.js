@@ -0,0 +1,270 @@
+const db = require('./databaseService');
+const { parseStoredTimestamp } = require('../utils/timeZone');
+
+const SPORTS = ['any', 'run', 'walk', 'ride', 'swim', 'hike'];
+const MODES = ['total', 'each'];
+const DISTANCE_UNITS = { mi: 1609.344, km: 1000, m: 1 };
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_WITHIN_DAYS = 365;
+
+// Device clocks drift; allow activities stamped slightly in the future
+const CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+function positiveNumber(value) {
+    if (value === undefined || value === null || value === '') return undefined;
+    const number = Number(value);
+    return Number.isFinite(number) && number > 0 ? number : null;
+}
+
+/**
+ * Activities from different files for the same workout share a start minute
+ */
+function activityKey(activity) {
+    return activity.startTime.toISOString().slice(0, 16);
+}
+
+/**
+ * Fitness challenges: the sender sets a distance and/or time goal (optionally
+ * for one sport and within a number of days of delivery) and the recipient
+ * proves it by uploading GPX, TCX or FIT files or an Apple Health / Google Fit
+ * export. In 'total' mode activities add up and steps fill in proportionally
+ * ("run 5 miles this week"); in 'each' mode every activity that meets the goal
+ * on its own completes one step ("three 30 minute workouts").
+ *
+ * The goal lives in challenge.requirements.fitness; running totals in
+ * challenge.progress.fitness and every upload in progress.submissions.
+ */
+class FitnessService {
+    isFitnessChallenge(challenge) {
+        return !!challenge && challenge.type === 'fitness';
+    }
+
+    /**
+     * Validate the goal sent with a new gift. A fitness challenge without one
+     * works as before goals existed: the recipient reports steps themselves.
+     * @param {object} fitness - { sport, distance, unit: 'mi'|'km'|'m', minutes, mode: 'total'|'each', withinDays }
+     * @returns {{fitness: object|null, error: string|null}}
+     */
+    validateFitness(fitness) {
+        if (fitness === undefined || fitness === null) {
+            return { fitness: null, error: null };
+        }
+        if (typeof fitness !== 'object') {
+            return { fitness: null, error: 'fitness must be a goal: { distance, unit, minutes }' };
+        }
+
+        const sport = fitness.sport === undefined || fitness.sport === null ? 'any' : String(fitness.sport).toLowerCase();
+        if (!SPORTS.includes(sport)) {
+            return { fitness: null, error: `sport must be one of ${SPORTS.join(', ')}` };
+        }
+
+        const mode = fitness.mode === undefined || fitness.mode === null ? 'total' : fitness.mode;
+        if (!MODES.includes(mode)) {
+            return { fitness: null, error: "mode must be 'total' or 'each'" };
+        }
+
+        const unit = fitness.unit === undefined || fitness.unit === null ? 'mi' : fitness.unit;
+        if (!DISTANCE_UNITS[unit]) {
+            return { fitness: null, error: "unit must be 'mi', 'km' or 'm'" };
+        }
+
+        const distance = positiveNumber(fitness.distance);
+        const minutes = positiveNumber(fitness.minutes);
+        if (distance === null || minutes === null) {
+            return { fitness: null, error: 'distance and minutes must be positive numbers' };
+        }
+        if (distance === undefined && minutes === undefined) {
+            return { fitness: null, error: 'A fitness challenge needs a distance or minutes goal' };
+        }
+
+        let withinDays = null;
+        if (fitness.withinDays !== undefined && fitness.withinDays !== null) {
+            withinDays = Number(fitness.withinDays);
+            if (!Number.isInteger(withinDays) || withinDays < 1 || withinDays > MAX_WITHIN_DAYS) {
+                return { fitness: null, error: `withinDays must be a whole number from 1 to ${MAX_WITHIN_DAYS}` };
+            }
+        }
+
+        return {
+            fitness: {
+                sport,
+                mode,
+                unit,
+                distance: distance || null,
+                minutes: minutes || null,
+                distanceMeters: distance ? Math.round(distance * DISTANCE_UNITS[unit]) : null,
+                durationSeconds: minutes ? Math.round(minutes * 60) : null,
+                withinDays
+            },
+            error: null
+        };
+    }
+
+    getGoal(challenge) {
+        return (challenge.requirements && challenge.requirements.fitness) || null;
+    }
+
+    /**
+     * Whether progress comes from uploaded activities, i.e. a fitness challenge
+     * with a goal; goal-less (older) fitness challenges take steps and replies like any other
+     */
+    tracksActivities(challenge) {
+        return this.isFitnessChallenge(challenge) && !!this.getGoal(challenge);
+    }
+
+    /**
+     * Activities count from when the gift reached the recipient, for
+     * withinDays days if the sender set a limit
+     * @returns {{startsAt: Date|null, endsAt: Date|null}}
+     */
+    getWindow(challenge, giftOrder) {
+        const goal = this.getGoal(challenge);
+        const startsAt = parseStoredTimestamp(giftOrder.delivered_at) || parseStoredTimestamp(giftOrder.created_at);
+        const endsAt = startsAt && goal && goal.withinDays ? new Date(startsAt.getTime() + goal.withinDays * DAY_MS) : null;
+        return { startsAt, endsAt };
+    }
+
+    getState(challenge) {
+        const saved = challenge.progress.fitness || {};
+        return {
+            distanceMeters: 0,
+            durationSeconds: 0,
+            activitiesCounted: 0,
+            ...saved,
+            activityKeys: [...(saved.activityKeys || [])]
+        };
+    }
+
+    /**
+     * Fitness report for progress responses
+     * @returns {object|null}
+     */
+    summarize(challenge, giftOrder) {
+        const goal = this.getGoal(challenge);
+        if (!goal) {
+            return null;
+        }
+
+        const state = this.getState(challenge);
+        const { startsAt, endsAt } = giftOrder ? this.getWindow(challenge, giftOrder) : { startsAt: null, endsAt: null };
+        return {
+            sport: goal.sport,
+            mode: goal.mode,
+            goal: {
+                distance: goal.distance,
+                unit: goal.unit,
+                minutes: goal.minutes,
+                distanceMeters: goal.distanceMeters,
+                durationSeconds: goal.durationSeconds
+            },
+            distanceMeters: Math.round(state.distanceMeters),
+            distance: Math.round((state.distanceMeters / DISTANCE_UNITS[goal.unit]) * 100) / 100,
+            minutes: Math.round(state.durationSeconds / 60),
+            activitiesCounted: state.activitiesCounted,
+            uploads: (challenge.progress.submissions || []).filter(s => s.type === 'activity').length,
+            windowStartsAt: startsAt,
+            windowEndsAt: endsAt
+        };
+    }
+
+    /**
+     * Why an activity does not count toward the goal, or null if it does
+     */
+    rejectionReason(activity, goal, window, state, now) {
+        if (!activity.startTime) return 'no_date';
+        if (window.startsAt && activity.startTime < window.startsAt) return 'before_gift';
+        if (window.endsAt && activity.startTime > window.endsAt) return 'after_window';
+        if (activity.startTime.getTime() > now.getTime() + CLOCK_SKEW_MS) return 'in_future';
+        if (goal.sport !== 'any' && activity.sport !== goal.sport) return 'wrong_sport';
+        if (state.activityKeys.includes(activityKey(activity))) return 'already_counted';
+        if (goal.mode === 'each' &&
+            ((goal.distanceMeters && activity.distanceMeters < goal.distanceMeters) ||
+             (goal.durationSeconds && (activity.durationSeconds || 0) < goal.durationSeconds))) {
+            return 'below_goal';
+        }
+        return null;
+    }
+
+    /**
+     * Count parsed activities toward the goal and record the upload as a
+     * submission the sender can see
+     * @param {object} challenge - From db.getChallengeById (progress parsed)
+     * @param {object} upload - { fileName, activities } from parseActivityUpload
+     * @param {object} giftOrder - For the counting window
+     * @returns {Promise<object>} - { activities, counted, ignored, challenge }
+     */
+    async submitActivities(challenge, upload, giftOrder, now = new Date()) {
+        const goal = this.getGoal(challenge);
+        const window = this.getWindow(challenge, giftOrder);
+        const state = this.getState(challenge);
+        const progress = { ...challenge.progress, started: true };
+
+        const activities = [];
+        let ignored = 0;
+        let counted = 0;
+
+        upload.activities
+            .slice()
+            .sort((a, b) => (a.startTime || 0) - (b.startTime || 0))
+            .forEach(activity => {
+                const reason = this.rejectionReason(activity, goal, window, state, now);
+
+                // Exports carry years of history; only keep what is relevant to this gift
+                if (reason === 'before_gift' || reason === 'no_date') {
+                    ignored++;
+                    return;
+                }
+
+                if (!reason) {
+                    state.activityKeys.push(activityKey(activity));
+                    state.distanceMeters += activity.distanceMeters || 0;
+                    state.durationSeconds += activity.durationSeconds || 0;
+                    state.activitiesCounted++;
+                    counted++;
+                }
+                activities.push({ ...activity, counted: !reason, reason });
+            });
+
+        if (!progress.completed) {
+            if (goal.mode === 'each') {
+                progress.currentStep = Math.min(progress.currentStep + counted, progress.totalSteps);
+            } else {
+                // Every goal that was set must be met; steps fill in with the furthest behind
+                const fractions = [];
+                if (goal.distanceMeters) fractions.push(state.distanceMeters / goal.distanceMeters);
+                if (goal.durationSeconds) fractions.push(state.durationSeconds / goal.durationSeconds);
+                const reached = Math.floor(Math.min(...fractions) * progress.totalSteps + 1e-9);
+                progress.currentStep = Math.max(progress.currentStep, Math.min(reached, progress.totalSteps));
+            }
+            if (progress.currentStep >= progress.totalSteps) {
+                progress.completed = true;
+            }
+        }
+
+        progress.fitness = state;
+        progress.submissions = [...(progress.submissions || []), {
+            timestamp: now,
+            type: 'activity',
+            data: {
+                fileName: upload.fileName,
+                format: upload.format,
+                activities,
+                ignored,
+                counted,
+                totals: {
+                    distanceMeters: Math.round(state.distanceMeters),
+                    durationSeconds: state.durationSeconds,
+                    activitiesCounted: state.activitiesCounted
+                }
+            }
+        }];
+
+        await db.updateChallengeProgress(challenge.id, progress);
+
+        return { activities, counted, ignored, challenge: { ...challenge, progress } };
+    }
+}
+
+// Export singleton instance
+module.exports = new FitnessService();
@@ -0,0 +1,337 @@
+const db = require('./databaseService');
+const twilioService = require('./twilioService');
+const sendGridService = require('./sendGridService');
+const giftLifecycle = require('./giftLifecycleService');
+const quizService = require('./quizService');
+const outboundQueue = require('./outboundQueueService');
+
+// Gift notices that are re-sent through the other channel when theirs fails
+const FALLBACK_NOTICES = ['delivery', 'unlock'];
+
+class GiftDeliveryService {
+    constructor() {
+        this.dispatching = false;
+
+        // Notices whose retries ran out in the outbound queue
+        outboundQueue.onDeadLetter((message, failure) =>
+            this.handleChannelFailure(message.channel, message.giftId, message.category, failure.error));
+    }
+
+    /**
+     * Build the gift object used by sendInitialMessage from a gift_orders row
+     * @param {object} giftOrder - Row from gift_orders (joined with sender name)
+     * @returns {object}
+     */
+    giftFromOrder(giftOrder) {
+        return {
+            id: giftOrder.tracking_id,
+            senderName: giftOrder.sender_name || 'Someone special',
+            recipientName: giftOrder.recipient_name,
+            recipientPhone: giftOrder.recipient_phone,
+            recipientEmail: giftOrder.recipient_email,
+            deliveryMethod: giftOrder.delivery_method || 'email',
+            type: giftOrder.gift_type,
+            details: {
+                value: giftOrder.gift_value,
+                description: giftOrder.gift_value,
+                personalMessage: giftOrder.personal_note || giftOrder.message
+            },
+            challengeId: giftOrder.challenge_id
+        };
+    }
+
+    /**
+     * Challenge of a gift order, or one built from the order's own columns
+     */
+    async getChallengeForOrder(giftOrder) {
+        return (giftOrder.challenge_id && await db.getChallengeById(giftOrder.challenge_id)) || {
+            type: giftOrder.challenge_type || 'custom',
+            description: giftOrder.challenge_description || giftOrder.challenge
+        };
+    }
+
+    /**
+     * Content of the initial gift notification
+     * @returns {object} - giftData for sendGridService.sendInitialGiftEmail, with the challenge text
+     */
+    buildGiftData(gift, challenge) {
+        // Quiz recipients start with the first question
+        const challengeText = quizService.isQuizChallenge(challenge) && challenge.requirements
+            ? `${challenge.description}\n${quizService.formatFirstQuestion(challenge)}`
+            : challenge.description;
+
+        return {
+            giftId: gift.id,
+            recipientName: gift.recipientName,
+            senderName: gift.senderName,
+            giftType: gift.type,
+            giftValue: gift.details?.description || 'A surprise!',
+            challenge: challengeText,
+            message: gift.details?.personalMessage || null
+        };
+    }
+
+    /**
+     * Send the initial gift SMS
+     * @returns {Promise<object>} - { success, messageId, sentAt } or { success: false, error }
+     */
+    async sendInitialSms(gift, giftData) {
+        try {
+            const giftLink = `https://badgerbot.net/g/${gift.id}`;
+            const messageBody = `Honey Badger Gifts: ${gift.senderName} sent you a gift!\n\n` +
+                `🎁 ${gift.type} - ${giftData.giftValue}\n` +
+                `🎯 Challenge: ${giftData.challenge}\n\n` +
+                `👉 Open your gift: ${giftLink}\n\n` +
+                `Reply START to accept and receive challenge updates. Msg frequency varies. Msg & data rates may apply. Reply HELP for help. Reply STOP to opt out.`;
+
+            const message = await twilioService.sendSMS(gift.recipientPhone, messageBody, { giftId: gift.id, category: 'delivery' });
+
+            return {
+                success: !!message,
+                messageId: message ? message.sid : null,
+                sentAt: new Date()
+            };
+        } catch (smsError) {
+            console.error('Error sending SMS:', smsError);
+            return {
+                success: false,
+                error: smsError.message
+            };
+        }
+    }
+
+    /**
+     * Send the initial gift notification (SMS and/or email) to the recipient.
+     * A channel that fails falls back to the other one (see handleChannelFailure).
+     * @param {object} gift - Gift object (see giftFromOrder)
+     * @param {object} challenge - Challenge with at least a description
+     * @returns {Promise<object>} - { success, results, deliveryHealth: { sms, email }, sentAt }
+     */
+    async sendInitialMessage(gift, challenge) {
+        const results = { sms: null, email: null };
+
+        try {
+            const giftData = this.buildGiftData(gift, challenge);
+
+            // Send via SMS if phone number provided and delivery method allows
+            if (gift.recipientPhone && (gift.deliveryMethod === 'sms' || gift.deliveryMethod === 'both')) {
+                if (!twilioService.isInitialized()) {
+                    console.warn('⚠️  SMS requested but Twilio is not configured');
+                    results.sms = {
+                        success: false,
+                        error: 'Twilio not configured - SMS delivery unavailable'
+                    };
+                } else {
+                    results.sms = await this.sendInitialSms(gift, giftData);
+                }
+            }
+
+            // Send via Email if email provided and delivery method allows
+            if (gift.recipientEmail && (gift.deliveryMethod === 'email' || gift.deliveryMethod === 'both')) {
+                const emailResult = await sendGridService.sendInitialGiftEmail(gift.recipientEmail, giftData);
+                results.email = emailResult;
+            }
+
+            // Channels that are configured but failed fall back to the other one
+            const deliveryHealth = { sms: null, email: null };
+            const failed = [];
+            if (results.sms && !results.sms.success && twilioService.isInitialized()) {
+                failed.push({ channel: 'sms', reason: results.sms.error });
+            }
+            if (results.email && !results.email.success && sendGridService.isInitialized()) {
+                failed.push({ channel: 'email', reason: results.email.message });
+            }
+            for (const { channel, reason } of failed) {
+                deliveryHealth[channel] = 'failed';
+                const fallback = await this.handleChannelFailure(channel, gift.id, 'delivery', reason, { gift, challenge });
+                if (fallback) {
+                    results.fallback = fallback;
+                    if (fallback.status === 'failed') deliveryHealth[fallback.channel] = 'failed';
+                }
+            }
+
+            // Return success if at least one method (or the fallback) succeeded
+            const success = (results.sms?.success || results.email?.success || ['sent', 'queued'].includes(results.fallback?.status));
+
+            return {
+                success,
+                results,
+                deliveryHealth,
+                sentAt: new Date()
+            };
+        } catch (error) {
+            console.error('Error sending initial message:', error);
+            return {
+                success: false,
+                error: error.message,
+                results
+            };
+        }
+    }
+
+    /**
+     * A gift's SMS or email failed: mark the channel unhealthy for the gift
+     * and, for the initial delivery and the unlock notice, send the notice
+     * through the other channel. Each notice falls back at most once, and not
+     * at all if it was already sent (or tried) on the other channel.
+     * Called when a send fails, from the Twilio status callback, and for
+     * outbound messages that ran out of retries.
+     * @param {string} channel - 'sms' or 'email', the channel that failed
+     * @param {string} notice - The message's category; only FALLBACK_NOTICES fall back
+     * @param {string} reason - What went wrong
+     * @param {object} context - { gift, challenge } when the caller has them
+     * @returns {Promise<object|null>} - { channel, status } of the fallback, or null if there was none
+     */
+    async handleChannelFailure(channel, giftId, notice, reason = null, context = {}) {
+        if (!giftId) {
+            return null;
+        }
+
+        await db.setGiftChannelHealth(giftId, channel, 'failed');
+        if (!FALLBACK_NOTICES.includes(notice)) {
+            return null;
+        }
+
+        const other = channel === 'sms' ? 'email' : 'sms';
+        if (await db.hasOutboundMessage(giftId, notice, other)) {
+            return null;
+        }
+
+        let { gift, challenge } = context;
+        if (!gift) {
+            const giftOrder = await db.getGiftOrderByTrackingId(giftId);
+            if (!giftOrder) {
+                return null;
+            }
+            gift = this.giftFromOrder(giftOrder);
+            if (notice === 'delivery') {
+                challenge = await this.getChallengeForOrder(giftOrder);
+            }
+        }
+
+        const fallbackId = await db.claimDeliveryFallback({ giftId, notice, fromChannel: channel, toChannel: other, reason });
+        if (!fallbackId) {
+            return null;
+        }
+
+        const available = other === 'email'
+            ? !!gift.recipientEmail && sendGridService.isInitialized()
+            : !!gift.recipientPhone && twilioService.isInitialized();
+        if (!available) {
+            await db.finishDeliveryFallback(fallbackId, 'unavailable', `No ${other} to fall back to`);
+            console.warn(`⚠️  ${notice} ${channel} for ${giftId} failed and there is no ${other} to fall back to`);
+            return { channel: other, status: 'unavailable' };
+        }
+
+        let status;
+        let detail = null;
+        try {
+            ({ status, detail } = await this.sendFallbackNotice(gift, notice, other, challenge));
+        } catch (error) {
+            status = 'failed';
+            detail = error.message;
+        }
+
+        await db.finishDeliveryFallback(fallbackId, status, detail);
+        if (status === 'failed') {
+            await db.setGiftChannelHealth(giftId, other, 'failed');
+        }
+        console.log(`↪️  ${notice} ${channel} for ${giftId} failed; ${other} fallback ${status}`);
+        return { channel: other, status };
+    }
+
+    /**
+     * Send a gift notice on the channel it falls back to
+     * @param {object} gift - Gift object (see giftFromOrder)
+     * @param {object} challenge - The gift's challenge, for the 'delivery' notice
+     * @returns {Promise<{status: string, detail: string|null}>}
+     */
+    async sendFallbackNotice(gift, notice, channel, challenge = null) {
+        if (notice === 'delivery') {
+            const giftData = this.buildGiftData(gift, challenge);
+            if (channel === 'email') {
+                const result = await sendGridService.sendInitialGiftEmail(gift.recipientEmail, giftData);
+                return this.fallbackEmailStatus(result);
+            }
+            const result = await this.sendInitialSms(gift, giftData);
+            return result.success ? { status: 'sent', detail: result.messageId } : { status: 'failed', detail: result.error };
+        }
+
+        if (channel === 'email') {
+            const result = await sendGridService.sendCompletionEmail(gift.recipientEmail, {
+                recipientName: gift.recipientName,
+                giftType: gift.type,
+                giftValue: gift.details.value,
+                senderName: gift.senderName,
+                giftId: gift.id
+            });
+            return this.fallbackEmailStatus(result);
+        }
+
+        const message = await twilioService.sendSMS(
+            gift.recipientPhone,
+            `🎉 Your ${gift.type} gift from ${gift.senderName} is unlocked!\n\n👉 https://badgerbot.net/g/${gift.id}`,
+            { giftId: gift.id, category: 'unlock' }
+        );
+        if (message && message.sid) return { status: 'sent', detail: message.sid };
+        if (message && message.queued) return { status: 'queued', detail: `outbound message ${message.outboundId}` };
+        if (message && message.blocked) return { status: 'blocked', detail: message.reason };
+        return { status: 'failed', detail: 'no response from Twilio' };
+    }
+
+    fallbackEmailStatus(result) {
+        if (!result.success) return { status: 'failed', detail: result.message };
+        return { status: result.queued ? 'queued' : 'sent', detail: null };
+    }
+
+    /**
+     * Deliver every scheduled gift whose deliver_at has passed.
+     * Each gift is claimed (scheduled -> delivered) before sending so it goes out at most once.
+     * @returns {Promise<object|null>} - { due, delivered, failed }, or null if a run is in progress
+     */
+    async dispatchScheduledGifts(now = new Date()) {
+        if (this.dispatching) {
+            return null;
+        }
+
+        this.dispatching = true;
+        const stats = { due: 0, delivered: 0, failed: 0 };
+
+        try {
+            const dueGifts = await db.getDueScheduledGifts(now);
+            stats.due = dueGifts.length;
+
+            for (const giftOrder of dueGifts) {
+                try {
+                    const claimed = await giftLifecycle.transitionIfAllowed(giftOrder.tracking_id, 'delivered', {
+                        from: 'scheduled',
+                        reason: 'Scheduled delivery'
+                    });
+                    if (!claimed) continue;
+
+                    const challenge = await this.getChallengeForOrder(giftOrder);
+                    const result = await this.sendInitialMessage(this.giftFromOrder(giftOrder), challenge);
+                    if (result.success) {
+                        stats.delivered++;
+                        console.log(`📬 Scheduled gift delivered: ${giftOrder.tracking_id}`);
+                    } else {
+                        stats.failed++;
+                        console.error(`❌ Scheduled gift ${giftOrder.tracking_id} could not be delivered:`, result.error || JSON.stringify(result.results));
+                    }
+                } catch (error) {
+                    stats.failed++;
+                    console.error(`❌ Scheduled delivery failed for ${giftOrder.tracking_id}:`, error.message);
+                }
+            }
+        } catch (error) {
+            console.error('❌ Scheduled delivery sweep failed:', error.message);
+        } finally {
+            this.dispatching = false;
+        }
+
+        return stats;
+    }
+}
+
+// Export singleton instance
+module.exports = new GiftDeliveryService();
@@ -0,0 +1,311 @@
+const db = require('./databaseService');
+const twilioService = require('./twilioService');
+const sendGridService = require('./sendGridService');
+const reminderService = require('./reminderService');
+const giftDelivery = require('./giftDeliveryService');
+const giftLifecycle = require('./giftLifecycleService');
+const autoApproval = require('./autoApprovalService');
+
+// Who the gift goes to can only change until the recipient responds to it
+const RECIPIENT_STATES = ['scheduled', 'delivered'];
+
+// The challenge can be reworded while the recipient works on it, but not while
+// a submission is waiting for review against the current wording
+const CHALLENGE_STATES = ['scheduled', 'delivered', 'accepted', 'in_progress'];
+
+// Changing what the challenge is (or how many steps it has) only before work starts
+const CHALLENGE_SHAPE_STATES = ['scheduled', 'delivered', 'accepted'];
+
+// Everything up to the moment the gift is unlocked
+const DETAIL_STATES = ['scheduled', ...giftLifecycle.OPEN_STATES];
+
+const EDITABLE_FIELDS = {
+    recipientName: { columns: ['recipient_name'], states: RECIPIENT_STATES, required: true },
+    recipientPhone: { columns: ['recipient_phone'], states: RECIPIENT_STATES },
+    recipientEmail: { columns: ['recipient_email'], states: RECIPIENT_STATES },
+    deliveryMethod: { columns: ['delivery_method'], states: RECIPIENT_STATES, required: true },
+    giftValue: { columns: ['gift_value'], states: DETAIL_STATES, required: true },
+    personalNote: { columns: ['personal_note', 'message'], states: DETAIL_STATES },
+    challengeType: { columns: ['challenge_type'], states: CHALLENGE_SHAPE_STATES, required: true },
+    challengeDescription: { columns: ['challenge_description', 'challenge'], states: CHALLENGE_STATES, required: true },
+    duration: { columns: ['duration'], states: CHALLENGE_SHAPE_STATES, required: true },
+    autoApproveHours: { columns: ['auto_approve_hours'], states: DETAIL_STATES },
+    autoApproveTrusted: { columns: ['auto_approve_trusted'], states: DETAIL_STATES, required: true }
+};
+
+// Fields that have their own endpoint
+const OTHER_ENDPOINTS = {
+    deliverAt: 'PUT /api/gifts/:giftId/schedule',
+    recipientTimeZone: 'PUT /api/gifts/:giftId/schedule',
+    expirationDate: 'PUT /api/gifts/:giftId/expiration',
+    status: 'POST /api/gifts/:giftId/cancel'
+};
+
+// Challenge types whose requirements can only be given when sending
+const SETUP_CHALLENGE_TYPES = ['quiz', 'location'];
+
+const CONTACT_FIELDS = ['recipientPhone', 'recipientEmail', 'deliveryMethod'];
+const CHALLENGE_FIELDS = ['challengeType', 'challengeDescription', 'duration'];
+
+function currentValue(giftOrder, field) {
+    const { columns } = EDITABLE_FIELDS[field];
+    const value = giftOrder[columns[0]];
+    return value === undefined ? null : value;
+}
+
+/**
+ * Validate and normalize one submitted value.
+ * @returns {{value}|{error: string}}
+ */
+function normalizeField(field, raw) {
+    if (raw === null || (typeof raw === 'string' && raw.trim() === '')) {
+        return EDITABLE_FIELDS[field].required ? { error: `${field} cannot be empty` } : { value: null };
+    }
+
+    if (field === 'duration') {
+        const steps = Number(raw);
+        if (!Number.isInteger(steps) || steps < 1) {
+            return { error: 'duration must be a whole number of at least 1' };
+        }
+        return { value: steps };
+    }
+
+    if (field === 'autoApproveHours' || field === 'autoApproveTrusted') {
+        const settings = field === 'autoApproveHours'
+            ? autoApproval.validateSettings(raw, undefined)
+            : autoApproval.validateSettings(undefined, raw);
+        if (settings.error) {
+            return { error: settings.error };
+        }
+        return { value: field === 'autoApproveHours' ? settings.hours : (settings.trusted ? 1 : 0) };
+    }
+
+    if (typeof raw !== 'string') {
+        return { error: `${field} must be a string` };
+    }
+
+    const value = raw.trim();
+    if (field === 'deliveryMethod' && !['sms', 'email', 'both'].includes(value)) {
+        return { error: "deliveryMethod must be 'sms', 'email' or 'both'" };
+    }
+    if (field === 'recipientEmail' && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value)) {
+        return { error: 'recipientEmail is not a valid email address' };
+    }
+    return { value };
+}
+
+class GiftEditService {
+    /**
+     * Work out which columns a sender's edit changes, enforcing which fields
+     * may change in the gift's current state. Fields whose value is unchanged
+     * are ignored.
+     * @param {object} giftOrder - Row from gift_orders
+     * @param {object} body - Request body of PATCH /api/gifts/:giftId
+     * @returns {object} - { error, statusCode } or { fields, changes, columns, contactChanged, challengeChanged }
+     */
+    planChanges(giftOrder, body) {
+        const submitted = Object.keys(body || {});
+
+        for (const field of submitted) {
+            if (OTHER_ENDPOINTS[field]) {
+                return { statusCode: 400, error: `${field} cannot be edited here; use ${OTHER_ENDPOINTS[field]}` };
+            }
+            if (!EDITABLE_FIELDS[field]) {
+                return { statusCode: 400, error: `${field} cannot be edited` };
+            }
+        }
+
+        const changes = {};
+        for (const field of submitted) {
+            const normalized = normalizeField(field, body[field]);
+            if (normalized.error) {
+                return { statusCode: 400, error: normalized.error };
+            }
+            if (String(normalized.value) !== String(currentValue(giftOrder, field))) {
+                changes[field] = normalized.value;
+            }
+        }
+
+        // Quiz questions and location geofences are set when the gift is sent (a
+        // fitness challenge without a goal is fine)
+        if (SETUP_CHALLENGE_TYPES.includes(changes.challengeType)) {
+            return { statusCode: 400, error: `A gift cannot be changed into a ${changes.challengeType} challenge; send a new gift instead` };
+        }
+        if (changes.duration !== undefined && giftOrder.challenge_type === 'quiz' && changes.challengeType === undefined) {
+            return { statusCode: 400, error: 'duration of a quiz is its number of questions and cannot be edited' };
+        }
+
+        const fields = Object.keys(changes);
+        const blocked = fields.filter(field => !EDITABLE_FIELDS[field].states.includes(giftOrder.status));
+        if (blocked.length > 0) {
+            return {
+                statusCode: 409,
+                error: `${blocked.join(', ')} cannot be changed once a gift is ${giftOrder.status.replace('_', ' ')}`
+            };
+        }
+
+        // The recipient must stay reachable on the chosen delivery method
+        const merged = field => (field in changes ? changes[field] : currentValue(giftOrder, field));
+        const phone = merged('recipientPhone');
+        const email = merged('recipientEmail');
+        const contactChanged = fields.some(field => CONTACT_FIELDS.includes(field));
+        if (contactChanged) {
+            const method = merged('deliveryMethod') || (phone ? 'sms' : 'email');
+            if (!phone && !email) {
+                return { statusCode: 400, error: 'A gift needs a recipient phone or email' };
+            }
+            if ((method === 'sms' || method === 'both') && !phone) {
+                return { statusCode: 400, error: `deliveryMethod '${method}' needs a recipient phone` };
+            }
+            if ((method === 'email' || method === 'both') && !email) {
+                return { statusCode: 400, error: `deliveryMethod '${method}' needs a recipient email` };
+            }
+        }
+
+        const columns = {};
+        fields.forEach(field => {
+            EDITABLE_FIELDS[field].columns.forEach(column => {
+                columns[column] = changes[field];
+            });
+        });
+        if (changes.recipientPhone !== undefined || changes.recipientEmail !== undefined) {
+            columns.recipient_contact = phone || email;
+        }
+        // A new number or address hasn't failed yet
+        if (changes.recipientPhone !== undefined) {
+            columns.sms_health = null;
+        }
+        if (changes.recipientEmail !== undefined) {
+            columns.email_health = null;
+        }
+
+        return {
+            fields,
+            changes,
+            columns,
+            contactChanged,
+            challengeChanged: fields.some(field => CHALLENGE_FIELDS.includes(field))
+        };
+    }
+
+    /**
+     * Save a plan from planChanges, keeping the linked challenge in sync
+     * @returns {Promise<boolean>} - false if the gift changed state first
+     */
+    async applyChanges(giftOrder, plan) {
+        const updated = await db.updateGiftOrderDetails(giftOrder.tracking_id, giftOrder.status, plan.columns);
+        if (!updated || !plan.challengeChanged || !giftOrder.challenge_id) {
+            return updated;
+        }
+
+        const challenge = await db.getChallengeById(giftOrder.challenge_id);
+        if (challenge) {
+            const { challengeType, challengeDescription, duration } = plan.changes;
+            await db.updateChallengeDetails(challenge.id, {
+                type: challengeType,
+                description: challengeDescription,
+                requirements: duration ? { ...challenge.requirements, totalSteps: duration } : null,
+                progress: duration ? { ...challenge.progress, totalSteps: duration } : null
+            });
+        }
+
+        return true;
+    }
+
+    /**
+     * Tell the recipient about an edit. A new phone/email gets the gift from
+     * scratch; otherwise the recipient hears about challenge changes. Nothing
+     * is sent for scheduled gifts, which go out with the new details.
+     * @param {object} giftOrder - The gift after the edit (with sender_name)
+     * @returns {Promise<boolean>} - true if the recipient was notified on any channel
+     */
+    async notifyRecipientOfEdit(giftOrder, plan) {
+        if (giftOrder.status === 'scheduled') {
+            return false;
+        }
+
+        const challenge = (giftOrder.challenge_id && await db.getChallengeById(giftOrder.challenge_id)) || {
+            type: giftOrder.challenge_type || 'custom',
+            description: giftOrder.challenge_description || giftOrder.challenge
+        };
+
+        if (plan.contactChanged) {
+            const result = await giftDelivery.sendInitialMessage(giftDelivery.giftFromOrder(giftOrder), challenge);
+            return !!result.success;
+        }
+
+        if (!plan.challengeChanged) {
+            return false;
+        }
+
+        const channels = await reminderService.resolveChannels(giftOrder);
+        const senderName = giftOrder.sender_name || 'Someone special';
+        let delivered = false;
+
+        if (channels.sms) {
+            try {
+                const message = await twilioService.sendSMS(
+                    giftOrder.recipient_phone,
+                    `🦡 Honey Badger: ${senderName} updated your challenge!\n\n` +
+                    `🎯 New challenge: ${challenge.description}\n\n👉 https://badgerbot.net/g/${giftOrder.tracking_id}`,
+                    { giftId: giftOrder.tracking_id }
+                );
+                delivered = delivered || !!(message && (message.sid || message.queued));
+            } catch (error) {
+                console.error(`❌ Challenge update SMS failed for ${giftOrder.tracking_id}:`, error.message);
+            }
+        }
+
+        if (channels.email) {
+            const result = await sendGridService.sendChallengeUpdatedEmail(giftOrder.recipient_email, {
+                recipientName: giftOrder.recipient_name,
+                senderName,
+                challenge: challenge.description,
+                giftId: giftOrder.tracking_id
+            });
+            delivered = delivered || result.success;
+        }
+
+        return delivered;
+    }
+
+    /**
+     * Tell the recipient that the sender withdrew a gift they had received
+     * @param {string} reason - Optional note from the sender
+     * @returns {Promise<boolean>} - true if the recipient was notified on any channel
+     */
+    async notifyRecipientOfCancellation(giftOrder, reason = null) {
+        const channels = await reminderService.resolveChannels(giftOrder);
+        const senderName = giftOrder.sender_name || 'Someone special';
+        let delivered = false;
+
+        if (channels.sms) {
+            try {
+                const message = await twilioService.sendSMS(
+                    giftOrder.recipient_phone,
+                    `Honey Badger: ${senderName} has withdrawn the gift they sent you. ` +
+                    `No need to keep working on the challenge.${reason ? `\n\nTheir note: ${reason}` : ''}`,
+                    { giftId: giftOrder.tracking_id }
+                );
+                delivered = delivered || !!(message && (message.sid || message.queued));
+            } catch (error) {
+                console.error(`❌ Cancellation SMS failed for ${giftOrder.tracking_id}:`, error.message);
+            }
+        }
+
+        if (channels.email) {
+            const result = await sendGridService.sendGiftWithdrawnEmail(giftOrder.recipient_email, {
+                recipientName: giftOrder.recipient_name,
+                senderName,
+                giftType: giftOrder.gift_type,
+                reason
+            });
+            delivered = delivered || result.success;
+        }
+
+        return delivered;
+    }
+}
+
+// Export singleton instance
+module.exports = new GiftEditService();
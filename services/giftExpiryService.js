@@ -0,0 +1,171 @@
+const db = require('./databaseService');
+const twilioService = require('./twilioService');
+const sendGridService = require('./sendGridService');
+const reminderService = require('./reminderService');
+const giftLifecycle = require('./giftLifecycleService');
+
+const DEFAULT_WARNING_HOURS = 24;
+
+function formatTimeLeft(ms) {
+    const hours = Math.max(1, Math.round(ms / (60 * 60 * 1000)));
+    if (hours < 48) return `${hours} hour${hours === 1 ? '' : 's'}`;
+    return `${Math.round(hours / 24)} days`;
+}
+
+class GiftExpiryService {
+    constructor() {
+        this.sweeping = false;
+        this.warningHours = parseFloat(process.env.GIFT_EXPIRY_WARNING_HOURS) || DEFAULT_WARNING_HOURS;
+    }
+
+    /**
+     * Whether a gift can no longer be worked on. Also true for overdue gifts
+     * the sweep has not reached yet, so routes never depend on sweep timing.
+     * @param {object} giftOrder - Row from gift_orders
+     * @returns {boolean}
+     */
+    isExpired(giftOrder, now = new Date()) {
+        if (!giftOrder) return false;
+        if (giftOrder.status === 'expired') return true;
+        if (!giftOrder.expires_at || !giftLifecycle.EXPIRABLE_STATES.includes(giftOrder.status)) return false;
+        return giftOrder.expires_at <= now.toISOString();
+    }
+
+    /**
+     * Warn the recipient that their gift is about to expire
+     * @param {object} channels - From reminderService.resolveChannels
+     * @returns {Promise<boolean>} - true if the warning went out on any channel
+     */
+    async sendExpiryWarning(giftOrder, channels, now = new Date()) {
+        const senderName = giftOrder.sender_name || 'Someone special';
+        const expiresIn = formatTimeLeft(new Date(giftOrder.expires_at).getTime() - now.getTime());
+        const challenge = giftOrder.challenge_description || giftOrder.challenge || 'your challenge';
+        let delivered = false;
+
+        if (channels.sms) {
+            try {
+                const giftLink = `https://badgerbot.net/g/${giftOrder.tracking_id}`;
+                const message = await twilioService.sendSMS(
+                    giftOrder.recipient_phone,
+                    `⏳ Honey Badger: Your gift from ${senderName} expires in ${expiresIn}! ` +
+                    `Complete your challenge before then: ${challenge}\n\n👉 ${giftLink}`,
+                    { giftId: giftOrder.tracking_id, category: 'reminder' }
+                );
+                delivered = delivered || !!(message && (message.sid || message.deferred || message.queued));
+            } catch (error) {
+                console.error(`❌ Expiry warning SMS failed for ${giftOrder.tracking_id}:`, error.message);
+            }
+        }
+
+        if (channels.email) {
+            const result = await sendGridService.sendExpiryWarningEmail(giftOrder.recipient_email, {
+                recipientName: giftOrder.recipient_name,
+                senderName,
+                giftType: giftOrder.gift_type,
+                challenge,
+                expiresIn,
+                giftId: giftOrder.tracking_id
+            });
+            delivered = delivered || result.success;
+        }
+
+        return delivered;
+    }
+
+    /**
+     * Let the sender know their gift expired before the challenge was completed
+     */
+    async notifySenderOfExpiry(giftOrder) {
+        const recipientName = giftOrder.recipient_name || 'Your recipient';
+
+        if (giftOrder.sender_phone && twilioService.isInitialized()) {
+            try {
+                await twilioService.sendSMS(
+                    giftOrder.sender_phone,
+                    `🦡 Your Honey Badger gift to ${recipientName} expired before the challenge was completed. ` +
+                    `Open the Honey Badger app to extend the deadline.`,
+                    { giftId: giftOrder.tracking_id, category: 'progress' }
+                );
+            } catch (error) {
+                console.error(`❌ Expiry SMS to sender failed for ${giftOrder.tracking_id}:`, error.message);
+            }
+        }
+
+        if (giftOrder.sender_email) {
+            await sendGridService.sendGiftExpiredEmail(giftOrder.sender_email, {
+                senderName: giftOrder.sender_name,
+                recipientName,
+                giftType: giftOrder.gift_type,
+                challenge: giftOrder.challenge_description || giftOrder.challenge
+            });
+        }
+    }
+
+    /**
+     * Send due expiry warnings, then expire every overdue gift.
+     * Warnings and expiries are claimed in the database before notifying,
+     * so each goes out at most once.
+     * @returns {Promise<object|null>} - { warned, expired, failed }, or null if a sweep is in progress
+     */
+    async sweep(now = new Date()) {
+        if (this.sweeping) {
+            return null;
+        }
+
+        this.sweeping = true;
+        const stats = { warned: 0, expired: 0, failed: 0 };
+
+        try {
+            const warnUntil = new Date(now.getTime() + this.warningHours * 60 * 60 * 1000);
+            const expiringSoon = await db.getGiftsNeedingExpiryWarning(now, warnUntil);
+
+            for (const giftOrder of expiringSoon) {
+                try {
+                    // Leave the warning unclaimed until the recipient can be reached
+                    const channels = await reminderService.resolveChannels(giftOrder);
+                    if (!channels.sms && !channels.email) continue;
+
+                    const claimed = await db.claimExpiryWarning(giftOrder.tracking_id);
+                    if (!claimed) continue;
+
+                    if (await this.sendExpiryWarning(giftOrder, channels, now)) {
+                        stats.warned++;
+                    } else {
+                        stats.failed++;
+                    }
+                } catch (error) {
+                    stats.failed++;
+                    console.error(`❌ Expiry warning failed for ${giftOrder.tracking_id}:`, error.message);
+                }
+            }
+
+            const overdue = await db.getGiftsToExpire(now);
+
+            for (const giftOrder of overdue) {
+                try {
+                    const expired = await giftLifecycle.transitionIfAllowed(giftOrder.tracking_id, 'expired', {
+                        from: giftLifecycle.EXPIRABLE_STATES,
+                        reason: `Deadline passed (${giftOrder.expires_at})`
+                    });
+                    if (!expired) continue;
+
+                    stats.expired++;
+                    console.log(`⌛ Gift expired: ${giftOrder.tracking_id}`);
+                    await this.notifySenderOfExpiry(giftOrder);
+                } catch (error) {
+                    stats.failed++;
+                    console.error(`❌ Expiry failed for ${giftOrder.tracking_id}:`, error.message);
+                }
+            }
+        } catch (error) {
+            console.error('❌ Gift expiry sweep failed:', error.message);
+        } finally {
+            this.sweeping = false;
+        }
+
+        return stats;
+    }
+}
+
+// Export singleton instance
+module.exports = new GiftExpiryService();
@@ -0,0 +1,177 @@
+const db = require('./databaseService');
+
+/**
+ * Gift lifecycle:
+ *
+ *   scheduled -> delivered -> accepted -> in_progress -> pending_approval -> unlocked -> redeemed
+ *
+ * Steps may be skipped going forward (a sender can unlock a delivered gift, a
+ * recipient can submit a photo without replying START first). A rejected
+ * submission sends the gift back to in_progress. Any gift that is not yet
+ * unlocked can be cancelled; gifts the recipient is working on can expire, and
+ * an expired gift returns to its previous state when the sender extends it.
+ */
+const GIFT_STATES = {
+    SCHEDULED: 'scheduled',
+    DELIVERED: 'delivered',
+    ACCEPTED: 'accepted',
+    IN_PROGRESS: 'in_progress',
+    PENDING_APPROVAL: 'pending_approval',
+    UNLOCKED: 'unlocked',
+    REDEEMED: 'redeemed',
+    CANCELLED: 'cancelled',
+    EXPIRED: 'expired'
+};
+
+const TRANSITIONS = {
+    scheduled: ['delivered', 'cancelled'],
+    delivered: ['accepted', 'in_progress', 'pending_approval', 'unlocked', 'cancelled', 'expired'],
+    accepted: ['in_progress', 'pending_approval', 'unlocked', 'cancelled', 'expired'],
+    in_progress: ['pending_approval', 'unlocked', 'cancelled', 'expired'],
+    pending_approval: ['in_progress', 'unlocked', 'cancelled'],
+    unlocked: ['redeemed'],
+    redeemed: [],
+    cancelled: [],
+    expired: ['delivered', 'accepted', 'in_progress']
+};
+
+// Recipient is working on the challenge: reminders go out and deadlines apply
+const EXPIRABLE_STATES = ['delivered', 'accepted', 'in_progress'];
+
+// Recipient-side gifts that still need something from the recipient or sender
+const OPEN_STATES = [...EXPIRABLE_STATES, 'pending_approval'];
+
+// Columns kept in sync with the status for older clients
+const STATE_EFFECTS = {
+    delivered: { timestamps: ['delivered_at'] },
+    accepted: { columns: { received: 1 }, timestamps: ['received_at'] },
+    unlocked: { columns: { unlocked: 1 }, timestamps: ['unlocked_at'] },
+    redeemed: { columns: { redeemed: 1 }, timestamps: ['redeemed_at'] },
+    expired: { timestamps: ['expired_at'] }
+};
+
+class InvalidTransitionError extends Error {
+    constructor(giftId, from, to) {
+        super(`Gift ${giftId} cannot move from ${from} to ${to}`);
+        this.name = 'InvalidTransitionError';
+        this.giftId = giftId;
+        this.from = from;
+        this.to = to;
+    }
+}
+
+class GiftLifecycleService {
+    /**
+     * Check whether a status change is allowed
+     * @returns {boolean}
+     */
+    canTransition(from, to) {
+        return (TRANSITIONS[from] || []).includes(to);
+    }
+
+    /**
+     * Move a gift to a new state and record who caused it.
+     * Moving a gift to the state it is already in is a no-op.
+     * @param {string} giftId - Gift tracking ID
+     * @param {string} to - Target state
+     * @param {object} options
+     * @param {string|string[]} options.from - Required current state(s)
+     * @param {string} options.actor - 'sender', 'recipient' or 'system'
+     * @param {string|number} options.actorId - User ID or phone number of the actor
+     * @param {string} options.reason - Human-readable cause, shown in the timeline
+     * @param {object} options.columns - Extra gift_orders columns to set
+     * @returns {Promise<{giftId, from, to, changed}>}
+     * @throws {InvalidTransitionError} if the transition is not allowed
+     */
+    async transition(giftId, to, options = {}) {
+        const { actor = 'system', actorId = null, reason = null, columns = {} } = options;
+
+        const giftOrder = await db.getGiftOrderByTrackingId(giftId);
+        if (!giftOrder) {
+            throw new Error(`Gift ${giftId} not found`);
+        }
+
+        const from = giftOrder.status;
+        const allowedFrom = options.from ? [].concat(options.from) : null;
+
+        if (from === to && Object.keys(columns).length === 0) {
+            return { giftId, from, to, changed: false };
+        }
+        if ((allowedFrom && !allowedFrom.includes(from)) || (from !== to && !this.canTransition(from, to))) {
+            throw new InvalidTransitionError(giftId, from, to);
+        }
+
+        const effects = STATE_EFFECTS[to] || {};
+        const updated = await db.transitionGiftOrderStatus(giftId, from, to, {
+            columns: { ...(effects.columns || {}), ...columns },
+            timestamps: effects.timestamps
+        });
+        if (!updated) {
+            // Another request moved the gift first
+            const current = await db.getGiftOrderByTrackingId(giftId);
+            throw new InvalidTransitionError(giftId, current ? current.status : from, to);
+        }
+
+        if (from !== to) {
+            await db.addGiftStatusHistory({ giftId, fromStatus: from, toStatus: to, actor, actorId, reason });
+        }
+
+        // Tiers not yet unlocked (or collected) follow the whole gift
+        if (from !== to && (to === 'unlocked' || to === 'redeemed')) {
+            await db.completeGiftTiers(giftId, to);
+        }
+
+        return { giftId, from, to, changed: from !== to };
+    }
+
+    /**
+     * Like transition(), but resolves null instead of throwing when the gift
+     * is not in a state that allows the move. For best-effort transitions such
+     * as marking a gift accepted when it is opened.
+     * @returns {Promise<object|null>}
+     */
+    async transitionIfAllowed(giftId, to, options = {}) {
+        try {
+            return await this.transition(giftId, to, options);
+        } catch (error) {
+            if (error instanceof InvalidTransitionError) {
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * The state a gift was in before it last entered the given state
+     * @returns {Promise<string|null>}
+     */
+    async getStateBefore(giftId, state) {
+        const history = await db.getGiftStatusHistory(giftId);
+        const entry = history.reverse().find(row => row.to_status === state);
+        return entry ? entry.from_status : null;
+    }
+
+    /**
+     * Transition history for a gift, oldest first
+     * @returns {Promise<Array>}
+     */
+    async getTimeline(giftId) {
+        const history = await db.getGiftStatusHistory(giftId);
+        return history.map(row => ({
+            from: row.from_status,
+            to: row.to_status,
+            actor: row.actor,
+            reason: row.reason,
+            at: row.created_at
+        }));
+    }
+}
+
+const giftLifecycle = new GiftLifecycleService();
+giftLifecycle.GIFT_STATES = GIFT_STATES;
+giftLifecycle.EXPIRABLE_STATES = EXPIRABLE_STATES;
+giftLifecycle.OPEN_STATES = OPEN_STATES;
+giftLifecycle.InvalidTransitionError = InvalidTransitionError;
+
+// Export singleton instance
+module.exports = giftLifecycle;
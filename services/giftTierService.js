@@ -0,0 +1,198 @@
+const db = require('./databaseService');
+const twilioService = require('./twilioService');
+const sendGridService = require('./sendGridService');
+const reminderService = require('./reminderService');
+const giftLifecycle = require('./giftLifecycleService');
+
+const MAX_TIERS = 10;
+
+/**
+ * Unlock tiers split a gift's value across challenge milestones, e.g. $10
+ * after step 1 and $40 after step 5. Every tier but the last unlocks as soon
+ * as the challenge reaches its step; the last tier is the challenge's final
+ * step and unlocks with the gift itself (see giftLifecycleService). Each tier
+ * is collected separately.
+ */
+class GiftTierService {
+    /**
+     * Validate tiers sent with a new gift
+     * @param {Array} tiers - [{ afterStep, value, label }]
+     * @param {number} totalSteps - Number of steps in the challenge
+     * @returns {{tiers: Array|null, error: string|null}}
+     */
+    validateTiers(tiers, totalSteps) {
+        if (!Array.isArray(tiers) || tiers.length === 0) {
+            return { tiers: null, error: 'tiers must be a non-empty array' };
+        }
+        if (tiers.length > MAX_TIERS) {
+            return { tiers: null, error: `A gift can have at most ${MAX_TIERS} tiers` };
+        }
+
+        const normalized = [];
+        for (const tier of tiers) {
+            const afterStep = Number(tier && tier.afterStep);
+            const value = tier && tier.value !== undefined && tier.value !== null ? String(tier.value).trim() : '';
+
+            if (!Number.isInteger(afterStep) || afterStep < 1 || afterStep > totalSteps) {
+                return { tiers: null, error: `Each tier needs an afterStep between 1 and ${totalSteps}` };
+            }
+            if (!value) {
+                return { tiers: null, error: 'Each tier needs a value' };
+            }
+            if (normalized.length > 0 && afterStep <= normalized[normalized.length - 1].afterStep) {
+                return { tiers: null, error: 'Tiers must be in order of increasing afterStep' };
+            }
+
+            normalized.push({ afterStep, value, label: tier.label ? String(tier.label).trim() : null });
+        }
+
+        if (normalized[normalized.length - 1].afterStep !== totalSteps) {
+            return { tiers: null, error: `The last tier must unlock after the final step (${totalSteps})` };
+        }
+
+        return { tiers: normalized, error: null };
+    }
+
+    /**
+     * Shape gift_tiers rows for API responses
+     * @returns {Array}
+     */
+    formatTiers(rows) {
+        return rows.map(row => ({
+            tier: row.tier,
+            afterStep: row.after_step,
+            value: row.value,
+            label: row.label,
+            status: row.redeemed === 1 ? 'redeemed' : row.unlocked === 1 ? 'unlocked' : 'locked',
+            unlockedAt: row.unlocked_at,
+            redeemedAt: row.redeemed_at
+        }));
+    }
+
+    /**
+     * Formatted tiers for many gifts at once, keyed by tracking ID.
+     * Gifts without tiers are missing from the map.
+     * @returns {Promise<Map<string, Array>>}
+     */
+    async getTiersByGift(giftIds) {
+        const rows = await db.getGiftTiersForGifts(giftIds);
+        const byGift = new Map();
+
+        rows.forEach(row => {
+            if (!byGift.has(row.gift_id)) byGift.set(row.gift_id, []);
+            byGift.get(row.gift_id).push(row);
+        });
+        byGift.forEach((giftRows, giftId) => byGift.set(giftId, this.formatTiers(giftRows)));
+
+        return byGift;
+    }
+
+    /**
+     * Unlock every tier (except the last) whose step the challenge has reached
+     * @param {object} giftOrder - Row from gift_orders (with sender_name)
+     * @param {number} currentStep - Challenge progress
+     * @param {object} options - { notify } (default true)
+     * @returns {Promise<Array>} - Tiers unlocked by this call
+     */
+    async unlockReachedTiers(giftOrder, currentStep, options = {}) {
+        const { notify = true } = options;
+        const rows = await db.getGiftTiers(giftOrder.tracking_id);
+        const finalTier = rows.length;
+        const unlockedTiers = [];
+
+        for (const row of rows) {
+            if (row.tier === finalTier || row.unlocked === 1 || row.after_step > currentStep) continue;
+
+            if (await db.unlockGiftTier(giftOrder.tracking_id, row.tier)) {
+                console.log(`🎁 Tier ${row.tier} unlocked for gift ${giftOrder.tracking_id}: ${row.value}`);
+                unlockedTiers.push(row.tier);
+            }
+        }
+
+        if (unlockedTiers.length === 0) {
+            return [];
+        }
+
+        const unlocked = (await db.getGiftTiers(giftOrder.tracking_id)).filter(row => unlockedTiers.includes(row.tier));
+
+        if (notify) {
+            for (const row of unlocked) {
+                const nextTier = rows.find(other => other.tier > row.tier && !unlockedTiers.includes(other.tier));
+                await this.notifyTierUnlocked(giftOrder, row, nextTier);
+            }
+        }
+
+        return this.formatTiers(unlocked);
+    }
+
+    /**
+     * Tell the recipient they unlocked a tier
+     */
+    async notifyTierUnlocked(giftOrder, tierRow, nextTierRow = null) {
+        const senderName = giftOrder.sender_name || 'Someone special';
+        const nextTier = nextTierRow ? { value: nextTierRow.value, afterStep: nextTierRow.after_step } : null;
+        const channels = await reminderService.resolveChannels(giftOrder);
+
+        if (channels.sms) {
+            try {
+                await twilioService.sendSMS(
+                    giftOrder.recipient_phone,
+                    `🎁 Milestone reached! You unlocked ${tierRow.value} of your gift from ${senderName}.` +
+                    (nextTier ? ` Keep going — ${nextTier.value} more unlocks after step ${nextTier.afterStep}.` : '') +
+                    `\n\n👉 https://badgerbot.net/g/${giftOrder.tracking_id}`,
+                    { giftId: giftOrder.tracking_id }
+                );
+            } catch (error) {
+                console.error(`❌ Tier unlock SMS failed for ${giftOrder.tracking_id}:`, error.message);
+            }
+        }
+
+        if (channels.email) {
+            await sendGridService.sendTierUnlockedEmail(giftOrder.recipient_email, {
+                recipientName: giftOrder.recipient_name,
+                senderName,
+                value: tierRow.value,
+                label: tierRow.label,
+                nextTier,
+                giftId: giftOrder.tracking_id
+            });
+        }
+    }
+
+    /**
+     * Collect one unlocked tier. Collecting the last outstanding tier of an
+     * unlocked gift redeems the gift.
+     * @returns {Promise<{tier: object|null, tiers: Array, giftRedeemed: boolean, error: string|null}>}
+     */
+    async redeemTier(giftOrder, tierNumber, actorId) {
+        const rows = await db.getGiftTiers(giftOrder.tracking_id);
+        const row = rows.find(r => r.tier === tierNumber);
+
+        if (!row) {
+            return { tier: null, tiers: [], giftRedeemed: false, error: 'Tier not found' };
+        }
+        if (row.unlocked !== 1) {
+            return { tier: null, tiers: [], giftRedeemed: false, error: 'This tier has not been unlocked yet' };
+        }
+        if (row.redeemed === 1 || !(await db.redeemGiftTier(giftOrder.tracking_id, tierNumber))) {
+            return { tier: null, tiers: [], giftRedeemed: false, error: 'This tier has already been collected' };
+        }
+
+        const outstanding = rows.filter(r => r.tier !== tierNumber && r.redeemed !== 1);
+        let giftRedeemed = false;
+        if (outstanding.length === 0) {
+            giftRedeemed = !!(await giftLifecycle.transitionIfAllowed(giftOrder.tracking_id, 'redeemed', {
+                from: 'unlocked',
+                actor: 'recipient',
+                actorId,
+                reason: 'All tiers collected'
+            }));
+        }
+
+        const tiers = this.formatTiers(await db.getGiftTiers(giftOrder.tracking_id));
+        return { tier: tiers.find(t => t.tier === tierNumber), tiers, giftRedeemed, error: null };
+    }
+}
+
+// Export singleton instance
+module.exports = new GiftTierService();
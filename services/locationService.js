@@ -0,0 +1,168 @@
+const db = require('./databaseService');
+const { distanceMeters } = require('../utils/geo');
+const { parseStoredTimestamp } = require('../utils/timeZone');
+
+const MIN_RADIUS_METERS = 10;
+const MAX_RADIUS_METERS = 50000;
+
+// Tries at saving a check-in while other submissions keep landing
+const SAVE_ATTEMPTS = 5;
+
+/**
+ * Parse a latitude/longitude pair
+ * @returns {{latitude: number, longitude: number}|null}
+ */
+function parseCoordinates(latitude, longitude) {
+    if (latitude === null || latitude === undefined || latitude === '' ||
+        longitude === null || longitude === undefined || longitude === '') {
+        return null;
+    }
+    const lat = Number(latitude);
+    const lon = Number(longitude);
+    if (!Number.isFinite(lat) || !Number.isFinite(lon) || Math.abs(lat) > 90 || Math.abs(lon) > 180) {
+        return null;
+    }
+    return { latitude: lat, longitude: lon };
+}
+
+/**
+ * Location challenges: the sender sets a point and radius (a geofence) and
+ * the recipient proves they were there, either with coordinates from the app
+ * or with a photo whose EXIF GPS position is inside the geofence. Every
+ * check-in is recorded in challenge.progress.submissions; each verified one
+ * completes a step.
+ *
+ * The geofence lives in challenge.requirements.location.
+ */
+class LocationService {
+    constructor() {
+        this.defaultRadiusMeters = parseInt(process.env.LOCATION_DEFAULT_RADIUS_METERS, 10) || 100;
+    }
+
+    isLocationChallenge(challenge) {
+        return !!challenge && challenge.type === 'location';
+    }
+
+    parseCoordinates(latitude, longitude) {
+        return parseCoordinates(latitude, longitude);
+    }
+
+    /**
+     * Validate the geofence sent with a new gift
+     * @param {object} location - { latitude, longitude, radiusMeters, name }
+     * @returns {{location: object|null, error: string|null}}
+     */
+    validateLocation(location) {
+        const point = location ? parseCoordinates(location.latitude, location.longitude) : null;
+        if (!point) {
+            return { location: null, error: 'A location challenge needs a valid latitude and longitude' };
+        }
+
+        let radiusMeters = this.defaultRadiusMeters;
+        if (location.radiusMeters !== undefined && location.radiusMeters !== null) {
+            radiusMeters = Number(location.radiusMeters);
+            if (!Number.isFinite(radiusMeters) || radiusMeters < MIN_RADIUS_METERS || radiusMeters > MAX_RADIUS_METERS) {
+                return { location: null, error: `radiusMeters must be between ${MIN_RADIUS_METERS} and ${MAX_RADIUS_METERS}` };
+            }
+        }
+
+        const name = typeof location.name === 'string' && location.name.trim() ? location.name.trim() : null;
+        return { location: { ...point, radiusMeters, name }, error: null };
+    }
+
+    /**
+     * Photos taken before the gift reached the recipient cannot prove a visit
+     * @returns {Date|null}
+     */
+    getEarliestPhotoTime(giftOrder) {
+        return parseStoredTimestamp(giftOrder.delivered_at) || parseStoredTimestamp(giftOrder.created_at);
+    }
+
+    getGeofence(challenge) {
+        return (challenge.requirements && challenge.requirements.location) || null;
+    }
+
+    /**
+     * Location report for progress responses
+     * @returns {object|null}
+     */
+    summarize(challenge) {
+        const geofence = this.getGeofence(challenge);
+        if (!geofence) {
+            return null;
+        }
+
+        const checkIns = (challenge.progress.submissions || []).filter(s => s.type === 'location');
+        return {
+            ...geofence,
+            verifiedCheckIns: checkIns.filter(s => s.data.verified).length,
+            attempts: checkIns.length
+        };
+    }
+
+    /**
+     * Check a position against the challenge's geofence and record the
+     * check-in as a submission
+     * @param {object} challenge - From db.getChallengeById (progress parsed)
+     * @param {object} checkIn - { latitude, longitude, accuracy, method: 'coordinates'|'photo', photoUrl, takenAt, notBefore }
+     * @returns {Promise<object>} - { verified, reason, distanceMeters, radiusMeters, challenge }
+     */
+    async checkIn(challenge, checkIn, now = new Date()) {
+        const geofence = this.getGeofence(challenge);
+        const distance = Math.round(distanceMeters(geofence, checkIn));
+
+        let reason = null;
+        if (checkIn.takenAt && checkIn.notBefore && checkIn.takenAt < checkIn.notBefore) {
+            reason = 'photo_taken_before_gift';
+        } else if (distance > geofence.radiusMeters) {
+            reason = 'outside_geofence';
+        }
+        const verified = !reason;
+
+        // Every check-in is recorded, so retry while other submissions land
+        // between our read and write
+        for (let attempt = 0; attempt < SAVE_ATTEMPTS; attempt++) {
+            const submissions = challenge.progress.submissions || [];
+            const progress = { ...challenge.progress, started: true };
+            progress.submissions = [...submissions, {
+                timestamp: now,
+                type: 'location',
+                data: {
+                    method: checkIn.method,
+                    latitude: checkIn.latitude,
+                    longitude: checkIn.longitude,
+                    accuracy: checkIn.accuracy ?? null,
+                    takenAt: checkIn.takenAt || null,
+                    photoUrl: verified ? checkIn.photoUrl || null : null,
+                    distanceMeters: distance,
+                    verified,
+                    reason
+                }
+            }];
+
+            if (verified && !progress.completed) {
+                progress.currentStep = Math.min(progress.currentStep + 1, progress.totalSteps);
+                if (progress.currentStep >= progress.totalSteps) {
+                    progress.completed = true;
+                }
+            }
+
+            if (await db.saveLocationCheckIn(challenge.id, progress, submissions.length)) {
+                return {
+                    verified,
+                    reason,
+                    distanceMeters: distance,
+                    radiusMeters: geofence.radiusMeters,
+                    challenge: { ...challenge, progress }
+                };
+            }
+
+            challenge = await db.getChallengeById(challenge.id);
+        }
+
+        throw new Error('Check-in could not be saved because the challenge kept changing; try again');
+    }
+}
+
+// Export singleton instance
+module.exports = new LocationService();
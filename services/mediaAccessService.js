@@ -0,0 +1,104 @@
+const crypto = require('crypto');
+const db = require('./databaseService');
+
+// Suffixes of files written alongside a submission (photo renditions, video posters)
+const DERIVED_SUFFIX = /-(thumbnail|medium|poster)$/;
+
+/**
+ * Access to uploaded challenge media. Files under /uploads are only served to
+ * the gift's sender and recipient, or to anyone holding a signed URL: an HMAC
+ * of the path and an expiry time, for emails and MMS where the reader isn't
+ * logged in. Signing uses MEDIA_URL_SECRET (falling back to JWT_SECRET).
+ */
+class MediaAccessService {
+    constructor() {
+        this.secret = process.env.MEDIA_URL_SECRET ||
+            process.env.JWT_SECRET ||
+            'your-super-secret-jwt-key-change-in-production';
+        this.ttlSeconds = (parseFloat(process.env.MEDIA_URL_TTL_HOURS) || 24) * 3600;
+    }
+
+    signature(mediaPath, expires) {
+        return crypto.createHmac('sha256', this.secret)
+            .update(`${mediaPath}:${expires}`)
+            .digest('base64url');
+    }
+
+    /**
+     * Add an expiring signature to a media path
+     * @param {string} mediaPath - e.g. '/uploads/photos/photo-<uuid>.jpg'
+     * @param {number} ttlSeconds - Defaults to MEDIA_URL_TTL_HOURS
+     * @returns {string|null} - '/uploads/...?expires=<unix seconds>&signature=<hmac>', or the input if it isn't an upload
+     */
+    signUrl(mediaPath, ttlSeconds = this.ttlSeconds) {
+        if (!mediaPath || !mediaPath.startsWith('/uploads/')) {
+            return mediaPath || null;
+        }
+        const expires = Math.floor(Date.now() / 1000) + Math.round(ttlSeconds);
+        return `${mediaPath}?expires=${expires}&signature=${this.signature(mediaPath, expires)}`;
+    }
+
+    /**
+     * Signed URL including the public host, for MMS media and other external links
+     */
+    absoluteSignedUrl(mediaPath, ttlSeconds) {
+        const signed = this.signUrl(mediaPath, ttlSeconds);
+        if (!signed || !signed.startsWith('/')) {
+            return signed;
+        }
+        const baseUrl = process.env.BASE_URL || 'https://badgerbot.net';
+        return `${baseUrl}${signed}`;
+    }
+
+    /**
+     * Check a signature from a request's query string
+     * @returns {boolean} - false if missing, tampered with or expired
+     */
+    verify(mediaPath, expires, signature) {
+        const expiresAt = parseInt(expires, 10);
+        if (!Number.isFinite(expiresAt) || typeof signature !== 'string') {
+            return false;
+        }
+        if (expiresAt < Date.now() / 1000) {
+            return false;
+        }
+        const expected = Buffer.from(this.signature(mediaPath, expiresAt));
+        const given = Buffer.from(signature);
+        return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+    }
+
+    /**
+     * A file's path without rendition/poster suffix and extension, shared by
+     * every file written for the same submission
+     * @param {string} mediaPath - e.g. '/uploads/photos/photo-<uuid>-thumbnail.jpg'
+     * @returns {string} - e.g. '/uploads/photos/photo-<uuid>.'
+     */
+    stemFor(mediaPath) {
+        return mediaPath.replace(/\.[^./]*$/, '').replace(DERIVED_SUFFIX, '') + '.';
+    }
+
+    /**
+     * The gift an uploaded file belongs to
+     * @returns {Promise<object|null>} - Gift order (with sender details)
+     */
+    async findGiftForMedia(mediaPath) {
+        const giftId = await db.getGiftIdForMedia(mediaPath, this.stemFor(mediaPath));
+        return giftId ? db.getGiftOrderByTrackingId(giftId) : null;
+    }
+
+    /**
+     * Whether a user is the gift's sender or recipient
+     */
+    canAccess(user, giftOrder) {
+        if (!user || !giftOrder) {
+            return false;
+        }
+        const isSender = String(giftOrder.user_id) === String(user.id);
+        const isRecipient = (user.email && giftOrder.recipient_email && user.email.toLowerCase() === giftOrder.recipient_email.toLowerCase()) ||
+                            (user.phone && giftOrder.recipient_phone && user.phone === giftOrder.recipient_phone);
+        return isSender || !!isRecipient;
+    }
+}
+
+// Export singleton instance
+module.exports = new MediaAccessService();
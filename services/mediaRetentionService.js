@@ -0,0 +1,335 @@
+const fs = require('fs');
+const db = require('./databaseService');
+const storage = require('./storageService');
+const mediaAccess = require('./mediaAccessService');
+const { parseStoredTimestamp } = require('../utils/timeZone');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_REJECTED_DAYS = 30;
+const DEFAULT_CANCELLED_DAYS = 30;
+const DEFAULT_ORPHAN_GRACE_HOURS = 24;
+const DEFAULT_MAX_MISSING_PERCENT = 10;
+
+// Reviewed submissions that did not count towards their step
+const NOT_ACCEPTED_STATUSES = ['rejected', 'retake_requested', 'superseded'];
+
+// Gift statuses whose submissions can no longer unlock anything
+const CLOSED_GIFT_STATUSES = ['expired'];
+
+// Media URLs written into challenge progress (check-in photos)
+const PROGRESS_MEDIA_URL = /\/uploads\/[^"\\?#\s]+/g;
+
+/**
+ * Days from an env var; unset uses the default, 0 (or anything not positive) keeps media forever
+ */
+function readDays(name, fallback) {
+    const raw = process.env[name];
+    const days = raw === undefined || raw === '' ? fallback : parseFloat(raw);
+    return Number.isFinite(days) && days > 0 ? days : null;
+}
+
+function olderThan(timestamp, days, now) {
+    const date = parseStoredTimestamp(timestamp);
+    return !!date && now.getTime() - date.getTime() >= days * DAY_MS;
+}
+
+// How describe() reports each missingMediaAction
+const MISSING_ACTIONS = {
+    deleted: 'row deleted',
+    flagged: 'row kept, flagged as missing its media',
+    kept: 'awaiting approval: kept'
+};
+
+function formatBytes(bytes) {
+    if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+/**
+ * Deletes uploaded media nobody needs any more:
+ *   - retention: files of rejected submissions, retake requests and
+ *     superseded attempts (MEDIA_RETENTION_REJECTED_DAYS after review), of
+ *     cancelled gifts (MEDIA_RETENTION_CANCELLED_DAYS after cancelling) and of
+ *     redeemed gifts (MEDIA_RETENTION_REDEEMED_DAYS after redemption). Those submission rows are kept, with media_deleted_at set,
+ *     so history and duplicate detection still work.
+ *   - orphans: stored files no submission or check-in refers to, and staging
+ *     files left behind by failed uploads and MMS downloads
+ *   - missing files: submission rows whose photo or video is gone are deleted
+ *     if they were not accepted or their gift expired. Any other row may be
+ *     what unlocks its gift, so it is kept: flagged with media_missing_at, or
+ *     only reported while it awaits the sender's approval.
+ * Files younger than MEDIA_ORPHAN_GRACE_HOURS are never treated as orphans, so
+ * uploads in progress are left alone. A dry run builds the same report
+ * without deleting anything.
+ *
+ * A storage listing that comes back empty, or misses the files of more than
+ * MEDIA_RETENTION_MAX_MISSING_PERCENT of submissions, more likely means
+ * storage is misconfigured than that the files are gone; the sweep then
+ * deletes nothing and reports why (report.aborted).
+ */
+class MediaRetentionService {
+    constructor() {
+        this.sweeping = false;
+        this.dryRun = process.env.MEDIA_RETENTION_DRY_RUN === 'true';
+        this.retentionDays = {
+            rejected: readDays('MEDIA_RETENTION_REJECTED_DAYS', DEFAULT_REJECTED_DAYS),
+            cancelled: readDays('MEDIA_RETENTION_CANCELLED_DAYS', DEFAULT_CANCELLED_DAYS),
+            redeemed: readDays('MEDIA_RETENTION_REDEEMED_DAYS', null)
+        };
+        const graceHours = parseFloat(process.env.MEDIA_ORPHAN_GRACE_HOURS);
+        this.orphanGraceMs = (Number.isFinite(graceHours) && graceHours >= 0 ? graceHours : DEFAULT_ORPHAN_GRACE_HOURS) * 60 * 60 * 1000;
+        const maxMissing = parseFloat(process.env.MEDIA_RETENTION_MAX_MISSING_PERCENT);
+        this.maxMissingPercent = Number.isFinite(maxMissing) && maxMissing >= 0 ? maxMissing : DEFAULT_MAX_MISSING_PERCENT;
+    }
+
+    /**
+     * Why a gift's media is due for deletion
+     * @param {object} row - With gift_status, gift_redeemed_at, gift_closed_at
+     * @returns {string|null} - 'cancelled', 'redeemed' or null to keep it
+     */
+    giftRetentionReason(row, now) {
+        const { cancelled, redeemed } = this.retentionDays;
+        if (row.gift_status === 'cancelled' && cancelled && olderThan(row.gift_closed_at, cancelled, now)) {
+            return 'cancelled';
+        }
+        if (row.gift_status === 'redeemed' && redeemed && olderThan(row.gift_redeemed_at, redeemed, now)) {
+            return 'redeemed';
+        }
+        return null;
+    }
+
+    /**
+     * Why a submission's media is due for deletion
+     * @returns {string|null} - 'rejected', 'cancelled', 'redeemed' or null to keep it
+     */
+    submissionRetentionReason(submission, now) {
+        const { rejected } = this.retentionDays;
+        if (NOT_ACCEPTED_STATUSES.includes(submission.status) && rejected &&
+            olderThan(submission.reviewed_at || submission.submitted_at, rejected, now)) {
+            return 'rejected';
+        }
+        return this.giftRetentionReason(submission, now);
+    }
+
+    /**
+     * What to do with a submission row whose media is missing from storage
+     * @returns {string} - 'deleted' when it can no longer count towards its gift, 'kept' while it
+     *   awaits the sender's approval, otherwise 'flagged'
+     */
+    missingMediaAction(submission) {
+        if (NOT_ACCEPTED_STATUSES.includes(submission.status) || CLOSED_GIFT_STATUSES.includes(submission.gift_status)) {
+            return 'deleted';
+        }
+        return submission.status === 'pending_approval' ? 'kept' : 'flagged';
+    }
+
+    /**
+     * Record that a media URL is referenced. Every file of a submission or
+     * check-in shares its stem (see mediaAccessService.stemFor), so references
+     * are kept per stem: { keep, reason }.
+     * @param {string|null} reason - Why the reference no longer needs the file, null if it does
+     */
+    addReference(references, url, reason) {
+        const key = storage.keyForUrl(url);
+        if (!key) return;
+        const stem = mediaAccess.stemFor(storage.urlFor(key));
+        const reference = references.get(stem) || { keep: false, reason };
+        // Anything that still needs a file keeps it
+        if (!reason) reference.keep = true;
+        references.set(stem, reference);
+    }
+
+    /**
+     * Run the sweep
+     * @param {object} options - { dryRun (defaults to MEDIA_RETENTION_DRY_RUN), now }
+     * @returns {Promise<object|null>} - Report, or null if a sweep is already running
+     */
+    async sweep({ dryRun = this.dryRun, now = new Date() } = {}) {
+        if (this.sweeping) {
+            return null;
+        }
+
+        this.sweeping = true;
+        const report = {
+            dryRun,
+            expired: [],
+            orphaned: [],
+            staging: [],
+            missing: [],
+            aborted: null,
+            submissionsDue: {},
+            deletedFiles: 0,
+            freedBytes: 0,
+            updatedSubmissions: 0,
+            deletedSubmissions: 0,
+            flaggedSubmissions: 0,
+            failed: 0
+        };
+
+        try {
+            // Rows are read before files are listed: a row is only written once its
+            // files are stored, so no row can point at a file the listing missed
+            const submissions = await db.getSubmissionMediaForSweep();
+            const challenges = await db.getChallengeMediaForSweep();
+            const storedFiles = await storage.listMedia();
+            const storedKeys = new Set(storedFiles.map(file => file.key));
+
+            const references = new Map();
+            const dueSubmissions = {};
+            const missingSubmissionIds = { deleted: [], flagged: [] };
+            let storedSubmissions = 0;
+
+            for (const submission of submissions) {
+                const urls = [submission.photo_url, submission.thumbnail_url, submission.medium_url, submission.poster_url];
+                // Files that outlived an earlier sweep (a failed delete) are retried
+                const reason = submission.media_deleted_at
+                    ? (submission.media_deleted_reason || 'retention')
+                    : this.submissionRetentionReason(submission, now);
+                urls.filter(Boolean).forEach(url => this.addReference(references, url, reason));
+
+                if (reason && !submission.media_deleted_at) {
+                    (dueSubmissions[reason] = dueSubmissions[reason] || []).push(submission.id);
+                }
+
+                // Rows flagged by an earlier sweep are known to be missing
+                const key = storage.keyForUrl(submission.photo_url);
+                const expectStored = !submission.media_deleted_at && !submission.media_missing_at && key;
+                if (expectStored) storedSubmissions++;
+                if (expectStored && !storedKeys.has(key)) {
+                    const action = this.missingMediaAction(submission);
+                    report.missing.push({ submissionId: submission.id, giftId: submission.gift_id, key, action });
+                    if (missingSubmissionIds[action]) missingSubmissionIds[action].push(submission.id);
+                }
+            }
+
+            for (const challenge of challenges) {
+                const reason = this.giftRetentionReason(challenge, now);
+                const urls = (challenge.progress || '').match(PROGRESS_MEDIA_URL) || [];
+                urls.forEach(url => this.addReference(references, url, reason));
+            }
+
+            for (const file of storedFiles) {
+                const reference = references.get(mediaAccess.stemFor(storage.urlFor(file.key)));
+                if (reference && !reference.keep) {
+                    report.expired.push({ key: file.key, size: file.size, reason: reference.reason });
+                } else if (!reference && this.isPastGrace(file.lastModified, now)) {
+                    report.orphaned.push({ key: file.key, size: file.size });
+                }
+            }
+
+            const stagedFiles = await storage.listStaging();
+            report.staging = stagedFiles
+                .filter(file => this.isPastGrace(file.lastModified, now))
+                .map(file => ({ filePath: file.filePath, size: file.size }));
+
+            Object.keys(dueSubmissions).forEach(reason => {
+                report.submissionsDue[reason] = dueSubmissions[reason].length;
+            });
+
+            report.aborted = this.checkListing(storedFiles.length, storedSubmissions, report.missing.length);
+            if (report.aborted) {
+                console.error(`❌ Media retention sweep aborted: ${report.aborted}`);
+            } else if (!dryRun) {
+                await this.apply(report, dueSubmissions, missingSubmissionIds);
+            }
+        } catch (error) {
+            report.failed++;
+            console.error('❌ Media retention sweep failed:', error.message);
+        } finally {
+            this.sweeping = false;
+        }
+
+        return report;
+    }
+
+    /**
+     * Why the storage listing can't be trusted to delete by, or null if it can
+     * @param {number} storedFiles - Files the listing returned
+     * @param {number} storedSubmissions - Submissions whose files should be in storage
+     * @param {number} missing - Of those, the ones the listing lacks
+     */
+    checkListing(storedFiles, storedSubmissions, missing) {
+        if (storedSubmissions === 0) {
+            return null;
+        }
+        if (storedFiles === 0) {
+            return `storage listed no files, but ${storedSubmissions} submissions have media; check the storage settings`;
+        }
+        const percent = (missing / storedSubmissions) * 100;
+        if (percent > this.maxMissingPercent) {
+            return `${missing} of ${storedSubmissions} submissions (${Math.round(percent)}%) are missing their files, ` +
+                `more than MEDIA_RETENTION_MAX_MISSING_PERCENT (${this.maxMissingPercent}%); check the storage settings`;
+        }
+        return null;
+    }
+
+    isPastGrace(lastModified, now) {
+        // Without a timestamp the file can't be proven old enough
+        return !!lastModified && now.getTime() - new Date(lastModified).getTime() >= this.orphanGraceMs;
+    }
+
+    /**
+     * Delete what a report found
+     */
+    async apply(report, dueSubmissions, missingSubmissionIds) {
+        for (const file of [...report.expired, ...report.orphaned]) {
+            try {
+                await storage.delete(file.key);
+                report.deletedFiles++;
+                report.freedBytes += file.size || 0;
+            } catch (error) {
+                report.failed++;
+                console.error(`❌ Failed to delete ${file.key}:`, error.message);
+            }
+        }
+
+        for (const file of report.staging) {
+            try {
+                await fs.promises.unlink(file.filePath);
+                report.deletedFiles++;
+                report.freedBytes += file.size || 0;
+            } catch (error) {
+                if (error.code === 'ENOENT') continue;
+                report.failed++;
+                console.error(`❌ Failed to delete staging file ${file.filePath}:`, error.message);
+            }
+        }
+
+        for (const reason of Object.keys(dueSubmissions)) {
+            report.updatedSubmissions += await db.markSubmissionMediaDeleted(dueSubmissions[reason], reason);
+        }
+        report.flaggedSubmissions = await db.markSubmissionMediaMissing(missingSubmissionIds.flagged);
+        report.deletedSubmissions = await db.deletePhotoSubmissions(missingSubmissionIds.deleted);
+    }
+
+    /**
+     * One-line summary of a report, for logs
+     */
+    summarize(report) {
+        const bytes = [...report.expired, ...report.orphaned, ...report.staging]
+            .reduce((total, file) => total + (file.size || 0), 0);
+        const missingKept = report.missing.filter(item => item.action !== 'deleted').length;
+        const mode = report.aborted ? `[aborted: ${report.aborted}] ` : (report.dryRun ? '[dry run] ' : '');
+        return `${mode}${report.expired.length} past retention, ` +
+            `${report.orphaned.length} orphaned, ${report.staging.length} stale staging files (${formatBytes(bytes)}); ` +
+            `${report.missing.length} submissions missing files (${missingKept} kept); ` +
+            `${report.deletedFiles} files deleted, ${report.deletedSubmissions} rows deleted, ` +
+            `${report.flaggedSubmissions} rows flagged, ${report.failed} failed`;
+    }
+
+    /**
+     * Every file and row a report covers, for ops to review a dry run
+     * @returns {string[]}
+     */
+    describe(report) {
+        return [
+            ...report.expired.map(file => `expired   ${file.key} (${file.reason}, ${formatBytes(file.size || 0)})`),
+            ...report.orphaned.map(file => `orphaned  ${file.key} (${formatBytes(file.size || 0)})`),
+            ...report.staging.map(file => `staging   ${file.filePath} (${formatBytes(file.size || 0)})`),
+            ...report.missing.map(item => `missing   ${item.key} (submission ${item.submissionId}, gift ${item.giftId}: ${MISSING_ACTIONS[item.action]})`)
+        ];
+    }
+}
+
+// Export singleton instance
+module.exports = new MediaRetentionService();
@@ -0,0 +1,329 @@
+const db = require('./databaseService');
+
+// How often each class of error is retried. Attempts count the first one;
+// classes without retries go straight to the dead-letter table.
+const RETRY_POLICIES = {
+    transient: { maxAttempts: 5, baseDelaySeconds: 30 },
+    rate_limited: { maxAttempts: 8, baseDelaySeconds: 60 },
+    invalid_recipient: { maxAttempts: 1 },
+    config: { maxAttempts: 1 },
+    permanent: { maxAttempts: 1 }
+};
+
+const MAX_RETRY_DELAY_SECONDS = 60 * 60;
+const BATCH_SIZE = 100;
+
+// A message claimed this long ago belongs to a process that stopped mid-attempt
+const STALE_CLAIM_MINUTES = 10;
+
+/**
+ * Error class of an HTTP status. Errors without one (network errors,
+ * timeouts) are transient.
+ * @param {number|null} status - HTTP status of the provider's response, null when there was none
+ * @returns {string} - A key of RETRY_POLICIES
+ */
+function classifyHttpStatus(status) {
+    if (!status) return 'transient';
+    if (status === 429) return 'rate_limited';
+    if (status >= 500) return 'transient';
+    if (status === 401 || status === 403) return 'config';
+    if (status >= 400) return 'permanent';
+    return 'transient';
+}
+
+/**
+ * Durable outbound queue for SMS and email. A message is stored before it is
+ * sent and the first attempt happens right away, so a healthy provider adds
+ * no delay; when it fails, the error is classified (see RETRY_POLICIES) and
+ * the message is either scheduled for a retry with exponential backoff or
+ * moved to the dead-letter table, where it can be inspected and replayed.
+ * processDue() runs the retries (see OUTBOUND_QUEUE_CRON_SCHEDULE).
+ *
+ * Channels are sent by transports that their services register, so this
+ * module does not depend on Twilio or SendGrid:
+ *   registerTransport('sms', { send, classify, onSent })
+ *
+ * Delivery is at least once: a message whose process stopped after the
+ * provider accepted it, but before that was recorded, is sent again.
+ */
+class OutboundQueueService {
+    constructor() {
+        this.transports = {};
+        this.deadLetterListeners = [];
+        this.processing = false;
+    }
+
+    /**
+     * @param {string} channel - 'sms' or 'email'
+     * @param {object} transport
+     * @param {function} transport.send - async (payload, { attempt }) => provider response; throws on failure
+     * @param {function} transport.classify - Optional (error) => key of RETRY_POLICIES, or null to
+     *   classify by error.status (see classifyHttpStatus)
+     * @param {function} transport.onSent - Optional (payload, response, { id, giftId, category }) after a successful attempt
+     * @param {function} transport.resultOf - Optional (response) => provider message id to store
+     */
+    registerTransport(channel, transport) {
+        this.transports[channel] = transport;
+    }
+
+    hasTransport(channel) {
+        return !!this.transports[channel];
+    }
+
+    /**
+     * Be told when a message runs out of retries in processDue(). Failures of
+     * a first attempt are reported to whoever called send() instead.
+     * @param {function} listener - async ({ id, channel, giftId, category }, { errorClass, error })
+     */
+    onDeadLetter(listener) {
+        this.deadLetterListeners.push(listener);
+    }
+
+    /**
+     * Store a message and make its first attempt
+     * @param {string} channel - A registered channel
+     * @param {object} payload - What the transport sends; stored as JSON
+     * @param {object} meta - { recipient, giftId, category }
+     * @returns {Promise<object>} - { status: 'sent', id, response }, { status: 'queued', id, nextAttemptAt, errorClass, error }
+     *   or { status: 'dead', id, deadLetterId, errorClass, error }
+     */
+    async send(channel, payload, meta = {}) {
+        if (!this.transports[channel]) {
+            throw new Error(`No transport registered for channel '${channel}'`);
+        }
+
+        const id = await db.createOutboundMessage({
+            channel,
+            recipient: meta.recipient,
+            payload,
+            giftId: meta.giftId,
+            category: meta.category
+        });
+
+        return this.attempt({ id, channel, payload, attempts: 0, giftId: meta.giftId || null, category: meta.category || null });
+    }
+
+    /**
+     * Send a claimed message once and record the outcome
+     */
+    async attempt(message) {
+        const transport = this.transports[message.channel];
+        const attempts = message.attempts + 1;
+
+        let response;
+        try {
+            response = await transport.send(message.payload, { attempt: attempts });
+        } catch (error) {
+            return this.recordFailure(message, attempts, error);
+        }
+
+        const result = transport.resultOf ? transport.resultOf(response) : null;
+        await db.markOutboundMessageSent(message.id, attempts, result || null);
+
+        if (transport.onSent) {
+            try {
+                await transport.onSent(message.payload, response, { id: message.id, giftId: message.giftId, category: message.category });
+            } catch (hookErr) {
+                console.error(`⚠️  Outbound ${message.channel} ${message.id} sent, but its follow-up failed:`, hookErr.message);
+            }
+        }
+
+        return { status: 'sent', id: message.id, response };
+    }
+
+    async recordFailure(message, attempts, error) {
+        const transport = this.transports[message.channel];
+        const classified = transport.classify ? transport.classify(error) : null;
+        const errorClass = RETRY_POLICIES[classified] ? classified : classifyHttpStatus(error.status);
+        const policy = RETRY_POLICIES[errorClass];
+        const detail = error.message || String(error);
+
+        if (attempts >= policy.maxAttempts) {
+            const deadLetterId = await db.deadLetterOutboundMessage(message.id, { attempts, errorClass, error: detail });
+            console.error(`💀 Outbound ${message.channel} ${message.id} to dead letters after ${attempts} attempt(s) (${errorClass}): ${detail}`);
+            return { status: 'dead', id: message.id, deadLetterId, errorClass, error: detail };
+        }
+
+        const delaySeconds = Math.min(policy.baseDelaySeconds * Math.pow(2, attempts - 1), MAX_RETRY_DELAY_SECONDS);
+        const nextAttemptAt = new Date(Date.now() + delaySeconds * 1000);
+        await db.scheduleOutboundRetry(message.id, {
+            attempts,
+            nextAttemptAt: nextAttemptAt.toISOString(),
+            errorClass,
+            error: detail
+        });
+        console.warn(`🔁 Outbound ${message.channel} ${message.id} attempt ${attempts} failed (${errorClass}), retrying at ${nextAttemptAt.toISOString()}: ${detail}`);
+        return { status: 'queued', id: message.id, nextAttemptAt, errorClass, error: detail };
+    }
+
+    /**
+     * Retry queued messages that are due
+     * @returns {Promise<object|null>} - { sent, retrying, dead, released }, or null if a run is in progress
+     */
+    async processDue(now = new Date()) {
+        if (this.processing) {
+            return null;
+        }
+
+        this.processing = true;
+        const stats = { sent: 0, retrying: 0, dead: 0, released: 0 };
+
+        try {
+            stats.released = await db.releaseStaleOutboundMessages(new Date(now.getTime() - STALE_CLAIM_MINUTES * 60 * 1000));
+
+            const due = await db.getDueOutboundMessages(now, BATCH_SIZE);
+            for (const row of due) {
+                // Leave messages of a channel that is not configured in this process alone
+                if (!this.transports[row.channel]) continue;
+                if (!await db.claimOutboundMessage(row.id)) continue;
+
+                try {
+                    const result = await this.attempt({
+                        id: row.id,
+                        channel: row.channel,
+                        payload: JSON.parse(row.payload),
+                        attempts: row.attempts,
+                        giftId: row.gift_id,
+                        category: row.category
+                    });
+                    if (result.status === 'sent') stats.sent++;
+                    else if (result.status === 'queued') stats.retrying++;
+                    else {
+                        stats.dead++;
+                        await this.notifyDeadLetter(row, result);
+                    }
+                } catch (error) {
+                    console.error(`❌ Outbound message ${row.id} retry failed:`, error.message);
+                }
+            }
+        } catch (error) {
+            console.error('❌ Outbound queue run failed:', error.message);
+        } finally {
+            this.processing = false;
+        }
+
+        return stats;
+    }
+
+    async notifyDeadLetter(row, result) {
+        const message = { id: row.id, channel: row.channel, giftId: row.gift_id, category: row.category };
+        for (const listener of this.deadLetterListeners) {
+            try {
+                await listener(message, { errorClass: result.errorClass, error: result.error });
+            } catch (error) {
+                console.error(`⚠️  Dead letter listener failed for outbound ${row.channel} ${row.id}:`, error.message);
+            }
+        }
+    }
+
+    /**
+     * Queue and counts by channel and status
+     * @param {object} filters - { status, channel, limit }
+     */
+    async getQueue(filters = {}) {
+        const [counts, messages] = await Promise.all([
+            db.getOutboundMessageCounts(),
+            db.getOutboundMessages(filters)
+        ]);
+
+        const totals = {};
+        counts.forEach(({ channel, status, count }) => {
+            totals[channel] = totals[channel] || {};
+            totals[channel][status] = count;
+        });
+
+        return { counts: totals, messages: messages.map(formatMessage) };
+    }
+
+    async getDeadLetters(filters = {}) {
+        const letters = await db.getOutboundDeadLetters(filters);
+        return letters.map(formatDeadLetter);
+    }
+
+    async getDeadLetter(id) {
+        const letter = await db.getOutboundDeadLetterById(id);
+        return letter ? formatDeadLetter(letter) : null;
+    }
+
+    /**
+     * Send a dead letter again as a new outbound message with a fresh retry budget
+     * @returns {Promise<object>} - { statusCode, error } or { deadLetter, result } (result as from send())
+     */
+    async replay(id) {
+        const letter = await db.getOutboundDeadLetterById(id);
+        if (!letter) {
+            return { statusCode: 404, error: 'Dead letter not found' };
+        }
+        if (!this.transports[letter.channel]) {
+            return { statusCode: 503, error: `${letter.channel} is not configured` };
+        }
+        if (!await db.claimOutboundDeadLetter(id)) {
+            return { statusCode: 409, error: 'Dead letter was already replayed' };
+        }
+
+        const payload = JSON.parse(letter.payload);
+        const messageId = await db.createOutboundMessage({
+            channel: letter.channel,
+            recipient: letter.recipient,
+            payload,
+            giftId: letter.gift_id,
+            category: letter.category
+        });
+        await db.setOutboundDeadLetterReplay(id, messageId);
+        console.log(`♻️  Dead letter ${id} replayed as outbound ${letter.channel} ${messageId}`);
+
+        const result = await this.attempt({
+            id: messageId,
+            channel: letter.channel,
+            payload,
+            attempts: 0,
+            giftId: letter.gift_id,
+            category: letter.category
+        });
+
+        return { deadLetter: await this.getDeadLetter(id), result };
+    }
+}
+
+function formatMessage(row) {
+    return {
+        id: row.id,
+        channel: row.channel,
+        recipient: row.recipient,
+        giftId: row.gift_id,
+        category: row.category,
+        status: row.status,
+        attempts: row.attempts,
+        nextAttemptAt: row.next_attempt_at,
+        errorClass: row.error_class,
+        lastError: row.last_error,
+        result: row.result,
+        createdAt: row.created_at,
+        sentAt: row.sent_at
+    };
+}
+
+function formatDeadLetter(row) {
+    return {
+        id: row.id,
+        messageId: row.message_id,
+        channel: row.channel,
+        recipient: row.recipient,
+        giftId: row.gift_id,
+        category: row.category,
+        payload: JSON.parse(row.payload),
+        attempts: row.attempts,
+        errorClass: row.error_class,
+        lastError: row.last_error,
+        failedAt: row.failed_at,
+        replayedAt: row.replayed_at,
+        replayedMessageId: row.replayed_message_id
+    };
+}
+
+const outboundQueue = new OutboundQueueService();
+outboundQueue.RETRY_POLICIES = RETRY_POLICIES;
+outboundQueue.classifyHttpStatus = classifyHttpStatus;
+
+// Export singleton instance
+module.exports = outboundQueue;
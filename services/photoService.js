@@ -0,0 +1,193 @@
+const path = require('path');
+const fs = require('fs');
+const sharp = require('sharp');
+const heicConvert = require('heic-convert');
+const storage = require('./storageService');
+const { differenceHash } = require('../utils/perceptualHash');
+
+// Longest edge of each rendition, in pixels
+const RENDITIONS = {
+    thumbnail: 320,
+    medium: 1280
+};
+
+const JPEG_QUALITY = 85;
+
+// ISO base media brands used by HEIC/HEIF photos (iPhones and many Android phones)
+const HEIC_BRANDS = ['heic', 'heix', 'hevc', 'hevx', 'heim', 'heis', 'mif1', 'msf1'];
+
+/**
+ * Whether a file is HEIC/HEIF (not AVIF, which shares the container and sharp reads natively)
+ */
+function isHeic(buffer) {
+    if (buffer.length < 16 || buffer.toString('latin1', 4, 8) !== 'ftyp') return false;
+    const brand = buffer.toString('latin1', 8, 12);
+    const boxSize = Math.min(buffer.readUInt32BE(0), buffer.length);
+    const compatible = [];
+    for (let offset = 16; offset + 4 <= boxSize; offset += 4) {
+        compatible.push(buffer.toString('latin1', offset, offset + 4));
+    }
+    if (compatible.includes('avif') || brand === 'avif') return false;
+    return HEIC_BRANDS.includes(brand);
+}
+
+/**
+ * Photo challenge submissions: every uploaded or MMS photo is re-encoded
+ * before anyone else can see it. Re-encoding drops EXIF/XMP metadata (GPS
+ * position, camera serials), bakes the EXIF orientation into the pixels and
+ * turns HEIC into JPEG. Thumbnail and medium renditions are written next to
+ * the photo so apps don't have to download originals.
+ *
+ * Photos are processed in the staging directory and only then handed to
+ * storage. Location check-ins read the photo's GPS position before it is processed.
+ */
+class PhotoService {
+    /**
+     * Sanitize a staged photo in place and write its renditions alongside it
+     * @param {string} filePath - Photo in the staging directory
+     * @returns {Promise<object>} - { filePath, renditions: { thumbnail, medium }, mimeType, width, height, fileSize, perceptualHash };
+     *   rejects if the file is not a readable image (the file is left for the caller to remove)
+     */
+    async processPhoto(filePath) {
+        let input = await fs.promises.readFile(filePath);
+        let outputPath = filePath;
+
+        if (isHeic(input)) {
+            input = Buffer.from(await heicConvert({ buffer: input, format: 'JPEG', quality: 0.92 }));
+            outputPath = filePath.replace(/\.[^./]*$/, '') + '.jpg';
+        }
+
+        // rotate() without an angle applies the EXIF orientation
+        const image = sharp(input, { failOn: 'error' }).rotate();
+        const { format } = await image.metadata();
+
+        // Animated GIFs keep their frames; GIFs carry no EXIF
+        let output;
+        let mimeType;
+        if (format === 'gif') {
+            output = input;
+            mimeType = 'image/gif';
+        } else if (format === 'png' || format === 'webp') {
+            output = await image[format]().toBuffer();
+            mimeType = `image/${format}`;
+        } else {
+            output = await image.jpeg({ quality: JPEG_QUALITY, mozjpeg: true }).toBuffer();
+            mimeType = 'image/jpeg';
+            outputPath = outputPath.replace(/\.[^./]*$/, '') + '.jpg';
+        }
+
+        await fs.promises.writeFile(outputPath, output);
+        if (outputPath !== filePath) {
+            await fs.promises.unlink(filePath);
+        }
+
+        const { width, height } = await sharp(output).metadata();
+        const base = outputPath.replace(/\.[^./]*$/, '');
+        const renditions = {};
+        for (const [name, size] of Object.entries(RENDITIONS)) {
+            renditions[name] = `${base}-${name}.jpg`;
+            await sharp(output)
+                .resize({ width: size, height: size, fit: 'inside', withoutEnlargement: true })
+                .flatten({ background: '#ffffff' })
+                .jpeg({ quality: JPEG_QUALITY, mozjpeg: true })
+                .toFile(renditions[name]);
+        }
+
+        return {
+            filePath: outputPath,
+            renditions,
+            mimeType,
+            width,
+            height,
+            fileSize: output.length,
+            perceptualHash: await this.hash(output)
+        };
+    }
+
+    /**
+     * Re-encode a staged image (such as a video's poster) as a plain JPEG,
+     * dropping its EXIF data (GPS included) the way processPhoto does
+     * @param {string} filePath - Image in the staging directory
+     * @param {string} outputPath - Where to write the JPEG; the original is removed if this differs
+     * @returns {Promise<string>} - outputPath; rejects if the file is not a readable image
+     */
+    async sanitizeImage(filePath, outputPath) {
+        let input = await fs.promises.readFile(filePath);
+        if (isHeic(input)) {
+            input = Buffer.from(await heicConvert({ buffer: input, format: 'JPEG', quality: 0.92 }));
+        }
+
+        const output = await sharp(input, { failOn: 'error' })
+            .rotate()
+            .flatten({ background: '#ffffff' })
+            .jpeg({ quality: JPEG_QUALITY, mozjpeg: true })
+            .toBuffer();
+        await fs.promises.writeFile(outputPath, output);
+        if (outputPath !== filePath) {
+            await fs.promises.unlink(filePath);
+        }
+        return outputPath;
+    }
+
+    /**
+     * Move a processed photo and its renditions into storage
+     * @param {object} processed - processPhoto result
+     * @returns {Promise<object>} - { photoUrl, thumbnailUrl, mediumUrl, mimeType, width, height, fileSize, perceptualHash }
+     */
+    async storePhoto(processed) {
+        const { filePath, renditions, ...details } = processed;
+        const photoUrl = await storage.putFile(this.keyFor(filePath), filePath, { contentType: details.mimeType });
+        const urls = {};
+        try {
+            for (const [name, renditionPath] of Object.entries(renditions)) {
+                urls[name] = await storage.putFile(this.keyFor(renditionPath), renditionPath, { contentType: 'image/jpeg' });
+            }
+        } catch (error) {
+            await storage.deleteUrls([photoUrl, ...Object.values(urls)]);
+            throw error;
+        }
+
+        return {
+            photoUrl,
+            thumbnailUrl: urls.thumbnail,
+            mediumUrl: urls.medium,
+            ...details
+        };
+    }
+
+    /**
+     * Perceptual hash for duplicate detection; null rather than failing the upload
+     */
+    async hash(input) {
+        try {
+            return await differenceHash(input);
+        } catch (error) {
+            console.error('⚠️  Perceptual hash failed:', error.message);
+            return null;
+        }
+    }
+
+    keyFor(filePath) {
+        return `photos/${path.basename(filePath)}`;
+    }
+
+    /**
+     * Remove a staged photo, its converted JPEG and any renditions written for it
+     */
+    discardPhoto(filePath) {
+        const base = filePath.replace(/\.[^./]*$/, '');
+        const files = new Set([filePath, `${base}.jpg`, ...Object.keys(RENDITIONS).map(name => `${base}-${name}.jpg`)]);
+        files.forEach(file => fs.unlink(file, () => {}));
+    }
+
+    /**
+     * Remove a stored photo and its renditions
+     * @param {object} photo - storePhoto result
+     */
+    async deletePhoto(photo) {
+        await storage.deleteUrls([photo.photoUrl, photo.thumbnailUrl, photo.mediumUrl]);
+    }
+}
+
+// Export singleton instance
+module.exports = new PhotoService();
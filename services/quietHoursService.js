@@ -0,0 +1,133 @@
+const db = require('./databaseService');
+const { DEFAULT_TIME_ZONE, isValidTimeZone, getZonedParts, zonedTimeToUtc } = require('../utils/timeZone');
+const { timeZoneForPhone } = require('../utils/areaCodes');
+
+const DEFAULT_START = '21:00';
+const DEFAULT_END = '08:00';
+
+// SMS categories that can wait for the morning; anything else is sent right away
+const DEFERRABLE_CATEGORIES = ['reminder', 'nudge', 'progress'];
+
+/**
+ * Minutes after midnight of an "HH:MM" time
+ * @returns {number|null}
+ */
+function parseClockTime(value) {
+    const match = /^(\d{1,2}):(\d{2})$/.exec((value || '').trim());
+    if (!match) return null;
+    const hours = parseInt(match[1], 10);
+    const minutes = parseInt(match[2], 10);
+    return hours < 24 && minutes < 60 ? hours * 60 + minutes : null;
+}
+
+function readClockTime(name, fallback) {
+    const minutes = parseClockTime(process.env[name]);
+    if (process.env[name] && minutes === null) {
+        console.warn(`⚠️  ${name} must be HH:MM, using ${fallback}`);
+    }
+    return minutes === null ? parseClockTime(fallback) : minutes;
+}
+
+/**
+ * Keeps non-urgent SMS (reminders, nudges, progress updates) out of the
+ * recipient's night. With ENABLE_QUIET_HOURS=true, twilioService.sendSMS
+ * holds messages of those categories sent between QUIET_HOURS_START and
+ * QUIET_HOURS_END in the recipient's local time, in the deferred_sms table,
+ * and twilioService.sendDeferredSMS sends them when the window opens.
+ * Transactional messages (STOP confirmations, unlocks, replies to the
+ * recipient's own texts) are never held.
+ *
+ * The recipient's time zone is, in order: the one they set on their own
+ * account, the one the sender gave for the gift, one a sender saved on a
+ * contact with that number, the phone's area code, and DEFAULT_TIME_ZONE.
+ */
+class QuietHoursService {
+    constructor() {
+        this.enabled = process.env.ENABLE_QUIET_HOURS === 'true';
+        this.startMinutes = readClockTime('QUIET_HOURS_START', DEFAULT_START);
+        this.endMinutes = readClockTime('QUIET_HOURS_END', DEFAULT_END);
+    }
+
+    isDeferrable(category) {
+        return this.enabled && DEFERRABLE_CATEGORIES.includes(category) && this.startMinutes !== this.endMinutes;
+    }
+
+    /**
+     * Best known time zone for a phone number
+     * @param {string} phone - The recipient's number
+     * @param {object} giftOrder - Optional gift the message is about (recipient_phone, recipient_timezone)
+     * @returns {Promise<{timeZone: string, source: string}>} - source: 'user', 'gift', 'contact', 'area_code' or 'default'
+     */
+    async resolveTimeZone(phone, giftOrder = null) {
+        const saved = await db.getTimeZonesForPhone(phone);
+        if (isValidTimeZone(saved.user)) {
+            return { timeZone: saved.user, source: 'user' };
+        }
+
+        const digits = value => (value || '').replace(/\D/g, '').slice(-10);
+        if (giftOrder && isValidTimeZone(giftOrder.recipient_timezone) && digits(giftOrder.recipient_phone) === digits(phone)) {
+            return { timeZone: giftOrder.recipient_timezone, source: 'gift' };
+        }
+
+        if (isValidTimeZone(saved.contact)) {
+            return { timeZone: saved.contact, source: 'contact' };
+        }
+
+        const fromAreaCode = timeZoneForPhone(phone);
+        if (fromAreaCode) {
+            return { timeZone: fromAreaCode, source: 'area_code' };
+        }
+
+        return { timeZone: DEFAULT_TIME_ZONE, source: 'default' };
+    }
+
+    /**
+     * Whether an instant falls in quiet hours in a time zone
+     */
+    isQuietTime(timeZone, now = new Date()) {
+        const { hour, minute } = getZonedParts(now, timeZone);
+        const minutes = hour * 60 + minute;
+        if (this.startMinutes < this.endMinutes) {
+            return minutes >= this.startMinutes && minutes < this.endMinutes;
+        }
+        // The window wraps past midnight, e.g. 21:00 - 08:00
+        return minutes >= this.startMinutes || minutes < this.endMinutes;
+    }
+
+    /**
+     * When quiet hours that include `now` end
+     * @returns {Date}
+     */
+    getWindowEnd(timeZone, now = new Date()) {
+        const local = getZonedParts(now, timeZone);
+        const endHour = Math.floor(this.endMinutes / 60);
+        const endMinute = this.endMinutes % 60;
+        let end = zonedTimeToUtc(local.year, local.month, local.day, endHour, endMinute, 0, timeZone);
+        if (end.getTime() <= now.getTime()) {
+            end = zonedTimeToUtc(local.year, local.month, local.day + 1, endHour, endMinute, 0, timeZone);
+        }
+        return end;
+    }
+
+    /**
+     * Decide whether an SMS has to wait
+     * @param {string} category - The message's category (see DEFERRABLE_CATEGORIES)
+     * @param {string|null} giftId - Gift the message is about, if any
+     * @returns {Promise<{timeZone: string, sendAfter: Date}|null>} - null to send now
+     */
+    async getDeferral(phone, category, giftId = null, now = new Date()) {
+        if (!this.isDeferrable(category)) {
+            return null;
+        }
+
+        const giftOrder = giftId ? await db.getGiftOrderByTrackingId(giftId) : null;
+        const { timeZone } = await this.resolveTimeZone(phone, giftOrder);
+        if (!this.isQuietTime(timeZone, now)) {
+            return null;
+        }
+        return { timeZone, sendAfter: this.getWindowEnd(timeZone, now) };
+    }
+}
+
+// Export singleton instance
+module.exports = new QuietHoursService();
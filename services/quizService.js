@@ -0,0 +1,366 @@
+const db = require('./databaseService');
+const twilioService = require('./twilioService');
+const sendGridService = require('./sendGridService');
+
+const MAX_QUESTIONS = 20;
+
+function normalizeAnswer(text) {
+    return String(text)
+        .toLowerCase()
+        .replace(/[^\p{L}\p{N}\s]/gu, '')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * Parse "1,000", "$12.50" or "-3" as a number; null for anything else
+ */
+function parseNumber(text) {
+    const cleaned = String(text).replace(/[\s,$€£]/g, '');
+    return /^[-+]?(\d+\.?\d*|\.\d+)$/.test(cleaned) ? Number(cleaned) : null;
+}
+
+/**
+ * Hints of the current question the recipient has seen: one per wrong
+ * answer plus one per HINT request
+ */
+function revealedHints(question, state) {
+    return Math.min(state.attempts + state.hintsRequested, question.hints.length);
+}
+
+function isStringList(value) {
+    return Array.isArray(value) && value.length > 0 &&
+        value.every(item => (typeof item === 'string' && item.trim()) || typeof item === 'number');
+}
+
+/**
+ * Quiz challenges: the sender sets questions with accepted answers and the
+ * recipient answers them in order, by SMS or the API. A wrong answer gets the
+ * question's next hint (as does texting HINT, without using an attempt);
+ * once the recipient has used maxAttempts on a question
+ * the sender is told they are stuck (once per question). The recipient can
+ * keep trying after that.
+ *
+ * Questions live in challenge.requirements.questions; answering state lives in
+ * challenge.progress.quiz. progress.currentStep counts correctly answered
+ * questions.
+ */
+class QuizService {
+    constructor() {
+        this.defaultMaxAttempts = parseInt(process.env.QUIZ_MAX_ATTEMPTS, 10) || 3;
+    }
+
+    isQuizChallenge(challenge) {
+        return !!challenge && challenge.type === 'quiz';
+    }
+
+    /**
+     * Validate quiz questions sent with a new gift
+     * @param {Array} questions - [{ question, answers, tolerance, hints }]
+     * @param {number} maxAttempts - Optional attempts per question before the sender hears about it
+     * @returns {{requirements: object|null, error: string|null}} - requirements: { totalSteps, questions, maxAttempts }
+     */
+    validateQuiz(questions, maxAttempts) {
+        if (!Array.isArray(questions) || questions.length === 0) {
+            return { requirements: null, error: 'A quiz needs a non-empty questions array' };
+        }
+        if (questions.length > MAX_QUESTIONS) {
+            return { requirements: null, error: `A quiz can have at most ${MAX_QUESTIONS} questions` };
+        }
+
+        const normalized = [];
+        for (const [index, raw] of questions.entries()) {
+            const label = `Question ${index + 1}`;
+            const question = raw && typeof raw.question === 'string' ? raw.question.trim() : '';
+            const answers = raw && raw.answers !== undefined ? raw.answers : raw && raw.answer !== undefined ? [raw.answer] : null;
+            const hints = raw && raw.hints !== undefined ? raw.hints : raw && raw.hint ? [raw.hint] : [];
+
+            if (!question) {
+                return { requirements: null, error: `${label} needs question text` };
+            }
+            if (!isStringList(answers)) {
+                return { requirements: null, error: `${label} needs at least one accepted answer` };
+            }
+            if (hints.length > 0 && !isStringList(hints)) {
+                return { requirements: null, error: `${label} hints must be a list of strings` };
+            }
+
+            let tolerance = null;
+            if (raw.tolerance !== undefined && raw.tolerance !== null) {
+                tolerance = Number(raw.tolerance);
+                if (!Number.isFinite(tolerance) || tolerance < 0) {
+                    return { requirements: null, error: `${label} tolerance must be a number of 0 or more` };
+                }
+                if (!answers.some(answer => parseNumber(answer) !== null)) {
+                    return { requirements: null, error: `${label} has a tolerance but no numeric answer` };
+                }
+            }
+
+            normalized.push({
+                question,
+                answers: answers.map(answer => String(answer).trim()),
+                tolerance,
+                hints: hints.map(hint => String(hint).trim())
+            });
+        }
+
+        const requirements = { totalSteps: normalized.length, questions: normalized };
+        if (maxAttempts !== undefined && maxAttempts !== null) {
+            const attempts = Number(maxAttempts);
+            if (!Number.isInteger(attempts) || attempts < 1) {
+                return { requirements: null, error: 'maxAttempts must be a whole number of at least 1' };
+            }
+            requirements.maxAttempts = attempts;
+        }
+
+        return { requirements, error: null };
+    }
+
+    getMaxAttempts(challenge) {
+        const maxAttempts = parseInt(challenge.requirements && challenge.requirements.maxAttempts, 10);
+        return Number.isInteger(maxAttempts) && maxAttempts >= 1 ? maxAttempts : this.defaultMaxAttempts;
+    }
+
+    getQuestions(challenge) {
+        return (challenge.requirements && challenge.requirements.questions) || [];
+    }
+
+    getState(challenge) {
+        const saved = challenge.progress.quiz || {};
+        return {
+            currentQuestion: 0,
+            attempts: 0,
+            hintsRequested: 0,
+            totalAttempts: 0,
+            ...saved,
+            senderNotified: [...(saved.senderNotified || [])],
+            answers: [...(saved.answers || [])]
+        };
+    }
+
+    /**
+     * Whether an answer matches any accepted answer, ignoring case, punctuation
+     * and extra whitespace. Numeric answers match within the question's tolerance.
+     */
+    isCorrect(question, answer) {
+        const given = normalizeAnswer(answer);
+        const givenNumber = parseNumber(answer);
+
+        return question.answers.some(accepted => {
+            if (normalizeAnswer(accepted) === given) {
+                return true;
+            }
+            const acceptedNumber = parseNumber(accepted);
+            return givenNumber !== null && acceptedNumber !== null &&
+                Math.abs(givenNumber - acceptedNumber) <= (question.tolerance || 0);
+        });
+    }
+
+    /**
+     * Quiz report for progress responses. Never includes accepted answers.
+     * @returns {object}
+     */
+    summarize(challenge) {
+        const questions = this.getQuestions(challenge);
+        const state = this.getState(challenge);
+        const maxAttempts = this.getMaxAttempts(challenge);
+        const current = questions[state.currentQuestion];
+
+        return {
+            totalQuestions: questions.length,
+            answered: Math.min(state.currentQuestion, questions.length),
+            currentQuestion: current && !challenge.progress.completed
+                ? { number: state.currentQuestion + 1, question: current.question }
+                : null,
+            attempts: state.attempts,
+            maxAttempts,
+            attemptsLeft: Math.max(0, maxAttempts - state.attempts),
+            hintsShown: current ? current.hints.slice(0, revealedHints(current, state)) : []
+        };
+    }
+
+    /**
+     * Check an answer to the current question and save it
+     * @param {object} challenge - From db.getChallengeById (progress parsed)
+     * @param {string} answer - The recipient's answer
+     * @returns {Promise<object>} - { counted, correct, challenge, questionNumber, hint, notifySender, quiz }
+     */
+    async answer(challenge, answer, now = new Date()) {
+        const questions = this.getQuestions(challenge);
+
+        // Retry once if another answer landed between our read and write
+        for (let attempt = 0; attempt < 2; attempt++) {
+            const state = this.getState(challenge);
+            const question = questions[state.currentQuestion];
+
+            if (!question || challenge.progress.completed) {
+                return { counted: false, correct: false, challenge, questionNumber: null, hint: null, notifySender: false, quiz: this.summarize(challenge) };
+            }
+
+            const questionNumber = state.currentQuestion + 1;
+            const correct = this.isCorrect(question, answer);
+            const previousAttemptCount = state.totalAttempts;
+            let hint = null;
+            let notifySender = false;
+
+            state.totalAttempts++;
+            state.answers.push({ question: questionNumber, answer: String(answer).trim(), correct, at: now.toISOString() });
+
+            if (correct) {
+                state.currentQuestion++;
+                state.attempts = 0;
+                state.hintsRequested = 0;
+            } else {
+                state.attempts++;
+                if (question.hints.length > 0) {
+                    hint = question.hints[revealedHints(question, state) - 1];
+                }
+                if (state.attempts >= this.getMaxAttempts(challenge) && !state.senderNotified.includes(questionNumber)) {
+                    state.senderNotified.push(questionNumber);
+                    notifySender = true;
+                }
+            }
+
+            const progress = {
+                ...challenge.progress,
+                started: true,
+                currentStep: Math.min(state.currentQuestion, challenge.progress.totalSteps),
+                quiz: state
+            };
+            if (state.currentQuestion >= questions.length) {
+                progress.completed = true;
+            }
+
+            const saved = await db.saveQuizAnswer(challenge.id, progress, previousAttemptCount);
+            if (saved) {
+                const updated = { ...challenge, progress };
+                return { counted: true, correct, challenge: updated, questionNumber, hint, notifySender, quiz: this.summarize(updated) };
+            }
+
+            challenge = await db.getChallengeById(challenge.id);
+        }
+
+        return { counted: false, correct: false, challenge, questionNumber: null, hint: null, notifySender: false, quiz: this.summarize(challenge) };
+    }
+
+    /**
+     * Reveal the current question's next hint without using an attempt
+     * @param {object} challenge - From db.getChallengeById (progress parsed)
+     * @returns {Promise<object>} - { hint, questionNumber, hintsLeft, quiz }; hint is null when the
+     *   question has no more hints (or the quiz is finished)
+     */
+    async requestHint(challenge) {
+        const questions = this.getQuestions(challenge);
+
+        // Retry once if an answer landed between our read and write
+        for (let attempt = 0; attempt < 2; attempt++) {
+            const state = this.getState(challenge);
+            const question = questions[state.currentQuestion];
+
+            if (!question || challenge.progress.completed) {
+                return { hint: null, questionNumber: null, hintsLeft: 0, quiz: this.summarize(challenge) };
+            }
+
+            const questionNumber = state.currentQuestion + 1;
+            const shown = revealedHints(question, state);
+            if (shown >= question.hints.length) {
+                return { hint: null, questionNumber, hintsLeft: 0, quiz: this.summarize(challenge) };
+            }
+
+            state.hintsRequested++;
+            const progress = { ...challenge.progress, quiz: state };
+
+            const saved = await db.saveQuizAnswer(challenge.id, progress, state.totalAttempts);
+            if (saved) {
+                const updated = { ...challenge, progress };
+                return {
+                    hint: question.hints[shown],
+                    questionNumber,
+                    hintsLeft: question.hints.length - shown - 1,
+                    quiz: this.summarize(updated)
+                };
+            }
+
+            challenge = await db.getChallengeById(challenge.id);
+        }
+
+        return { hint: null, questionNumber: null, hintsLeft: 0, quiz: this.summarize(challenge) };
+    }
+
+    /**
+     * Tell the sender the recipient has used up their attempts on a question
+     * @param {object} giftOrder - Row from gift_orders (with sender name, email and phone)
+     */
+    async notifySenderStuck(giftOrder, challenge, result) {
+        const question = this.getQuestions(challenge)[result.questionNumber - 1];
+        const { answers } = this.getState(challenge);
+        const lastAnswer = answers.length > 0 ? answers[answers.length - 1].answer : '';
+        const recipientName = giftOrder.recipient_name || 'Your gift recipient';
+
+        if (giftOrder.sender_phone) {
+            try {
+                await twilioService.sendSMS(
+                    giftOrder.sender_phone,
+                    `🦡 ${recipientName} is stuck on question ${result.questionNumber} of your quiz ` +
+                    `("${question.question}") after ${result.quiz.maxAttempts} tries. Their last answer: "${lastAnswer}".`,
+                    { giftId: giftOrder.tracking_id, category: 'progress' }
+                );
+            } catch (error) {
+                console.error(`❌ Quiz stuck SMS failed for ${giftOrder.tracking_id}:`, error.message);
+            }
+        }
+
+        if (giftOrder.sender_email) {
+            await sendGridService.sendQuizStuckEmail(giftOrder.sender_email, {
+                senderName: giftOrder.sender_name,
+                recipientName,
+                questionNumber: result.questionNumber,
+                totalQuestions: result.quiz.totalQuestions,
+                question: question.question,
+                attempts: result.quiz.maxAttempts,
+                lastAnswer
+            });
+        }
+    }
+
+    /**
+     * The question to send with a gift's first message
+     */
+    formatFirstQuestion(challenge) {
+        const [first] = this.getQuestions(challenge);
+        return first ? `❓ Question 1 of ${this.getQuestions(challenge).length}: ${first.question}` : '';
+    }
+
+    /**
+     * SMS reply describing an answer result
+     */
+    formatAnswerSms(result) {
+        const { quiz } = result;
+
+        if (!result.counted) {
+            return quiz.currentQuestion ? '' : `🎉 You already finished the quiz!`;
+        }
+
+        if (result.correct) {
+            return quiz.currentQuestion
+                ? `✅ Correct! ❓ Question ${quiz.currentQuestion.number} of ${quiz.totalQuestions}: ${quiz.currentQuestion.question}`
+                : `✅ Correct! That was the last question.`;
+        }
+
+        const lines = ['❌ Not quite.'];
+        if (result.hint) {
+            lines.push(`💡 Hint: ${result.hint}`);
+        }
+        if (quiz.attemptsLeft > 0) {
+            lines.push(`${quiz.attemptsLeft} ${quiz.attemptsLeft === 1 ? 'try' : 'tries'} left before we let your sender know.`);
+        } else if (result.notifySender) {
+            lines.push(`We've let your sender know you're stuck, but you can keep trying!`);
+        } else {
+            lines.push('Keep trying!');
+        }
+        return lines.join(' ');
+    }
+}
+
+// Export singleton instance
+module.exports = new QuizService();
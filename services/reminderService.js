@@ -0,0 +1,267 @@
+const db = require('./databaseService');
+const twilioService = require('./twilioService');
+const sendGridService = require('./sendGridService');
+const aiMessage = require('./aiMessageService');
+
+// Hours between reminders for each supported reminder_frequency value
+const FREQUENCY_INTERVAL_HOURS = {
+    daily: 24,
+    every_other_day: 48,
+    weekly: 24 * 7
+};
+
+const DEFAULT_MAX_REMINDERS = 10;
+const DEFAULT_CUSTOM_INTERVAL_HOURS = 72;
+
+/**
+ * Parse a SQLite CURRENT_TIMESTAMP value ("YYYY-MM-DD HH:MM:SS", UTC) into a Date
+ */
+function parseDbTimestamp(value) {
+    if (!value) return null;
+    if (value instanceof Date) return value;
+    const iso = value.includes('T') ? value : value.replace(' ', 'T');
+    const date = new Date(/[zZ]|[+-]\d{2}:?\d{2}$/.test(iso) ? iso : `${iso}Z`);
+    return isNaN(date.getTime()) ? null : date;
+}
+
+class ReminderService {
+    constructor() {
+        this.running = false;
+        this.maxReminders = parseInt(process.env.REMINDER_MAX_PER_CHALLENGE, 10) || DEFAULT_MAX_REMINDERS;
+        this.customIntervalHours = parseFloat(process.env.REMINDER_CUSTOM_INTERVAL_HOURS) || DEFAULT_CUSTOM_INTERVAL_HOURS;
+    }
+
+    /**
+     * Resolve the reminder interval for a challenge in hours.
+     * The gift's frequency wins over the challenge's; 'custom' reads
+     * requirements.reminderIntervalHours. Returns null when reminders are off.
+     * @param {object} challenge - Challenge row joined with its gift order
+     * @returns {number|null}
+     */
+    getIntervalHours(challenge) {
+        const frequency = challenge.gift_reminder_frequency || challenge.reminder_frequency;
+
+        if (frequency === 'custom') {
+            const hours = parseFloat(challenge.requirements?.reminderIntervalHours);
+            return hours > 0 ? hours : this.customIntervalHours;
+        }
+
+        return FREQUENCY_INTERVAL_HOURS[frequency] || null;
+    }
+
+    /**
+     * Maximum number of scheduled reminders for a challenge
+     * @param {object} challenge - Challenge row
+     * @returns {number}
+     */
+    getMaxReminders(challenge) {
+        const max = parseInt(challenge.requirements?.maxReminders, 10);
+        return Number.isInteger(max) && max >= 0 ? max : this.maxReminders;
+    }
+
+    /**
+     * Check whether a challenge is due for its next reminder
+     * @param {object} challenge - Challenge row joined with its gift order
+     * @param {Date} now - Reference time
+     * @returns {boolean}
+     */
+    isDue(challenge, now = new Date()) {
+        if (challenge.progress?.completed) return false;
+
+        const intervalHours = this.getIntervalHours(challenge);
+        if (!intervalHours) return false;
+
+        if ((challenge.reminder_count || 0) >= this.getMaxReminders(challenge)) return false;
+
+        const last = parseDbTimestamp(challenge.last_reminder_sent) ||
+            parseDbTimestamp(challenge.gift_created_at) ||
+            parseDbTimestamp(challenge.created_at);
+        if (!last) return true;
+
+        return now.getTime() - last.getTime() >= intervalHours * 60 * 60 * 1000;
+    }
+
+    /**
+     * Work out which channels a reminder can go out on right now
+     * @param {object} challenge - Challenge row joined with its gift order (including sms_health and email_health)
+     * @returns {Promise<{sms: boolean, email: boolean, reason: string|null}>}
+     */
+    async resolveChannels(challenge) {
+        const method = challenge.delivery_method || (challenge.recipient_phone ? 'sms' : 'email');
+        let wantsSms = !!challenge.recipient_phone && (method === 'sms' || method === 'both');
+        let wantsEmail = !!challenge.recipient_email && (method === 'email' || method === 'both');
+
+        // A channel that failed for this gift is replaced by the other one while that one works
+        const smsFailed = challenge.sms_health === 'failed';
+        const emailFailed = challenge.email_health === 'failed';
+        if (smsFailed && !emailFailed && challenge.recipient_email) {
+            wantsEmail = wantsEmail || wantsSms;
+            wantsSms = false;
+        } else if (emailFailed && !smsFailed && challenge.recipient_phone) {
+            wantsSms = wantsSms || wantsEmail;
+            wantsEmail = false;
+        }
+
+        let sms = false;
+        let reason = null;
+
+        if (wantsSms) {
+            if (!twilioService.isInitialized()) {
+                reason = 'sms_not_configured';
+            } else if (!(await db.hasPhoneOptedIn(challenge.recipient_phone))) {
+                reason = 'not_opted_in';
+            } else {
+                sms = true;
+            }
+        }
+
+        const email = wantsEmail && sendGridService.isInitialized();
+        if (wantsEmail && !email && !reason) {
+            reason = 'email_not_configured';
+        }
+
+        return { sms, email, reason: sms || email ? null : (reason || 'no_delivery_channel') };
+    }
+
+    /**
+     * Send a reminder for one due challenge. The reminder slot is claimed
+     * before sending, so a failed send is logged rather than retried until
+     * the next interval.
+     * @returns {Promise<string>} - 'sent', 'skipped' or 'failed'
+     */
+    async sendReminder(challenge, runId) {
+        const channels = await this.resolveChannels(challenge);
+        if (!channels.sms && !channels.email) {
+            return 'skipped';
+        }
+
+        const claimed = await db.claimChallengeReminder(challenge.id, challenge.reminder_count || 0);
+        if (!claimed) {
+            // Another sweep already sent this reminder
+            return 'skipped';
+        }
+
+        const senderName = challenge.sender_name || 'Someone special';
+        const progress = challenge.progress || {};
+        let delivered = false;
+
+        if (channels.sms) {
+            try {
+                const gift = {
+                    senderName,
+                    recipientPhone: challenge.recipient_phone,
+                    type: challenge.gift_type
+                };
+                const reminderMessage = await aiMessage.generateReminderMessage(gift, challenge);
+                const message = await twilioService.sendSMS(challenge.recipient_phone, reminderMessage, {
+                    giftId: challenge.tracking_id,
+                    category: 'reminder'
+                });
+                delivered = delivered || !!(message && (message.sid || message.deferred || message.queued));
+
+                let status = 'failed';
+                let detail = message ? (message.sid || message.reason) : 'no response from Twilio';
+                if (message && message.sid) {
+                    status = 'sent';
+                } else if (message && message.deferred) {
+                    status = 'deferred';
+                    detail = `quiet hours until ${message.sendAfter.toISOString()}`;
+                } else if (message && message.queued) {
+                    status = 'queued';
+                    detail = `retrying at ${message.nextAttemptAt.toISOString()}`;
+                }
+
+                await db.logReminderAttempt({
+                    runId,
+                    challengeId: challenge.id,
+                    giftId: challenge.tracking_id,
+                    channel: 'sms',
+                    status,
+                    detail
+                });
+            } catch (error) {
+                console.error(`❌ Reminder SMS failed for challenge ${challenge.id}:`, error.message);
+                await db.logReminderAttempt({
+                    runId,
+                    challengeId: challenge.id,
+                    giftId: challenge.tracking_id,
+                    channel: 'sms',
+                    status: 'failed',
+                    detail: error.message
+                });
+            }
+        }
+
+        if (channels.email) {
+            const result = await sendGridService.sendReminderEmail(challenge.recipient_email, {
+                recipientName: challenge.recipient_name,
+                challenge: challenge.description,
+                progress: `${progress.currentStep || 0} of ${progress.totalSteps || 1} steps completed`,
+                giftId: challenge.tracking_id
+            });
+            delivered = delivered || result.success;
+
+            await db.logReminderAttempt({
+                runId,
+                challengeId: challenge.id,
+                giftId: challenge.tracking_id,
+                channel: 'email',
+                status: result.success ? 'sent' : 'failed',
+                detail: result.message
+            });
+        }
+
+        return delivered ? 'sent' : 'failed';
+    }
+
+    /**
+     * Scan active challenges and send every reminder that is due.
+     * Each sweep is recorded in reminder_runs, each attempt in reminder_log.
+     * @returns {Promise<object>} - Run statistics
+     */
+    async runScheduledReminders(now = new Date()) {
+        if (this.running) {
+            console.log('⏭️  Reminder sweep already in progress, skipping');
+            return null;
+        }
+
+        this.running = true;
+        const stats = { checked: 0, sent: 0, skipped: 0, failed: 0, errorMessage: null };
+        let runId = null;
+
+        try {
+            runId = await db.createReminderRun();
+            const challenges = await db.getChallengesForReminders();
+            stats.checked = challenges.length;
+
+            for (const challenge of challenges) {
+                if (!this.isDue(challenge, now)) continue;
+
+                try {
+                    const outcome = await this.sendReminder(challenge, runId);
+                    stats[outcome]++;
+                } catch (error) {
+                    console.error(`❌ Reminder failed for challenge ${challenge.id}:`, error.message);
+                    stats.failed++;
+                }
+            }
+        } catch (error) {
+            console.error('❌ Reminder sweep failed:', error.message);
+            stats.errorMessage = error.message;
+        } finally {
+            this.running = false;
+            if (runId) {
+                try {
+                    await db.finishReminderRun(runId, stats);
+                } catch (error) {
+                    console.error('⚠️  Failed to record reminder run:', error.message);
+                }
+            }
+        }
+
+        return stats;
+    }
+}
+
+// Export singleton instance
+module.exports = new ReminderService();
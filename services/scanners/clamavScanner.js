@@ -0,0 +1,87 @@
+const net = require('net');
+const fs = require('fs');
+
+// clamd's default StreamMaxLength is 25MB; chunks just need to stay under it
+const CHUNK_BYTES = 64 * 1024;
+
+/**
+ * Scans files with a clamd daemon (ClamAV, or anything speaking its INSTREAM
+ * protocol) over TCP or a Unix socket.
+ */
+class ClamAvScanner {
+    constructor({ host, port, socketPath, timeoutMs }) {
+        this.name = 'clamav';
+        this.host = host || '127.0.0.1';
+        this.port = parseInt(port, 10) || 3310;
+        this.socketPath = socketPath || null;
+        this.timeoutMs = timeoutMs || 30000;
+    }
+
+    /**
+     * @returns {Promise<{clean: boolean, signature: string|null}>} - rejects if clamd is unreachable or errors
+     */
+    scan(filePath) {
+        return new Promise((resolve, reject) => {
+            const socket = this.socketPath
+                ? net.createConnection(this.socketPath)
+                : net.createConnection(this.port, this.host);
+            let reply = '';
+            let settled = false;
+
+            const finish = (error, result) => {
+                if (settled) return;
+                settled = true;
+                socket.destroy();
+                if (error) reject(error);
+                else resolve(result);
+            };
+
+            socket.setTimeout(this.timeoutMs, () => finish(new Error('clamd timed out')));
+            socket.on('error', error => finish(new Error(`clamd unavailable: ${error.message}`)));
+            socket.on('data', data => {
+                reply += data.toString();
+                if (reply.includes('\0')) socket.end();
+            });
+            socket.on('close', () => {
+                const result = reply.replace(/\0/g, '').trim();
+                const found = /^stream: (.+) FOUND$/.exec(result);
+                if (found) {
+                    finish(null, { clean: false, signature: found[1] });
+                } else if (result === 'stream: OK') {
+                    finish(null, { clean: true, signature: null });
+                } else {
+                    finish(new Error(`Unexpected clamd reply: ${result || '(none)'}`));
+                }
+            });
+
+            socket.on('connect', async () => {
+                try {
+                    socket.write('zINSTREAM\0');
+                    const stream = fs.createReadStream(filePath, { highWaterMark: CHUNK_BYTES });
+                    for await (const chunk of stream) {
+                        // clamd may answer (and hang up) early, e.g. over its size limit
+                        if (settled) {
+                            stream.destroy();
+                            return;
+                        }
+                        const size = Buffer.alloc(4);
+                        size.writeUInt32BE(chunk.length);
+                        socket.write(size);
+                        if (!socket.write(chunk)) {
+                            await new Promise(drained => {
+                                socket.once('drain', drained);
+                                socket.once('close', drained);
+                            });
+                        }
+                    }
+                    // A zero-length chunk ends the stream
+                    if (!settled) socket.write(Buffer.alloc(4));
+                } catch (error) {
+                    finish(error);
+                }
+            });
+        });
+    }
+}
+
+module.exports = ClamAvScanner;
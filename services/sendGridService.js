@@ -1,4 +1,14 @@
 const sgMail = require('@sendgrid/mail');
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const db = require('./databaseService');
+const mediaAccess = require('./mediaAccessService');
+const outboundQueue = require('./outboundQueueService');
+
+const SIGNATURE_HEADER = 'X-Twilio-Email-Event-Webhook-Signature';
+const TIMESTAMP_HEADER = 'X-Twilio-Email-Event-Webhook-Timestamp';
+// Signed posts older (or further in the future) than this are refused as replays
+const MAX_TIMESTAMP_SKEW_SECONDS = 5 * 60;
 
 class SendGridService {
     constructor() {
@@ -27,6 +37,7 @@ class SendGridService {
 
         try {
             sgMail.setApiKey(apiKey);
+            this.registerTransport();
             this.initialized = true;
             console.log('✅ SendGrid service initialized successfully');
         } catch (error) {
@@ -39,28 +50,161 @@ class SendGridService {
     }
 
     /**
-     * Send email with retry logic
+     * Send email through the outbound queue; SendGrid sends each attempt and
+     * accepted emails are logged to email_messages. SendGrid reports errors
+     * with the HTTP status in error.code.
+     */
+    registerTransport() {
+        outboundQueue.registerTransport('email', {
+            send: async msg => {
+                // The address may have bounced since the email was queued (or dead lettered)
+                await this.checkSuppressed(msg);
+                return sgMail.send(msg);
+            },
+            classify: error => {
+                if (error.code === 'SUPPRESSED') return 'invalid_recipient';
+                return typeof error.code === 'number' ? outboundQueue.classifyHttpStatus(error.code) : null;
+            },
+            resultOf: response => this.sgMessageIdOf(response),
+            onSent: (msg, response, { id, giftId, category }) => {
+                // Emails queued before they were tagged have no message id
+                if (!msg.customArgs || !msg.customArgs.hb_message_id) return null;
+                return db.logEmailMessage({
+                    messageId: msg.customArgs.hb_message_id,
+                    sgMessageId: this.sgMessageIdOf(response),
+                    outboundMessageId: id,
+                    to: this.recipientsOf(msg).join(', '),
+                    subject: msg.subject,
+                    giftId,
+                    category
+                });
+            }
+        });
+    }
+
+    sgMessageIdOf([response] = []) {
+        return response && response.headers ? response.headers['x-message-id'] || null : null;
+    }
+
+    recipientsOf(msg) {
+        return [].concat(msg.to).map(to => to.email || to);
+    }
+
+    /**
+     * Throw if any recipient is suppressed (see email_suppressions)
+     */
+    async checkSuppressed(msg) {
+        for (const address of this.recipientsOf(msg)) {
+            if (await db.isEmailSuppressed(address)) {
+                const error = new Error(`${address} is suppressed`);
+                error.code = 'SUPPRESSED';
+                error.errorClass = 'invalid_recipient';
+                throw error;
+            }
+        }
+    }
+
+    /**
+     * Send email with retry logic. The first attempt is made right away; when
+     * it fails with a retryable error the outbound queue keeps retrying in the
+     * background, so the caller is not held up. Each email is tagged with
+     * custom args (hb_message_id, hb_gift_id) that SendGrid echoes back in
+     * its events (see emailEventService).
+     * @param {object} meta - Optional { giftId, category } the email is about
+     * @returns {Promise<object>} - { success: true, message, queued } - throws when the email cannot be sent,
+     *   including to a suppressed address
      */
-    async sendWithRetry(msg, retries = 3) {
-        for (let attempt = 1; attempt <= retries; attempt++) {
+    async sendWithRetry(msg, meta = {}) {
+        try {
+            await this.checkSuppressed(msg);
+        } catch (error) {
+            console.log(`⛔ Email blocked: ${error.message}`);
+            throw error;
+        }
+
+        const customArgs = { ...msg.customArgs, hb_message_id: uuidv4() };
+        if (meta.giftId) customArgs.hb_gift_id = String(meta.giftId);
+
+        const recipient = this.recipientsOf(msg).join(', ');
+        const result = await outboundQueue.send('email', { ...msg, customArgs }, { recipient, giftId: meta.giftId, category: meta.category });
+
+        if (result.status === 'sent') {
+            return { success: true, message: 'Email sent successfully' };
+        }
+        if (result.status === 'queued') {
+            return { success: true, queued: true, message: 'Email queued for retry' };
+        }
+
+        const error = new Error(result.error);
+        error.errorClass = result.errorClass;
+        throw error;
+    }
+
+    /**
+     * Express middleware that checks the signature of SendGrid's event
+     * webhook: ECDSA over the timestamp header and the raw body, with the
+     * verification key from SENDGRID_WEBHOOK_PUBLIC_KEY. Needs req.rawBody
+     * (see server.js). The timestamp must be within MAX_TIMESTAMP_SKEW_SECONDS
+     * of now, so a captured post can't be replayed later (not every event has
+     * an sg_event_id to deduplicate it by). Skipped in development, like Twilio's.
+     */
+    getEventWebhookMiddleware() {
+        const skipValidation = process.env.SKIP_SENDGRID_SIGNATURE_VALIDATION === 'true' ||
+            process.env.NODE_ENV === 'development' ||
+            process.env.NODE_ENV === 'test';
+
+        if (skipValidation) {
+            return (req, res, next) => next();
+        }
+
+        let publicKey = null;
+        try {
+            if (process.env.SENDGRID_WEBHOOK_PUBLIC_KEY) {
+                publicKey = crypto.createPublicKey({
+                    key: Buffer.from(process.env.SENDGRID_WEBHOOK_PUBLIC_KEY, 'base64'),
+                    format: 'der',
+                    type: 'spki'
+                });
+            }
+        } catch (error) {
+            console.error('❌ Invalid SENDGRID_WEBHOOK_PUBLIC_KEY:', error.message);
+        }
+        if (!publicKey) {
+            console.warn('⚠️  SendGrid event webhook verification key not configured. Events will be rejected.');
+        }
+
+        return (req, res, next) => {
+            const signature = req.get(SIGNATURE_HEADER);
+            const timestamp = req.get(TIMESTAMP_HEADER);
+            if (!publicKey || !signature || !timestamp || !req.rawBody) {
+                return res.status(403).send('Invalid signature');
+            }
+            const age = Date.now() / 1000 - Number(timestamp);
+            if (!Number.isFinite(age) || Math.abs(age) > MAX_TIMESTAMP_SKEW_SECONDS) {
+                return res.status(403).send('Stale timestamp');
+            }
+
+            let valid = false;
             try {
-                await sgMail.send(msg);
-                return { success: true, message: 'Email sent successfully' };
+                valid = crypto.createVerify('sha256')
+                    .update(timestamp)
+                    .update(req.rawBody)
+                    .verify(publicKey, signature, 'base64');
             } catch (error) {
-                console.error(`❌ Email send attempt ${attempt}/${retries} failed:`, error.message);
-                if (attempt === retries) {
-                    throw error;
-                }
-                // Wait before retrying (exponential backoff)
-                await new Promise(resolve => setTimeout(resolve, Math.pow(2, attempt) * 1000));
+                valid = false;
             }
-        }
+
+            if (!valid) {
+                return res.status(403).send('Invalid signature');
+            }
+            next();
+        };
     }
 
     /**
      * Send initial gift notification email to recipient
      */
-    async sendInitialGiftEmail(recipientEmail, giftData, retries = 3) {
+    async sendInitialGiftEmail(recipientEmail, giftData) {
         if (!this.initialized) {
             console.log('SendGrid not initialized, skipping email send');
             return { success: false, message: 'SendGrid not configured' };
@@ -80,7 +224,7 @@ class SendGridService {
                 html: this.createInitialEmailHtml(giftData)
             };
 
-            const result = await this.sendWithRetry(msg, retries);
+            const result = await this.sendWithRetry(msg, { giftId: giftData.giftId, category: 'delivery' });
             console.log(`✅ Initial gift email sent to ${recipientEmail}`);
             return result;
         } catch (error) {
@@ -115,9 +259,9 @@ class SendGridService {
                 html: this.createReminderEmailHtml(giftData)
             };
 
-            await sgMail.send(msg);
+            const result = await this.sendWithRetry(msg);
             console.log(`✅ Reminder email sent to ${recipientEmail}`);
-            return { success: true, message: 'Reminder email sent successfully' };
+            return result;
         } catch (error) {
             console.error('❌ Failed to send reminder email:', error.message);
             if (error.response) {
@@ -150,7 +294,7 @@ class SendGridService {
                 html: this.createCompletionEmailHtml(giftData)
             };
 
-            const result = await this.sendWithRetry(msg);
+            const result = await this.sendWithRetry(msg, { giftId: giftData.giftId, category: 'unlock' });
             console.log(`✅ Completion email sent to ${recipientEmail}`);
             return result;
         } catch (error) {
@@ -172,7 +316,14 @@ class SendGridService {
         }
 
         try {
-            const { recipientName, photoUrl, giftType, challengeDescription } = submissionData;
+            const { recipientName, mediaType } = submissionData;
+            // Uploads are private; the email carries signed links that work without logging in
+            const emailData = {
+                ...submissionData,
+                photoUrl: mediaAccess.signUrl(submissionData.photoUrl),
+                videoUrl: mediaAccess.signUrl(submissionData.videoUrl),
+                posterUrl: mediaAccess.signUrl(submissionData.posterUrl)
+            };
 
             const msg = {
                 to: senderEmail,
@@ -180,9 +331,9 @@ class SendGridService {
                     email: this.fromEmail,
                     name: this.fromName
                 },
-                subject: `🦡 ${recipientName} submitted a photo for your Honey Badger gift!`,
-                text: this.createApprovalNotificationText(submissionData),
-                html: this.createApprovalNotificationHtml(submissionData)
+                subject: `🦡 ${recipientName} submitted a ${mediaType === 'video' ? 'video' : 'photo'} for your Honey Badger gift!`,
+                text: this.createApprovalNotificationText(emailData),
+                html: this.createApprovalNotificationHtml(emailData)
             };
 
             const result = await this.sendWithRetry(msg);
@@ -197,29 +348,34 @@ class SendGridService {
         }
     }
 
-    async sendPasswordResetEmail(recipientEmail, resetData) {
+    /**
+     * Warn a recipient that their gift expires soon
+     */
+    async sendExpiryWarningEmail(recipientEmail, giftData) {
         if (!this.initialized) {
-            console.log('SendGrid not initialized, skipping password reset email');
+            console.log('SendGrid not initialized, skipping email send');
             return { success: false, message: 'SendGrid not configured' };
         }
 
         try {
+            const { senderName, expiresIn } = giftData;
+
             const msg = {
                 to: recipientEmail,
                 from: {
                     email: this.fromEmail,
                     name: this.fromName
                 },
-                subject: 'Reset Your Honey Badger Password',
-                text: this.createPasswordResetEmailText(resetData),
-                html: this.createPasswordResetEmailHtml(resetData)
+                subject: `⏳ Your Honey Badger from ${senderName} expires in ${expiresIn}!`,
+                text: this.createExpiryWarningText(giftData),
+                html: this.createExpiryWarningHtml(giftData)
             };
 
             const result = await this.sendWithRetry(msg);
-            console.log(`✅ Password reset email sent to ${recipientEmail}`);
+            console.log(`✅ Expiry warning email sent to ${recipientEmail}`);
             return result;
         } catch (error) {
-            console.error('❌ Failed to send password reset email:', error.message);
+            console.error('❌ Failed to send expiry warning email:', error.message);
             if (error.response) {
                 console.error('SendGrid error details:', error.response.body);
             }
@@ -227,104 +383,914 @@ class SendGridService {
         }
     }
 
-    createPasswordResetEmailText(resetData) {
-        const { resetUrl, expiresInMinutes } = resetData;
+    /**
+     * Let a sender know their gift expired before the challenge was completed
+     */
+    async sendGiftExpiredEmail(senderEmail, giftData) {
+        if (!this.initialized) {
+            console.log('SendGrid not initialized, skipping email send');
+            return { success: false, message: 'SendGrid not configured' };
+        }
 
-        return `
-You requested a password reset for your Honey Badger account.
+        try {
+            const { recipientName } = giftData;
 
-Click the link below to reset your password:
-${resetUrl}
+            const msg = {
+                to: senderEmail,
+                from: {
+                    email: this.fromEmail,
+                    name: this.fromName
+                },
+                subject: `🦡 Your Honey Badger gift to ${recipientName} has expired`,
+                text: this.createGiftExpiredText(giftData),
+                html: this.createGiftExpiredHtml(giftData)
+            };
 
-This link will expire in ${expiresInMinutes} minutes.
+            const result = await this.sendWithRetry(msg);
+            console.log(`✅ Gift expired email sent to ${senderEmail}`);
+            return result;
+        } catch (error) {
+            console.error('❌ Failed to send gift expired email:', error.message);
+            if (error.response) {
+                console.error('SendGrid error details:', error.response.body);
+            }
+            return { success: false, message: error.message };
+        }
+    }
 
-If you didn't request this, you can safely ignore this email.
+    /**
+     * Let a recipient know the sender changed their challenge
+     */
+    async sendChallengeUpdatedEmail(recipientEmail, giftData) {
+        if (!this.initialized) {
+            console.log('SendGrid not initialized, skipping email send');
+            return { success: false, message: 'SendGrid not configured' };
+        }
 
-Best regards,
-The Honey Badger Team
-        `.trim();
-    }
+        try {
+            const { senderName } = giftData;
 
-    createPasswordResetEmailHtml(resetData) {
-        const { resetUrl, expiresInMinutes } = resetData;
+            const msg = {
+                to: recipientEmail,
+                from: {
+                    email: this.fromEmail,
+                    name: this.fromName
+                },
+                subject: `🦡 ${senderName} updated your Honey Badger challenge`,
+                text: this.createChallengeUpdatedText(giftData),
+                html: this.createChallengeUpdatedHtml(giftData)
+            };
 
-        return `
-<!DOCTYPE html>
-<html>
-<head>
-    <meta charset="UTF-8">
-    <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <style>
-        body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; background-color: #f4f4f4; margin: 0; padding: 0; }
-        .container { max-width: 600px; margin: 20px auto; background: #fff; border-radius: 10px; overflow: hidden; box-shadow: 0 4px 6px rgba(0,0,0,0.1); }
-        .header { background: linear-gradient(135deg, #1a1a1a 0%, #0d0d0d 100%); color: #E2FF00; padding: 30px; text-align: center; }
-        .header h1 { margin: 0; font-size: 28px; }
-        .content { padding: 30px; }
-        .button { display: inline-block; background: #E2FF00; color: #1a1a1a; padding: 14px 36px; text-decoration: none; border-radius: 5px; font-weight: bold; font-size: 16px; margin: 20px 0; }
-        .warning-box { background: #fff9e6; border: 1px solid #E2FF00; padding: 15px; margin: 20px 0; border-radius: 5px; font-size: 14px; }
-        .link-fallback { word-break: break-all; font-size: 13px; color: #666; margin-top: 10px; }
-        .footer { background: #f4f4f4; padding: 20px; text-align: center; font-size: 12px; color: #666; }
-    </style>
-</head>
-<body>
-    <div class="container">
-        <div class="header">
-            <h1>Password Reset</h1>
-        </div>
-        <div class="content">
-            <h2>Reset Your Password</h2>
-            <p>We received a request to reset the password for your Honey Badger account.</p>
-            <p>Click the button below to set a new password:</p>
+            const result = await this.sendWithRetry(msg);
+            console.log(`✅ Challenge updated email sent to ${recipientEmail}`);
+            return result;
+        } catch (error) {
+            console.error('❌ Failed to send challenge updated email:', error.message);
+            if (error.response) {
+                console.error('SendGrid error details:', error.response.body);
+            }
+            return { success: false, message: error.message };
+        }
+    }
 
-            <div style="text-align: center; margin: 30px 0;">
-                <a href="${resetUrl}" class="button">Reset Password</a>
-            </div>
+    /**
+     * Let a recipient know the sender withdrew their gift
+     */
+    async sendGiftWithdrawnEmail(recipientEmail, giftData) {
+        if (!this.initialized) {
+            console.log('SendGrid not initialized, skipping email send');
+            return { success: false, message: 'SendGrid not configured' };
+        }
 
-            <div class="warning-box">
-                <strong>This link will expire in ${expiresInMinutes} minutes.</strong>
-                <br>If you didn't request a password reset, you can safely ignore this email.
-            </div>
+        try {
+            const { senderName } = giftData;
 
-            <p class="link-fallback">If the button doesn't work, copy and paste this link into your browser:<br>${resetUrl}</p>
-        </div>
-        <div class="footer">
-            <p>Best regards,<br>The Honey Badger Team</p>
-            <p style="margin-top: 20px;">Honey Badger AI Gifts - Motivation meets rewards</p>
-        </div>
-    </div>
-</body>
-</html>
-        `.trim();
+            const msg = {
+                to: recipientEmail,
+                from: {
+                    email: this.fromEmail,
+                    name: this.fromName
+                },
+                subject: `Your Honey Badger from ${senderName} has been withdrawn`,
+                text: this.createGiftWithdrawnText(giftData),
+                html: this.createGiftWithdrawnHtml(giftData)
+            };
+
+            const result = await this.sendWithRetry(msg);
+            console.log(`✅ Gift withdrawn email sent to ${recipientEmail}`);
+            return result;
+        } catch (error) {
+            console.error('❌ Failed to send gift withdrawn email:', error.message);
+            if (error.response) {
+                console.error('SendGrid error details:', error.response.body);
+            }
+            return { success: false, message: error.message };
+        }
     }
 
-    createApprovalNotificationText(submissionData) {
-        const { recipientName, giftType, challengeDescription, photoUrl } = submissionData;
+    /**
+     * Let a recipient know they unlocked part of a tiered gift
+     */
+    async sendTierUnlockedEmail(recipientEmail, giftData) {
+        if (!this.initialized) {
+            console.log('SendGrid not initialized, skipping email send');
+            return { success: false, message: 'SendGrid not configured' };
+        }
 
-        return `
-${recipientName} has submitted a photo for their Honey Badger challenge!
+        try {
+            const { value } = giftData;
 
-Gift: ${giftType}
-Challenge: ${challengeDescription}
+            const msg = {
+                to: recipientEmail,
+                from: {
+                    email: this.fromEmail,
+                    name: this.fromName
+                },
+                subject: `🎁 You unlocked ${value} of your Honey Badger gift!`,
+                text: this.createTierUnlockedText(giftData),
+                html: this.createTierUnlockedHtml(giftData)
+            };
 
-Please open the Honey Badger app to review and approve their submission.
+            const result = await this.sendWithRetry(msg);
+            console.log(`✅ Tier unlocked email sent to ${recipientEmail}`);
+            return result;
+        } catch (error) {
+            console.error('❌ Failed to send tier unlocked email:', error.message);
+            if (error.response) {
+                console.error('SendGrid error details:', error.response.body);
+            }
+            return { success: false, message: error.message };
+        }
+    }
 
-If you approve, their gift will be unlocked immediately!
+    /**
+     * Let a sender know the recipient has used up their attempts on a quiz question
+     */
+    async sendQuizStuckEmail(senderEmail, quizData) {
+        if (!this.initialized) {
+            console.log('SendGrid not initialized, skipping email send');
+            return { success: false, message: 'SendGrid not configured' };
+        }
 
-Best regards,
-The Honey Badger Team
-        `.trim();
+        try {
+            const { recipientName } = quizData;
+
+            const msg = {
+                to: senderEmail,
+                from: {
+                    email: this.fromEmail,
+                    name: this.fromName
+                },
+                subject: `🦡 ${recipientName} is stuck on your Honey Badger quiz`,
+                text: this.createQuizStuckText(quizData),
+                html: this.createQuizStuckHtml(quizData)
+            };
+
+            const result = await this.sendWithRetry(msg);
+            console.log(`✅ Quiz stuck email sent to ${senderEmail}`);
+            return result;
+        } catch (error) {
+            console.error('❌ Failed to send quiz stuck email:', error.message);
+            if (error.response) {
+                console.error('SendGrid error details:', error.response.body);
+            }
+            return { success: false, message: error.message };
+        }
     }
 
-    createApprovalNotificationHtml(submissionData) {
-        const { recipientName, giftType, challengeDescription, photoUrl } = submissionData;
-        const baseUrl = process.env.BASE_URL || 'https://badgerbot.net';
+    /**
+     * Remind a sender that one of their contacts has a birthday or special date coming up
+     */
+    async sendSpecialDateReminderEmail(senderEmail, dateData) {
+        if (!this.initialized) {
+            console.log('SendGrid not initialized, skipping email send');
+            return { success: false, message: 'SendGrid not configured' };
+        }
 
-        return `
-<!DOCTYPE html>
-<html>
-<head>
-    <meta charset="UTF-8">
-    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        try {
+            const { contactName, occasion, when } = dateData;
+
+            const msg = {
+                to: senderEmail,
+                from: {
+                    email: this.fromEmail,
+                    name: this.fromName
+                },
+                subject: `🦡 ${contactName}'s ${occasion} is ${when}!`,
+                text: this.createSpecialDateReminderText(dateData),
+                html: this.createSpecialDateReminderHtml(dateData)
+            };
+
+            const result = await this.sendWithRetry(msg);
+            console.log(`✅ Special date reminder email sent to ${senderEmail}`);
+            return result;
+        } catch (error) {
+            console.error('❌ Failed to send special date reminder email:', error.message);
+            if (error.response) {
+                console.error('SendGrid error details:', error.response.body);
+            }
+            return { success: false, message: error.message };
+        }
+    }
+
+    /**
+     * Remind a sender that a submission is waiting for review and will be approved automatically
+     */
+    async sendApprovalReminderEmail(senderEmail, reminderData) {
+        if (!this.initialized) {
+            console.log('SendGrid not initialized, skipping email send');
+            return { success: false, message: 'SendGrid not configured' };
+        }
+
+        try {
+            const { recipientName, mediaLabel, autoApprovesIn } = reminderData;
+
+            const msg = {
+                to: senderEmail,
+                from: {
+                    email: this.fromEmail,
+                    name: this.fromName
+                },
+                subject: `🦡 ${recipientName}'s ${mediaLabel} will be approved automatically in ${autoApprovesIn}`,
+                text: this.createApprovalReminderText(reminderData),
+                html: this.createApprovalReminderHtml(reminderData)
+            };
+
+            const result = await this.sendWithRetry(msg);
+            console.log(`✅ Approval reminder email sent to ${senderEmail}`);
+            return result;
+        } catch (error) {
+            console.error('❌ Failed to send approval reminder email:', error.message);
+            if (error.response) {
+                console.error('SendGrid error details:', error.response.body);
+            }
+            return { success: false, message: error.message };
+        }
+    }
+
+    async sendPasswordResetEmail(recipientEmail, resetData) {
+        if (!this.initialized) {
+            console.log('SendGrid not initialized, skipping password reset email');
+            return { success: false, message: 'SendGrid not configured' };
+        }
+
+        try {
+            const msg = {
+                to: recipientEmail,
+                from: {
+                    email: this.fromEmail,
+                    name: this.fromName
+                },
+                subject: 'Reset Your Honey Badger Password',
+                text: this.createPasswordResetEmailText(resetData),
+                html: this.createPasswordResetEmailHtml(resetData)
+            };
+
+            const result = await this.sendWithRetry(msg);
+            console.log(`✅ Password reset email sent to ${recipientEmail}`);
+            return result;
+        } catch (error) {
+            console.error('❌ Failed to send password reset email:', error.message);
+            if (error.response) {
+                console.error('SendGrid error details:', error.response.body);
+            }
+            return { success: false, message: error.message };
+        }
+    }
+
+    createPasswordResetEmailText(resetData) {
+        const { resetUrl, expiresInMinutes } = resetData;
+
+        return `
+You requested a password reset for your Honey Badger account.
+
+Click the link below to reset your password:
+${resetUrl}
+
+This link will expire in ${expiresInMinutes} minutes.
+
+If you didn't request this, you can safely ignore this email.
+
+Best regards,
+The Honey Badger Team
+        `.trim();
+    }
+
+    createPasswordResetEmailHtml(resetData) {
+        const { resetUrl, expiresInMinutes } = resetData;
+
+        return `
+<!DOCTYPE html>
+<html>
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <style>
+        body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; background-color: #f4f4f4; margin: 0; padding: 0; }
+        .container { max-width: 600px; margin: 20px auto; background: #fff; border-radius: 10px; overflow: hidden; box-shadow: 0 4px 6px rgba(0,0,0,0.1); }
+        .header { background: linear-gradient(135deg, #1a1a1a 0%, #0d0d0d 100%); color: #E2FF00; padding: 30px; text-align: center; }
+        .header h1 { margin: 0; font-size: 28px; }
+        .content { padding: 30px; }
+        .button { display: inline-block; background: #E2FF00; color: #1a1a1a; padding: 14px 36px; text-decoration: none; border-radius: 5px; font-weight: bold; font-size: 16px; margin: 20px 0; }
+        .warning-box { background: #fff9e6; border: 1px solid #E2FF00; padding: 15px; margin: 20px 0; border-radius: 5px; font-size: 14px; }
+        .link-fallback { word-break: break-all; font-size: 13px; color: #666; margin-top: 10px; }
+        .footer { background: #f4f4f4; padding: 20px; text-align: center; font-size: 12px; color: #666; }
+    </style>
+</head>
+<body>
+    <div class="container">
+        <div class="header">
+            <h1>Password Reset</h1>
+        </div>
+        <div class="content">
+            <h2>Reset Your Password</h2>
+            <p>We received a request to reset the password for your Honey Badger account.</p>
+            <p>Click the button below to set a new password:</p>
+
+            <div style="text-align: center; margin: 30px 0;">
+                <a href="${resetUrl}" class="button">Reset Password</a>
+            </div>
+
+            <div class="warning-box">
+                <strong>This link will expire in ${expiresInMinutes} minutes.</strong>
+                <br>If you didn't request a password reset, you can safely ignore this email.
+            </div>
+
+            <p class="link-fallback">If the button doesn't work, copy and paste this link into your browser:<br>${resetUrl}</p>
+        </div>
+        <div class="footer">
+            <p>Best regards,<br>The Honey Badger Team</p>
+            <p style="margin-top: 20px;">Honey Badger AI Gifts - Motivation meets rewards</p>
+        </div>
+    </div>
+</body>
+</html>
+        `.trim();
+    }
+
+    createExpiryWarningText(giftData) {
+        const { recipientName, senderName, challenge, expiresIn, giftId } = giftData;
+        const giftUrl = giftId ? `https://badgerbot.net/gift/${giftId}` : 'https://badgerbot.net';
+
+        return `
+Hi ${recipientName || 'there'}!
+
+Your Honey Badger gift from ${senderName} expires in ${expiresIn}.
+
+Your Challenge: ${challenge}
+
+Complete it before time runs out to unlock your gift:
+${giftUrl}
+
+Best regards,
+Your Honey Badger Coach
+        `.trim();
+    }
+
+    createExpiryWarningHtml(giftData) {
+        const { recipientName, senderName, challenge, expiresIn, giftId } = giftData;
+        const giftUrl = giftId ? `https://badgerbot.net/gift/${giftId}` : 'https://badgerbot.net';
+
+        return `
+<!DOCTYPE html>
+<html>
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <style>
+        body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; background-color: #f4f4f4; margin: 0; padding: 0; }
+        .container { max-width: 600px; margin: 20px auto; background: #fff; border-radius: 10px; overflow: hidden; box-shadow: 0 4px 6px rgba(0,0,0,0.1); }
+        .header { background: linear-gradient(135deg, #1a1a1a 0%, #0d0d0d 100%); color: #E2FF00; padding: 30px; text-align: center; }
+        .header h1 { margin: 0; font-size: 28px; }
+        .content { padding: 30px; }
+        .details-box { background: #f9f9f9; border-left: 4px solid #E2FF00; padding: 15px; margin: 20px 0; }
+        .button { display: inline-block; background: #E2FF00; color: #1a1a1a; padding: 12px 30px; text-decoration: none; border-radius: 5px; font-weight: bold; margin: 20px 0; }
+        .footer { background: #f4f4f4; padding: 20px; text-align: center; font-size: 12px; color: #666; }
+    </style>
+</head>
+<body>
+    <div class="container">
+        <div class="header">
+            <h1>⏳ Time Is Running Out!</h1>
+        </div>
+        <div class="content">
+            <h2>Hi ${recipientName || 'there'}!</h2>
+            <p>Your Honey Badger gift from ${senderName} expires in <strong>${expiresIn}</strong>.</p>
+
+            <div class="details-box">
+                <h3>🎯 Your Challenge</h3>
+                <p>${challenge}</p>
+            </div>
+
+            <div style="text-align: center; margin: 30px 0;">
+                <a href="${giftUrl}" class="button">Finish Your Challenge 🎁</a>
+            </div>
+        </div>
+        <div class="footer">
+            <p>Best regards,<br>Your Honey Badger Coach</p>
+        </div>
+    </div>
+</body>
+</html>
+        `.trim();
+    }
+
+    createGiftExpiredText(giftData) {
+        const { senderName, recipientName, giftType, challenge } = giftData;
+
+        return `
+Hi ${senderName || 'there'},
+
+Your Honey Badger gift to ${recipientName} expired before the challenge was completed.
+
+Gift: ${giftType}
+Challenge: ${challenge}
+
+Want to give them more time? Open the Honey Badger app to extend the deadline.
+
+Best regards,
+The Honey Badger Team
+        `.trim();
+    }
+
+    createGiftExpiredHtml(giftData) {
+        const { senderName, recipientName, giftType, challenge } = giftData;
+        const baseUrl = process.env.BASE_URL || 'https://badgerbot.net';
+
+        return `
+<!DOCTYPE html>
+<html>
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <style>
+        body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; background-color: #f4f4f4; margin: 0; padding: 0; }
+        .container { max-width: 600px; margin: 20px auto; background: #fff; border-radius: 10px; overflow: hidden; box-shadow: 0 4px 6px rgba(0,0,0,0.1); }
+        .header { background: linear-gradient(135deg, #1a1a1a 0%, #0d0d0d 100%); color: #E2FF00; padding: 30px; text-align: center; }
+        .header h1 { margin: 0; font-size: 28px; }
+        .content { padding: 30px; }
+        .details-box { background: #f9f9f9; border-left: 4px solid #E2FF00; padding: 15px; margin: 20px 0; }
+        .button { display: inline-block; background: #E2FF00; color: #1a1a1a; padding: 12px 30px; text-decoration: none; border-radius: 5px; font-weight: bold; margin: 20px 0; }
+        .footer { background: #f4f4f4; padding: 20px; text-align: center; font-size: 12px; color: #666; }
+    </style>
+</head>
+<body>
+    <div class="container">
+        <div class="header">
+            <h1>🦡 Gift Expired</h1>
+        </div>
+        <div class="content">
+            <h2>Hi ${senderName || 'there'},</h2>
+            <p>Your Honey Badger gift to ${recipientName} expired before the challenge was completed.</p>
+
+            <div class="details-box">
+                <p><strong>Gift Type:</strong> ${giftType}</p>
+                <p><strong>Challenge:</strong> ${challenge}</p>
+            </div>
+
+            <p>Want to give them more time? You can extend the deadline from the Honey Badger app.</p>
+
+            <div style="text-align: center; margin: 30px 0;">
+                <a href="${baseUrl}" class="button">Open Honey Badger</a>
+            </div>
+        </div>
+        <div class="footer">
+            <p>Best regards,<br>The Honey Badger Team</p>
+            <p style="margin-top: 20px;">🍯 Honey Badger AI Gifts - Motivation meets rewards</p>
+        </div>
+    </div>
+</body>
+</html>
+        `.trim();
+    }
+
+    createChallengeUpdatedText(giftData) {
+        const { recipientName, senderName, challenge, giftId } = giftData;
+        const giftUrl = giftId ? `https://badgerbot.net/gift/${giftId}` : 'https://badgerbot.net';
+
+        return `
+Hi ${recipientName || 'there'}!
+
+${senderName} updated the challenge for your Honey Badger gift.
+
+Your New Challenge: ${challenge}
+
+Any progress you've made so far still counts. Open your gift:
+${giftUrl}
+
+Best regards,
+Your Honey Badger Coach
+        `.trim();
+    }
+
+    createChallengeUpdatedHtml(giftData) {
+        const { recipientName, senderName, challenge, giftId } = giftData;
+        const giftUrl = giftId ? `https://badgerbot.net/gift/${giftId}` : 'https://badgerbot.net';
+
+        return `
+<!DOCTYPE html>
+<html>
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <style>
+        body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; background-color: #f4f4f4; margin: 0; padding: 0; }
+        .container { max-width: 600px; margin: 20px auto; background: #fff; border-radius: 10px; overflow: hidden; box-shadow: 0 4px 6px rgba(0,0,0,0.1); }
+        .header { background: linear-gradient(135deg, #1a1a1a 0%, #0d0d0d 100%); color: #E2FF00; padding: 30px; text-align: center; }
+        .header h1 { margin: 0; font-size: 28px; }
+        .content { padding: 30px; }
+        .details-box { background: #f9f9f9; border-left: 4px solid #E2FF00; padding: 15px; margin: 20px 0; }
+        .button { display: inline-block; background: #E2FF00; color: #1a1a1a; padding: 12px 30px; text-decoration: none; border-radius: 5px; font-weight: bold; margin: 20px 0; }
+        .footer { background: #f4f4f4; padding: 20px; text-align: center; font-size: 12px; color: #666; }
+    </style>
+</head>
+<body>
+    <div class="container">
+        <div class="header">
+            <h1>🦡 Challenge Updated</h1>
+        </div>
+        <div class="content">
+            <h2>Hi ${recipientName || 'there'}!</h2>
+            <p>${senderName} updated the challenge for your Honey Badger gift.</p>
+
+            <div class="details-box">
+                <h3>🎯 Your New Challenge</h3>
+                <p>${challenge}</p>
+            </div>
+
+            <p>Any progress you've made so far still counts.</p>
+
+            <div style="text-align: center; margin: 30px 0;">
+                <a href="${giftUrl}" class="button">Open Your Gift 🎁</a>
+            </div>
+        </div>
+        <div class="footer">
+            <p>Best regards,<br>Your Honey Badger Coach</p>
+        </div>
+    </div>
+</body>
+</html>
+        `.trim();
+    }
+
+    createGiftWithdrawnText(giftData) {
+        const { recipientName, senderName, giftType, reason } = giftData;
+
+        return `
+Hi ${recipientName || 'there'},
+
+${senderName} has withdrawn the Honey Badger gift they sent you (${giftType}).
+${reason ? `\nTheir note: ${reason}\n` : ''}
+There's nothing more you need to do for this challenge.
+
+Best regards,
+The Honey Badger Team
+        `.trim();
+    }
+
+    createGiftWithdrawnHtml(giftData) {
+        const { recipientName, senderName, giftType, reason } = giftData;
+
+        return `
+<!DOCTYPE html>
+<html>
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <style>
+        body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; background-color: #f4f4f4; margin: 0; padding: 0; }
+        .container { max-width: 600px; margin: 20px auto; background: #fff; border-radius: 10px; overflow: hidden; box-shadow: 0 4px 6px rgba(0,0,0,0.1); }
+        .header { background: linear-gradient(135deg, #1a1a1a 0%, #0d0d0d 100%); color: #E2FF00; padding: 30px; text-align: center; }
+        .header h1 { margin: 0; font-size: 28px; }
+        .content { padding: 30px; }
+        .details-box { background: #f9f9f9; border-left: 4px solid #E2FF00; padding: 15px; margin: 20px 0; }
+        .button { display: inline-block; background: #E2FF00; color: #1a1a1a; padding: 12px 30px; text-decoration: none; border-radius: 5px; font-weight: bold; margin: 20px 0; }
+        .footer { background: #f4f4f4; padding: 20px; text-align: center; font-size: 12px; color: #666; }
+    </style>
+</head>
+<body>
+    <div class="container">
+        <div class="header">
+            <h1>🦡 Gift Withdrawn</h1>
+        </div>
+        <div class="content">
+            <h2>Hi ${recipientName || 'there'},</h2>
+            <p>${senderName} has withdrawn the Honey Badger gift they sent you.</p>
+
+            <div class="details-box">
+                <p><strong>Gift Type:</strong> ${giftType}</p>
+                ${reason ? `<p><strong>Their note:</strong> ${reason}</p>` : ''}
+            </div>
+
+            <p>There's nothing more you need to do for this challenge.</p>
+        </div>
+        <div class="footer">
+            <p>Best regards,<br>The Honey Badger Team</p>
+            <p style="margin-top: 20px;">🍯 Honey Badger AI Gifts - Motivation meets rewards</p>
+        </div>
+    </div>
+</body>
+</html>
+        `.trim();
+    }
+
+    createTierUnlockedText(giftData) {
+        const { recipientName, senderName, value, label, nextTier, giftId } = giftData;
+        const giftUrl = giftId ? `https://badgerbot.net/gift/${giftId}` : 'https://badgerbot.net';
+
+        return `
+Hi ${recipientName || 'there'}!
+
+You hit a milestone on your challenge from ${senderName} and unlocked ${value}${label ? ` (${label})` : ''}!
+${nextTier ? `\nKeep going: ${nextTier.value} more unlocks after step ${nextTier.afterStep}.\n` : ''}
+Collect it here:
+${giftUrl}
+
+Best regards,
+Your Honey Badger Coach
+        `.trim();
+    }
+
+    createTierUnlockedHtml(giftData) {
+        const { recipientName, senderName, value, label, nextTier, giftId } = giftData;
+        const giftUrl = giftId ? `https://badgerbot.net/gift/${giftId}` : 'https://badgerbot.net';
+
+        return `
+<!DOCTYPE html>
+<html>
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <style>
+        body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; background-color: #f4f4f4; margin: 0; padding: 0; }
+        .container { max-width: 600px; margin: 20px auto; background: #fff; border-radius: 10px; overflow: hidden; box-shadow: 0 4px 6px rgba(0,0,0,0.1); }
+        .header { background: linear-gradient(135deg, #1a1a1a 0%, #0d0d0d 100%); color: #E2FF00; padding: 30px; text-align: center; }
+        .header h1 { margin: 0; font-size: 28px; }
+        .content { padding: 30px; }
+        .details-box { background: #f9f9f9; border-left: 4px solid #E2FF00; padding: 15px; margin: 20px 0; }
+        .button { display: inline-block; background: #E2FF00; color: #1a1a1a; padding: 12px 30px; text-decoration: none; border-radius: 5px; font-weight: bold; margin: 20px 0; }
+        .footer { background: #f4f4f4; padding: 20px; text-align: center; font-size: 12px; color: #666; }
+    </style>
+</head>
+<body>
+    <div class="container">
+        <div class="header">
+            <h1>🎁 Milestone Unlocked!</h1>
+        </div>
+        <div class="content">
+            <h2>Hi ${recipientName || 'there'}!</h2>
+            <p>You hit a milestone on your challenge from ${senderName}.</p>
+
+            <div class="details-box">
+                <h3>You unlocked ${value}</h3>
+                ${label ? `<p>${label}</p>` : ''}
+            </div>
+
+            ${nextTier ? `<p>Keep going: <strong>${nextTier.value}</strong> more unlocks after step ${nextTier.afterStep}.</p>` : ''}
+
+            <div style="text-align: center; margin: 30px 0;">
+                <a href="${giftUrl}" class="button">Collect It 🎁</a>
+            </div>
+        </div>
+        <div class="footer">
+            <p>Best regards,<br>Your Honey Badger Coach</p>
+        </div>
+    </div>
+</body>
+</html>
+        `.trim();
+    }
+
+    createQuizStuckText(quizData) {
+        const { senderName, recipientName, questionNumber, totalQuestions, question, attempts, lastAnswer } = quizData;
+
+        return `
+Hi ${senderName || 'there'},
+
+${recipientName} has tried question ${questionNumber} of ${totalQuestions} on your quiz ${attempts} times without getting it right.
+
+Question: ${question}
+Their last answer: ${lastAnswer}
+
+They can keep trying. Want to send them a nudge or a clue? Open the Honey Badger app.
+
+Best regards,
+The Honey Badger Team
+        `.trim();
+    }
+
+    createQuizStuckHtml(quizData) {
+        const { senderName, recipientName, questionNumber, totalQuestions, question, attempts, lastAnswer } = quizData;
+        const baseUrl = process.env.BASE_URL || 'https://badgerbot.net';
+
+        return `
+<!DOCTYPE html>
+<html>
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <style>
+        body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; background-color: #f4f4f4; margin: 0; padding: 0; }
+        .container { max-width: 600px; margin: 20px auto; background: #fff; border-radius: 10px; overflow: hidden; box-shadow: 0 4px 6px rgba(0,0,0,0.1); }
+        .header { background: linear-gradient(135deg, #1a1a1a 0%, #0d0d0d 100%); color: #E2FF00; padding: 30px; text-align: center; }
+        .header h1 { margin: 0; font-size: 28px; }
+        .content { padding: 30px; }
+        .details-box { background: #f9f9f9; border-left: 4px solid #E2FF00; padding: 15px; margin: 20px 0; }
+        .button { display: inline-block; background: #E2FF00; color: #1a1a1a; padding: 12px 30px; text-decoration: none; border-radius: 5px; font-weight: bold; margin: 20px 0; }
+        .footer { background: #f4f4f4; padding: 20px; text-align: center; font-size: 12px; color: #666; }
+    </style>
+</head>
+<body>
+    <div class="container">
+        <div class="header">
+            <h1>🦡 Quiz Check-in</h1>
+        </div>
+        <div class="content">
+            <h2>Hi ${senderName || 'there'},</h2>
+            <p>${recipientName} has tried question ${questionNumber} of ${totalQuestions} on your quiz ${attempts} times without getting it right.</p>
+
+            <div class="details-box">
+                <p><strong>Question:</strong> ${question}</p>
+                <p><strong>Their last answer:</strong> ${lastAnswer}</p>
+            </div>
+
+            <p>They can keep trying. Want to send them a nudge or a clue?</p>
+
+            <div style="text-align: center; margin: 30px 0;">
+                <a href="${baseUrl}" class="button">Open Honey Badger</a>
+            </div>
+        </div>
+        <div class="footer">
+            <p>Best regards,<br>The Honey Badger Team</p>
+        </div>
+    </div>
+</body>
+</html>
+        `.trim();
+    }
+
+    createSpecialDateReminderText(dateData) {
+        const { senderName, contactName, occasion, date, when, prefillUrl } = dateData;
+
+        return `
+Hi ${senderName || 'there'},
+
+${contactName}'s ${occasion} is ${when} (${date}).
+
+Make it memorable with a Honey Badger gift - we've already filled in the details for you:
+${prefillUrl}
+
+Best regards,
+The Honey Badger Team
+        `.trim();
+    }
+
+    createSpecialDateReminderHtml(dateData) {
+        const { senderName, contactName, occasion, date, when, prefillUrl } = dateData;
+
+        return `
+<!DOCTYPE html>
+<html>
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <style>
+        body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; background-color: #f4f4f4; margin: 0; padding: 0; }
+        .container { max-width: 600px; margin: 20px auto; background: #fff; border-radius: 10px; overflow: hidden; box-shadow: 0 4px 6px rgba(0,0,0,0.1); }
+        .header { background: linear-gradient(135deg, #1a1a1a 0%, #0d0d0d 100%); color: #E2FF00; padding: 30px; text-align: center; }
+        .header h1 { margin: 0; font-size: 28px; }
+        .content { padding: 30px; }
+        .details-box { background: #f9f9f9; border-left: 4px solid #E2FF00; padding: 15px; margin: 20px 0; }
+        .button { display: inline-block; background: #E2FF00; color: #1a1a1a; padding: 12px 30px; text-decoration: none; border-radius: 5px; font-weight: bold; margin: 20px 0; }
+        .footer { background: #f4f4f4; padding: 20px; text-align: center; font-size: 12px; color: #666; }
+    </style>
+</head>
+<body>
+    <div class="container">
+        <div class="header">
+            <h1>🦡 A Special Day Is Coming Up!</h1>
+        </div>
+        <div class="content">
+            <h2>Hi ${senderName || 'there'},</h2>
+            <p>${contactName}'s ${occasion} is ${when}.</p>
+
+            <div class="details-box">
+                <p><strong>Occasion:</strong> ${occasion}</p>
+                <p><strong>Date:</strong> ${date}</p>
+            </div>
+
+            <p>Make it memorable with a Honey Badger gift - we've already filled in the details for you.</p>
+
+            <div style="text-align: center; margin: 30px 0;">
+                <a href="${prefillUrl}" class="button">Send a Honey Badger</a>
+            </div>
+        </div>
+        <div class="footer">
+            <p>Best regards,<br>The Honey Badger Team</p>
+            <p style="margin-top: 20px;">🍯 Honey Badger AI Gifts - Motivation meets rewards</p>
+        </div>
+    </div>
+</body>
+</html>
+        `.trim();
+    }
+
+    createApprovalReminderText(reminderData) {
+        const { senderName, recipientName, mediaLabel, stepText, challenge, autoApprovesIn } = reminderData;
+
+        return `
+Hi ${senderName || 'there'},
+
+${recipientName} sent a ${mediaLabel}${stepText} for your Honey Badger challenge and it's still waiting for your review.
+
+Challenge: ${challenge}
+
+If you don't review it in the next ${autoApprovesIn}, it will be approved automatically. Open the Honey Badger app to approve it, reject it or ask for a retake.
+
+Best regards,
+The Honey Badger Team
+        `.trim();
+    }
+
+    createApprovalReminderHtml(reminderData) {
+        const { senderName, recipientName, mediaLabel, stepText, challenge, autoApprovesIn } = reminderData;
+        const baseUrl = process.env.BASE_URL || 'https://badgerbot.net';
+
+        return `
+<!DOCTYPE html>
+<html>
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <style>
+        body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; background-color: #f4f4f4; margin: 0; padding: 0; }
+        .container { max-width: 600px; margin: 20px auto; background: #fff; border-radius: 10px; overflow: hidden; box-shadow: 0 4px 6px rgba(0,0,0,0.1); }
+        .header { background: linear-gradient(135deg, #1a1a1a 0%, #0d0d0d 100%); color: #E2FF00; padding: 30px; text-align: center; }
+        .header h1 { margin: 0; font-size: 28px; }
+        .content { padding: 30px; }
+        .details-box { background: #f9f9f9; border-left: 4px solid #E2FF00; padding: 15px; margin: 20px 0; }
+        .button { display: inline-block; background: #E2FF00; color: #1a1a1a; padding: 12px 30px; text-decoration: none; border-radius: 5px; font-weight: bold; margin: 20px 0; }
+        .footer { background: #f4f4f4; padding: 20px; text-align: center; font-size: 12px; color: #666; }
+    </style>
+</head>
+<body>
+    <div class="container">
+        <div class="header">
+            <h1>🦡 Waiting for Your Review</h1>
+        </div>
+        <div class="content">
+            <h2>Hi ${senderName || 'there'},</h2>
+            <p>${recipientName} sent a ${mediaLabel}${stepText} for your Honey Badger challenge and it's still waiting for your review.</p>
+
+            <div class="details-box">
+                <p><strong>Challenge:</strong> ${challenge}</p>
+                <p><strong>Approved automatically in:</strong> ${autoApprovesIn}</p>
+            </div>
+
+            <p>Approve it, reject it or ask for a retake before then.</p>
+
+            <div style="text-align: center; margin: 30px 0;">
+                <a href="${baseUrl}" class="button">Review Now</a>
+            </div>
+        </div>
+        <div class="footer">
+            <p>Best regards,<br>The Honey Badger Team</p>
+        </div>
+    </div>
+</body>
+</html>
+        `.trim();
+    }
+
+    createApprovalNotificationText(submissionData) {
+        const { recipientName, giftType, challengeDescription, mediaType } = submissionData;
+
+        return `
+${recipientName} has submitted a ${mediaType === 'video' ? 'video' : 'photo'} for their Honey Badger challenge!
+
+Gift: ${giftType}
+Challenge: ${challengeDescription}
+
+Please open the Honey Badger app to review and approve their submission.
+
+If you approve, their gift will be unlocked immediately!
+
+Best regards,
+The Honey Badger Team
+        `.trim();
+    }
+
+    createApprovalNotificationHtml(submissionData) {
+        const { recipientName, giftType, challengeDescription, photoUrl, mediaType, videoUrl, posterUrl, durationSeconds } = submissionData;
+        const baseUrl = process.env.BASE_URL || 'https://badgerbot.net';
+        const isVideo = mediaType === 'video';
+
+        return `
+<!DOCTYPE html>
+<html>
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
     <style>
         body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; background-color: #f4f4f4; margin: 0; padding: 0; }
         .container { max-width: 600px; margin: 20px auto; background: #fff; border-radius: 10px; overflow: hidden; box-shadow: 0 4px 6px rgba(0,0,0,0.1); }
@@ -341,13 +1307,21 @@ The Honey Badger Team
 <body>
     <div class="container">
         <div class="header">
-            <h1>🦡 Photo Submission Received!</h1>
+            <h1>🦡 ${isVideo ? 'Video' : 'Photo'} Submission Received!</h1>
         </div>
         <div class="content">
-            <h2>${recipientName} submitted a photo!</h2>
+            <h2>${recipientName} submitted a ${isVideo ? 'video' : 'photo'}!</h2>
             <p>They've completed their challenge and are waiting for your approval to unlock their gift.</p>
 
-            ${photoUrl ? `
+            ${isVideo && videoUrl ? `
+            <div class="photo-preview">
+                <h3>🎬 Submitted Video${durationSeconds ? ` (${Math.round(durationSeconds)}s)` : ''}</h3>
+                ${posterUrl ? `<img src="${baseUrl}${posterUrl}" alt="Video preview" style="max-width: 100%; border-radius: 8px;" />` : ''}
+                <p><a href="${baseUrl}${videoUrl}">▶️ Watch the video</a></p>
+            </div>
+            ` : ''}
+
+            ${!isVideo && photoUrl ? `
             <div class="photo-preview">
                 <h3>📸 Submitted Photo</h3>
                 <img src="${baseUrl}${photoUrl}" alt="Challenge submission" style="max-width: 100%; border-radius: 8px;" />
@@ -0,0 +1,365 @@
+const { v4: uuidv4 } = require('uuid');
+const db = require('./databaseService');
+const quizService = require('./quizService');
+const streakService = require('./streakService');
+const locationService = require('./locationService');
+const fitnessService = require('./fitnessService');
+const reminderService = require('./reminderService');
+const submissionReview = require('./submissionReviewService');
+const { parseStoredTimestamp } = require('../utils/timeZone');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DEFAULT_CONVERSATION_HOURS = 24;
+
+// Keywords (with aliases) the engine answers itself; "STATUS 2" picks gift 2 from GIFTS
+const COMMANDS = {
+    status: 'status',
+    progress: 'status',
+    gifts: 'gifts',
+    list: 'gifts',
+    hint: 'hint',
+    skip: 'skip'
+};
+
+const COMMAND_HELP = 'STATUS - Your progress\nGIFTS - Your active gifts\nHINT - A hint for your challenge\nSKIP - Skip your next reminder';
+
+function formatTimeLeft(ms) {
+    const hours = Math.max(1, Math.round(ms / HOUR_MS));
+    if (hours < 48) return `${hours} hour${hours === 1 ? '' : 's'}`;
+    return `${Math.round(hours / 24)} days`;
+}
+
+function giftLink(giftOrder) {
+    return `https://badgerbot.net/g/${giftOrder.tracking_id}`;
+}
+
+/**
+ * Stateful SMS conversations with recipients. Keywords (STATUS, GIFTS, HINT,
+ * SKIP) are answered from the recipient's real challenges. Any other reply is
+ * routed to one of their active gifts:
+ *   - the only gift whose challenge accepts that kind of reply (a photo, an
+ *     answer, a check-in), or
+ *   - the gift the conversation is about (the first gift a reply went to, or
+ *     the one picked from a list; remembered per phone for
+ *     SMS_CONVERSATION_HOURS after the last message), or else
+ *   - the recipient is asked "which gift?" with a numbered list; the reply is
+ *     held until they answer with a number, then applied to that gift
+ * Replying GIFTS and then a number switches the gift the conversation is about.
+ * State lives in the sms_conversations table.
+ */
+class SmsConversationService {
+    constructor() {
+        const hours = parseFloat(process.env.SMS_CONVERSATION_HOURS);
+        this.conversationMs = (Number.isFinite(hours) && hours > 0 ? hours : DEFAULT_CONVERSATION_HOURS) * HOUR_MS;
+        this.COMMAND_HELP = COMMAND_HELP;
+    }
+
+    /**
+     * Recognize a keyword, with an optional gift number ("HINT 2")
+     * @returns {{command: string, number: number|null}|null}
+     */
+    parseCommand(body) {
+        const match = /^\s*([a-z]+)(?:\s+#?(\d+))?\s*[.!?]*\s*$/i.exec(body || '');
+        const command = match && COMMANDS[match[1].toLowerCase()];
+        if (!command) {
+            return null;
+        }
+        return { command, number: match[2] ? parseInt(match[2], 10) : null };
+    }
+
+    /**
+     * Pair each active gift with its challenge (or a stand-in for gifts without one)
+     * @param {Array} activeGifts - From db.getActiveGiftsByRecipientPhone, newest first
+     * @returns {Promise<Array>} - [{ number, giftOrder, challenge, challengeSaved }]
+     */
+    async loadGifts(activeGifts) {
+        const entries = [];
+        for (const [index, giftOrder] of activeGifts.entries()) {
+            const challenge = giftOrder.challenge_id
+                ? await db.getChallengeById(giftOrder.challenge_id)
+                : await db.getChallengeByGiftId(giftOrder.tracking_id);
+            entries.push({
+                number: index + 1,
+                giftOrder,
+                challengeSaved: !!challenge,
+                challenge: challenge || {
+                    id: uuidv4(),
+                    type: giftOrder.challenge_type || 'photo',
+                    description: giftOrder.challenge_description || giftOrder.challenge,
+                    requirements: {},
+                    progress: { started: false, completed: false, currentStep: 0, totalSteps: 1, submissions: [] }
+                }
+            });
+        }
+        return entries;
+    }
+
+    /**
+     * Whether a challenge takes this kind of reply by SMS
+     * @param {object} message - { body, numMedia, mediaUrl, mediaType }
+     */
+    acceptsReply(challenge, message) {
+        const { body, numMedia } = message;
+        switch (challenge.type) {
+            case 'photo':
+            case 'video':
+                return numMedia > 0;
+            case 'text':
+                return !!body && body.length > 10;
+            case 'keyword':
+                return !!body && !!challenge.requirements?.keyword &&
+                    body.toLowerCase().includes(challenge.requirements.keyword.toLowerCase());
+            case 'quiz':
+                // Every answer counts as an attempt; quizService checks it
+                return !!body && body.trim().length > 0;
+            case 'location':
+                // Presence is proven from the app (coordinates or a geotagged photo)
+                return false;
+            case 'fitness':
+                // Activities toward a goal are verified from uploaded workout files
+                return !fitnessService.tracksActivities(challenge);
+            default:
+                return true;
+        }
+    }
+
+    /**
+     * Conversation state that is still current, or a blank one
+     */
+    async getConversation(phone, now = new Date()) {
+        const saved = await db.getSmsConversation(phone);
+        const updatedAt = saved && parseStoredTimestamp(saved.updatedAt);
+        if (!saved || !updatedAt || now.getTime() - updatedAt.getTime() > this.conversationMs) {
+            return { giftId: null, awaiting: null, choices: [], pendingMessage: null };
+        }
+        return saved;
+    }
+
+    /**
+     * Decide what to do with an incoming message
+     * @param {string} phone - The recipient's number
+     * @param {object} message - { body, numMedia, mediaUrl, mediaType }
+     * @param {Array} entries - From loadGifts
+     * @returns {Promise<object>} - One of:
+     *   { reply } - answer with this text (a command, or a question back)
+     *   { entry, message } - apply the message to this gift
+     *   { unmatched: entry } - no gift takes this reply; entry is the one the conversation is about
+     */
+    async handleMessage(phone, message, entries) {
+        const conversation = await this.getConversation(phone);
+        const remembered = entries.find(entry => entry.giftOrder.tracking_id === conversation.giftId) || null;
+
+        // A number from the list answers "which gift?"; any other number (a quiz answer) is a normal reply
+        const choice = /^\s*#?(\d+)\s*$/.exec(message.body || '');
+        const number = choice ? parseInt(choice[1], 10) : 0;
+        if (conversation.awaiting === 'gift_choice' && !message.numMedia && number >= 1 && number <= conversation.choices.length) {
+            return this.applyChoice(phone, conversation, number, entries);
+        }
+
+        const command = message.numMedia ? null : this.parseCommand(message.body);
+        if (command) {
+            return { reply: await this.runCommand(phone, command, entries, remembered) };
+        }
+
+        const candidates = entries.filter(entry => this.acceptsReply(entry.challenge, message));
+        if (candidates.length === 0) {
+            return { unmatched: remembered || entries[0] };
+        }
+
+        const target = candidates.length === 1 ? candidates[0] : candidates.find(entry => entry === remembered);
+        if (target) {
+            // A gift the recipient picked stays picked; replies only one other gift takes don't change that
+            await db.saveSmsConversation(phone, { giftId: (remembered || target).giftOrder.tracking_id });
+            return { entry: target, message };
+        }
+
+        await db.saveSmsConversation(phone, {
+            giftId: conversation.giftId,
+            awaiting: 'gift_choice',
+            choices: entries.map(entry => entry.giftOrder.tracking_id),
+            pendingMessage: message
+        });
+        const what = message.numMedia ? `your ${message.mediaType && message.mediaType.startsWith('video/') ? 'video' : 'photo'}` : 'that';
+        return {
+            reply: `🦡 Which gift is ${what} for?\n\n${candidates.map(entry => this.formatGiftLine(entry)).join('\n')}\n\n` +
+                `Reply ${candidates.map(entry => entry.number).join(' or ')}.`
+        };
+    }
+
+    /**
+     * The recipient picked a gift by number: remember it and apply the held message
+     */
+    async applyChoice(phone, conversation, number, entries) {
+        const giftId = conversation.choices[number - 1];
+        const entry = entries.find(item => item.giftOrder.tracking_id === giftId);
+        if (!entry) {
+            return { reply: `🦡 That gift isn't active any more. Reply GIFTS to see your gifts.` };
+        }
+
+        await db.saveSmsConversation(phone, { giftId });
+        const message = conversation.pendingMessage;
+        if (!message) {
+            return { reply: `👍 Got it! Your replies now go to ${this.formatGiftName(entry)}.\n\nReply STATUS to see your progress.` };
+        }
+        return this.acceptsReply(entry.challenge, message) ? { entry, message } : { unmatched: entry };
+    }
+
+    /**
+     * The gift a command is about: the one numbered, the only one, or the one
+     * the conversation is about
+     * @returns {object|null}
+     */
+    pickEntry(command, entries, remembered) {
+        if (command.number) {
+            return entries.find(entry => entry.number === command.number) || null;
+        }
+        return entries.length === 1 ? entries[0] : remembered;
+    }
+
+    async runCommand(phone, command, entries, remembered) {
+        if (command.command === 'gifts') {
+            await db.saveSmsConversation(phone, {
+                giftId: remembered && remembered.giftOrder.tracking_id,
+                awaiting: 'gift_choice',
+                choices: entries.map(entry => entry.giftOrder.tracking_id)
+            });
+            return `🦡 Your active gifts:\n\n${entries.map(entry => this.formatGiftLine(entry, entry === remembered)).join('\n')}\n\n` +
+                (entries.length > 1 ? `Reply a number to choose which gift your replies go to.` : `Reply STATUS to see your progress.`);
+        }
+
+        const entry = this.pickEntry(command, entries, remembered);
+        if (command.number && !entry) {
+            return `🦡 You don't have a gift ${command.number}. Reply GIFTS to see your gifts.`;
+        }
+
+        if (command.command === 'status') {
+            const shown = command.number ? [entry] : entries;
+            const statuses = [];
+            for (const item of shown) {
+                statuses.push(await this.formatStatus(item));
+            }
+            return `📊 CHALLENGE STATUS\n\n${statuses.join('\n\n')}`;
+        }
+
+        if (!entry) {
+            const keyword = command.command.toUpperCase();
+            return `🦡 Which gift? Reply ${entries.map(item => `${keyword} ${item.number}`).join(' or ')}.\n\n` +
+                entries.map(item => this.formatGiftLine(item)).join('\n');
+        }
+
+        await db.saveSmsConversation(phone, { giftId: entry.giftOrder.tracking_id });
+        return command.command === 'hint' ? this.hint(entry) : this.skip(entry);
+    }
+
+    formatGiftName(entry) {
+        const { giftOrder } = entry;
+        return `the ${giftOrder.gift_type || 'gift'} from ${giftOrder.sender_name || 'someone special'}`;
+    }
+
+    formatGiftLine(entry, current = false) {
+        const description = entry.challenge.description || 'your challenge';
+        return `${entry.number}. ${entry.giftOrder.gift_type || 'Gift'} from ${entry.giftOrder.sender_name || 'someone special'}: ` +
+            `${description}${current ? ' (current)' : ''}`;
+    }
+
+    /**
+     * One gift's real progress, by challenge type
+     */
+    async formatStatus(entry, now = new Date()) {
+        const { giftOrder, challenge } = entry;
+        const progress = challenge.progress || {};
+        const totalSteps = progress.totalSteps || 1;
+        const lines = [`🎁 ${giftOrder.gift_type || 'Gift'} from ${giftOrder.sender_name || 'someone special'}`, `🎯 ${challenge.description || 'Your challenge'}`];
+
+        if (quizService.isQuizChallenge(challenge) && entry.challengeSaved) {
+            const quiz = quizService.summarize(challenge);
+            lines.push(`❓ ${quiz.answered} of ${quiz.totalQuestions} questions answered`);
+            if (quiz.currentQuestion) {
+                lines.push(`Next: ${quiz.currentQuestion.question}`);
+            }
+        } else if (streakService.isStreakChallenge(challenge) && entry.challengeSaved) {
+            const streak = streakService.summarize(challenge, streakService.getTimeZone(giftOrder), now);
+            lines.push(`🔥 Day ${streak.currentStreak} of ${streak.requiredDays}` +
+                (streak.checkedInToday ? ' (checked in today)' : ' - check in today!'));
+        } else if (locationService.isLocationChallenge(challenge) && locationService.summarize(challenge)) {
+            const location = locationService.summarize(challenge);
+            lines.push(`📍 ${location.verifiedCheckIns > 0 ? `Checked in at ${location.name || 'the spot'}` : `Not checked in at ${location.name || 'the spot'} yet`}`);
+        } else if (fitnessService.isFitnessChallenge(challenge) && fitnessService.summarize(challenge, giftOrder)) {
+            const fitness = fitnessService.summarize(challenge, giftOrder);
+            lines.push(fitness.goal.distance
+                ? `🏃 ${fitness.distance} of ${fitness.goal.distance} ${fitness.goal.unit}`
+                : `🏃 ${fitness.minutes} of ${fitness.goal.minutes} minutes`);
+        } else if ((challenge.type === 'photo' || challenge.type === 'video') && entry.challengeSaved) {
+            const history = await submissionReview.getHistory(giftOrder);
+            lines.push(`📸 ${history.stepsApproved} of ${history.totalSteps} step${history.totalSteps === 1 ? '' : 's'} approved`);
+        } else {
+            lines.push(`✅ ${Math.min(progress.currentStep || 0, totalSteps)} of ${totalSteps} step${totalSteps === 1 ? '' : 's'} done`);
+        }
+
+        if (giftOrder.status === 'pending_approval') {
+            lines.push(`⏳ Waiting for ${giftOrder.sender_name || 'your sender'} to review your submission`);
+        }
+        if (giftOrder.expires_at) {
+            const left = new Date(giftOrder.expires_at).getTime() - now.getTime();
+            if (left > 0) lines.push(`⌛ Expires in ${formatTimeLeft(left)}`);
+        }
+        return lines.join('\n');
+    }
+
+    /**
+     * A nudge towards finishing: the quiz's next hint, or what the challenge needs
+     */
+    async hint(entry) {
+        const { giftOrder, challenge } = entry;
+
+        if (quizService.isQuizChallenge(challenge) && entry.challengeSaved) {
+            const result = await quizService.requestHint(challenge);
+            if (!result.questionNumber) {
+                return `🎉 You already finished the quiz!`;
+            }
+            if (!result.hint) {
+                return `🦡 No more hints for question ${result.questionNumber}: ${result.quiz.currentQuestion.question}\n\nGive it your best guess!`;
+            }
+            return `💡 Hint for question ${result.questionNumber}: ${result.hint}` +
+                (result.hintsLeft > 0 ? `\n\n(${result.hintsLeft} more hint${result.hintsLeft === 1 ? '' : 's'} available)` : '');
+        }
+
+        const description = challenge.description || 'your challenge';
+        switch (challenge.type) {
+            case 'photo':
+            case 'video':
+                return `📸 Send a ${challenge.type} to this number showing: ${description}`;
+            case 'streak':
+                return `🔥 Text us once a day to check in. Challenge: ${description}`;
+            case 'location':
+                return `📍 Open your gift and check in when you're there: ${giftLink(giftOrder)}\n\nChallenge: ${description}`;
+            case 'fitness':
+                if (!fitnessService.tracksActivities(challenge)) break;
+                return `🏃 Upload your workout from the app to count it: ${giftLink(giftOrder)}\n\nChallenge: ${description}`;
+            case 'keyword':
+                return `🔑 Your reply needs the secret word from your challenge: ${description}`;
+            case 'text':
+                return `✍️ Reply with a few sentences about: ${description}`;
+        }
+        return `🦡 Reply to this number when you've done it: ${description}`;
+    }
+
+    /**
+     * Push the gift's next scheduled reminder back by one interval
+     */
+    async skip(entry) {
+        const { giftOrder, challenge } = entry;
+        const intervalHours = entry.challengeSaved
+            ? reminderService.getIntervalHours({ ...challenge, gift_reminder_frequency: giftOrder.reminder_frequency })
+            : null;
+        if (!intervalHours) {
+            return `🦡 You don't get scheduled reminders for ${this.formatGiftName(entry)}.`;
+        }
+
+        await db.updateChallengeReminderSent(challenge.id);
+        return `⏭️ Skipped! Your next reminder for ${this.formatGiftName(entry)} comes in about ${formatTimeLeft(intervalHours * HOUR_MS)}.`;
+    }
+}
+
+// Export singleton instance
+module.exports = new SmsConversationService();
@@ -0,0 +1,249 @@
+const db = require('./databaseService');
+const twilioService = require('./twilioService');
+const sendGridService = require('./sendGridService');
+const { DEFAULT_TIME_ZONE, toLocalDateString } = require('../utils/timeZone');
+
+const DEFAULT_LEAD_DAYS = 7;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Parse a stored date value into month/day (and year when known).
+ * Accepts "YYYY-MM-DD", "MM-DD", "MM/DD/YYYY" and "MM/DD"; anything else returns null.
+ * @param {string} value - special_dates.date_value or contacts.birthday
+ * @returns {{month: number, day: number, year: number|null}|null}
+ */
+function parseMonthDay(value) {
+    if (!value || typeof value !== 'string') return null;
+    const trimmed = value.trim();
+
+    let match = trimmed.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/);
+    let year = null;
+    let month;
+    let day;
+
+    if (match) {
+        year = parseInt(match[1], 10);
+        month = parseInt(match[2], 10);
+        day = parseInt(match[3], 10);
+    } else if ((match = trimmed.match(/^(\d{1,2})[-/](\d{1,2})(?:[-/](\d{4}))?$/))) {
+        month = parseInt(match[1], 10);
+        day = parseInt(match[2], 10);
+        year = match[3] ? parseInt(match[3], 10) : null;
+    } else {
+        return null;
+    }
+
+    const daysInMonth = [31, 29, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31];
+    if (month < 1 || month > 12 || day < 1 || day > daysInMonth[month - 1]) return null;
+
+    return { month, day, year };
+}
+
+function isLeapYear(year) {
+    return (year % 4 === 0 && year % 100 !== 0) || year % 400 === 0;
+}
+
+function formatDate(year, month, day) {
+    return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+/**
+ * Next yearly occurrence of month/day on or after a "YYYY-MM-DD" date.
+ * Feb 29 dates are observed on Feb 28 in non-leap years.
+ * @returns {string} - "YYYY-MM-DD"
+ */
+function nextOccurrence(month, day, fromDate) {
+    const [fromYear] = fromDate.split('-').map(Number);
+
+    for (let year = fromYear; year <= fromYear + 1; year++) {
+        const observedDay = month === 2 && day === 29 && !isLeapYear(year) ? 28 : day;
+        const candidate = formatDate(year, month, observedDay);
+        if (candidate >= fromDate) return candidate;
+    }
+
+    // Unreachable for valid month/day values
+    return null;
+}
+
+function daysBetween(fromDate, toDate) {
+    return Math.round((Date.parse(`${toDate}T00:00:00Z`) - Date.parse(`${fromDate}T00:00:00Z`)) / DAY_MS);
+}
+
+class SpecialDateService {
+    constructor() {
+        this.running = false;
+        this.leadDays = parseInt(process.env.SPECIAL_DATE_LEAD_DAYS, 10) || DEFAULT_LEAD_DAYS;
+    }
+
+    /**
+     * One-tap link that opens the app with a Honey Badger prefilled for the contact
+     * @param {object} event - Upcoming date (see getUpcomingDates)
+     * @returns {string}
+     */
+    buildPrefillUrl(event) {
+        const baseUrl = process.env.BASE_URL || 'https://badgerbot.net';
+        const params = new URLSearchParams({ occasion: event.occasion, date: event.date });
+        return `${baseUrl}/s/${event.contactId}?${params.toString()}`;
+    }
+
+    /**
+     * Expand contact rows into dated occasions (birthdays and special dates)
+     * @param {Array} rows - Rows from db.getSpecialDateSources
+     * @returns {Array}
+     */
+    collectOccasions(rows) {
+        const occasions = [];
+        const seenBirthdays = new Set();
+
+        for (const row of rows) {
+            if (row.birthday && !seenBirthdays.has(row.contact_id)) {
+                seenBirthdays.add(row.contact_id);
+                const parsed = parseMonthDay(row.birthday);
+                if (parsed) {
+                    occasions.push({ row, key: 'birthday', source: 'birthday', specialDateId: null, occasion: 'Birthday', originalDate: row.birthday, notes: null, ...parsed });
+                }
+            }
+
+            if (row.special_date_id) {
+                const parsed = parseMonthDay(row.date_value);
+                if (parsed) {
+                    occasions.push({ row, key: `special_date:${row.special_date_id}`, source: 'special_date', specialDateId: row.special_date_id, occasion: row.date_name, originalDate: row.date_value, notes: row.notes, ...parsed });
+                }
+            }
+        }
+
+        return occasions;
+    }
+
+    /**
+     * Upcoming birthdays and special dates within a window, soonest first
+     * @param {number|null} userId - Limit to one user's contacts (null for all users)
+     * @param {object} options - { days, now, timeZone }
+     * @returns {Promise<Array>}
+     */
+    async getUpcomingDates(userId, { days = this.leadDays, now = new Date(), timeZone = DEFAULT_TIME_ZONE } = {}) {
+        const today = toLocalDateString(now, timeZone);
+        const rows = await db.getSpecialDateSources(userId);
+
+        return this.collectOccasions(rows)
+            .map(({ row, key, source, specialDateId, occasion, originalDate, notes, month, day, year }) => {
+                const date = nextOccurrence(month, day, today);
+                const [occurrenceYear] = date.split('-').map(Number);
+                const event = {
+                    userId: row.user_id,
+                    contactId: row.contact_id,
+                    contactName: row.contact_name,
+                    contactEmail: row.contact_email,
+                    contactPhone: row.contact_phone,
+                    occasionKey: key,
+                    occasion,
+                    source,
+                    specialDateId,
+                    originalDate,
+                    notes,
+                    date,
+                    daysUntil: daysBetween(today, date),
+                    yearsSince: year && year < occurrenceYear ? occurrenceYear - year : null,
+                    sender: { name: row.user_name, email: row.user_email, phone: row.user_phone }
+                };
+                event.prefillUrl = this.buildPrefillUrl(event);
+                return event;
+            })
+            .filter(event => event.daysUntil <= days)
+            .sort((a, b) => a.date.localeCompare(b.date) || a.contactName.localeCompare(b.contactName));
+    }
+
+    /**
+     * Remind one sender about an upcoming date by email and/or SMS
+     * @returns {Promise<string[]>} - Channels the reminder went out on
+     */
+    async notifySender(event) {
+        const { sender } = event;
+        const channels = [];
+        const when = event.daysUntil === 0 ? 'today' : event.daysUntil === 1 ? 'tomorrow' : `in ${event.daysUntil} days`;
+
+        if (sender.email && sendGridService.isInitialized()) {
+            const result = await sendGridService.sendSpecialDateReminderEmail(sender.email, {
+                senderName: sender.name,
+                contactName: event.contactName,
+                occasion: event.occasion,
+                date: event.date,
+                when,
+                prefillUrl: event.prefillUrl
+            });
+            if (result.success) channels.push('email');
+        }
+
+        if (sender.phone && twilioService.isInitialized()) {
+            try {
+                const message = await twilioService.sendSMS(
+                    sender.phone,
+                    `Honey Badger: ${event.contactName}'s ${event.occasion} is ${when} (${event.date}). ` +
+                    `Send them a Honey Badger: ${event.prefillUrl}`,
+                    { category: 'reminder' }
+                );
+                if (message && (message.sid || message.deferred || message.queued)) channels.push('sms');
+            } catch (error) {
+                console.error(`❌ Special date SMS failed for contact ${event.contactId}:`, error.message);
+            }
+        }
+
+        return channels;
+    }
+
+    /**
+     * Daily sweep: remind senders about dates within the lead time.
+     * Each occurrence is claimed in special_date_notifications first, so a
+     * sender hears about it once per year even if the job runs repeatedly.
+     * @returns {Promise<object|null>} - { upcoming, notified, skipped, failed }, or null if a run is in progress
+     */
+    async runDailyReminders(now = new Date()) {
+        if (this.running) {
+            return null;
+        }
+
+        this.running = true;
+        const stats = { upcoming: 0, notified: 0, skipped: 0, failed: 0 };
+
+        try {
+            if (!sendGridService.isInitialized() && !twilioService.isInitialized()) {
+                console.warn('⚠️  Special date reminders skipped: neither email nor SMS is configured');
+                return stats;
+            }
+
+            const events = await this.getUpcomingDates(null, { days: this.leadDays, now });
+            stats.upcoming = events.length;
+
+            for (const event of events) {
+                try {
+                    const claimed = await db.claimSpecialDateNotification(event.userId, event.contactId, event.occasionKey, event.date);
+                    if (!claimed) {
+                        stats.skipped++;
+                        continue;
+                    }
+
+                    const channels = await this.notifySender(event);
+                    await db.updateSpecialDateNotificationChannels(event.contactId, event.occasionKey, event.date, channels.join(',') || null);
+
+                    if (channels.length > 0) {
+                        stats.notified++;
+                    } else {
+                        stats.failed++;
+                    }
+                } catch (error) {
+                    stats.failed++;
+                    console.error(`❌ Special date reminder failed for contact ${event.contactId}:`, error.message);
+                }
+            }
+        } catch (error) {
+            console.error('❌ Special date sweep failed:', error.message);
+        } finally {
+            this.running = false;
+        }
+
+        return stats;
+    }
+}
+
+// Export singleton instance
+module.exports = new SpecialDateService();
@@ -0,0 +1,95 @@
+const path = require('path');
+const fs = require('fs');
+
+/**
+ * Stores media on this server's disk (LOCAL_STORAGE_DIR, default uploads/).
+ * Only suitable for a single instance; use the S3 driver when running several.
+ */
+class LocalDriver {
+    constructor({ rootDir }) {
+        this.name = 'local';
+        this.rootDir = path.resolve(rootDir);
+        fs.mkdirSync(this.rootDir, { recursive: true });
+    }
+
+    pathFor(key) {
+        return path.join(this.rootDir, ...key.split('/'));
+    }
+
+    /**
+     * Move a finished file into storage
+     */
+    async putFile(key, filePath) {
+        const target = this.pathFor(key);
+        await fs.promises.mkdir(path.dirname(target), { recursive: true });
+        try {
+            await fs.promises.rename(filePath, target);
+        } catch (error) {
+            // The staging directory may be on another filesystem
+            if (error.code !== 'EXDEV') throw error;
+            await fs.promises.copyFile(filePath, target);
+            await fs.promises.unlink(filePath);
+        }
+    }
+
+    /**
+     * @returns {Promise<{size, contentType, lastModified}|null>} - null if there is no such file
+     */
+    async stat(key) {
+        try {
+            const stats = await fs.promises.stat(this.pathFor(key));
+            if (!stats.isFile()) return null;
+            return { size: stats.size, contentType: null, lastModified: stats.mtime };
+        } catch (error) {
+            if (error.code === 'ENOENT' || error.code === 'ENOTDIR') return null;
+            throw error;
+        }
+    }
+
+    /**
+     * @param {object} range - Optional inclusive byte range { start, end }
+     */
+    async createReadStream(key, range = {}) {
+        return fs.createReadStream(this.pathFor(key), range);
+    }
+
+    /**
+     * Every stored file under a folder
+     * @param {string} prefix - e.g. 'photos/'
+     * @returns {Promise<Array<{key, size, lastModified}>>}
+     */
+    async list(prefix) {
+        const folder = prefix.replace(/\/+$/, '');
+        const files = [];
+        const walk = async (dir, keyPrefix) => {
+            let entries;
+            try {
+                entries = await fs.promises.readdir(dir, { withFileTypes: true });
+            } catch (error) {
+                if (error.code === 'ENOENT') return;
+                throw error;
+            }
+            for (const entry of entries) {
+                const key = `${keyPrefix}/${entry.name}`;
+                if (entry.isDirectory()) {
+                    await walk(path.join(dir, entry.name), key);
+                } else if (entry.isFile()) {
+                    const stats = await fs.promises.stat(path.join(dir, entry.name));
+                    files.push({ key, size: stats.size, lastModified: stats.mtime });
+                }
+            }
+        };
+        await walk(this.pathFor(folder), folder);
+        return files;
+    }
+
+    async delete(key) {
+        try {
+            await fs.promises.unlink(this.pathFor(key));
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+    }
+}
+
+module.exports = LocalDriver;
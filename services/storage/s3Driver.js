@@ -0,0 +1,118 @@
+const fs = require('fs');
+const {
+    S3Client,
+    PutObjectCommand,
+    HeadObjectCommand,
+    GetObjectCommand,
+    DeleteObjectCommand,
+    ListObjectsV2Command
+} = require('@aws-sdk/client-s3');
+
+/**
+ * Stores media in an S3-compatible bucket. S3_ENDPOINT points it at MinIO,
+ * R2 or another S3-compatible service instead of AWS (those usually also need
+ * S3_FORCE_PATH_STYLE=true).
+ */
+class S3Driver {
+    constructor({ bucket, region, endpoint, accessKeyId, secretAccessKey, forcePathStyle, prefix }) {
+        if (!bucket) {
+            throw new Error('STORAGE_DRIVER=s3 requires S3_BUCKET');
+        }
+        this.name = 's3';
+        this.bucket = bucket;
+        // Lets several environments share a bucket
+        this.prefix = prefix ? `${prefix.replace(/\/+$/, '')}/` : '';
+        this.client = new S3Client({
+            region: region || 'us-east-1',
+            endpoint: endpoint || undefined,
+            forcePathStyle: !!forcePathStyle,
+            // Otherwise the SDK's default chain (env, shared config, instance role) is used
+            credentials: accessKeyId && secretAccessKey ? { accessKeyId, secretAccessKey } : undefined
+        });
+    }
+
+    objectKey(key) {
+        return this.prefix + key;
+    }
+
+    /**
+     * Upload a finished file; the caller removes the local copy
+     */
+    async putFile(key, filePath, { contentType } = {}) {
+        const { size } = await fs.promises.stat(filePath);
+        await this.client.send(new PutObjectCommand({
+            Bucket: this.bucket,
+            Key: this.objectKey(key),
+            Body: fs.createReadStream(filePath),
+            ContentLength: size,
+            ContentType: contentType || undefined
+        }));
+    }
+
+    /**
+     * @returns {Promise<{size, contentType, lastModified}|null>} - null if there is no such object
+     */
+    async stat(key) {
+        try {
+            const head = await this.client.send(new HeadObjectCommand({
+                Bucket: this.bucket,
+                Key: this.objectKey(key)
+            }));
+            return { size: head.ContentLength, contentType: head.ContentType || null, lastModified: head.LastModified || null };
+        } catch (error) {
+            if (error.name === 'NotFound' || error.name === 'NoSuchKey' || error.$metadata?.httpStatusCode === 404) {
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * @param {object} range - Optional inclusive byte range { start, end }
+     */
+    async createReadStream(key, range = {}) {
+        const hasRange = range.start !== undefined && range.end !== undefined;
+        const object = await this.client.send(new GetObjectCommand({
+            Bucket: this.bucket,
+            Key: this.objectKey(key),
+            Range: hasRange ? `bytes=${range.start}-${range.end}` : undefined
+        }));
+        return object.Body;
+    }
+
+    /**
+     * Every stored object under a folder
+     * @param {string} prefix - e.g. 'photos/'
+     * @returns {Promise<Array<{key, size, lastModified}>>}
+     */
+    async list(prefix) {
+        const files = [];
+        let continuationToken;
+        do {
+            const page = await this.client.send(new ListObjectsV2Command({
+                Bucket: this.bucket,
+                Prefix: this.objectKey(prefix),
+                ContinuationToken: continuationToken
+            }));
+            (page.Contents || []).forEach(object => {
+                files.push({
+                    key: object.Key.slice(this.prefix.length),
+                    size: object.Size,
+                    lastModified: object.LastModified || null
+                });
+            });
+            continuationToken = page.IsTruncated ? page.NextContinuationToken : undefined;
+        } while (continuationToken);
+        return files;
+    }
+
+    async delete(key) {
+        // S3 treats deleting a missing object as success
+        await this.client.send(new DeleteObjectCommand({
+            Bucket: this.bucket,
+            Key: this.objectKey(key)
+        }));
+    }
+}
+
+module.exports = S3Driver;
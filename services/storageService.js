@@ -0,0 +1,154 @@
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+
+// Top-level folders media is stored under
+const FOLDERS = ['photos', 'videos'];
+
+/**
+ * Build the configured driver. The S3 driver (and its SDK) is only loaded when selected.
+ */
+function createDriver(name) {
+    if (name === 's3') {
+        const S3Driver = require('./storage/s3Driver');
+        return new S3Driver({
+            bucket: process.env.S3_BUCKET,
+            region: process.env.S3_REGION,
+            endpoint: process.env.S3_ENDPOINT,
+            accessKeyId: process.env.S3_ACCESS_KEY_ID,
+            secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+            forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+            prefix: process.env.S3_PREFIX
+        });
+    }
+    if (name !== 'local') {
+        console.warn(`⚠️  Unknown STORAGE_DRIVER "${name}", using local disk`);
+    }
+    const LocalDriver = require('./storage/localDriver');
+    return new LocalDriver({ rootDir: process.env.LOCAL_STORAGE_DIR || path.join(__dirname, '..', 'uploads') });
+}
+
+/**
+ * Where uploaded media lives (STORAGE_DRIVER: 'local' or 's3').
+ *
+ * Uploads and MMS downloads land in a local staging directory first, where
+ * photos are sanitized and video metadata is read; finished files are then
+ * handed to the driver under a key like 'photos/photo-<uuid>.jpg'. Stored URLs
+ * are always '/uploads/<key>' and are served by the media route, so
+ * photo_submissions rows don't depend on the driver.
+ */
+class StorageService {
+    constructor() {
+        this.driver = createDriver((process.env.STORAGE_DRIVER || 'local').toLowerCase());
+        this.stagingDir = process.env.UPLOAD_STAGING_DIR || path.join(os.tmpdir(), 'honey-badger-uploads');
+        fs.mkdirSync(this.stagingDir, { recursive: true });
+        console.log(`📁 Media storage: ${this.driver.name}`);
+    }
+
+    /**
+     * Local path for a file being received or processed
+     */
+    stagingPath(fileName) {
+        return path.join(this.stagingDir, path.basename(fileName));
+    }
+
+    urlFor(key) {
+        return `/uploads/${key}`;
+    }
+
+    /**
+     * Storage key for a media URL, or null if it isn't one (or tries to escape its folder)
+     * @param {string} url - e.g. '/uploads/photos/photo-<uuid>.jpg'
+     */
+    keyForUrl(url) {
+        const match = /^\/uploads\/([^?#]+)/.exec(url || '');
+        if (!match) return null;
+
+        let key;
+        try {
+            key = decodeURIComponent(match[1]);
+        } catch (error) {
+            return null;
+        }
+        const segments = key.split('/');
+        if (segments.length !== 2 || !FOLDERS.includes(segments[0])) return null;
+        if (!segments[1] || segments[1].startsWith('.') || /[\\\0]/.test(segments[1])) return null;
+        return key;
+    }
+
+    /**
+     * Move a finished staging file into storage
+     * @param {string} key - e.g. 'photos/photo-<uuid>.jpg'
+     * @param {string} filePath - Staging file; removed once stored
+     * @param {object} options - { contentType }
+     * @returns {Promise<string>} - The media URL
+     */
+    async putFile(key, filePath, { contentType } = {}) {
+        await this.driver.putFile(key, filePath, { contentType });
+        // The local driver moves the file; other drivers leave the staging copy behind
+        await fs.promises.unlink(filePath).catch(() => {});
+        return this.urlFor(key);
+    }
+
+    /**
+     * @returns {Promise<{size, contentType, lastModified}|null>}
+     */
+    async stat(key) {
+        return this.driver.stat(key);
+    }
+
+    /**
+     * @param {object} range - Optional inclusive byte range { start, end }
+     * @returns {Promise<Readable>}
+     */
+    async createReadStream(key, range) {
+        return this.driver.createReadStream(key, range);
+    }
+
+    async delete(key) {
+        return this.driver.delete(key);
+    }
+
+    /**
+     * Every stored media file (photos and videos, not quarantine)
+     * @returns {Promise<Array<{key, size, lastModified}>>}
+     */
+    async listMedia() {
+        const lists = await Promise.all(FOLDERS.map(folder => this.driver.list(`${folder}/`)));
+        return lists.flat();
+    }
+
+    /**
+     * Staged files (uploads and MMS downloads that are still being processed or were abandoned)
+     * @returns {Promise<Array<{filePath, size, lastModified}>>}
+     */
+    async listStaging() {
+        const entries = await fs.promises.readdir(this.stagingDir, { withFileTypes: true });
+        const files = [];
+        for (const entry of entries) {
+            if (!entry.isFile()) continue;
+            const filePath = path.join(this.stagingDir, entry.name);
+            try {
+                const stats = await fs.promises.stat(filePath);
+                files.push({ filePath, size: stats.size, lastModified: stats.mtime });
+            } catch (error) {
+                // Finished and moved while listing
+                if (error.code !== 'ENOENT') throw error;
+            }
+        }
+        return files;
+    }
+
+    /**
+     * Delete the stored files behind media URLs, ignoring empty and foreign values
+     */
+    async deleteUrls(urls) {
+        const keys = urls.map(url => this.keyForUrl(url)).filter(Boolean);
+        await Promise.all(keys.map(key => this.delete(key).catch(error => {
+            console.error(`⚠️  Failed to delete ${key}:`, error.message);
+        })));
+    }
+}
+
+// Export singleton instance
+module.exports = new StorageService();
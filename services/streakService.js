@@ -0,0 +1,214 @@
+const db = require('./databaseService');
+const { DEFAULT_TIME_ZONE, isValidTimeZone, toLocalDateString, zonedTimeToUtc } = require('../utils/timeZone');
+
+// Challenge types that are completed one calendar day at a time
+const STREAK_TYPES = ['streak', 'multi-day'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function addDays(dateString, days) {
+    const date = new Date(`${dateString}T00:00:00Z`);
+    return new Date(date.getTime() + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+function daysBetween(fromDate, toDate) {
+    return Math.round((Date.parse(`${toDate}T00:00:00Z`) - Date.parse(`${fromDate}T00:00:00Z`)) / DAY_MS);
+}
+
+/**
+ * UTC window covering one local calendar day
+ * @returns {{date: string, opensAt: Date, closesAt: Date}}
+ */
+function dayWindow(dateString, timeZone) {
+    const [year, month, day] = dateString.split('-').map(Number);
+    const [nextYear, nextMonth, nextDay] = addDays(dateString, 1).split('-').map(Number);
+    return {
+        date: dateString,
+        opensAt: zonedTimeToUtc(year, month, day, 0, 0, 0, timeZone),
+        closesAt: zonedTimeToUtc(nextYear, nextMonth, nextDay, 0, 0, 0, timeZone)
+    };
+}
+
+/**
+ * Streak challenges: each step is a check-in on a distinct calendar day in the
+ * recipient's time zone. Each missed day uses up one grace day while any
+ * remain; a missed day with no grace left resets the streak to zero. Grace
+ * days do not come back while the streak lasts; a reset starts the new
+ * streak with all of them.
+ *
+ * State lives in challenge.progress.streak; progress.currentStep mirrors the
+ * current streak so existing progress displays keep working.
+ */
+class StreakService {
+    constructor() {
+        this.defaultGraceDays = parseInt(process.env.STREAK_GRACE_DAYS, 10) || 0;
+    }
+
+    isStreakChallenge(challenge) {
+        return !!challenge && STREAK_TYPES.includes(challenge.type);
+    }
+
+    /**
+     * Time zone a gift's streak days are counted in
+     */
+    getTimeZone(giftOrder) {
+        const timeZone = giftOrder && giftOrder.recipient_timezone;
+        return isValidTimeZone(timeZone) ? timeZone : DEFAULT_TIME_ZONE;
+    }
+
+    getGraceDays(challenge) {
+        const graceDays = parseInt(challenge.requirements && challenge.requirements.graceDays, 10);
+        return Number.isInteger(graceDays) && graceDays >= 0 ? graceDays : this.defaultGraceDays;
+    }
+
+    getState(challenge) {
+        const saved = challenge.progress.streak || {};
+        return {
+            currentStreak: 0,
+            longestStreak: 0,
+            lastCheckInDate: null,
+            missedDays: 0,
+            graceUsed: 0,
+            resets: 0,
+            ...saved,
+            checkIns: [...(saved.checkIns || [])]
+        };
+    }
+
+    /**
+     * Account for days missed between the last check-in and today (today
+     * itself is not missed until it ends).
+     * @returns {{missed: number, graceUsed: number, reset: boolean}}
+     */
+    applyMissedDays(state, today, graceDays) {
+        if (!state.lastCheckInDate || state.currentStreak === 0) {
+            return { missed: 0, graceUsed: 0, reset: false };
+        }
+
+        const missed = Math.max(0, daysBetween(state.lastCheckInDate, today) - 1);
+        if (missed === 0) {
+            return { missed: 0, graceUsed: 0, reset: false };
+        }
+
+        const graceLeft = Math.max(0, graceDays - state.graceUsed);
+        const graceUsed = Math.min(missed, graceLeft);
+        state.missedDays += missed;
+        state.graceUsed += graceUsed;
+
+        const reset = missed > graceLeft;
+        if (reset) {
+            state.currentStreak = 0;
+            state.graceUsed = 0;
+            state.resets++;
+        }
+
+        return { missed, graceUsed, reset };
+    }
+
+    /**
+     * Streak report for progress responses, as of now. Days missed since the
+     * last check-in are included even though they are only saved at the next one.
+     * @returns {object}
+     */
+    summarize(challenge, timeZone, now = new Date()) {
+        const state = this.getState(challenge);
+        const graceDays = this.getGraceDays(challenge);
+        const today = toLocalDateString(now, timeZone);
+        const completed = !!challenge.progress.completed;
+        if (!completed) {
+            this.applyMissedDays(state, today, graceDays);
+        }
+
+        const checkedInToday = state.lastCheckInDate === today;
+
+        return {
+            requiredDays: challenge.progress.totalSteps,
+            currentStreak: state.currentStreak,
+            longestStreak: state.longestStreak,
+            checkedInToday,
+            missedDays: state.missedDays,
+            graceDays,
+            graceRemaining: Math.max(0, graceDays - state.graceUsed),
+            resets: state.resets,
+            timeZone,
+            nextDue: completed ? null : dayWindow(checkedInToday ? addDays(today, 1) : today, timeZone)
+        };
+    }
+
+    /**
+     * Count today's check-in on a streak challenge and save it. A second
+     * check-in on the same local day is not counted.
+     * @param {object} challenge - From db.getChallengeById (progress parsed)
+     * @returns {Promise<object>} - { counted, challenge, missed, graceUsed, reset, streak }
+     */
+    async checkIn(challenge, timeZone, now = new Date()) {
+        const today = toLocalDateString(now, timeZone);
+
+        // Retry once if another check-in landed between our read and write
+        for (let attempt = 0; attempt < 2; attempt++) {
+            const state = this.getState(challenge);
+
+            if (state.lastCheckInDate === today || challenge.progress.completed) {
+                return { counted: false, challenge, missed: 0, graceUsed: 0, reset: false, streak: this.summarize(challenge, timeZone, now) };
+            }
+
+            const previousCheckIn = state.lastCheckInDate;
+            const misses = this.applyMissedDays(state, today, this.getGraceDays(challenge));
+
+            state.currentStreak++;
+            state.longestStreak = Math.max(state.longestStreak, state.currentStreak);
+            state.lastCheckInDate = today;
+            state.checkIns.push({ date: today, at: now.toISOString() });
+
+            const progress = {
+                ...challenge.progress,
+                started: true,
+                currentStep: Math.min(state.currentStreak, challenge.progress.totalSteps),
+                streak: state
+            };
+            if (state.currentStreak >= progress.totalSteps) {
+                progress.completed = true;
+            }
+
+            const saved = await db.saveStreakCheckIn(challenge.id, progress, previousCheckIn);
+            if (saved) {
+                const updated = { ...challenge, progress };
+                return { counted: true, challenge: updated, ...misses, streak: this.summarize(updated, timeZone, now) };
+            }
+
+            challenge = await db.getChallengeById(challenge.id);
+        }
+
+        return { counted: false, challenge, missed: 0, graceUsed: 0, reset: false, streak: this.summarize(challenge, timeZone, now) };
+    }
+
+    /**
+     * Short SMS line describing a check-in result
+     */
+    formatCheckInSms(result) {
+        const { streak } = result;
+        const lines = [];
+
+        if (!result.counted && !streak.nextDue) {
+            lines.push(`🎉 You already finished your ${streak.requiredDays}-day streak!`);
+        } else if (!result.counted) {
+            lines.push(`🔥 You've already checked in today — day ${streak.currentStreak} of ${streak.requiredDays}.`);
+        } else if (result.reset) {
+            lines.push(`💔 You missed ${result.missed} day${result.missed === 1 ? '' : 's'}, so your streak started over. Day 1 of ${streak.requiredDays}!`);
+        } else {
+            lines.push(`🔥 Streak: day ${streak.currentStreak} of ${streak.requiredDays}.`);
+            if (result.graceUsed > 0) {
+                lines.push(`Used ${result.graceUsed} grace day${result.graceUsed === 1 ? '' : 's'} (${streak.graceRemaining} left).`);
+            }
+        }
+
+        if (streak.nextDue) {
+            lines.push(`Next check-in: ${streak.nextDue.date}.`);
+        }
+
+        return lines.join(' ');
+    }
+}
+
+// Export singleton instance
+module.exports = new StreakService();
@@ -0,0 +1,308 @@
+const db = require('./databaseService');
+const giftLifecycle = require('./giftLifecycleService');
+const giftTiers = require('./giftTierService');
+const twilioService = require('./twilioService');
+const sendGridService = require('./sendGridService');
+const giftDelivery = require('./giftDeliveryService');
+
+// Why a sender can ask for a retake, with the explanation sent to the recipient
+const RETAKE_REASONS = {
+    blurry: 'the photo is blurry',
+    too_dark: 'the photo is too dark',
+    wrong_subject: "it doesn't show what the challenge asked for",
+    incomplete: "the step doesn't look finished yet",
+    not_visible: "you can't be seen in it",
+    other: null
+};
+
+const REVIEW_STATUSES = {
+    approve: 'approved',
+    reject: 'rejected',
+    retake: 'retake_requested'
+};
+
+// How automatic approvals (submission.auto_approved) read in the gift history
+const AUTO_APPROVED_AS = {
+    timeout: 'approved automatically (not reviewed in time)',
+    trusted: 'approved automatically (trusted recipient)'
+};
+
+/**
+ * Step-aware review of photo and video submissions. Every submission is for
+ * one step of the challenge (photo_submissions.step; older rows count as step
+ * 1). The sender approves, rejects or asks for a retake of each submission:
+ *   - approving counts that step (other pending submissions for the step are
+ *     superseded), releases milestone tiers, and unlocks the gift once every
+ *     step has an approved submission
+ *   - rejecting or requesting a retake leaves the step open for another try
+ * The gift stays pending_approval while any submission awaits review and
+ * goes back to in_progress otherwise.
+ */
+class SubmissionReviewService {
+    getTotalSteps(challenge) {
+        const progress = (challenge && challenge.progress) || {};
+        const requirements = (challenge && challenge.requirements) || {};
+        return Math.max(1, parseInt(progress.totalSteps || requirements.totalSteps, 10) || 1);
+    }
+
+    isRetakeReason(reason) {
+        return Object.prototype.hasOwnProperty.call(RETAKE_REASONS, reason);
+    }
+
+    /**
+     * Shape a photo_submissions row for API responses
+     */
+    formatSubmission(row) {
+        return {
+            submissionId: row.id,
+            step: row.step || 1,
+            status: row.status,
+            mediaType: row.media_type || 'photo',
+            photoUrl: row.photo_url,
+            thumbnailUrl: row.thumbnail_url,
+            mediumUrl: row.medium_url,
+            posterUrl: row.poster_url,
+            submittedAt: row.submitted_at,
+            reviewedAt: row.reviewed_at,
+            rejectionReason: row.rejection_reason,
+            comment: row.review_comment,
+            retake: row.status === 'retake_requested' ? {
+                reason: row.retake_reason,
+                instructions: row.retake_instructions
+            } : null,
+            mediaDeleted: !!row.media_deleted_at,
+            mediaMissing: !!row.media_missing_at
+        };
+    }
+
+    /**
+     * Every step of a challenge with its submissions, oldest first
+     * @param {Array} rows - photo_submissions rows for the gift
+     * @returns {Array} - [{ step, status: 'approved'|'pending_approval'|'retake_requested'|'rejected'|'open', submissions }]
+     */
+    summarizeSteps(rows, totalSteps) {
+        const sorted = [...rows].sort((a, b) => String(a.submitted_at).localeCompare(String(b.submitted_at)));
+        const steps = [];
+
+        for (let step = 1; step <= totalSteps; step++) {
+            const submissions = sorted.filter(row => Math.min(row.step || 1, totalSteps) === step);
+            const latestReviewed = submissions.filter(row => row.reviewed_at && row.status !== 'superseded').pop();
+
+            let status = 'open';
+            if (submissions.some(row => row.status === 'approved')) {
+                status = 'approved';
+            } else if (submissions.some(row => row.status === 'pending_approval')) {
+                status = 'pending_approval';
+            } else if (latestReviewed) {
+                status = latestReviewed.status;
+            }
+
+            steps.push({ step, status, submissions: submissions.map(row => this.formatSubmission(row)) });
+        }
+
+        return steps;
+    }
+
+    /**
+     * Submission history of a gift, by step
+     * @returns {Promise<{totalSteps, stepsApproved, steps}>}
+     */
+    async getHistory(giftOrder) {
+        const challenge = giftOrder.challenge_id
+            ? await db.getChallengeById(giftOrder.challenge_id)
+            : await db.getChallengeByGiftId(giftOrder.tracking_id);
+        const totalSteps = this.getTotalSteps(challenge);
+        const steps = this.summarizeSteps(await db.getPhotoSubmissionsByGiftId(giftOrder.tracking_id), totalSteps);
+        return {
+            totalSteps,
+            stepsApproved: steps.filter(step => step.status === 'approved').length,
+            steps
+        };
+    }
+
+    /**
+     * Step a new submission is for: the requested step, or else the first step
+     * that has neither an approved nor a pending submission (falling back to
+     * the first step not yet approved)
+     * @param {*} requestedStep - Optional step number from the request
+     * @returns {Promise<{step: number|null, totalSteps: number, error: string|null, status: number|null}>}
+     */
+    async resolveStep(giftId, challengeId, requestedStep) {
+        const challenge = challengeId ? await db.getChallengeById(challengeId) : null;
+        const totalSteps = this.getTotalSteps(challenge);
+        const steps = this.summarizeSteps(await db.getPhotoSubmissionsByGiftId(giftId), totalSteps);
+
+        if (requestedStep !== undefined && requestedStep !== null && requestedStep !== '') {
+            const step = Number(requestedStep);
+            if (!Number.isInteger(step) || step < 1 || step > totalSteps) {
+                return { step: null, totalSteps, error: `step must be between 1 and ${totalSteps}`, status: 400 };
+            }
+            if (steps[step - 1].status === 'approved') {
+                return { step: null, totalSteps, error: `Step ${step} has already been approved`, status: 409 };
+            }
+            return { step, totalSteps, error: null, status: null };
+        }
+
+        const next = steps.find(step => step.status !== 'approved' && step.status !== 'pending_approval') ||
+                     steps.find(step => step.status !== 'approved');
+        if (!next) {
+            return { step: null, totalSteps, error: 'Every step of this challenge has already been approved', status: 409 };
+        }
+        return { step: next.step, totalSteps, error: null, status: null };
+    }
+
+    /**
+     * Apply the sender's review of a pending submission
+     * @param {object} submission - photo_submissions row
+     * @param {object} giftOrder - Row from gift_orders (with sender_name)
+     * @param {object} review - { action: 'approve'|'reject'|'retake', userId, comment, rejectionReason,
+     *   retakeReason, retakeInstructions, autoApproved: 'timeout'|'trusted' for approvals made by
+     *   autoApprovalService, which are recorded as the system's }
+     * @returns {Promise<object|null>} - { status, step, totalSteps, stepsApproved, steps, giftUnlocked,
+     *   tiersUnlocked }, or null if the submission was already reviewed
+     */
+    async review(submission, giftOrder, review) {
+        const { action, userId } = review;
+        const status = REVIEW_STATUSES[action];
+        const actor = review.autoApproved ? 'system' : 'sender';
+        const actorId = review.autoApproved ? null : userId;
+        const approvedAs = AUTO_APPROVED_AS[review.autoApproved] || 'approved';
+        const giftId = giftOrder.tracking_id;
+        const mediaTitle = submission.media_type === 'video' ? 'Video' : 'Photo';
+
+        const reviewed = await db.reviewPhotoSubmission(submission.id, {
+            status,
+            reviewComment: review.comment,
+            rejectionReason: action === 'reject' ? review.rejectionReason : null,
+            retakeReason: action === 'retake' ? review.retakeReason : null,
+            retakeInstructions: action === 'retake' ? review.retakeInstructions : null,
+            autoApproved: action === 'approve' ? review.autoApproved : null
+        });
+        if (!reviewed) {
+            return null;
+        }
+
+        const challenge = submission.challenge_id ? await db.getChallengeById(submission.challenge_id) : null;
+        const totalSteps = this.getTotalSteps(challenge);
+        const step = Math.min(submission.step || 1, totalSteps);
+
+        if (action === 'approve') {
+            await db.supersedePendingSubmissions(giftId, step, submission.id);
+        }
+
+        const rows = await db.getPhotoSubmissionsByGiftId(giftId);
+        const steps = this.summarizeSteps(rows, totalSteps);
+        const stepsApproved = steps.filter(s => s.status === 'approved').length;
+        const giftUnlocked = action === 'approve' && stepsApproved >= totalSteps;
+        const stepLabel = totalSteps > 1 ? ` for step ${step} of ${totalSteps}` : '';
+
+        if (action === 'approve' && challenge) {
+            challenge.progress.currentStep = Math.max(challenge.progress.currentStep || 0, stepsApproved);
+            challenge.progress.completed = challenge.progress.currentStep >= totalSteps;
+            await db.updateChallengeProgress(challenge.id, challenge.progress);
+        }
+
+        if (giftUnlocked) {
+            await giftLifecycle.transition(giftId, 'unlocked', {
+                actor,
+                actorId,
+                reason: `${mediaTitle} ${approvedAs}${stepLabel}`,
+                columns: { photo_submission_url: submission.photo_url }
+            });
+        } else if (!rows.some(row => row.status === 'pending_approval')) {
+            const outcome = { approve: approvedAs, reject: 'rejected', retake: 'sent back for a retake' }[action];
+            const detail = action === 'reject' && review.rejectionReason ? `: ${review.rejectionReason}` : '';
+            await giftLifecycle.transitionIfAllowed(giftId, 'in_progress', {
+                from: 'pending_approval',
+                actor,
+                actorId,
+                reason: `${mediaTitle} ${outcome}${stepLabel}${detail}`
+            });
+        }
+
+        // Milestone tiers release as their step is approved; the final tier comes with the gift
+        const tiersUnlocked = action === 'approve' && !giftUnlocked && challenge
+            ? await giftTiers.unlockReachedTiers(giftOrder, challenge.progress.currentStep)
+            : [];
+
+        return { status, step, totalSteps, stepsApproved, steps, giftUnlocked, tiersUnlocked };
+    }
+
+    /**
+     * Tell the recipient their submission was approved: the gift itself once it
+     * unlocks, otherwise how many steps are left
+     * @param {object} result - From review()
+     * @param {string|null} comment - The sender's comment, if any
+     */
+    async notifyRecipientOfApproval(giftOrder, result, mediaLabel, comment = null) {
+        if (result.giftUnlocked) {
+            const failures = [];
+
+            if (giftOrder.recipient_phone) {
+                try {
+                    await twilioService.sendSMS(giftOrder.recipient_phone, `🎉 CONGRATULATIONS! 🎉\n\nYour ${mediaLabel} has been approved! Your ${giftOrder.gift_type} gift is now unlocked!\n\n${giftOrder.personal_note || giftOrder.message || 'Enjoy your gift!'}`,
+                        { giftId: giftOrder.tracking_id, category: 'unlock' });
+                } catch (smsError) {
+                    console.error('Failed to notify recipient:', smsError.message);
+                    failures.push({ channel: 'sms', reason: smsError.message });
+                }
+            }
+
+            if (giftOrder.recipient_email) {
+                try {
+                    const emailResult = await sendGridService.sendCompletionEmail(giftOrder.recipient_email, {
+                        recipientName: giftOrder.recipient_name,
+                        giftType: giftOrder.gift_type,
+                        giftValue: giftOrder.gift_value,
+                        senderName: giftOrder.sender_name,
+                        giftId: giftOrder.tracking_id
+                    });
+                    if (!emailResult.success && sendGridService.isInitialized()) {
+                        failures.push({ channel: 'email', reason: emailResult.message });
+                    }
+                } catch (emailError) {
+                    console.error('Failed to send completion email:', emailError.message);
+                }
+            }
+
+            // Only after both sends, so a notice isn't re-sent on a channel about to carry it
+            for (const failure of failures) {
+                await giftDelivery.handleChannelFailure(failure.channel, giftOrder.tracking_id, 'unlock', failure.reason);
+            }
+            return;
+        }
+
+        if (giftOrder.recipient_phone) {
+            try {
+                const stepText = result.totalSteps > 1 ? ` for step ${result.step} of ${result.totalSteps}` : '';
+                const remaining = result.totalSteps - result.stepsApproved;
+                await twilioService.sendSMS(giftOrder.recipient_phone, `✅ Your ${mediaLabel}${stepText} was approved!${comment ? `\n\n"${comment}"` : ''}\n\n${remaining} more step${remaining === 1 ? '' : 's'} to go. Keep it up!`, {
+                    giftId: giftOrder.tracking_id,
+                    category: 'progress'
+                });
+            } catch (smsError) {
+                console.error('Failed to notify recipient:', smsError.message);
+            }
+        }
+    }
+
+    /**
+     * SMS text asking the recipient for a retake
+     */
+    formatRetakeRequest(giftOrder, result, review, mediaLabel) {
+        const senderName = giftOrder.sender_name || 'The gift sender';
+        const stepText = result.totalSteps > 1 ? ` for step ${result.step} of ${result.totalSteps}` : '';
+        const because = RETAKE_REASONS[review.retakeReason] ? ` because ${RETAKE_REASONS[review.retakeReason]}` : '';
+        let message = `🦡 ${senderName} asked you to retake your ${mediaLabel}${stepText}${because}.`;
+        if (review.retakeInstructions) {
+            message += `\n\n"${review.retakeInstructions}"`;
+        }
+        return `${message}\n\nSend a new ${mediaLabel} when you're ready!`;
+    }
+}
+
+const submissionReview = new SubmissionReviewService();
+submissionReview.RETAKE_REASONS = Object.keys(RETAKE_REASONS);
+
+// Export singleton instance
+module.exports = submissionReview;
@@ -1,8 +1,27 @@
 const twilio = require('twilio');
 const db = require('./databaseService');
+const quietHours = require('./quietHoursService');
+const outboundQueue = require('./outboundQueueService');
+
+// Twilio error codes that no retry will fix
+// https://www.twilio.com/docs/api/errors
+const INVALID_RECIPIENT_CODES = [21211, 21214, 21408, 21610, 21612, 21614];
+const CONFIG_ERROR_CODES = [20003, 21606];
+
+/**
+ * Outbound queue error class of a Twilio error (see outboundQueueService)
+ */
+function classifyTwilioError(error) {
+    if (error.code === 'OPTED_OUT' || INVALID_RECIPIENT_CODES.includes(error.code)) return 'invalid_recipient';
+    if (CONFIG_ERROR_CODES.includes(error.code)) return 'config';
+    if (error.code === 20429) return 'rate_limited';
+    return null;
+}
 
 class TwilioService {
     constructor() {
+        this.sendingDeferred = false;
+
         if (!process.env.TWILIO_ACCOUNT_SID || !process.env.TWILIO_AUTH_TOKEN || !process.env.TWILIO_ACCOUNT_SID.startsWith('AC')) {
             console.warn('⚠️  Twilio credentials not found or invalid. SMS functionality will be disabled.');
             this.client = null;
@@ -17,6 +36,7 @@ class TwilioService {
             this.phoneNumber = process.env.TWILIO_PHONE_NUMBER;
             this.messagingServiceSid = process.env.TWILIO_MESSAGING_SERVICE_SID || null;
             this.statusCallbackUrl = process.env.TWILIO_STATUS_CALLBACK_URL || null;
+            this.registerTransport();
             console.log('✅ Twilio service initialized' + (this.messagingServiceSid ? ' (Messaging Service)' : ' (direct number)'));
         } catch (error) {
             console.error('❌ Failed to initialize Twilio service:', error.message);
@@ -31,13 +51,19 @@ class TwilioService {
     /**
      * Send SMS message (checks opt-out status first)
      * Uses Messaging Service SID when available, falls back to direct phone number.
+     * Non-urgent categories are held during the recipient's quiet hours (see quietHoursService).
      * @param {string} to - Recipient phone number (E.164 format)
      * @param {string} body - Message body
      * @param {object} options - Additional options
      * @param {boolean} options.bypassOptOut - If true, send even if opted out (for STOP confirmation only)
      * @param {string} options.mediaUrl - MMS media URL
      * @param {string} options.giftId - Associated gift ID for logging
-     * @returns {Promise} - Twilio message response
+     * @param {string} options.category - 'reminder', 'nudge' or 'progress' may wait for quiet hours to end;
+     *   anything else (or none) is sent right away. 'delivery' and 'unlock' notices fall back to email when
+     *   they fail (see giftDeliveryService.handleChannelFailure)
+     * @returns {Promise} - Twilio message response, { sid: null, deferred: true, sendAfter } when held, or
+     *   { sid: null, queued: true, outboundId, nextAttemptAt } when Twilio failed and the outbound queue will retry.
+     *   Throws when the message cannot be sent (it is then in the outbound dead letters).
      */
     async sendSMS(to, body, options = {}) {
         if (!this.client) {
@@ -62,16 +88,93 @@ class TwilioService {
             }
         }
 
+        // Non-urgent messages wait for the recipient's morning
+        if (!options.deferredId) {
+            try {
+                const deferral = await quietHours.getDeferral(to, options.category, options.giftId);
+                if (deferral) {
+                    const id = await db.deferSms({
+                        to,
+                        body,
+                        mediaUrl: options.mediaUrl,
+                        giftId: options.giftId,
+                        category: options.category,
+                        timeZone: deferral.timeZone,
+                        sendAfter: deferral.sendAfter.toISOString()
+                    });
+                    console.log(`🌙 SMS to ${to} held for quiet hours (${deferral.timeZone}) until ${deferral.sendAfter.toISOString()}`);
+                    return { sid: null, deferred: true, deferredId: id, sendAfter: deferral.sendAfter };
+                }
+            } catch (err) {
+                console.error('⚠️  Quiet hours check failed, sending anyway:', err.message);
+            }
+        }
+
+        const { bypassOptOut, mediaUrl, giftId, category, deferredId, ...extraOptions } = options;
+        const result = await outboundQueue.send('sms', {
+            to,
+            body,
+            mediaUrl: mediaUrl || null,
+            bypassOptOut: !!bypassOptOut,
+            extra: extraOptions
+        }, { recipient: to, giftId, category });
+
+        if (result.status === 'sent') {
+            console.log(`✅ SMS sent successfully: ${result.response.sid}`);
+            return result.response;
+        }
+        if (result.status === 'queued') {
+            return { sid: null, queued: true, outboundId: result.id, nextAttemptAt: result.nextAttemptAt };
+        }
+
+        console.error('❌ Failed to send SMS:', result.error);
+        const error = new Error(result.error);
+        error.errorClass = result.errorClass;
+        throw error;
+    }
+
+    /**
+     * Send SMS through the outbound queue: Twilio sends each attempt, and
+     * accepted messages are logged to sms_messages
+     */
+    registerTransport() {
+        outboundQueue.registerTransport('sms', {
+            send: payload => this.deliverSMS(payload),
+            classify: classifyTwilioError,
+            resultOf: message => message.sid,
+            onSent: (payload, message, { giftId, category }) => db.logOutboundMessage(
+                message.sid,
+                message.to || payload.to,
+                message.from || this.phoneNumber,
+                payload.body,
+                payload.mediaUrl,
+                giftId,
+                category
+            )
+        });
+    }
+
+    /**
+     * One attempt at an outbound SMS. Every attempt checks the opt-out list,
+     * since retries and dead letter replays can come long after sendSMS did
+     * and the recipient may have replied STOP in the meantime.
+     * @param {object} payload - { to, body, mediaUrl, bypassOptOut, extra }, as queued by sendSMS
+     */
+    async deliverSMS(payload) {
+        if (!payload.bypassOptOut && await db.isPhoneOptedOut(payload.to)) {
+            const error = new Error(`${payload.to} has opted out`);
+            error.code = 'OPTED_OUT';
+            throw error;
+        }
+
         // Apply test override
-        const actualTo = process.env.SMS_TEST_OVERRIDE_TO || to;
+        const actualTo = process.env.SMS_TEST_OVERRIDE_TO || payload.to;
         if (process.env.SMS_TEST_OVERRIDE_TO) {
-            console.log(`📱 SMS test mode: redirecting from ${to} -> ${actualTo}`);
+            console.log(`📱 SMS test mode: redirecting from ${payload.to} -> ${actualTo}`);
         }
 
-        const { bypassOptOut, mediaUrl, giftId, ...extraOptions } = options;
-
         // Build message params
-        const messageParams = { to: actualTo, body, ...extraOptions };
+        const messageParams = { to: actualTo, body: payload.body, ...payload.extra };
 
         // Use Messaging Service SID when available, fall back to phone number
         if (this.messagingServiceSid) {
@@ -81,8 +184,8 @@ class TwilioService {
         }
 
         // Add media URL for MMS
-        if (mediaUrl) {
-            messageParams.mediaUrl = [mediaUrl];
+        if (payload.mediaUrl) {
+            messageParams.mediaUrl = [payload.mediaUrl];
         }
 
         // Add status callback if configured
@@ -90,29 +193,60 @@ class TwilioService {
             messageParams.statusCallback = this.statusCallbackUrl;
         }
 
-        try {
-            const message = await this.client.messages.create(messageParams);
-            console.log(`✅ SMS sent successfully: ${message.sid}`);
+        return this.client.messages.create(messageParams);
+    }
 
-            // Log outbound message (non-blocking)
-            try {
-                await db.logOutboundMessage(
-                    message.sid,
-                    actualTo,
-                    message.from || this.phoneNumber,
-                    body,
-                    mediaUrl || null,
-                    giftId || null
-                );
-            } catch (logErr) {
-                console.error('⚠️  Failed to log outbound message:', logErr.message);
-            }
+    /**
+     * Send held SMS whose quiet hours are over. Opt-outs are checked again at
+     * send time. Ones Twilio could not take right away are left to the outbound queue.
+     * @returns {Promise<object|null>} - { sent, queued, blocked, failed }, or null if a run is in progress
+     */
+    async sendDeferredSMS(now = new Date()) {
+        if (this.sendingDeferred || !this.client) {
+            return null;
+        }
 
-            return message;
+        this.sendingDeferred = true;
+        const stats = { sent: 0, queued: 0, blocked: 0, failed: 0 };
+
+        try {
+            const due = await db.getDueDeferredSms(now);
+            for (const row of due) {
+                if (!await db.claimDeferredSms(row.id)) continue;
+
+                try {
+                    const message = await this.sendSMS(row.to_phone, row.body, {
+                        mediaUrl: row.media_url || undefined,
+                        giftId: row.gift_id || undefined,
+                        category: row.category,
+                        deferredId: row.id
+                    });
+                    if (message && message.sid) {
+                        stats.sent++;
+                        await db.finishDeferredSms(row.id, 'sent', message.sid);
+                    } else if (message && message.queued) {
+                        stats.queued++;
+                        await db.finishDeferredSms(row.id, 'queued', `outbound message ${message.outboundId}`);
+                    } else if (message && message.blocked) {
+                        stats.blocked++;
+                        await db.finishDeferredSms(row.id, 'blocked', message.reason);
+                    } else {
+                        stats.failed++;
+                        await db.finishDeferredSms(row.id, 'failed', 'no response from Twilio');
+                    }
+                } catch (error) {
+                    stats.failed++;
+                    console.error(`❌ Deferred SMS ${row.id} failed:`, error.message);
+                    await db.finishDeferredSms(row.id, 'failed', error.message);
+                }
+            }
         } catch (error) {
-            console.error('❌ Failed to send SMS:', error.message);
-            throw error;
+            console.error('❌ Deferred SMS run failed:', error.message);
+        } finally {
+            this.sendingDeferred = false;
         }
+
+        return stats;
     }
 
     /**
@@ -166,7 +300,7 @@ class TwilioService {
             `The Honey Badger doesn't give up... neither should you! 💪\n\n` +
             `Reply STOP to opt out.`;
 
-        return this.sendSMS(recipientPhone, message);
+        return this.sendSMS(recipientPhone, message, { category: 'reminder' });
     }
 
     /**
@@ -214,118 +348,6 @@ class TwilioService {
         throw new Error('Invalid phone number format. Please use format: +1234567890');
     }
 
-    /**
-     * Handle incoming SMS webhook
-     * @param {object} twilioData - Webhook data from Twilio
-     * @returns {object} - Response data
-     */
-    async handleIncomingSMS(twilioData) {
-        const { From, Body, MessageSid } = twilioData;
-
-        console.log(`📱 Incoming SMS from ${From}: ${Body}`);
-
-        // Process the incoming message based on keywords
-        const lowerBody = Body.toLowerCase().trim();
-
-        if (lowerBody === 'stop' || lowerBody === 'unsubscribe') {
-            return this.handleUnsubscribe(From);
-        }
-
-        if (lowerBody === 'start' || lowerBody === 'yes' || lowerBody === 'unstop') {
-            return this.handleResubscribe(From);
-        }
-
-        if (lowerBody.includes('help') || lowerBody.includes('commands')) {
-            return this.sendHelpMessage(From);
-        }
-
-        if (lowerBody.includes('status') || lowerBody.includes('progress')) {
-            return this.sendStatusUpdate(From);
-        }
-
-        // Default response
-        return this.sendSMS(From,
-            `🍯 Honey Badger received your message!\n\n` +
-            `Reply with:\n` +
-            `STATUS - Check your challenge progress\n` +
-            `HELP - Get available commands\n` +
-            `STOP - Unsubscribe from messages`
-        );
-    }
-
-    /**
-     * Send status update
-     * @param {string} phoneNumber - Recipient phone number
-     * @returns {Promise} - Twilio message response
-     */
-    async sendStatusUpdate(phoneNumber) {
-        // In a real implementation, you would query the database for user's challenge status
-        const message = `📊 CHALLENGE STATUS\n\n` +
-            `Days Active: 3/7\n` +
-            `Progress: 43%\n` +
-            `Keep going! The Honey Badger believes in you! 💪`;
-
-        return this.sendSMS(phoneNumber, message);
-    }
-
-    /**
-     * Send help message
-     * @param {string} phoneNumber - Recipient phone number
-     * @returns {Promise} - Twilio message response
-     */
-    async sendHelpMessage(phoneNumber) {
-        const message = `🍯 HONEY BADGER HELP 🍯\n\n` +
-            `Available commands:\n` +
-            `STATUS - Check progress\n` +
-            `START - Re-subscribe to messages\n` +
-            `HELP - Show this message\n` +
-            `STOP - Unsubscribe\n\n` +
-            `Questions? Visit https://badgerbot.net`;
-
-        return this.sendSMS(phoneNumber, message);
-    }
-
-    /**
-     * Handle unsubscribe request - persists opt-out to database
-     * @param {string} phoneNumber - Phone number to unsubscribe
-     * @returns {Promise} - Twilio message response
-     */
-    async handleUnsubscribe(phoneNumber) {
-        try {
-            await db.addSmsOptOut(phoneNumber);
-            console.log(`✅ Phone ${phoneNumber} opted out of SMS`);
-        } catch (err) {
-            console.error('⚠️  Failed to save opt-out:', err.message);
-        }
-
-        const message = `You've been unsubscribed from Honey Badger messages. ` +
-            `We'll miss you! 🍯\n\n` +
-            `Reply START to resubscribe.`;
-
-        // Bypass opt-out check for this final confirmation message
-        return this.sendSMS(phoneNumber, message, { bypassOptOut: true });
-    }
-
-    /**
-     * Handle resubscribe request - removes opt-out from database
-     * @param {string} phoneNumber - Phone number to resubscribe
-     * @returns {Promise} - Twilio message response
-     */
-    async handleResubscribe(phoneNumber) {
-        try {
-            await db.removeSmsOptOut(phoneNumber);
-            console.log(`✅ Phone ${phoneNumber} re-subscribed to SMS`);
-        } catch (err) {
-            console.error('⚠️  Failed to remove opt-out:', err.message);
-        }
-
-        const message = `🦡 Welcome back! You've been re-subscribed to Honey Badger messages.\n\n` +
-            `You'll receive notifications about your gift challenges.\n\n` +
-            `Reply STOP at any time to opt out.`;
-
-        return this.sendSMS(phoneNumber, message);
-    }
-
     /**
      * Send approval request SMS to sender
      * @param {string} senderPhone - Sender's phone number
@@ -337,7 +359,7 @@ class TwilioService {
             `Open the app to review and approve their submission. 📸\n\n` +
             `Once approved, their gift will be unlocked!`;
 
-        return this.sendSMS(senderPhone, message);
+        return this.sendSMS(senderPhone, message, { category: 'progress' });
     }
 
     /**
@@ -369,7 +391,7 @@ class TwilioService {
             `Don't give up! Send another photo to complete your challenge.\n\n` +
             `The Honey Badger believes in you! 💪`;
 
-        return this.sendSMS(recipientPhone, message);
+        return this.sendSMS(recipientPhone, message, { category: 'progress' });
     }
 
     /**
@@ -0,0 +1,131 @@
+const path = require('path');
+const fs = require('fs');
+const db = require('./databaseService');
+const storage = require('./storageService');
+const { detectFileTypeOfFile, isSameFileType } = require('../utils/fileType');
+
+/**
+ * Build the configured scanner (UPLOAD_SCANNER), or null for none
+ */
+function createScanner(name) {
+    if (name === 'clamav') {
+        const ClamAvScanner = require('./scanners/clamavScanner');
+        return new ClamAvScanner({
+            host: process.env.CLAMAV_HOST,
+            port: process.env.CLAMAV_PORT,
+            socketPath: process.env.CLAMAV_SOCKET,
+            timeoutMs: (parseInt(process.env.CLAMAV_TIMEOUT_SECONDS, 10) || 30) * 1000
+        });
+    }
+    if (name && name !== 'none') {
+        console.warn(`⚠️  Unknown UPLOAD_SCANNER "${name}", uploads will not be virus scanned`);
+    }
+    return null;
+}
+
+/**
+ * Checks every uploaded or MMS file while it is still in staging, before it
+ * is processed, stored or shown to a sender:
+ *   1. Its leading bytes must identify an accepted type (the client's
+ *      Content-Type and file name are not trusted)
+ *   2. That type must match the declared one
+ *   3. The scanner, if configured, must find it clean
+ * Unrecognized and infected files are moved to storage under 'quarantine/'
+ * (never served) and recorded in quarantined_files; mismatched types are
+ * simply rejected.
+ *
+ * A scanner is any object with `name` and `scan(filePath)` resolving to
+ * { clean, signature }; see setScanner().
+ */
+class UploadScanService {
+    constructor() {
+        this.scanner = createScanner((process.env.UPLOAD_SCANNER || 'none').toLowerCase());
+        // When the scanner is down, accept files unscanned instead of rejecting them
+        this.failOpen = process.env.UPLOAD_SCAN_FAIL_OPEN === 'true';
+        if (this.scanner) {
+            console.log(`🛡️  Upload scanner: ${this.scanner.name}`);
+        }
+    }
+
+    /**
+     * Replace the scanner (or pass null to turn scanning off)
+     */
+    setScanner(scanner) {
+        this.scanner = scanner;
+    }
+
+    /**
+     * Inspect a staged file
+     * @param {string} filePath - File in the staging directory
+     * @param {object} options - { declaredType, accept: allowed MIME types, originalName, source, giftId, submittedBy }
+     * @returns {Promise<object>} - { ok: true, detectedType } or
+     *   { ok: false, reason: 'unrecognized_type'|'type_mismatch'|'infected'|'scan_failed', detectedType, signature }.
+     *   Rejected files are removed from staging (quarantined ones are moved).
+     */
+    async inspect(filePath, options = {}) {
+        const { declaredType, accept = [] } = options;
+        const detectedType = await detectFileTypeOfFile(filePath);
+
+        if (!detectedType || !accept.includes(detectedType)) {
+            await this.quarantine(filePath, { ...options, detectedType, reason: 'unrecognized_type' });
+            return { ok: false, reason: 'unrecognized_type', detectedType, signature: null };
+        }
+        if (declaredType && !isSameFileType(declaredType, detectedType)) {
+            console.warn(`⚠️  Rejected upload declared as ${declaredType} but containing ${detectedType}`);
+            await fs.promises.unlink(filePath).catch(() => {});
+            return { ok: false, reason: 'type_mismatch', detectedType, signature: null };
+        }
+
+        if (this.scanner) {
+            let result;
+            try {
+                result = await this.scanner.scan(filePath);
+            } catch (error) {
+                console.error(`❌ Upload scan failed (${this.scanner.name}):`, error.message);
+                if (!this.failOpen) {
+                    await fs.promises.unlink(filePath).catch(() => {});
+                    return { ok: false, reason: 'scan_failed', detectedType, signature: null };
+                }
+                return { ok: true, detectedType };
+            }
+            if (!result.clean) {
+                await this.quarantine(filePath, { ...options, detectedType, reason: 'infected', signature: result.signature });
+                return { ok: false, reason: 'infected', detectedType, signature: result.signature || null };
+            }
+        }
+
+        return { ok: true, detectedType };
+    }
+
+    /**
+     * Move a staged file to quarantine storage and record why
+     */
+    async quarantine(filePath, details) {
+        const storageKey = `quarantine/${Date.now()}-${path.basename(filePath)}`;
+        let fileSize = null;
+        try {
+            ({ size: fileSize } = await fs.promises.stat(filePath));
+            await storage.putFile(storageKey, filePath, { contentType: 'application/octet-stream' });
+            await db.createQuarantinedFile({
+                storageKey,
+                originalName: details.originalName,
+                declaredType: details.declaredType,
+                detectedType: details.detectedType,
+                fileSize,
+                reason: details.reason,
+                signature: details.signature,
+                source: details.source,
+                giftId: details.giftId,
+                submittedBy: details.submittedBy
+            });
+            console.warn(`🚫 Quarantined ${details.originalName || path.basename(filePath)} (${details.reason}${details.signature ? `: ${details.signature}` : ''}) as ${storageKey}`);
+        } catch (error) {
+            // Never leave a rejected file where it could be processed
+            console.error('❌ Failed to quarantine upload:', error.message);
+            await fs.promises.unlink(filePath).catch(() => {});
+        }
+    }
+}
+
+// Export singleton instance
+module.exports = new UploadScanService();
@@ -0,0 +1,202 @@
+const path = require('path');
+const fs = require('fs');
+const { execFile } = require('child_process');
+const { readVideoMetadata } = require('../utils/videoMetadata');
+const storage = require('./storageService');
+const photoService = require('./photoService');
+
+// Video types accepted from the app and from MMS (phones often send 3GP)
+const VIDEO_EXTENSIONS = {
+    'video/mp4': '.mp4',
+    'video/quicktime': '.mov',
+    'video/webm': '.webm',
+    'video/3gpp': '.3gp',
+    'video/3gpp2': '.3g2'
+};
+
+const IMAGE_EXTENSIONS = {
+    'image/jpeg': '.jpg',
+    'image/png': '.png',
+    'image/gif': '.gif',
+    'image/webp': '.webp',
+    'image/heic': '.heic',
+    'image/heif': '.heif'
+};
+
+const POSTER_TIMEOUT_MS = 20000;
+
+/**
+ * Video challenge submissions: reads duration and dimensions from the
+ * container and, when ffmpeg is available (FFMPEG_PATH), grabs a poster frame
+ * for senders reviewing the submission. Apps can upload their own poster
+ * instead. Videos are stored as they were uploaded; only the poster is
+ * re-encoded (see photoService.sanitizeImage).
+ */
+class VideoService {
+    constructor() {
+        this.ffmpegPath = process.env.FFMPEG_PATH || null;
+    }
+
+    /**
+     * Types accepted as MMS challenge submissions
+     */
+    acceptedMmsTypes() {
+        return [...Object.keys(IMAGE_EXTENSIONS), ...Object.keys(VIDEO_EXTENSIONS)];
+    }
+
+    isVideoType(contentType) {
+        return !!VIDEO_EXTENSIONS[(contentType || '').split(';')[0].trim().toLowerCase()];
+    }
+
+    /**
+     * File extension for downloaded media of this content type
+     * @returns {string} - e.g. '.mp4'; images default to '.jpg'
+     */
+    extensionFor(contentType) {
+        const type = (contentType || '').split(';')[0].trim().toLowerCase();
+        return VIDEO_EXTENSIONS[type] || IMAGE_EXTENSIONS[type] || '.jpg';
+    }
+
+    /**
+     * Content type for a staged file, from its extension
+     */
+    contentTypeFor(filePath) {
+        const ext = path.extname(filePath).toLowerCase();
+        const types = { ...VIDEO_EXTENSIONS, ...IMAGE_EXTENSIONS };
+        return Object.keys(types).find(type => types[type] === ext) || 'application/octet-stream';
+    }
+
+    /**
+     * Extract one frame as a JPEG next to the video
+     * @returns {Promise<string|null>} - Path of the poster, or null if ffmpeg is unavailable or failed
+     */
+    async extractPoster(filePath, durationSeconds) {
+        if (!this.ffmpegPath) {
+            return null;
+        }
+
+        const posterPath = this.posterPathFor(filePath);
+        // A second in avoids black first frames; very short clips use their midpoint
+        const seekSeconds = durationSeconds ? Math.min(1, durationSeconds / 2) : 0;
+
+        return new Promise(resolve => {
+            execFile(this.ffmpegPath, [
+                '-y', '-loglevel', 'error',
+                '-ss', String(seekSeconds),
+                '-i', filePath,
+                '-frames:v', '1',
+                '-vf', 'scale=640:-2',
+                posterPath
+            ], { timeout: POSTER_TIMEOUT_MS }, (error) => {
+                if (error) {
+                    console.error(`⚠️  Poster frame extraction failed for ${path.basename(filePath)}:`, error.message);
+                    fs.unlink(posterPath, () => {});
+                    return resolve(null);
+                }
+                resolve(posterPath);
+            });
+        });
+    }
+
+    /**
+     * The poster to store with a video: the app's upload, or else a frame
+     * grabbed by ffmpeg, re-encoded without metadata (an uploaded poster
+     * would otherwise keep its EXIF, GPS position included)
+     * @returns {Promise<string|null>} - Path of the sanitized JPEG (see posterPathFor), or null
+     */
+    async preparePoster(filePath, posterPath, durationSeconds) {
+        const poster = posterPath || await this.extractPoster(filePath, durationSeconds);
+        if (!poster) {
+            return null;
+        }
+
+        try {
+            return await photoService.sanitizeImage(poster, this.posterPathFor(filePath));
+        } catch (error) {
+            console.error(`⚠️  Poster for ${path.basename(filePath)} could not be read, storing the video without one:`, error.message);
+            fs.unlink(poster, () => {});
+            return null;
+        }
+    }
+
+    posterPathFor(filePath) {
+        return filePath.replace(/\.[^./]*$/, '') + '-poster.jpg';
+    }
+
+    /**
+     * Read a staged video's metadata and move it (with its poster) into storage
+     * @param {string} filePath - Video in the staging directory
+     * @param {object} options - { mimeType, posterPath (staged poster uploaded by the app) }
+     * @returns {Promise<object|null>} - { url, mimeType, format, fileSize, durationSeconds, width, height, posterUrl,
+     *   perceptualHash (of the poster) },
+     *   or null if the file is not a readable video (nothing is stored and the files are left for the caller)
+     */
+    async storeVideo(filePath, { mimeType, posterPath = null } = {}) {
+        const metadata = await readVideoMetadata(filePath);
+        if (!metadata) {
+            return null;
+        }
+
+        const { size } = await fs.promises.stat(filePath);
+        const poster = await this.preparePoster(filePath, posterPath, metadata.durationSeconds);
+        // Recycled videos are spotted by their poster frame
+        const perceptualHash = poster ? await photoService.hash(poster) : null;
+        const url = await storage.putFile(this.keyFor(filePath), filePath, {
+            contentType: mimeType || this.contentTypeFor(filePath)
+        });
+
+        let posterUrl = null;
+        if (poster) {
+            try {
+                posterUrl = await storage.putFile(this.keyFor(poster), poster, { contentType: this.contentTypeFor(poster) });
+            } catch (error) {
+                await storage.deleteUrls([url]);
+                throw error;
+            }
+        }
+
+        return {
+            url,
+            mimeType: mimeType || null,
+            format: metadata.format,
+            fileSize: size,
+            durationSeconds: metadata.durationSeconds,
+            width: metadata.width,
+            height: metadata.height,
+            posterUrl,
+            perceptualHash
+        };
+    }
+
+    /**
+     * Store a staged video that couldn't be read, as-is (MMS videos are still passed on to the sender)
+     * @returns {Promise<string>} - The video URL
+     */
+    async storeUnreadable(filePath, mimeType) {
+        return storage.putFile(this.keyFor(filePath), filePath, { contentType: mimeType || this.contentTypeFor(filePath) });
+    }
+
+    keyFor(filePath) {
+        return `videos/${path.basename(filePath)}`;
+    }
+
+    /**
+     * Remove a staged video, its uploaded poster and any extracted poster
+     */
+    discardVideo(filePath, posterPath = null) {
+        [filePath, posterPath, this.posterPathFor(filePath)]
+            .filter(Boolean)
+            .forEach(file => fs.unlink(file, () => {}));
+    }
+
+    /**
+     * Remove a stored video and its poster
+     * @param {object} media - storeVideo result
+     */
+    async deleteVideo(media) {
+        await storage.deleteUrls([media.url, media.posterUrl]);
+    }
+}
+
+// Export singleton instance
+module.exports = new VideoService();
@@ -0,0 +1,217 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { Readable } = require('stream');
+const activityFiles = require('../utils/activityFiles');
+const { buildZip } = require('./helpers/zipArchive');
+
+// Seconds between the Unix epoch and the FIT epoch
+const FIT_EPOCH_OFFSET = 631065600;
+
+const GPX = `<?xml version="1.0"?>
+<gpx version="1.1">
+  <trk>
+    <type>running</type>
+    <trkseg>
+      <trkpt lat="0" lon="0"><time>2026-10-18T07:00:00Z</time></trkpt>
+      <trkpt lat="0" lon="0.01"><time>2026-10-18T07:05:00Z</time></trkpt>
+    </trkseg>
+    <trkseg>
+      <trkpt lat="0" lon="0.02"><time>2026-10-18T07:10:00Z</time></trkpt>
+      <trkpt lat="0" lon="0.03"><time>2026-10-18T07:15:00Z</time></trkpt>
+    </trkseg>
+  </trk>
+  <trk><type>hiking</type><trkseg/></trk>
+</gpx>`;
+
+const TCX = `<?xml version="1.0"?>
+<TrainingCenterDatabase>
+  <Activities>
+    <Activity Sport="Biking">
+      <Id>2026-10-18T08:00:00Z</Id>
+      <Lap StartTime="2026-10-18T08:00:00Z">
+        <TotalTimeSeconds>600</TotalTimeSeconds>
+        <DistanceMeters>3000</DistanceMeters>
+        <Track><Trackpoint><DistanceMeters>99999</DistanceMeters></Trackpoint></Track>
+      </Lap>
+      <Lap StartTime="2026-10-18T08:10:00Z">
+        <TotalTimeSeconds>300</TotalTimeSeconds>
+        <DistanceMeters>1500</DistanceMeters>
+      </Lap>
+    </Activity>
+  </Activities>
+</TrainingCenterDatabase>`;
+
+/**
+ * A FIT file with one session message: start_time (2), sport (5),
+ * total_elapsed_time (7, ms) and total_distance (9, cm)
+ */
+function buildFit({ startTime, sport, elapsedMs, distanceCm }) {
+  const definition = Buffer.from([
+    0x40, 0, 0, 18, 0, 4,
+    2, 4, 0x86,
+    5, 1, 0x00,
+    7, 4, 0x86,
+    9, 4, 0x86
+  ]);
+  const data = Buffer.alloc(14);
+  data.writeUInt32LE(Math.round(startTime.getTime() / 1000) - FIT_EPOCH_OFFSET, 1);
+  data.writeUInt8(sport, 5);
+  data.writeUInt32LE(elapsedMs, 6);
+  data.writeUInt32LE(distanceCm, 10);
+
+  const header = Buffer.alloc(12);
+  header.writeUInt8(12, 0);
+  header.writeUInt32LE(definition.length + data.length, 4);
+  header.write('.FIT', 8, 'latin1');
+  return Buffer.concat([header, definition, data]);
+}
+
+function elapsedMs(fn) {
+  const started = Date.now();
+  const result = fn();
+  return { result, elapsed: Date.now() - started };
+}
+
+test('parseGpx sums the distance between track points of every segment', () => {
+  const [run, hike] = activityFiles.parseGpx(GPX);
+
+  assert.strictEqual(run.source, 'gpx');
+  assert.strictEqual(run.sport, 'run');
+  assert.deepStrictEqual(run.startTime, new Date('2026-10-18T07:00:00Z'));
+  assert.strictEqual(run.durationSeconds, 900);
+  // Two 0.01° steps on the equator, not the gap between segments
+  assert.ok(Math.abs(run.distanceMeters - 2224) <= 1, `distance was ${run.distanceMeters}`);
+
+  assert.deepStrictEqual(hike, { source: 'gpx', sport: 'hike', startTime: null, durationSeconds: null, distanceMeters: 0 });
+});
+
+test('parseTcx totals laps without counting track point distances', () => {
+  assert.deepStrictEqual(activityFiles.parseTcx(TCX), [{
+    source: 'tcx',
+    sport: 'ride',
+    startTime: new Date('2026-10-18T08:00:00Z'),
+    durationSeconds: 900,
+    distanceMeters: 4500
+  }]);
+});
+
+test('parseFit reads session totals', () => {
+  const startTime = new Date('2026-10-18T09:00:00Z');
+  const fit = buildFit({ startTime, sport: 1, elapsedMs: 1800 * 1000, distanceCm: 500000 });
+
+  assert.deepStrictEqual(activityFiles.parseFit(fit), [{
+    source: 'fit',
+    sport: 'run',
+    startTime,
+    durationSeconds: 1800,
+    distanceMeters: 5000
+  }]);
+});
+
+test('parseFit rejects files without the FIT signature', () => {
+  assert.throws(() => activityFiles.parseFit(Buffer.from('not a fit file at all')), /Not a valid FIT file/);
+});
+
+test('unterminated tags are parsed in linear time', () => {
+  // ~320 KB of opening tags that are never closed; a lazy regex or a rescan
+  // from every opening tag takes minutes on this
+  const openTags = '<gpx>' + '<trk '.repeat(64 * 1024);
+  const unclosed = '<gpx>' + '<trk><trkseg>'.repeat(24 * 1024);
+  const unclosedTcx = '<TrainingCenterDatabase>' + '<Activity Sport="Running">'.repeat(12 * 1024);
+
+  [
+    () => activityFiles.parseGpx(openTags),
+    () => activityFiles.parseGpx(unclosed),
+    () => activityFiles.parseTcx(unclosedTcx)
+  ].forEach(parse => {
+    const { result, elapsed } = elapsedMs(parse);
+    assert.deepStrictEqual(result, []);
+    assert.ok(elapsed < 1000, `parsing took ${elapsed} ms`);
+  });
+});
+
+test('parseAppleHealthExport reads workouts split across chunks', async () => {
+  const xml = '<HealthData>' +
+    '<Workout workoutActivityType="HKWorkoutActivityTypeRunning" duration="30" durationUnit="min" ' +
+    'totalDistance="5" totalDistanceUnit="km" startDate="2026-10-18 07:00:00 -0400"/>' +
+    '<Workout workoutActivityType="HKWorkoutActivityTypeWalking" duration="1800" durationUnit="s" ' +
+    'startDate="2026-10-18 12:00:00 -0400">' +
+    '<WorkoutStatistics type="HKQuantityTypeIdentifierDistanceWalkingRunning" sum="2" unit="mi"/>' +
+    '</Workout>' +
+    '</HealthData>';
+  const chunks = xml.match(/[\s\S]{1,7}/g).map(chunk => Buffer.from(chunk));
+
+  assert.deepStrictEqual(await activityFiles.parseAppleHealthExport(Readable.from(chunks)), [
+    { source: 'apple_health', sport: 'run', startTime: new Date('2026-10-18T11:00:00Z'), durationSeconds: 1800, distanceMeters: 5000 },
+    { source: 'apple_health', sport: 'walk', startTime: new Date('2026-10-18T16:00:00Z'), durationSeconds: 1800, distanceMeters: 3219 }
+  ]);
+});
+
+test('parseAppleHealthExport drops an unterminated workout without rescanning it', async () => {
+  // 2 MB of a workout that never closes, in 16 KB chunks
+  const chunk = Buffer.from('<Workout workoutActivityType="HKWorkoutActivityTypeRunning">' + '<MetadataEntry/>'.repeat(1020));
+  const chunks = Array.from({ length: Math.ceil(2 * 1024 * 1024 / chunk.length) }, () => chunk);
+
+  const started = Date.now();
+  const activities = await activityFiles.parseAppleHealthExport(Readable.from(chunks));
+  const elapsed = Date.now() - started;
+
+  assert.deepStrictEqual(activities, []);
+  assert.ok(elapsed < 2000, `parsing took ${elapsed} ms`);
+});
+
+test('parseActivityUpload picks the parser by extension', async () => {
+  const upload = await activityFiles.parseActivityUpload(Buffer.from(TCX), 'ride.TCX');
+  assert.strictEqual(upload.format, 'tcx');
+  assert.strictEqual(upload.error, null);
+  assert.strictEqual(upload.activities.length, 1);
+
+  const unknown = await activityFiles.parseActivityUpload(Buffer.from('hello'), 'notes.txt');
+  assert.deepStrictEqual(unknown.activities, []);
+  assert.match(unknown.error, /Upload a GPX, TCX or FIT file/);
+});
+
+test('parseActivityUpload refuses oversized GPX files', async () => {
+  const upload = await activityFiles.parseActivityUpload(Buffer.alloc(activityFiles.MAX_XML_SIZE + 1, ' '), 'huge.gpx');
+
+  assert.deepStrictEqual(upload.activities, []);
+  assert.match(upload.error, /GPX files over 10 MB are not supported/);
+});
+
+test('parseActivityUpload reads every activity file in a zip', async () => {
+  const archive = buildZip([
+    { name: 'Takeout/Fit/run.gpx', data: Buffer.from(GPX), deflate: true },
+    { name: 'Takeout/Fit/ride.tcx', data: Buffer.from(TCX) },
+    { name: 'Takeout/Fit/readme.txt', data: Buffer.from('ignored') }
+  ]);
+
+  const upload = await activityFiles.parseActivityUpload(archive, 'takeout.zip');
+  assert.strictEqual(upload.format, 'zip');
+  assert.deepStrictEqual(upload.activities.map(activity => activity.sport), ['run', 'hike', 'ride']);
+});
+
+test('parseActivityUpload skips a zip member that inflates past the size limit', async () => {
+  const archive = buildZip([
+    { name: 'bomb.gpx', data: Buffer.alloc(activityFiles.MAX_XML_SIZE + 1024), deflate: true, declaredSize: 1024 },
+    { name: 'ride.tcx', data: Buffer.from(TCX), deflate: true }
+  ]);
+
+  const upload = await activityFiles.parseActivityUpload(archive, 'takeout.zip');
+  assert.strictEqual(upload.error, null);
+  assert.deepStrictEqual(upload.activities.map(activity => activity.source), ['tcx']);
+});
+
+test('parseActivityUpload reads workouts from an Apple Health export', async () => {
+  const exportXml = '<HealthData><Workout workoutActivityType="HKWorkoutActivityTypeCycling" duration="45" ' +
+    'durationUnit="min" totalDistance="20" totalDistanceUnit="km" startDate="2026-10-18 07:00:00 +0000"/></HealthData>';
+  const archive = buildZip([
+    { name: 'apple_health_export/export.xml', data: Buffer.from(exportXml), deflate: true },
+    { name: 'apple_health_export/workout-routes/route.gpx', data: Buffer.from(GPX), deflate: true }
+  ]);
+
+  const upload = await activityFiles.parseActivityUpload(archive, 'export.zip');
+  assert.strictEqual(upload.format, 'apple_health');
+  assert.deepStrictEqual(upload.activities, [
+    { source: 'apple_health', sport: 'ride', startTime: new Date('2026-10-18T07:00:00Z'), durationSeconds: 2700, distanceMeters: 20000 }
+  ]);
+});
@@ -0,0 +1,61 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { installFakeDatabase } = require('./helpers/fakeDatabase');
+
+// email_events keyed by sg_event_id, and the emails events were applied to
+let recorded;
+let nextId;
+let applied;
+let failApply;
+
+installFakeDatabase({
+  findEmailMessage: async () => ({ id: 1, gift_id: null, category: 'reminder' }),
+  recordEmailEvent: async (event) => {
+    if ([...recorded.values()].includes(event.sgEventId)) return null;
+    recorded.set(nextId, event.sgEventId);
+    return nextId++;
+  },
+  deleteEmailEvent: async (id) => recorded.delete(id),
+  applyEmailEvent: async (id, event) => {
+    if (failApply > 0) {
+      failApply--;
+      throw new Error('Email update failed: SQLITE_BUSY: database is locked');
+    }
+    applied.push(event);
+    return true;
+  }
+});
+const emailEvents = require('../services/emailEventService');
+
+const EVENTS = [
+  { sg_event_id: 'ev1', event: 'delivered', email: 'sam@example.com', timestamp: 1792310400 },
+  { sg_event_id: 'ev2', event: 'open', email: 'sam@example.com', timestamp: 1792310460 }
+];
+
+beforeEach(() => {
+  recorded = new Map();
+  nextId = 1;
+  applied = [];
+  failApply = 0;
+});
+
+test('processEvents records each event once', async () => {
+  assert.deepStrictEqual(await emailEvents.processEvents(EVENTS),
+    { recorded: 2, duplicates: 0, unmatched: 0, suppressed: 0, failed: 0 });
+  assert.deepStrictEqual(await emailEvents.processEvents(EVENTS),
+    { recorded: 0, duplicates: 2, unmatched: 0, suppressed: 0, failed: 0 });
+  assert.deepStrictEqual(applied, ['delivered', 'open']);
+});
+
+test('an event that fails is forgotten, so the redelivered batch processes it', async () => {
+  failApply = 1;
+
+  const first = await emailEvents.processEvents(EVENTS);
+  assert.strictEqual(first.failed, 1);
+  assert.strictEqual(first.recorded, 1);
+  assert.deepStrictEqual([...recorded.values()], ['ev2']);
+
+  const retry = await emailEvents.processEvents(EVENTS);
+  assert.deepStrictEqual(retry, { recorded: 1, duplicates: 1, unmatched: 0, suppressed: 0, failed: 0 });
+  assert.deepStrictEqual(applied, ['open', 'delivered']);
+});
@@ -0,0 +1,119 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { installFakeDatabase } = require('./helpers/fakeDatabase');
+
+const saved = [];
+installFakeDatabase({
+  updateChallengeProgress: async (id, progress) => {
+    saved.push({ id, progress });
+    return true;
+  }
+});
+const fitnessService = require('../services/fitnessService');
+
+const DELIVERED_AT = '2026-10-10 12:00:00';
+const giftOrder = { delivered_at: DELIVERED_AT, created_at: DELIVERED_AT };
+
+function fitnessChallenge(fitness, progress = {}) {
+  return {
+    id: 7,
+    type: 'fitness',
+    requirements: fitness ? { fitness: fitnessService.validateFitness(fitness).fitness } : {},
+    progress: { currentStep: 0, totalSteps: 4, completed: false, submissions: [], ...progress }
+  };
+}
+
+function run(day, distanceMeters, durationSeconds, sport = 'run') {
+  return { source: 'gpx', sport, startTime: new Date(`2026-10-${day}T07:00:00Z`), distanceMeters, durationSeconds };
+}
+
+test('validateFitness allows fitness challenges without a goal', () => {
+  assert.deepStrictEqual(fitnessService.validateFitness(undefined), { fitness: null, error: null });
+  assert.deepStrictEqual(fitnessService.validateFitness(null), { fitness: null, error: null });
+});
+
+test('validateFitness rejects malformed goals', () => {
+  assert.match(fitnessService.validateFitness('5 miles').error, /fitness must be a goal/);
+  assert.match(fitnessService.validateFitness({}).error, /needs a distance or minutes goal/);
+  assert.match(fitnessService.validateFitness({ distance: -1 }).error, /positive numbers/);
+  assert.match(fitnessService.validateFitness({ distance: 5, sport: 'rowing' }).error, /sport must be one of/);
+  assert.match(fitnessService.validateFitness({ distance: 5, unit: 'furlong' }).error, /unit must be/);
+  assert.match(fitnessService.validateFitness({ minutes: 30, mode: 'most' }).error, /mode must be/);
+  assert.match(fitnessService.validateFitness({ minutes: 30, withinDays: 0 }).error, /withinDays must be/);
+});
+
+test('validateFitness fills in defaults and converts the goal to meters and seconds', () => {
+  assert.deepStrictEqual(fitnessService.validateFitness({ distance: '5', minutes: 45, sport: 'Run', withinDays: 7 }), {
+    fitness: {
+      sport: 'run',
+      mode: 'total',
+      unit: 'mi',
+      distance: 5,
+      minutes: 45,
+      distanceMeters: 8047,
+      durationSeconds: 2700,
+      withinDays: 7
+    },
+    error: null
+  });
+});
+
+test('tracksActivities only for fitness challenges with a goal', () => {
+  assert.strictEqual(fitnessService.tracksActivities(fitnessChallenge({ distance: 5 })), true);
+  assert.strictEqual(fitnessService.tracksActivities(fitnessChallenge(null)), false);
+  assert.strictEqual(fitnessService.tracksActivities({ type: 'photo', requirements: {} }), false);
+  assert.strictEqual(fitnessService.summarize(fitnessChallenge(null), giftOrder), null);
+});
+
+test('submitActivities fills total-mode steps with the goal furthest behind', async () => {
+  saved.length = 0;
+  const challenge = fitnessChallenge({ sport: 'run', distance: 10, unit: 'km', minutes: 60, withinDays: 7 });
+  const upload = {
+    fileName: 'runs.zip',
+    format: 'zip',
+    activities: [
+      run('12', 5000, 1800),
+      run('12', 5000, 1800),
+      run('09', 3000, 900),
+      run('13', 2000, 600, 'ride'),
+      run('20', 2000, 600),
+      { source: 'gpx', sport: 'run', startTime: null, distanceMeters: 1000, durationSeconds: 300 }
+    ]
+  };
+
+  const result = await fitnessService.submitActivities(challenge, upload, giftOrder, new Date('2026-10-21T00:00:00Z'));
+
+  assert.strictEqual(result.counted, 1);
+  // Before the gift was delivered and undated activities are left out
+  assert.strictEqual(result.ignored, 2);
+  assert.deepStrictEqual(result.activities.map(activity => activity.reason), [null, 'already_counted', 'wrong_sport', 'after_window']);
+
+  const { progress } = result.challenge;
+  assert.strictEqual(progress.currentStep, 2);
+  assert.strictEqual(progress.completed, false);
+  assert.strictEqual(progress.fitness.distanceMeters, 5000);
+  assert.strictEqual(progress.fitness.durationSeconds, 1800);
+  assert.strictEqual(progress.submissions.at(-1).type, 'activity');
+  assert.deepStrictEqual(saved, [{ id: 7, progress }]);
+
+  const summary = fitnessService.summarize(result.challenge, giftOrder);
+  assert.strictEqual(summary.distance, 5);
+  assert.strictEqual(summary.minutes, 30);
+  assert.strictEqual(summary.uploads, 1);
+});
+
+test('submitActivities completes one each-mode step per activity that meets the goal', async () => {
+  const challenge = fitnessChallenge({ minutes: 30, mode: 'each', sport: 'any' }, { totalSteps: 2 });
+  const upload = {
+    fileName: 'week.gpx',
+    format: 'gpx',
+    activities: [run('11', 1000, 1800), run('12', 1000, 1200, 'walk'), run('13', 1000, 2400, 'swim')]
+  };
+
+  const result = await fitnessService.submitActivities(challenge, upload, giftOrder, new Date('2026-10-21T00:00:00Z'));
+
+  assert.strictEqual(result.counted, 2);
+  assert.deepStrictEqual(result.activities.map(activity => activity.reason), [null, 'below_goal', null]);
+  assert.strictEqual(result.challenge.progress.currentStep, 2);
+  assert.strictEqual(result.challenge.progress.completed, true);
+});
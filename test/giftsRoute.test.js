@@ -0,0 +1,147 @@
+const { test, before, after, beforeEach, mock } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { installFakeDatabase } = require('./helpers/fakeDatabase');
+const { serveRouter, authHeader } = require('./helpers/routeServer');
+
+// Uploads are staged here instead of the shared staging directory
+const stagingDir = fs.mkdtempSync(path.join(os.tmpdir(), 'gifts-route-'));
+process.env.UPLOAD_STAGING_DIR = stagingDir;
+
+let challenges;
+let giftOrders;
+
+installFakeDatabase({
+  getGiftOrderByTrackingId: async (trackingId) => giftOrders.find(order => order.tracking_id === trackingId) || null,
+  getUserById: async (id) => ({ id, email: 'someone-else@example.com' }),
+  createChallenge: async (challenge) => {
+    challenges.push(challenge);
+    return challenge;
+  },
+  createGiftOrder: async (userId, order) => {
+    giftOrders.push({ userId, ...order });
+    return giftOrders.length;
+  }
+});
+const giftsRouter = require('../api/routes/gifts');
+
+let server;
+
+before(async () => {
+  // The routes log every step; keep the test output readable
+  mock.method(console, 'log', () => {});
+  mock.method(console, 'warn', () => {});
+  server = await serveRouter(giftsRouter);
+});
+
+after(async () => {
+  await server.close();
+  fs.rmSync(stagingDir, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+  challenges = [];
+  giftOrders = [];
+});
+
+function postGift(body, headers = {}) {
+  return fetch(`${server.url}/api/gifts`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify({
+      recipientPhone: '+15555550100',
+      recipientName: 'Sam',
+      giftType: 'Gift Card',
+      challengeType: 'photo',
+      challengeDescription: 'Send a photo of your run',
+      // Scheduled, so nothing is sent
+      deliverAt: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString(),
+      ...body
+    })
+  });
+}
+
+test('POST /gifts saves the reminder frequency the sender picked on the challenge and the order', async () => {
+  const response = await postGift({ reminderFrequency: 'none' }, { Authorization: authHeader(42) });
+
+  assert.strictEqual(response.status, 201);
+  assert.strictEqual(challenges[0].reminderFrequency, 'none');
+  assert.strictEqual(giftOrders[0].reminderFrequency, 'none');
+});
+
+test('POST /gifts leaves a missing reminder frequency to the database default', async () => {
+  await postGift({}, { Authorization: authHeader(42) });
+
+  assert.strictEqual(challenges[0].reminderFrequency, undefined);
+  assert.strictEqual(giftOrders[0].reminderFrequency, undefined);
+});
+
+test('POST /gifts saves a scheduled gift order for the signed-in sender', async () => {
+  const response = await postGift({}, { Authorization: authHeader(42) });
+
+  assert.strictEqual(response.status, 201);
+  assert.strictEqual(giftOrders.length, 1);
+  assert.strictEqual(giftOrders[0].userId, 42);
+  assert.strictEqual(giftOrders[0].status, 'scheduled');
+});
+
+test('POST /gifts refuses to schedule a gift without a signed-in sender', async () => {
+  const response = await postGift({});
+
+  assert.strictEqual(response.status, 401);
+  assert.deepStrictEqual(challenges, []);
+  assert.deepStrictEqual(giftOrders, []);
+});
+
+test('POST /gifts sends an anonymous gift right away without saving an order', async () => {
+  const response = await postGift({ deliverAt: undefined });
+  const result = await response.json();
+
+  assert.strictEqual(response.status, 201);
+  assert.strictEqual(result.success, true);
+  assert.strictEqual(challenges.length, 1);
+  assert.deepStrictEqual(giftOrders, []);
+});
+
+test('POST /gifts rejects an invalid token', async () => {
+  const response = await postGift({}, { Authorization: 'Bearer not-a-token' });
+
+  assert.strictEqual(response.status, 403);
+  assert.deepStrictEqual(giftOrders, []);
+});
+
+/**
+ * Post a photo upload and wait for the staged file's cleanup to settle
+ */
+async function uploadPhoto(url, headers = {}) {
+  const form = new FormData();
+  form.append('photo', new Blob([Buffer.from('not really a jpeg')], { type: 'image/jpeg' }), 'photo.jpg');
+  const response = await fetch(url, { method: 'POST', headers, body: form });
+  await new Promise(resolve => setTimeout(resolve, 50));
+  return response;
+}
+
+test('POST /challenges/:id/upload-photo removes the staged photo when the challenge does not exist', async () => {
+  const response = await uploadPhoto(`${server.url}/api/challenges/missing/upload-photo`);
+
+  assert.strictEqual(response.status, 404);
+  assert.deepStrictEqual(fs.readdirSync(stagingDir), []);
+});
+
+test('POST /gifts/:trackingId/submit-challenge removes the staged photo when the user is not the recipient', async () => {
+  giftOrders.push({ tracking_id: 'HB-1', recipient_email: 'sam@example.com', status: 'delivered' });
+
+  const response = await uploadPhoto(`${server.url}/api/gifts/HB-1/submit-challenge`, { Authorization: authHeader(42) });
+
+  assert.strictEqual(response.status, 403);
+  assert.deepStrictEqual(fs.readdirSync(stagingDir), []);
+});
+
+test('POST /gifts/:trackingId/submit-challenge removes the staged photo without a token', async () => {
+  const response = await uploadPhoto(`${server.url}/api/gifts/HB-1/submit-challenge`);
+
+  assert.strictEqual(response.status, 401);
+  assert.deepStrictEqual(fs.readdirSync(stagingDir), []);
+});
@@ -0,0 +1,23 @@
+/**
+ * Stand in for services/databaseService, which opens data/users.db when it
+ * is required. Install it before requiring the service under test; methods
+ * the test does not provide resolve to null.
+ * @param {object} methods - Database methods the test needs
+ * @returns {object} - The methods, for tests to replace or inspect
+ */
+function installFakeDatabase(methods = {}) {
+  const fake = new Proxy(methods, {
+    get(target, name) {
+      if (name in target || typeof name !== 'string' || name === 'then') return target[name];
+      return async () => null;
+    }
+  });
+
+  const modulePath = require.resolve('../../services/databaseService');
+  require.cache[modulePath] = { id: modulePath, filename: modulePath, loaded: true, exports: fake };
+  return methods;
+}
+
+module.exports = {
+  installFakeDatabase,
+};
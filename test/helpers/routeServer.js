@@ -0,0 +1,39 @@
+/**
+ * Serve an express router on a free local port for route tests, mounted
+ * under /api the way server.js mounts it.
+ */
+
+const express = require('express');
+const jwt = require('jsonwebtoken');
+
+/**
+ * @param {express.Router} router
+ * @returns {Promise<{url: string, close: function}>}
+ */
+function serveRouter(router) {
+  const app = express();
+  app.use(express.json());
+  app.use('/api', router);
+
+  return new Promise(resolve => {
+    const server = app.listen(0, '127.0.0.1', () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}`,
+        close: () => new Promise(done => server.close(done))
+      });
+    });
+  });
+}
+
+/**
+ * Authorization header of a signed-in user, signed like authService signs tokens
+ */
+function authHeader(userId) {
+  const secret = process.env.JWT_SECRET || 'your-super-secret-jwt-key-change-in-production';
+  return `Bearer ${jwt.sign({ id: userId }, secret)}`;
+}
+
+module.exports = {
+  serveRouter,
+  authHeader,
+};
@@ -0,0 +1,60 @@
+/**
+ * Build zip archives in memory for tests. CRCs are left at zero, since
+ * utils/zip does not check them.
+ */
+
+const zlib = require('zlib');
+
+/**
+ * @param {Array<{name, data: Buffer, deflate?: boolean, declaredSize?: number}>} files -
+ *   declaredSize overrides the uncompressed size written to the headers
+ * @returns {Buffer}
+ */
+function buildZip(files) {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+
+  files.forEach(file => {
+    const name = Buffer.from(file.name);
+    const data = file.deflate ? zlib.deflateRawSync(file.data) : file.data;
+    const method = file.deflate ? 8 : 0;
+    const size = file.declaredSize === undefined ? file.data.length : file.declaredSize;
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(method, 8);
+    local.writeUInt32LE(data.length, 18);
+    local.writeUInt32LE(size, 22);
+    local.writeUInt16LE(name.length, 26);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4);
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(method, 10);
+    central.writeUInt32LE(data.length, 20);
+    central.writeUInt32LE(size, 24);
+    central.writeUInt16LE(name.length, 28);
+    central.writeUInt32LE(offset, 42);
+
+    locals.push(local, name, data);
+    centrals.push(central, name);
+    offset += local.length + name.length + data.length;
+  });
+
+  const directory = Buffer.concat(centrals);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(files.length, 8);
+  end.writeUInt16LE(files.length, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...locals, directory, end]);
+}
+
+module.exports = {
+  buildZip,
+};
@@ -0,0 +1,94 @@
+const { test, before, beforeEach, mock } = require('node:test');
+const assert = require('node:assert');
+const { installFakeDatabase } = require('./helpers/fakeDatabase');
+
+let submissions;
+let flagged;
+let deleted;
+
+installFakeDatabase({
+  getSubmissionMediaForSweep: async () => submissions,
+  getChallengeMediaForSweep: async () => [],
+  markSubmissionMediaMissing: async (ids) => {
+    flagged.push(...ids);
+    return ids.length;
+  },
+  deletePhotoSubmissions: async (ids) => {
+    deleted.push(...ids);
+    return ids.length;
+  }
+});
+const mediaRetention = require('../services/mediaRetentionService');
+const storage = require('../services/storageService');
+
+const NOW = new Date('2026-10-18T12:00:00Z');
+
+function submissionRow(id, status, giftStatus = 'delivered', extra = {}) {
+  return {
+    id,
+    gift_id: `HB-${id}`,
+    status,
+    gift_status: giftStatus,
+    photo_url: `/uploads/photos/photo-${id}.jpg`,
+    submitted_at: '2026-10-17 12:00:00',
+    ...extra
+  };
+}
+
+before(() => {
+  // One stored file, so the listing is trusted however many rows miss theirs
+  mock.method(storage, 'listMedia', async () => [{ key: 'photos/photo-1.jpg', size: 10, lastModified: NOW }]);
+  mock.method(storage, 'listStaging', async () => []);
+  mock.method(console, 'log', () => {});
+  mediaRetention.maxMissingPercent = 100;
+});
+
+beforeEach(() => {
+  flagged = [];
+  deleted = [];
+});
+
+test('a missing file deletes only rows that were not accepted or whose gift expired', async () => {
+  submissions = [
+    submissionRow(1, 'approved'),
+    submissionRow(2, 'approved'),
+    submissionRow(3, 'rejected'),
+    submissionRow(4, 'approved', 'expired'),
+    submissionRow(5, 'pending_approval')
+  ];
+
+  const report = await mediaRetention.sweep({ dryRun: false, now: NOW });
+
+  assert.strictEqual(report.aborted, null);
+  assert.deepStrictEqual(flagged, [2]);
+  assert.deepStrictEqual(deleted, [3, 4]);
+  assert.deepStrictEqual(
+    report.missing.map(item => [item.submissionId, item.action]),
+    [[2, 'flagged'], [3, 'deleted'], [4, 'deleted'], [5, 'kept']]
+  );
+  assert.strictEqual(report.flaggedSubmissions, 1);
+  assert.strictEqual(report.deletedSubmissions, 2);
+});
+
+test('rows flagged by an earlier sweep are not reported again', async () => {
+  submissions = [
+    submissionRow(1, 'approved'),
+    submissionRow(2, 'approved', 'delivered', { media_missing_at: '2026-10-17 12:00:00' })
+  ];
+
+  const report = await mediaRetention.sweep({ dryRun: false, now: NOW });
+
+  assert.deepStrictEqual(report.missing, []);
+  assert.deepStrictEqual(flagged, []);
+  assert.deepStrictEqual(deleted, []);
+});
+
+test('a dry run reports missing files without touching the rows', async () => {
+  submissions = [submissionRow(2, 'approved'), submissionRow(3, 'rejected')];
+
+  const report = await mediaRetention.sweep({ dryRun: true, now: NOW });
+
+  assert.strictEqual(report.missing.length, 2);
+  assert.deepStrictEqual(flagged, []);
+  assert.deepStrictEqual(deleted, []);
+});
@@ -0,0 +1,284 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { installFakeDatabase } = require('./helpers/fakeDatabase');
+
+// outbound_messages and outbound_dead_letters, in memory
+let messages;
+let deadLetters;
+let optedOut;
+
+installFakeDatabase({
+  createOutboundMessage: async ({ channel, recipient, payload, giftId, category }) => {
+    const id = messages.length + 1;
+    messages.push({
+      id, channel, recipient, payload: JSON.stringify(payload), gift_id: giftId || null, category: category || null,
+      status: 'sending', attempts: 0, next_attempt_at: null, error_class: null, last_error: null, result: null
+    });
+    return id;
+  },
+  markOutboundMessageSent: async (id, attempts, result) => {
+    Object.assign(messages[id - 1], { status: 'sent', attempts, result, next_attempt_at: null });
+    return true;
+  },
+  scheduleOutboundRetry: async (id, failure) => {
+    Object.assign(messages[id - 1], {
+      status: 'queued',
+      attempts: failure.attempts,
+      next_attempt_at: failure.nextAttemptAt,
+      error_class: failure.errorClass,
+      last_error: failure.error
+    });
+    return true;
+  },
+  deadLetterOutboundMessage: async (id, failure) => {
+    const message = Object.assign(messages[id - 1], {
+      status: 'dead', attempts: failure.attempts, next_attempt_at: null, error_class: failure.errorClass, last_error: failure.error
+    });
+    deadLetters.push({
+      id: deadLetters.length + 1,
+      message_id: id,
+      channel: message.channel,
+      recipient: message.recipient,
+      payload: message.payload,
+      gift_id: message.gift_id,
+      category: message.category,
+      attempts: message.attempts,
+      error_class: message.error_class,
+      last_error: message.last_error,
+      replayed_at: null,
+      replayed_message_id: null
+    });
+    return deadLetters.length;
+  },
+  isPhoneOptedOut: async (phone) => optedOut.includes(phone),
+  releaseStaleOutboundMessages: async () => 0,
+  getDueOutboundMessages: async (now, limit) => messages
+    .filter(message => message.status === 'queued' && message.next_attempt_at <= now.toISOString())
+    .slice(0, limit)
+    .map(message => ({ ...message })),
+  claimOutboundMessage: async (id) => {
+    if (messages[id - 1].status !== 'queued') return false;
+    messages[id - 1].status = 'sending';
+    return true;
+  },
+  getOutboundDeadLetterById: async (id) => deadLetters[id - 1] || null,
+  claimOutboundDeadLetter: async (id) => {
+    if (deadLetters[id - 1].replayed_at) return false;
+    deadLetters[id - 1].replayed_at = new Date().toISOString();
+    return true;
+  },
+  setOutboundDeadLetterReplay: async (id, messageId) => {
+    deadLetters[id - 1].replayed_message_id = messageId;
+    return true;
+  }
+});
+const outboundQueue = require('../services/outboundQueueService');
+const twilioService = require('../services/twilioService');
+
+/**
+ * A transport that fails with the queued errors (HTTP statuses, or null for
+ * a network error), then succeeds
+ */
+function scriptedTransport(failures = []) {
+  const transport = {
+    calls: [],
+    sent: [],
+    async send(payload, { attempt }) {
+      transport.calls.push(attempt);
+      if (failures.length > 0) {
+        const status = failures.shift();
+        const error = new Error(status ? `HTTP ${status}` : 'socket hang up');
+        error.status = status;
+        throw error;
+      }
+      return { sid: `SM${transport.calls.length}` };
+    },
+    resultOf: response => response.sid,
+    onSent: async (payload, response, meta) => transport.sent.push({ payload, response, meta })
+  };
+  return transport;
+}
+
+function minutesFromNow(minutes) {
+  return new Date(Date.now() + minutes * 60 * 1000);
+}
+
+beforeEach(() => {
+  messages = [];
+  deadLetters = [];
+  optedOut = [];
+  outboundQueue.deadLetterListeners = [];
+});
+
+test('classifyHttpStatus sorts provider errors into retry policies', () => {
+  const { classifyHttpStatus } = outboundQueue;
+  assert.strictEqual(classifyHttpStatus(null), 'transient');
+  assert.strictEqual(classifyHttpStatus(503), 'transient');
+  assert.strictEqual(classifyHttpStatus(429), 'rate_limited');
+  assert.strictEqual(classifyHttpStatus(401), 'config');
+  assert.strictEqual(classifyHttpStatus(403), 'config');
+  assert.strictEqual(classifyHttpStatus(400), 'permanent');
+});
+
+test('send stores the message and marks it sent on a successful first attempt', async () => {
+  const transport = scriptedTransport();
+  outboundQueue.registerTransport('test', transport);
+
+  const result = await outboundQueue.send('test', { to: '+15555550100', body: 'Hi' }, { recipient: '+15555550100', giftId: 'HB1', category: 'reminder' });
+
+  assert.deepStrictEqual(result, { status: 'sent', id: 1, response: { sid: 'SM1' } });
+  assert.strictEqual(messages[0].status, 'sent');
+  assert.strictEqual(messages[0].attempts, 1);
+  assert.strictEqual(messages[0].result, 'SM1');
+  assert.deepStrictEqual(transport.sent[0].meta, { id: 1, giftId: 'HB1', category: 'reminder' });
+});
+
+test('send throws for a channel without a transport', async () => {
+  await assert.rejects(outboundQueue.send('pigeon', {}), /No transport registered for channel 'pigeon'/);
+  assert.strictEqual(messages.length, 0);
+});
+
+test('a transient failure is queued for a retry with exponential backoff', async () => {
+  outboundQueue.registerTransport('test', scriptedTransport([503]));
+
+  const before = Date.now();
+  const result = await outboundQueue.send('test', { body: 'Hi' });
+
+  assert.strictEqual(result.status, 'queued');
+  assert.strictEqual(result.errorClass, 'transient');
+  assert.strictEqual(result.error, 'HTTP 503');
+  // First retry after the 30 second base delay
+  const delay = result.nextAttemptAt.getTime() - before;
+  assert.ok(delay >= 30 * 1000 && delay < 31 * 1000, `retry in ${delay} ms`);
+  assert.strictEqual(messages[0].status, 'queued');
+  assert.strictEqual(messages[0].attempts, 1);
+  assert.strictEqual(messages[0].next_attempt_at, result.nextAttemptAt.toISOString());
+});
+
+test('errors that are not worth retrying go straight to the dead letters', async () => {
+  outboundQueue.registerTransport('test', scriptedTransport([400]));
+
+  const result = await outboundQueue.send('test', { body: 'Hi' }, { recipient: '+15555550100' });
+
+  assert.deepStrictEqual(result, { status: 'dead', id: 1, deadLetterId: 1, errorClass: 'permanent', error: 'HTTP 400' });
+  assert.strictEqual(messages[0].status, 'dead');
+  assert.strictEqual(deadLetters[0].message_id, 1);
+  assert.strictEqual(deadLetters[0].attempts, 1);
+});
+
+test('a transport can classify its own errors', async () => {
+  const transport = scriptedTransport([null]);
+  transport.classify = () => 'invalid_recipient';
+  outboundQueue.registerTransport('test', transport);
+
+  const result = await outboundQueue.send('test', { body: 'Hi' });
+  assert.strictEqual(result.status, 'dead');
+  assert.strictEqual(result.errorClass, 'invalid_recipient');
+});
+
+test('processDue retries due messages until they are sent', async () => {
+  const transport = scriptedTransport([503, 503]);
+  outboundQueue.registerTransport('test', transport);
+
+  await outboundQueue.send('test', { body: 'Hi' });
+  assert.deepStrictEqual(await outboundQueue.processDue(new Date()), { sent: 0, retrying: 0, dead: 0, released: 0 });
+
+  assert.deepStrictEqual(await outboundQueue.processDue(minutesFromNow(1)), { sent: 0, retrying: 1, dead: 0, released: 0 });
+  assert.strictEqual(messages[0].attempts, 2);
+  // The second retry waits twice as long
+  const delay = new Date(messages[0].next_attempt_at).getTime() - Date.now();
+  assert.ok(delay > 59 * 1000 && delay <= 60 * 1000, `retry in ${delay} ms`);
+
+  assert.deepStrictEqual(await outboundQueue.processDue(minutesFromNow(2)), { sent: 1, retrying: 0, dead: 0, released: 0 });
+  assert.deepStrictEqual(transport.calls, [1, 2, 3]);
+  assert.strictEqual(messages[0].status, 'sent');
+  assert.strictEqual(messages[0].attempts, 3);
+});
+
+test('processDue dead-letters a message that runs out of attempts and tells the listeners', async () => {
+  const { maxAttempts } = outboundQueue.RETRY_POLICIES.transient;
+  outboundQueue.registerTransport('test', scriptedTransport(Array(maxAttempts).fill(null)));
+  const notified = [];
+  outboundQueue.onDeadLetter(async (message, failure) => notified.push({ message, failure }));
+
+  await outboundQueue.send('test', { body: 'Hi' }, { giftId: 'HB1', category: 'gift_notice' });
+  for (let attempt = 2; attempt < maxAttempts; attempt++) {
+    assert.strictEqual((await outboundQueue.processDue(minutesFromNow(60))).retrying, 1);
+  }
+  assert.strictEqual((await outboundQueue.processDue(minutesFromNow(60))).dead, 1);
+
+  assert.strictEqual(messages[0].status, 'dead');
+  assert.strictEqual(messages[0].attempts, maxAttempts);
+  assert.strictEqual(deadLetters.length, 1);
+  assert.deepStrictEqual(notified, [{
+    message: { id: 1, channel: 'test', giftId: 'HB1', category: 'gift_notice' },
+    failure: { errorClass: 'transient', error: 'socket hang up' }
+  }]);
+  assert.deepStrictEqual(await outboundQueue.processDue(minutesFromNow(120)), { sent: 0, retrying: 0, dead: 0, released: 0 });
+});
+
+test('processDue leaves messages of channels without a transport queued', async () => {
+  outboundQueue.registerTransport('test', scriptedTransport([503]));
+  await outboundQueue.send('test', { body: 'Hi' });
+  messages[0].channel = 'unconfigured';
+
+  assert.deepStrictEqual(await outboundQueue.processDue(minutesFromNow(1)), { sent: 0, retrying: 0, dead: 0, released: 0 });
+  assert.strictEqual(messages[0].status, 'queued');
+});
+
+test('replay sends a dead letter again with a fresh retry budget', async () => {
+  const transport = scriptedTransport([400]);
+  outboundQueue.registerTransport('test', transport);
+  await outboundQueue.send('test', { body: 'Hi' }, { recipient: '+15555550100', giftId: 'HB1', category: 'reminder' });
+
+  const { deadLetter, result } = await outboundQueue.replay(1);
+
+  assert.deepStrictEqual(result, { status: 'sent', id: 2, response: { sid: 'SM2' } });
+  assert.strictEqual(deadLetter.replayedMessageId, 2);
+  assert.ok(deadLetter.replayedAt);
+  assert.deepStrictEqual(deadLetter.payload, { body: 'Hi' });
+  assert.strictEqual(messages[1].gift_id, 'HB1');
+  assert.strictEqual(messages[1].attempts, 1);
+  assert.deepStrictEqual(transport.calls, [1, 1]);
+});
+
+test('replay refuses missing, already replayed and unconfigured dead letters', async () => {
+  outboundQueue.registerTransport('test', scriptedTransport([400]));
+  await outboundQueue.send('test', { body: 'Hi' });
+
+  assert.deepStrictEqual(await outboundQueue.replay(99), { statusCode: 404, error: 'Dead letter not found' });
+
+  deadLetters[0].channel = 'unconfigured';
+  assert.deepStrictEqual(await outboundQueue.replay(1), { statusCode: 503, error: 'unconfigured is not configured' });
+  assert.strictEqual(deadLetters[0].replayed_at, null);
+
+  deadLetters[0].channel = 'test';
+  assert.strictEqual((await outboundQueue.replay(1)).result.status, 'sent');
+  assert.deepStrictEqual(await outboundQueue.replay(1), { statusCode: 409, error: 'Dead letter was already replayed' });
+  assert.strictEqual(messages.length, 2);
+});
+
+test('an SMS dead letter replayed after the recipient opted out is not sent', async () => {
+  const created = [];
+  twilioService.client = {
+    messages: {
+      create: async params => {
+        created.push(params);
+        const error = new Error('Bad request');
+        error.status = 400;
+        throw error;
+      }
+    }
+  };
+  twilioService.registerTransport();
+
+  assert.strictEqual((await outboundQueue.send('sms', { to: '+15555550100', body: 'Reminder' }, { recipient: '+15555550100' })).status, 'dead');
+  optedOut.push('+15555550100');
+
+  const { result } = await outboundQueue.replay(1);
+
+  assert.strictEqual(result.status, 'dead');
+  assert.strictEqual(result.errorClass, 'invalid_recipient');
+  assert.strictEqual(result.error, '+15555550100 has opted out');
+  assert.strictEqual(created.length, 1);
+});
@@ -0,0 +1,68 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { installFakeDatabase } = require('./helpers/fakeDatabase');
+
+let challenges;
+let claimed;
+
+installFakeDatabase({
+  getChallengesForReminders: async () => challenges,
+  claimChallengeReminder: async (id) => {
+    claimed.push(id);
+    return true;
+  },
+  hasPhoneOptedIn: async () => true,
+  createReminderRun: async () => 1
+});
+const reminderService = require('../services/reminderService');
+const twilioService = require('../services/twilioService');
+const aiMessage = require('../services/aiMessageService');
+
+const NOW = new Date('2026-10-18T12:00:00Z');
+
+/**
+ * A row of getChallengesForReminders: the challenge joined with its gift order
+ */
+function reminderRow(id, giftFrequency, challengeFrequency) {
+  return {
+    id,
+    tracking_id: `HB-${id}`,
+    reminder_frequency: challengeFrequency,
+    gift_reminder_frequency: giftFrequency,
+    reminder_count: 0,
+    requirements: {},
+    progress: { completed: false, currentStep: 0, totalSteps: 3 },
+    recipient_phone: '+15555550100',
+    delivery_method: 'sms',
+    gift_status: 'delivered',
+    gift_created_at: '2026-10-15 12:00:00'
+  };
+}
+
+beforeEach(() => {
+  claimed = [];
+  twilioService.isInitialized = () => true;
+  twilioService.sendSMS = async () => ({ sid: 'SM1' });
+  aiMessage.generateReminderMessage = async () => 'Keep going!';
+});
+
+test('getIntervalHours reads the gift frequency before the challenge one', () => {
+  assert.strictEqual(reminderService.getIntervalHours({ gift_reminder_frequency: 'weekly', reminder_frequency: 'daily' }), 168);
+  assert.strictEqual(reminderService.getIntervalHours({ gift_reminder_frequency: null, reminder_frequency: 'every_other_day' }), 48);
+  assert.strictEqual(reminderService.getIntervalHours({ gift_reminder_frequency: 'none', reminder_frequency: 'daily' }), null);
+  assert.strictEqual(reminderService.getIntervalHours({ gift_reminder_frequency: 'custom', requirements: { reminderIntervalHours: 6 } }), 6);
+});
+
+test('gifts created with reminders set to none are never claimed or reminded', async () => {
+  challenges = [
+    reminderRow('CH-none', 'none', 'none'),
+    reminderRow('CH-daily', 'daily', 'daily')
+  ];
+
+  const stats = await reminderService.runScheduledReminders(NOW);
+
+  assert.deepStrictEqual(claimed, ['CH-daily']);
+  assert.strictEqual(stats.checked, 2);
+  assert.strictEqual(stats.sent, 1);
+  assert.strictEqual(reminderService.isDue(challenges[0], NOW), false);
+});
@@ -0,0 +1,178 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { installFakeDatabase } = require('./helpers/fakeDatabase');
+
+// sms_conversations, in memory
+let conversations;
+
+installFakeDatabase({
+  getSmsConversation: async (phone) => conversations.get(phone) || null,
+  saveSmsConversation: async (phone, state) => {
+    conversations.set(phone, {
+      phone,
+      giftId: state.giftId || null,
+      awaiting: state.awaiting || null,
+      choices: state.choices || [],
+      pendingMessage: state.pendingMessage || null,
+      // CURRENT_TIMESTAMP: UTC without a zone
+      updatedAt: new Date().toISOString().replace('T', ' ').slice(0, 19)
+    });
+    return true;
+  }
+});
+const smsConversation = require('../services/smsConversationService');
+
+const PHONE = '+15555550100';
+const PHOTO = { body: '', numMedia: 1, mediaUrl: 'https://api.twilio.com/media/1', mediaType: 'image/jpeg' };
+const TEXT = { body: 'I ran along the river this morning', numMedia: 0 };
+
+function gift(number, trackingId, type, extra = {}) {
+  return {
+    number,
+    challengeSaved: true,
+    giftOrder: { tracking_id: trackingId, gift_type: 'Gift Card', sender_name: `Sender ${number}` },
+    challenge: {
+      type,
+      description: `${type} challenge`,
+      requirements: {},
+      progress: { started: false, completed: false, currentStep: 0, totalSteps: 1, submissions: [] },
+      ...extra
+    }
+  };
+}
+
+beforeEach(() => {
+  conversations = new Map();
+});
+
+test('parseCommand recognizes keywords, aliases and gift numbers', () => {
+  assert.deepStrictEqual(smsConversation.parseCommand('STATUS'), { command: 'status', number: null });
+  assert.deepStrictEqual(smsConversation.parseCommand(' progress! '), { command: 'status', number: null });
+  assert.deepStrictEqual(smsConversation.parseCommand('list'), { command: 'gifts', number: null });
+  assert.deepStrictEqual(smsConversation.parseCommand('Hint #2'), { command: 'hint', number: 2 });
+  assert.deepStrictEqual(smsConversation.parseCommand('skip 3'), { command: 'skip', number: 3 });
+  assert.strictEqual(smsConversation.parseCommand('status of my gift'), null);
+  assert.strictEqual(smsConversation.parseCommand('hello'), null);
+  assert.strictEqual(smsConversation.parseCommand(undefined), null);
+});
+
+test('acceptsReply matches the kind of reply each challenge takes', () => {
+  const accepts = (type, message, extra) => smsConversation.acceptsReply(gift(1, 'HB1', type, extra).challenge, message);
+
+  assert.strictEqual(accepts('photo', PHOTO), true);
+  assert.strictEqual(accepts('photo', TEXT), false);
+  assert.strictEqual(accepts('text', { body: 'too short', numMedia: 0 }), false);
+  assert.strictEqual(accepts('text', TEXT), true);
+  assert.strictEqual(accepts('keyword', { body: 'The word is BADGER', numMedia: 0 }, { requirements: { keyword: 'badger' } }), true);
+  assert.strictEqual(accepts('keyword', TEXT, { requirements: { keyword: 'badger' } }), false);
+  assert.strictEqual(accepts('location', TEXT), false);
+  assert.strictEqual(accepts('fitness', TEXT), true);
+  assert.strictEqual(accepts('fitness', TEXT, { requirements: { fitness: { distanceMeters: 5000 } } }), false);
+});
+
+test('a reply only one gift takes goes to that gift and starts the conversation about it', async () => {
+  const entries = [gift(1, 'HB1', 'photo'), gift(2, 'HB2', 'text')];
+
+  const result = await smsConversation.handleMessage(PHONE, TEXT, entries);
+
+  assert.strictEqual(result.entry, entries[1]);
+  assert.strictEqual(result.message, TEXT);
+  assert.strictEqual(conversations.get(PHONE).giftId, 'HB2');
+});
+
+test('a reply no gift takes is unmatched, for the gift the conversation is about', async () => {
+  const entries = [gift(1, 'HB1', 'photo'), gift(2, 'HB2', 'location')];
+
+  assert.strictEqual((await smsConversation.handleMessage(PHONE, TEXT, entries)).unmatched, entries[0]);
+
+  await smsConversation.handleMessage(PHONE, { body: 'GIFTS', numMedia: 0 }, entries);
+  await smsConversation.handleMessage(PHONE, { body: '2', numMedia: 0 }, entries);
+  assert.strictEqual((await smsConversation.handleMessage(PHONE, TEXT, entries)).unmatched, entries[1]);
+});
+
+test('a reply several gifts take is held until the recipient picks one', async () => {
+  const entries = [gift(1, 'HB1', 'photo'), gift(2, 'HB2', 'location'), gift(3, 'HB3', 'video')];
+
+  const question = await smsConversation.handleMessage(PHONE, PHOTO, entries);
+  assert.match(question.reply, /Which gift is your photo for\?/);
+  assert.match(question.reply, /1\. Gift Card from Sender 1: photo challenge\n3\. Gift Card from Sender 3: video challenge/);
+  assert.match(question.reply, /Reply 1 or 3\.$/);
+
+  const saved = conversations.get(PHONE);
+  assert.strictEqual(saved.awaiting, 'gift_choice');
+  assert.deepStrictEqual(saved.choices, ['HB1', 'HB2', 'HB3']);
+  assert.deepStrictEqual(saved.pendingMessage, PHOTO);
+
+  const answer = await smsConversation.handleMessage(PHONE, { body: '3', numMedia: 0 }, entries);
+  assert.strictEqual(answer.entry, entries[2]);
+  assert.deepStrictEqual(answer.message, PHOTO);
+  assert.strictEqual(conversations.get(PHONE).giftId, 'HB3');
+  assert.strictEqual(conversations.get(PHONE).awaiting, null);
+  assert.strictEqual(conversations.get(PHONE).pendingMessage, null);
+
+  // The picked gift takes later replies that it accepts without asking again
+  assert.strictEqual((await smsConversation.handleMessage(PHONE, PHOTO, entries)).entry, entries[2]);
+});
+
+test('picking a gift whose challenge does not take the held reply leaves it unmatched', async () => {
+  const entries = [gift(1, 'HB1', 'photo'), gift(2, 'HB2', 'video')];
+  await smsConversation.handleMessage(PHONE, PHOTO, entries);
+
+  // The second gift's challenge changed to a check-in meanwhile
+  const changed = { ...entries[1], challenge: { ...entries[1].challenge, type: 'location' } };
+  assert.strictEqual((await smsConversation.handleMessage(PHONE, { body: '2', numMedia: 0 }, [entries[0], changed])).unmatched, changed);
+});
+
+test('a number is a normal reply when no gift choice is pending', async () => {
+  const entries = [gift(1, 'HB1', 'quiz'), gift(2, 'HB2', 'photo')];
+
+  const result = await smsConversation.handleMessage(PHONE, { body: '42', numMedia: 0 }, entries);
+  assert.strictEqual(result.entry, entries[0]);
+  assert.strictEqual(result.message.body, '42');
+});
+
+test('a choice for a gift that is no longer active is refused', async () => {
+  const entries = [gift(1, 'HB1', 'photo'), gift(2, 'HB2', 'photo')];
+  await smsConversation.handleMessage(PHONE, PHOTO, entries);
+
+  const result = await smsConversation.handleMessage(PHONE, { body: '2', numMedia: 0 }, entries.slice(0, 1));
+  assert.match(result.reply, /That gift isn't active any more/);
+});
+
+test('GIFTS lists the gifts and a number switches the conversation to one', async () => {
+  const entries = [gift(1, 'HB1', 'photo'), gift(2, 'HB2', 'photo')];
+
+  const list = await smsConversation.handleMessage(PHONE, { body: 'GIFTS', numMedia: 0 }, entries);
+  assert.match(list.reply, /Your active gifts:/);
+  assert.match(list.reply, /Reply a number to choose which gift your replies go to\./);
+
+  const switched = await smsConversation.handleMessage(PHONE, { body: '#2', numMedia: 0 }, entries);
+  assert.match(switched.reply, /Your replies now go to the Gift Card from Sender 2\./);
+  assert.strictEqual(conversations.get(PHONE).giftId, 'HB2');
+  assert.strictEqual((await smsConversation.handleMessage(PHONE, PHOTO, entries)).entry, entries[1]);
+});
+
+test('commands about one gift ask which gift when there are several', async () => {
+  const entries = [gift(1, 'HB1', 'photo'), gift(2, 'HB2', 'text')];
+
+  assert.match((await smsConversation.handleMessage(PHONE, { body: 'HINT', numMedia: 0 }, entries)).reply,
+    /Which gift\? Reply HINT 1 or HINT 2\./);
+  assert.match((await smsConversation.handleMessage(PHONE, { body: 'hint 5', numMedia: 0 }, entries)).reply,
+    /You don't have a gift 5\./);
+
+  const hint = await smsConversation.handleMessage(PHONE, { body: 'hint 2', numMedia: 0 }, entries);
+  assert.match(hint.reply, /Reply with a few sentences about: text challenge/);
+  assert.strictEqual(conversations.get(PHONE).giftId, 'HB2');
+});
+
+test('the conversation is forgotten after SMS_CONVERSATION_HOURS', async () => {
+  const entries = [gift(1, 'HB1', 'photo'), gift(2, 'HB2', 'video')];
+  conversations.set(PHONE, {
+    phone: PHONE, giftId: 'HB2', awaiting: null, choices: [], pendingMessage: null, updatedAt: '2026-01-01 00:00:00'
+  });
+
+  assert.deepStrictEqual(await smsConversation.getConversation(PHONE, new Date('2026-01-01T23:00:00Z')), conversations.get(PHONE));
+  assert.deepStrictEqual(await smsConversation.getConversation(PHONE, new Date('2026-01-02T01:00:00Z')),
+    { giftId: null, awaiting: null, choices: [], pendingMessage: null });
+  assert.match((await smsConversation.handleMessage(PHONE, PHOTO, entries)).reply, /Which gift is your photo for\?/);
+});
@@ -0,0 +1,49 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { installFakeDatabase } = require('./helpers/fakeDatabase');
+
+installFakeDatabase({
+  saveStreakCheckIn: async () => true
+});
+const streakService = require('../services/streakService');
+
+const TIME_ZONE = 'UTC';
+
+function streakChallenge(graceDays) {
+  return {
+    id: 1,
+    type: 'streak',
+    requirements: { graceDays },
+    progress: { totalSteps: 10, currentStep: 0, completed: false }
+  };
+}
+
+async function checkInOn(challenge, date) {
+  return streakService.checkIn(challenge, TIME_ZONE, new Date(`${date}T12:00:00Z`));
+}
+
+test('a missed day uses grace until none is left, then resets the streak', async () => {
+  let result = await checkInOn(streakChallenge(1), '2026-10-01');
+  result = await checkInOn(result.challenge, '2026-10-03');
+  assert.deepStrictEqual([result.missed, result.graceUsed, result.reset], [1, 1, false]);
+  assert.strictEqual(result.streak.currentStreak, 2);
+  assert.strictEqual(result.streak.graceRemaining, 0);
+
+  result = await checkInOn(result.challenge, '2026-10-05');
+  assert.strictEqual(result.reset, true);
+  assert.strictEqual(result.streak.currentStreak, 1);
+  assert.strictEqual(result.streak.resets, 1);
+});
+
+test('grace used before a reset is available again to the new streak', async () => {
+  let result = await checkInOn(streakChallenge(1), '2026-10-01');
+  result = await checkInOn(result.challenge, '2026-10-03');
+  result = await checkInOn(result.challenge, '2026-10-06');
+  assert.strictEqual(result.reset, true);
+  assert.strictEqual(result.streak.graceRemaining, 1);
+
+  result = await checkInOn(result.challenge, '2026-10-08');
+  assert.deepStrictEqual([result.missed, result.graceUsed, result.reset], [1, 1, false]);
+  assert.strictEqual(result.streak.currentStreak, 2);
+  assert.strictEqual(result.streak.graceRemaining, 0);
+});
@@ -0,0 +1,60 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const zip = require('../utils/zip');
+const { buildZip } = require('./helpers/zipArchive');
+
+async function readAll(stream) {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  return Buffer.concat(chunks);
+}
+
+test('lists stored and deflated entries and reads them back', () => {
+  const archive = buildZip([
+    { name: 'a.gpx', data: Buffer.from('stored contents') },
+    { name: 'folder/', data: Buffer.alloc(0) },
+    { name: 'folder/b.tcx', data: Buffer.from('deflated contents '.repeat(50)), deflate: true }
+  ]);
+
+  assert.ok(zip.isZip(archive));
+  const entries = zip.listEntries(archive);
+  assert.deepStrictEqual(entries.map(entry => entry.name), ['a.gpx', 'folder/b.tcx']);
+  assert.strictEqual(zip.readEntry(archive, entries[0]).toString(), 'stored contents');
+  assert.strictEqual(zip.readEntry(archive, entries[1]).toString(), 'deflated contents '.repeat(50));
+});
+
+test('rejects buffers that are not zip archives', () => {
+  assert.strictEqual(zip.isZip(Buffer.from('<gpx></gpx>')), false);
+  assert.throws(() => zip.listEntries(Buffer.alloc(64)), /Not a valid zip archive/);
+});
+
+test('readEntry refuses an entry that inflates past maxSize', () => {
+  const archive = buildZip([{ name: 'bomb.gpx', data: Buffer.alloc(2 * 1024 * 1024), deflate: true, declaredSize: 10 }]);
+  const [entry] = zip.listEntries(archive);
+
+  assert.throws(() => zip.readEntry(archive, entry, 1024 * 1024));
+});
+
+test('createEntryStream refuses an entry whose declared size is over maxSize', () => {
+  const archive = buildZip([{ name: 'export.xml', data: Buffer.from('<HealthData/>'), declaredSize: 2048 }]);
+  const [entry] = zip.listEntries(archive);
+
+  assert.throws(() => zip.createEntryStream(archive, entry, 1024), /export\.xml is larger than 1024 bytes/);
+});
+
+test('createEntryStream stops a zip bomb whose declared size lies', async () => {
+  // 8 MB of zeros deflates to a few KB but claims to be 100 bytes
+  const archive = buildZip([{ name: 'export.xml', data: Buffer.alloc(8 * 1024 * 1024), deflate: true, declaredSize: 100 }]);
+  const [entry] = zip.listEntries(archive);
+  assert.ok(entry.compressedSize < 64 * 1024);
+
+  await assert.rejects(readAll(zip.createEntryStream(archive, entry, 1024 * 1024)), /export\.xml inflates past 1048576 bytes/);
+});
+
+test('createEntryStream streams an entry within maxSize', async () => {
+  const contents = Buffer.from('<Workout/>'.repeat(1000));
+  const archive = buildZip([{ name: 'export.xml', data: contents, deflate: true }]);
+  const [entry] = zip.listEntries(archive);
+
+  assert.deepStrictEqual(await readAll(zip.createEntryStream(archive, entry, contents.length)), contents);
+});
@@ -0,0 +1,420 @@
+/**
+ * Parse workout files into activity summaries: GPX, TCX and FIT files, and
+ * zip archives of them (Google Fit takeout) or an Apple Health export.
+ *
+ * Every parser returns activities shaped
+ *   { source, sport, startTime: Date|null, durationSeconds, distanceMeters }
+ * where sport is one of run, walk, ride, swim, hike or other.
+ */
+
+const path = require('path');
+const { StringDecoder } = require('string_decoder');
+const { distanceMeters } = require('./geo');
+const zip = require('./zip');
+
+// Seconds between the Unix epoch and the FIT epoch (1989-12-31T00:00:00Z)
+const FIT_EPOCH_OFFSET = 631065600;
+
+const FIT_SPORTS = { 1: 'run', 2: 'ride', 5: 'swim', 11: 'walk', 17: 'hike' };
+
+const FIT_MESSAGES = { SESSION: 18, RECORD: 20 };
+
+const DISTANCE_UNITS = { m: 1, km: 1000, mi: 1609.344, yd: 0.9144, ft: 0.3048 };
+const DURATION_UNITS = { s: 1, sec: 1, min: 60, h: 3600, hr: 3600 };
+
+// Workouts in an Apple Health export are small; anything bigger is malformed
+const MAX_PENDING_XML = 1024 * 1024;
+
+// GPX/TCX files, and zip members we inflate into memory. Hours of one-second
+// track points are a few MB.
+const MAX_XML_SIZE = 10 * 1024 * 1024;
+
+// export.xml is streamed, but inflating it still costs CPU; this bounds a zip bomb
+const MAX_EXPORT_SIZE = 512 * 1024 * 1024;
+
+function normalizeSport(raw) {
+  const sport = String(raw || '').toLowerCase();
+  if (sport.includes('run')) return 'run';
+  if (sport.includes('walk')) return 'walk';
+  if (sport.includes('hik')) return 'hike';
+  if (sport.includes('swim')) return 'swim';
+  if (sport.includes('cycl') || sport.includes('bik') || sport.includes('ride')) return 'ride';
+  return 'other';
+}
+
+function parseDate(value) {
+  if (!value) return null;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+function xmlAttribute(tag, name) {
+  const match = tag.match(new RegExp(`\\b${name}="([^"]*)"`));
+  return match ? match[1] : null;
+}
+
+function xmlText(xml, name) {
+  const match = xml.match(new RegExp(`<${name}>([^<]*)</${name}>`));
+  return match ? match[1].trim() : null;
+}
+
+/**
+ * Find the next <name> element at or after `from`. Uses indexOf rather than
+ * a lazy regex, so a tag that is never closed costs linear time instead of
+ * a scan to the end of the text from every opening tag.
+ * @param {number} closeFrom - Where to look for the closing tag, when the text before it was searched already
+ * @returns {{start, end}|null} - end is -1 when the element is not closed (yet); null when there is none
+ */
+function nextXmlElement(text, name, from = 0, closeFrom = 0) {
+  const open = `<${name}`;
+  let start = text.indexOf(open, from);
+
+  // Skip longer names that start the same, e.g. <trkseg> when looking for <trk>
+  while (start !== -1 && start + open.length < text.length && !/[\s/>]/.test(text[start + open.length])) {
+    start = text.indexOf(open, start + open.length);
+  }
+  if (start === -1) return null;
+
+  const tagEnd = text.indexOf('>', start);
+  if (tagEnd === -1) return { start, end: -1 };
+  if (text[tagEnd - 1] === '/') return { start, end: tagEnd + 1 };
+
+  const close = `</${name}>`;
+  const closeAt = text.indexOf(close, Math.max(tagEnd, closeFrom));
+  return { start, end: closeAt === -1 ? -1 : closeAt + close.length };
+}
+
+/**
+ * Every complete <name> element, in order. Elements do not nest in themselves
+ * in the formats read here.
+ */
+function xmlElements(text, name) {
+  const elements = [];
+  let element;
+  let offset = 0;
+  while ((element = nextXmlElement(text, name, offset)) && element.end !== -1) {
+    elements.push(text.slice(element.start, element.end));
+    offset = element.end;
+  }
+  return elements;
+}
+
+function withoutXmlElements(text, name) {
+  let result = '';
+  let element;
+  let offset = 0;
+  while ((element = nextXmlElement(text, name, offset)) && element.end !== -1) {
+    result += text.slice(offset, element.start);
+    offset = element.end;
+  }
+  return result + text.slice(offset);
+}
+
+/**
+ * GPX: one activity per <trk>; distance is summed between track points
+ */
+function parseGpx(text) {
+  const tracks = xmlElements(text, 'trk');
+
+  return tracks.map(track => {
+    let distance = 0;
+    let first = null;
+    let last = null;
+
+    const segments = xmlElements(track, 'trkseg');
+    segments.forEach(segment => {
+      let previous = null;
+      const points = xmlElements(segment, 'trkpt');
+      points.forEach(point => {
+        const latitude = Number(xmlAttribute(point, 'lat'));
+        const longitude = Number(xmlAttribute(point, 'lon'));
+        if (!Number.isFinite(latitude) || !Number.isFinite(longitude)) return;
+
+        const current = { latitude, longitude };
+        if (previous) distance += distanceMeters(previous, current);
+        previous = current;
+
+        const time = parseDate(xmlText(point, 'time'));
+        if (time) {
+          if (!first) first = time;
+          last = time;
+        }
+      });
+    });
+
+    return {
+      source: 'gpx',
+      sport: normalizeSport(xmlText(track, 'type')),
+      startTime: first,
+      durationSeconds: first && last ? Math.round((last - first) / 1000) : null,
+      distanceMeters: Math.round(distance)
+    };
+  });
+}
+
+/**
+ * TCX: one activity per <Activity>, totalled over its laps
+ */
+function parseTcx(text) {
+  const activities = xmlElements(text, 'Activity');
+
+  return activities.map(activity => {
+    const openingTag = activity.slice(0, activity.indexOf('>') + 1);
+    let duration = 0;
+    let distance = 0;
+
+    const laps = xmlElements(activity, 'Lap');
+    laps.forEach(lap => {
+      // Track points carry their own running DistanceMeters
+      const totals = withoutXmlElements(lap, 'Track');
+      duration += Number(xmlText(totals, 'TotalTimeSeconds')) || 0;
+      distance += Number(xmlText(totals, 'DistanceMeters')) || 0;
+    });
+
+    const firstLap = laps[0] ? laps[0].slice(0, laps[0].indexOf('>') + 1) : '';
+    return {
+      source: 'tcx',
+      sport: normalizeSport(xmlAttribute(openingTag, 'Sport')),
+      startTime: parseDate(xmlText(activity, 'Id')) || parseDate(xmlAttribute(firstLap, 'StartTime')),
+      durationSeconds: Math.round(duration),
+      distanceMeters: Math.round(distance)
+    };
+  });
+}
+
+/**
+ * FIT (binary): session messages give the totals; files without sessions
+ * fall back to their record messages
+ */
+function parseFit(buffer) {
+  const headerSize = buffer[0];
+  if (buffer.length < 12 || buffer.toString('latin1', 8, 12) !== '.FIT') {
+    throw new Error('Not a valid FIT file');
+  }
+
+  const end = Math.min(buffer.length, headerSize + buffer.readUInt32LE(4));
+  const definitions = {};
+  const sessions = [];
+  const records = [];
+  let offset = headerSize;
+
+  while (offset < end) {
+    const header = buffer[offset++];
+
+    // Compressed timestamp header: always a data message
+    const compressed = (header & 0x80) !== 0;
+    const localType = compressed ? (header >> 5) & 0x03 : header & 0x0f;
+
+    if (!compressed && (header & 0x40) !== 0) {
+      const littleEndian = buffer[offset + 1] === 0;
+      const globalNumber = littleEndian ? buffer.readUInt16LE(offset + 2) : buffer.readUInt16BE(offset + 2);
+      const fieldCount = buffer[offset + 4];
+      offset += 5;
+
+      const fields = [];
+      for (let i = 0; i < fieldCount; i++) {
+        fields.push({ number: buffer[offset], size: buffer[offset + 1] });
+        offset += 3;
+      }
+
+      // Developer fields only add to the data length
+      let developerSize = 0;
+      if ((header & 0x20) !== 0) {
+        const developerCount = buffer[offset++];
+        for (let i = 0; i < developerCount; i++) {
+          developerSize += buffer[offset + 1];
+          offset += 3;
+        }
+      }
+
+      definitions[localType] = { littleEndian, globalNumber, fields, developerSize };
+      continue;
+    }
+
+    const definition = definitions[localType];
+    if (!definition) throw new Error('FIT data message without a definition');
+
+    const values = {};
+    definition.fields.forEach(field => {
+      if (offset + field.size > end) return;
+      if (field.size === 1) values[field.number] = buffer[offset];
+      if (field.size === 2) values[field.number] = definition.littleEndian ? buffer.readUInt16LE(offset) : buffer.readUInt16BE(offset);
+      if (field.size === 4) values[field.number] = definition.littleEndian ? buffer.readUInt32LE(offset) : buffer.readUInt32BE(offset);
+      offset += field.size;
+    });
+    offset += definition.developerSize;
+
+    if (definition.globalNumber === FIT_MESSAGES.SESSION) sessions.push(values);
+    if (definition.globalNumber === FIT_MESSAGES.RECORD) records.push(values);
+  }
+
+  const valid = value => (value === undefined || value === 0xffffffff ? null : value);
+  const fitDate = value => (valid(value) === null ? null : new Date((value + FIT_EPOCH_OFFSET) * 1000));
+
+  if (sessions.length > 0) {
+    return sessions.map(session => ({
+      source: 'fit',
+      sport: FIT_SPORTS[session[5]] || 'other',
+      startTime: fitDate(session[2]),
+      // total_elapsed_time (field 7) is in ms; total_distance (field 9) in cm
+      durationSeconds: valid(session[7]) === null ? null : Math.round(session[7] / 1000),
+      distanceMeters: valid(session[9]) === null ? 0 : Math.round(session[9] / 100)
+    }));
+  }
+
+  // record: timestamp (253), distance (5, cm)
+  const timed = records.filter(record => valid(record[253]) !== null);
+  if (timed.length === 0) return [];
+  const distances = records.map(record => valid(record[5])).filter(value => value !== null);
+  return [{
+    source: 'fit',
+    sport: 'other',
+    startTime: fitDate(timed[0][253]),
+    durationSeconds: timed[timed.length - 1][253] - timed[0][253],
+    distanceMeters: distances.length > 0 ? Math.round(Math.max(...distances) / 100) : 0
+  }];
+}
+
+/**
+ * Apple Health dates look like "2026-10-18 07:00:00 -0400"
+ */
+function parseAppleDate(value) {
+  const match = value && value.match(/^(\d{4}-\d{2}-\d{2}) (\d{2}:\d{2}:\d{2}) ([+-]\d{2})(\d{2})$/);
+  return match ? parseDate(`${match[1]}T${match[2]}${match[3]}:${match[4]}`) : parseDate(value);
+}
+
+function parseAppleWorkout(xml) {
+  const openingTag = xml.slice(0, xml.indexOf('>') + 1);
+  const durationUnit = DURATION_UNITS[xmlAttribute(openingTag, 'durationUnit')] || 60;
+  let distance = Number(xmlAttribute(openingTag, 'totalDistance')) *
+    (DISTANCE_UNITS[xmlAttribute(openingTag, 'totalDistanceUnit')] || 1000);
+
+  // Newer exports keep the distance in a WorkoutStatistics child instead
+  if (!distance) {
+    const statistics = xmlElements(xml, 'WorkoutStatistics')
+      .map(element => element.slice(0, element.indexOf('>') + 1))
+      .find(tag => /type="HKQuantityTypeIdentifierDistance/.test(tag));
+    if (statistics) {
+      distance = Number(xmlAttribute(statistics, 'sum')) * (DISTANCE_UNITS[xmlAttribute(statistics, 'unit')] || 1000);
+    }
+  }
+
+  const duration = Number(xmlAttribute(openingTag, 'duration'));
+  return {
+    source: 'apple_health',
+    sport: normalizeSport(xmlAttribute(openingTag, 'workoutActivityType')),
+    startTime: parseAppleDate(xmlAttribute(openingTag, 'startDate')),
+    durationSeconds: Number.isFinite(duration) ? Math.round(duration * durationUnit) : null,
+    distanceMeters: Number.isFinite(distance) ? Math.round(distance) : 0
+  };
+}
+
+/**
+ * Stream an Apple Health export.xml (often hundreds of MB) and pull out its workouts
+ * @returns {Promise<Array>}
+ */
+async function parseAppleHealthExport(stream) {
+  const decoder = new StringDecoder('utf8');
+  const activities = [];
+  let pending = '';
+  // pending before this offset has been searched for the unfinished workout's closing tag
+  let searched = 0;
+
+  for await (const chunk of stream) {
+    pending += decoder.write(chunk);
+
+    let offset = 0;
+    let element;
+    while ((element = nextXmlElement(pending, 'Workout', offset, searched)) && element.end !== -1) {
+      activities.push(parseAppleWorkout(pending.slice(element.start, element.end)));
+      offset = element.end;
+      searched = 0;
+    }
+
+    // Keep an unfinished workout (or a tag split across chunks) for the next chunk
+    if (element) {
+      pending = pending.slice(element.start);
+      searched = Math.max(0, pending.length - '</Workout>'.length);
+    } else {
+      pending = pending.slice(-16);
+      searched = 0;
+    }
+    if (pending.length > MAX_PENDING_XML) {
+      pending = '';
+      searched = 0;
+    }
+  }
+
+  return activities;
+}
+
+/**
+ * Parse a single (non-archive) file by extension
+ */
+function parseFile(buffer, fileName) {
+  const extension = path.extname(fileName).toLowerCase();
+  if ((extension === '.gpx' || extension === '.tcx') && buffer.length > MAX_XML_SIZE) {
+    throw new Error(`${extension.slice(1).toUpperCase()} files over ${MAX_XML_SIZE / 1024 / 1024} MB are not supported`);
+  }
+
+  switch (extension) {
+    case '.gpx':
+      return parseGpx(buffer.toString('utf8'));
+    case '.tcx':
+      return parseTcx(buffer.toString('utf8'));
+    case '.fit':
+      return parseFit(buffer);
+    default:
+      return null;
+  }
+}
+
+/**
+ * Parse an uploaded workout file or export archive
+ * @param {Buffer} buffer - File contents
+ * @param {string} fileName - Original file name (used for the format)
+ * @returns {Promise<{activities: Array, format: string|null, error: string|null}>}
+ */
+async function parseActivityUpload(buffer, fileName) {
+  try {
+    if (!zip.isZip(buffer)) {
+      const activities = parseFile(buffer, fileName || '');
+      if (!activities) {
+        return { activities: [], format: null, error: 'Upload a GPX, TCX or FIT file, or an Apple Health or Google Fit export zip' };
+      }
+      return { activities, format: path.extname(fileName).slice(1).toLowerCase(), error: null };
+    }
+
+    const entries = zip.listEntries(buffer);
+
+    // Apple Health: export.xml has every workout; its workout-routes GPX files would double count them
+    const appleExport = entries.find(entry => path.basename(entry.name) === 'export.xml');
+    if (appleExport) {
+      const activities = await parseAppleHealthExport(zip.createEntryStream(buffer, appleExport, MAX_EXPORT_SIZE));
+      return { activities, format: 'apple_health', error: null };
+    }
+
+    const activities = [];
+    for (const entry of entries) {
+      if (entry.size > MAX_XML_SIZE || !/\.(gpx|tcx|fit)$/i.test(entry.name)) continue;
+      try {
+        activities.push(...parseFile(zip.readEntry(buffer, entry, MAX_XML_SIZE), entry.name));
+      } catch (error) {
+        console.warn(`⚠️  Skipping unreadable activity file ${entry.name}: ${error.message}`);
+      }
+    }
+    return { activities, format: 'zip', error: null };
+  } catch (error) {
+    return { activities: [], format: null, error: `Could not read activity file: ${error.message}` };
+  }
+}
+
+module.exports = {
+  parseGpx,
+  parseTcx,
+  parseFit,
+  parseAppleHealthExport,
+  parseActivityUpload,
+  MAX_XML_SIZE,
+  MAX_EXPORT_SIZE,
+};
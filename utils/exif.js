@@ -0,0 +1,281 @@
+/**
+ * Minimal EXIF reader for the GPS block of JPEG and HEIC/HEIF photos (no
+ * native image libraries needed). Other formats and photos without GPS data
+ * give null.
+ */
+
+const GPS_IFD_POINTER = 0x8825;
+
+const GPS_TAGS = {
+  LATITUDE_REF: 0x0001,
+  LATITUDE: 0x0002,
+  LONGITUDE_REF: 0x0003,
+  LONGITUDE: 0x0004,
+  TIME_STAMP: 0x0007,
+  DATE_STAMP: 0x001d,
+};
+
+// Bytes per value for the TIFF field types we read
+const TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 7: 1, 9: 4, 10: 8 };
+
+/**
+ * Find the TIFF header inside a JPEG's APP1 "Exif" segment
+ * @returns {number} - Offset of the TIFF header, or -1
+ */
+function findJpegTiffHeader(buffer) {
+  if (buffer.length < 4 || buffer[0] !== 0xff || buffer[1] !== 0xd8) return -1;
+
+  let offset = 2;
+  while (offset + 4 <= buffer.length) {
+    if (buffer[offset] !== 0xff) return -1;
+    const marker = buffer[offset + 1];
+
+    // Start of scan: image data follows, no more metadata
+    if (marker === 0xda) return -1;
+
+    const length = buffer.readUInt16BE(offset + 2);
+    if (marker === 0xe1 && buffer.toString('latin1', offset + 4, offset + 10) === 'Exif\0\0') {
+      return offset + 10;
+    }
+    offset += 2 + length;
+  }
+  return -1;
+}
+
+/**
+ * The boxes directly inside a HEIF (ISO base media) box
+ * @returns {Array<{type, start, end}>} - start is where the box's content begins
+ */
+function readBoxes(buffer, from, to) {
+  const boxes = [];
+  let offset = from;
+  while (offset + 8 <= to) {
+    let size = buffer.readUInt32BE(offset);
+    const type = buffer.toString('latin1', offset + 4, offset + 8);
+    let header = 8;
+    if (size === 1) {
+      if (offset + 16 > to) break;
+      size = Number(buffer.readBigUInt64BE(offset + 8));
+      header = 16;
+    } else if (size === 0) {
+      size = to - offset;
+    }
+    if (size < header || offset + size > to) break;
+
+    boxes.push({ type, start: offset + header, end: offset + size });
+    offset += size;
+  }
+  return boxes;
+}
+
+function readSizedUInt(buffer, at, size) {
+  if (size === 0) return 0;
+  if (size === 4) return buffer.readUInt32BE(at);
+  if (size === 8) return Number(buffer.readBigUInt64BE(at));
+  throw new Error(`Unsupported field size ${size}`);
+}
+
+/**
+ * ID of the 'Exif' item listed in a HEIF 'iinf' box
+ */
+function findExifItemId(buffer, iinf) {
+  const version = buffer[iinf.start];
+  const entriesStart = iinf.start + 4 + (version === 0 ? 2 : 4);
+
+  for (const infe of readBoxes(buffer, entriesStart, iinf.end)) {
+    if (infe.type !== 'infe') continue;
+    // Item types were added in version 2 of the entry
+    const infeVersion = buffer[infe.start];
+    if (infeVersion < 2) continue;
+
+    const idSize = infeVersion === 2 ? 2 : 4;
+    const itemId = idSize === 2 ? buffer.readUInt16BE(infe.start + 4) : buffer.readUInt32BE(infe.start + 4);
+    const itemType = buffer.toString('latin1', infe.start + 4 + idSize + 2, infe.start + 4 + idSize + 6);
+    if (itemType === 'Exif') return itemId;
+  }
+  return null;
+}
+
+/**
+ * File offset of an item's data from a HEIF 'iloc' box (first extent, file offsets only)
+ * @returns {number} - Offset, or -1
+ */
+function findItemOffset(buffer, iloc, itemId) {
+  const version = buffer[iloc.start];
+  let at = iloc.start + 4;
+  const offsetSize = buffer[at] >> 4;
+  const lengthSize = buffer[at] & 0x0f;
+  const baseOffsetSize = buffer[at + 1] >> 4;
+  const indexSize = version === 1 || version === 2 ? buffer[at + 1] & 0x0f : 0;
+  at += 2;
+
+  const idSize = version < 2 ? 2 : 4;
+  const itemCount = idSize === 2 ? buffer.readUInt16BE(at) : buffer.readUInt32BE(at);
+  at += idSize;
+
+  for (let i = 0; i < itemCount; i++) {
+    const id = idSize === 2 ? buffer.readUInt16BE(at) : buffer.readUInt32BE(at);
+    at += idSize;
+    let constructionMethod = 0;
+    if (version === 1 || version === 2) {
+      constructionMethod = buffer.readUInt16BE(at) & 0x0f;
+      at += 2;
+    }
+    at += 2; // data reference index
+    const baseOffset = readSizedUInt(buffer, at, baseOffsetSize);
+    at += baseOffsetSize;
+    const extentCount = buffer.readUInt16BE(at);
+    at += 2;
+
+    let firstExtentOffset = null;
+    for (let e = 0; e < extentCount; e++) {
+      at += indexSize;
+      const extentOffset = readSizedUInt(buffer, at, offsetSize);
+      at += offsetSize + lengthSize;
+      if (e === 0) firstExtentOffset = extentOffset;
+    }
+
+    if (id === itemId) {
+      return constructionMethod === 0 && firstExtentOffset !== null ? baseOffset + firstExtentOffset : -1;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Find the TIFF header of a HEIC/HEIF photo's Exif item
+ * @returns {number} - Offset of the TIFF header, or -1
+ */
+function findHeifTiffHeader(buffer) {
+  if (buffer.length < 12 || buffer.toString('latin1', 4, 8) !== 'ftyp') return -1;
+
+  const meta = readBoxes(buffer, 0, buffer.length).find(box => box.type === 'meta');
+  if (!meta) return -1;
+  // 'meta' is a full box: version and flags come first
+  const children = readBoxes(buffer, meta.start + 4, meta.end);
+  const iinf = children.find(box => box.type === 'iinf');
+  const iloc = children.find(box => box.type === 'iloc');
+  if (!iinf || !iloc) return -1;
+
+  const itemId = findExifItemId(buffer, iinf);
+  if (itemId === null) return -1;
+  const itemOffset = findItemOffset(buffer, iloc, itemId);
+  if (itemOffset < 0 || itemOffset + 4 > buffer.length) return -1;
+
+  // The item starts with the offset of the TIFF header (past an 'Exif\0\0' prefix)
+  return itemOffset + 4 + buffer.readUInt32BE(itemOffset);
+}
+
+function findTiffHeader(buffer) {
+  const jpeg = findJpegTiffHeader(buffer);
+  return jpeg >= 0 ? jpeg : findHeifTiffHeader(buffer);
+}
+
+/**
+ * Byte-order aware readers for one TIFF block
+ */
+function createReader(buffer, tiffStart, littleEndian) {
+  return {
+    buffer,
+    tiffStart,
+    u16: (at) => (littleEndian ? buffer.readUInt16LE(at) : buffer.readUInt16BE(at)),
+    u32: (at) => (littleEndian ? buffer.readUInt32LE(at) : buffer.readUInt32BE(at)),
+  };
+}
+
+/**
+ * Read the entries of one image file directory
+ * @returns {Map<number, {type, valueCount, valueOffset}>} - Keyed by tag
+ */
+function readIfd(reader, ifdOffset) {
+  const { buffer, tiffStart, u16, u32 } = reader;
+  const start = tiffStart + ifdOffset;
+  const entries = new Map();
+  if (start + 2 > buffer.length) return entries;
+
+  const count = u16(start);
+  for (let i = 0; i < count; i++) {
+    const entry = start + 2 + i * 12;
+    if (entry + 12 > buffer.length) break;
+
+    const type = u16(entry + 2);
+    const valueCount = u32(entry + 4);
+    const size = (TYPE_SIZES[type] || 1) * valueCount;
+    // Values of 4 bytes or less are stored in the entry itself
+    const valueOffset = size <= 4 ? entry + 8 : tiffStart + u32(entry + 8);
+    if (valueOffset + size > buffer.length) continue;
+
+    entries.set(u16(entry), { type, valueCount, valueOffset });
+  }
+  return entries;
+}
+
+function readRationals(reader, entries, tag) {
+  const entry = entries.get(tag);
+  if (!entry || entry.type !== 5) return null;
+
+  const values = [];
+  for (let i = 0; i < entry.valueCount; i++) {
+    const numerator = reader.u32(entry.valueOffset + i * 8);
+    const denominator = reader.u32(entry.valueOffset + i * 8 + 4);
+    values.push(denominator === 0 ? 0 : numerator / denominator);
+  }
+  return values;
+}
+
+function readAscii(reader, entries, tag) {
+  const entry = entries.get(tag);
+  if (!entry || entry.type !== 2) return null;
+  return reader.buffer.toString('latin1', entry.valueOffset, entry.valueOffset + entry.valueCount).replace(/\0+$/, '');
+}
+
+function toDegrees(parts, ref) {
+  if (!parts || parts.length < 3 || !ref) return null;
+  const degrees = parts[0] + parts[1] / 60 + parts[2] / 3600;
+  return ref === 'S' || ref === 'W' ? -degrees : degrees;
+}
+
+/**
+ * Read where (and, if recorded, when) a JPEG or HEIC photo was taken
+ * @param {Buffer} buffer - File contents
+ * @returns {{latitude: number, longitude: number, takenAt: Date|null}|null}
+ */
+function readGpsLocation(buffer) {
+  try {
+    const tiffStart = findTiffHeader(buffer);
+    if (tiffStart < 0 || tiffStart + 8 > buffer.length) return null;
+
+    const byteOrder = buffer.toString('latin1', tiffStart, tiffStart + 2);
+    if (byteOrder !== 'II' && byteOrder !== 'MM') return null;
+    const reader = createReader(buffer, tiffStart, byteOrder === 'II');
+
+    const ifd0 = readIfd(reader, reader.u32(tiffStart + 4));
+    const gpsPointer = ifd0.get(GPS_IFD_POINTER);
+    if (!gpsPointer) return null;
+
+    const gps = readIfd(reader, reader.u32(gpsPointer.valueOffset));
+    const latitude = toDegrees(readRationals(reader, gps, GPS_TAGS.LATITUDE), readAscii(reader, gps, GPS_TAGS.LATITUDE_REF));
+    const longitude = toDegrees(readRationals(reader, gps, GPS_TAGS.LONGITUDE), readAscii(reader, gps, GPS_TAGS.LONGITUDE_REF));
+    if (latitude === null || longitude === null || Math.abs(latitude) > 90 || Math.abs(longitude) > 180) return null;
+
+    // GPS time is always UTC, unlike DateTimeOriginal
+    let takenAt = null;
+    const dateStamp = readAscii(reader, gps, GPS_TAGS.DATE_STAMP);
+    const timeStamp = readRationals(reader, gps, GPS_TAGS.TIME_STAMP);
+    const dateMatch = dateStamp && dateStamp.match(/^(\d{4}):(\d{2}):(\d{2})$/);
+    if (dateMatch && timeStamp && timeStamp.length >= 3) {
+      const [, year, month, day] = dateMatch.map(Number);
+      const date = new Date(Date.UTC(year, month - 1, day, timeStamp[0], timeStamp[1], Math.floor(timeStamp[2])));
+      takenAt = isNaN(date.getTime()) ? null : date;
+    }
+
+    return { latitude, longitude, takenAt };
+  } catch (error) {
+    // Truncated or malformed metadata
+    return null;
+  }
+}
+
+module.exports = {
+  readGpsLocation,
+};
@@ -0,0 +1,88 @@
+/**
+ * Identify uploaded media from its leading bytes ("magic numbers") instead of
+ * trusting the client's Content-Type or file name.
+ */
+
+const fs = require('fs');
+
+// Enough for every signature below, including the ftyp brand
+const HEAD_BYTES = 64;
+
+const HEIC_BRANDS = ['heic', 'heix', 'hevc', 'hevx', 'heim', 'heis'];
+const HEIF_BRANDS = ['mif1', 'msf1'];
+
+// Types that are the same kind of file for matching a declared type: HEIC vs
+// HEIF and the ISO base media video types are labelled loosely by phones
+const FAMILIES = {
+  'image/jpeg': 'jpeg',
+  'image/png': 'png',
+  'image/gif': 'gif',
+  'image/webp': 'webp',
+  'image/heic': 'heif',
+  'image/heif': 'heif',
+  'image/avif': 'avif',
+  'video/mp4': 'isobmff-video',
+  'video/quicktime': 'isobmff-video',
+  'video/3gpp': 'isobmff-video',
+  'video/3gpp2': 'isobmff-video',
+  'video/webm': 'matroska',
+};
+
+/**
+ * Detect the media type of a file's first bytes
+ * @param {Buffer} head - At least the first 64 bytes of the file, if it has that many
+ * @returns {string|null} - MIME type, or null if it isn't a recognized image or video
+ */
+function detectFileType(head) {
+  if (!head || head.length < 4) return null;
+
+  if (head[0] === 0xff && head[1] === 0xd8 && head[2] === 0xff) return 'image/jpeg';
+  if (head.length >= 8 && head.toString('hex', 0, 8) === '89504e470d0a1a0a') return 'image/png';
+  if (['GIF87a', 'GIF89a'].includes(head.toString('latin1', 0, 6))) return 'image/gif';
+  if (head.toString('latin1', 0, 4) === 'RIFF' && head.toString('latin1', 8, 12) === 'WEBP') return 'image/webp';
+  if (head.readUInt32BE(0) === 0x1a45dfa3) return 'video/webm';
+
+  if (head.length >= 12 && head.toString('latin1', 4, 8) === 'ftyp') {
+    const brand = head.toString('latin1', 8, 12);
+    if (HEIC_BRANDS.includes(brand)) return 'image/heic';
+    if (HEIF_BRANDS.includes(brand)) return 'image/heif';
+    if (brand === 'avif' || brand === 'avis') return 'image/avif';
+    if (brand === 'qt  ') return 'video/quicktime';
+    if (brand.startsWith('3g2')) return 'video/3gpp2';
+    if (brand.startsWith('3gp')) return 'video/3gpp';
+    // isom, mp41, mp42, avc1, M4V and friends
+    return 'video/mp4';
+  }
+
+  return null;
+}
+
+/**
+ * Detect the media type of a file on disk
+ * @returns {Promise<string|null>}
+ */
+async function detectFileTypeOfFile(filePath) {
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    const head = Buffer.alloc(HEAD_BYTES);
+    const { bytesRead } = await handle.read(head, 0, HEAD_BYTES, 0);
+    return detectFileType(head.subarray(0, bytesRead));
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * Whether a declared type and a detected type describe the same kind of file
+ */
+function isSameFileType(declaredType, detectedType) {
+  const declared = (declaredType || '').split(';')[0].trim().toLowerCase();
+  if (!declared || !detectedType) return false;
+  return declared === detectedType || (!!FAMILIES[declared] && FAMILIES[declared] === FAMILIES[detectedType]);
+}
+
+module.exports = {
+  detectFileType,
+  detectFileTypeOfFile,
+  isSameFileType,
+};
@@ -0,0 +1,24 @@
+/**
+ * Geographic helpers.
+ */
+
+const EARTH_RADIUS_METERS = 6371000;
+
+function toRadians(degrees) {
+  return degrees * Math.PI / 180;
+}
+
+/**
+ * Great-circle distance between two { latitude, longitude } points in meters (haversine)
+ */
+function distanceMeters(from, to) {
+  const dLat = toRadians(to.latitude - from.latitude);
+  const dLon = toRadians(to.longitude - from.longitude);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(from.latitude)) * Math.cos(toRadians(to.latitude)) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_METERS * Math.asin(Math.sqrt(a));
+}
+
+module.exports = {
+  distanceMeters,
+};
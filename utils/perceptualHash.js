@@ -0,0 +1,69 @@
+/**
+ * Perceptual (difference) hashes for spotting reused photos. Unlike a file
+ * checksum, the hash survives re-encoding, resizing and small edits: similar
+ * images differ in only a few of the 64 bits.
+ */
+
+const sharp = require('sharp');
+
+// 9x8 grayscale pixels give 8 left/right comparisons per row
+const HASH_WIDTH = 9;
+const HASH_HEIGHT = 8;
+
+// Bands of 8 bits (2 hex characters, one pixel row) for indexed lookups
+const HASH_BANDS = 8;
+
+/**
+ * Difference hash of an image
+ * @param {Buffer|string} input - Image data or file path
+ * @returns {Promise<string>} - 16 hex characters
+ */
+async function differenceHash(input) {
+  const pixels = await sharp(input)
+    .rotate()
+    .flatten({ background: '#ffffff' })
+    .grayscale()
+    .resize(HASH_WIDTH, HASH_HEIGHT, { fit: 'fill' })
+    .raw()
+    .toBuffer();
+
+  let hash = 0n;
+  for (let y = 0; y < HASH_HEIGHT; y++) {
+    for (let x = 0; x < HASH_WIDTH - 1; x++) {
+      const left = pixels[y * HASH_WIDTH + x];
+      const right = pixels[y * HASH_WIDTH + x + 1];
+      hash = (hash << 1n) | (left > right ? 1n : 0n);
+    }
+  }
+  return hash.toString(16).padStart(16, '0');
+}
+
+/**
+ * Number of differing bits between two hashes (0 = same picture)
+ */
+function hammingDistance(a, b) {
+  let bits = BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+  let distance = 0;
+  while (bits) {
+    distance += Number(bits & 1n);
+    bits >>= 1n;
+  }
+  return distance;
+}
+
+/**
+ * Split a hash into its bands. Two hashes fewer than HASH_BANDS bits apart
+ * have at least one band in common, so near matches can be found by looking
+ * up each band exactly.
+ * @returns {string[]} - HASH_BANDS strings of 2 hex characters
+ */
+function hashBands(hash) {
+  return Array.from({ length: HASH_BANDS }, (_, band) => hash.slice(band * 2, band * 2 + 2));
+}
+
+module.exports = {
+  differenceHash,
+  hammingDistance,
+  hashBands,
+  HASH_BANDS,
+};
@@ -0,0 +1,206 @@
+/**
+ * Time zone helpers built on Intl (no external tz database needed).
+ */
+
+const DEFAULT_TIME_ZONE = process.env.DEFAULT_TIME_ZONE || 'America/New_York';
+
+// Local time used when a delivery date is given without a time, e.g. "2026-12-25"
+const DEFAULT_DELIVERY_TIME = [9, 0, 0];
+
+// An expiration date without a time lasts until the end of that local day
+const DEFAULT_EXPIRATION_TIME = [23, 59, 59];
+
+/**
+ * Check whether a string is a valid IANA time zone name
+ */
+function isValidTimeZone(timeZone) {
+  if (!timeZone || typeof timeZone !== 'string') return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Break a Date into its wall-clock parts in the given time zone
+ * @returns {{year, month, day, hour, minute, second, weekday}} - month is 1-12, weekday 0 (Sun) - 6
+ */
+function getZonedParts(date, timeZone) {
+  const formatter = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+    weekday: 'short'
+  });
+
+  const parts = {};
+  formatter.formatToParts(date).forEach(part => {
+    parts[part.type] = part.value;
+  });
+
+  const weekdays = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+  return {
+    year: parseInt(parts.year, 10),
+    month: parseInt(parts.month, 10),
+    day: parseInt(parts.day, 10),
+    hour: parseInt(parts.hour, 10) % 24,
+    minute: parseInt(parts.minute, 10),
+    second: parseInt(parts.second, 10),
+    weekday: weekdays.indexOf(parts.weekday)
+  };
+}
+
+/**
+ * Offset (ms) of a time zone from UTC at the given instant
+ */
+function getTimeZoneOffset(date, timeZone) {
+  const p = getZonedParts(date, timeZone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return asUtc - (date.getTime() - date.getMilliseconds());
+}
+
+/**
+ * Convert a wall-clock time in a time zone to a UTC Date
+ */
+function zonedTimeToUtc(year, month, day, hour, minute, second, timeZone) {
+  const guess = Date.UTC(year, month - 1, day, hour, minute, second || 0);
+  const offset = getTimeZoneOffset(new Date(guess), timeZone);
+  let result = guess - offset;
+
+  // Re-check once in case the guess landed on the other side of a DST change
+  const correctedOffset = getTimeZoneOffset(new Date(result), timeZone);
+  if (correctedOffset !== offset) {
+    result = guess - correctedOffset;
+  }
+
+  return new Date(result);
+}
+
+/**
+ * Local calendar date ("YYYY-MM-DD") of an instant in a time zone
+ */
+function toLocalDateString(date, timeZone) {
+  const p = getZonedParts(date, timeZone);
+  return `${p.year}-${String(p.month).padStart(2, '0')}-${String(p.day).padStart(2, '0')}`;
+}
+
+/**
+ * Parse a date or date-time in a time zone.
+ * Values with an explicit offset ("...Z", "+02:00") are absolute. Values without
+ * one ("2026-12-25T09:00" or "2026-12-25") are wall-clock times in the given
+ * time zone; a bare date uses dateOnlyTime ([hour, minute, second]).
+ * @returns {{date: Date|null, error: string|null}}
+ */
+function parseZonedDateTime(value, timeZone, field, dateOnlyTime) {
+  if (!value || typeof value !== 'string') {
+    return { date: null, error: `${field} must be an ISO 8601 date or date-time` };
+  }
+
+  const zone = timeZone || DEFAULT_TIME_ZONE;
+  if (!isValidTimeZone(zone)) {
+    return { date: null, error: `Unknown time zone: ${timeZone}` };
+  }
+
+  const trimmed = value.trim();
+
+  if (/([zZ]|[+-]\d{2}:?\d{2})$/.test(trimmed)) {
+    const date = new Date(trimmed);
+    return isNaN(date.getTime())
+      ? { date: null, error: `${field} is not a valid date` }
+      : { date, error: null };
+  }
+
+  const match = trimmed.match(/^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2}))?)?$/);
+  if (!match) {
+    return { date: null, error: `${field} must be an ISO 8601 date or date-time` };
+  }
+
+  const [, year, month, day, hour, minute, second] = match;
+  const date = zonedTimeToUtc(
+    parseInt(year, 10),
+    parseInt(month, 10),
+    parseInt(day, 10),
+    hour !== undefined ? parseInt(hour, 10) : dateOnlyTime[0],
+    minute !== undefined ? parseInt(minute, 10) : dateOnlyTime[1],
+    second !== undefined ? parseInt(second, 10) : (hour !== undefined ? 0 : dateOnlyTime[2]),
+    zone
+  );
+
+  return isNaN(date.getTime())
+    ? { date: null, error: `${field} is not a valid date` }
+    : { date, error: null };
+}
+
+function requireFuture({ date, error }, field) {
+  if (error) {
+    return { date: null, error };
+  }
+  if (date.getTime() <= Date.now()) {
+    return { date: null, error: `${field} must be in the future` };
+  }
+  return { date, error: null };
+}
+
+/**
+ * Parse a requested delivery time in the recipient's time zone;
+ * a bare date is delivered at 09:00 local time.
+ * @param {string} value - Requested delivery time
+ * @param {string} timeZone - Recipient IANA time zone
+ * @returns {{date: Date|null, error: string|null}}
+ */
+function parseDeliveryTime(value, timeZone) {
+  return parseZonedDateTime(value, timeZone, 'deliverAt', DEFAULT_DELIVERY_TIME);
+}
+
+/**
+ * Parse a requested delivery time and require it to be in the future
+ * @returns {{date: Date|null, error: string|null}}
+ */
+function parseFutureDeliveryTime(value, timeZone) {
+  return requireFuture(parseDeliveryTime(value, timeZone), 'deliverAt');
+}
+
+/**
+ * Parse a gift expiration date in the recipient's time zone and require it to
+ * be in the future; a bare date expires at the end of that local day.
+ * @returns {{date: Date|null, error: string|null}}
+ */
+function parseFutureExpirationTime(value, timeZone) {
+  return requireFuture(
+    parseZonedDateTime(value, timeZone, 'expirationDate', DEFAULT_EXPIRATION_TIME),
+    'expirationDate'
+  );
+}
+
+/**
+ * Parse a timestamp stored in the database: an ISO string or a SQLite
+ * CURRENT_TIMESTAMP value (UTC without a zone)
+ * @returns {Date|null}
+ */
+function parseStoredTimestamp(value) {
+  if (!value) return null;
+  const iso = value.includes('T') ? value : `${value.replace(' ', 'T')}Z`;
+  const date = new Date(iso);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+module.exports = {
+  DEFAULT_TIME_ZONE,
+  isValidTimeZone,
+  getZonedParts,
+  getTimeZoneOffset,
+  zonedTimeToUtc,
+  toLocalDateString,
+  parseDeliveryTime,
+  parseFutureDeliveryTime,
+  parseFutureExpirationTime,
+  parseStoredTimestamp,
+};
@@ -0,0 +1,217 @@
+/**
+ * Read duration and dimensions from MP4/MOV (ISO base media, including 3GP
+ * from MMS) and WebM/Matroska files by walking their container structure, so
+ * no native video tools are needed.
+ */
+
+const fs = require('fs');
+
+// Boxes holding the ones we read
+const MP4_CONTAINERS = ['moov', 'trak', 'mdia'];
+
+const EBML = {
+  HEADER: 0x1a45dfa3,
+  SEGMENT: 0x18538067,
+  INFO: 0x1549a966,
+  TIMECODE_SCALE: 0x2ad7b1,
+  DURATION: 0x4489,
+  TRACKS: 0x1654ae6b,
+  TRACK_ENTRY: 0xae,
+  VIDEO: 0xe0,
+  PIXEL_WIDTH: 0xb0,
+  PIXEL_HEIGHT: 0xba,
+  CLUSTER: 0x1f43b675,
+};
+
+// Info and Tracks come before the first cluster, well within this
+const WEBM_HEAD_BYTES = 1024 * 1024;
+
+// moov is normally small; refuse anything implausible
+const MAX_MOOV_BYTES = 64 * 1024 * 1024;
+
+async function readAt(handle, position, length) {
+  const buffer = Buffer.alloc(length);
+  const { bytesRead } = await handle.read(buffer, 0, length, position);
+  return buffer.subarray(0, bytesRead);
+}
+
+/**
+ * Iterate the boxes in buffer[start, end)
+ */
+function* mp4Boxes(buffer, start, end) {
+  let offset = start;
+  while (offset + 8 <= end) {
+    let size = buffer.readUInt32BE(offset);
+    const type = buffer.toString('latin1', offset + 4, offset + 8);
+    let headerSize = 8;
+    if (size === 1) {
+      size = Number(buffer.readBigUInt64BE(offset + 8));
+      headerSize = 16;
+    } else if (size === 0) {
+      size = end - offset;
+    }
+    if (size < headerSize || offset + size > end) return;
+    yield { type, start: offset + headerSize, end: offset + size };
+    offset += size;
+  }
+}
+
+/**
+ * Pull duration (mvhd) and the video track's size (tkhd of the 'vide' track)
+ * out of a moov box
+ */
+function parseMoov(buffer) {
+  const result = { durationSeconds: null, width: null, height: null };
+
+  const walk = (start, end, track) => {
+    for (const box of mp4Boxes(buffer, start, end)) {
+      if (box.type === 'mvhd') {
+        const version = buffer[box.start];
+        const timescale = buffer.readUInt32BE(box.start + (version === 1 ? 20 : 12));
+        const duration = version === 1
+          ? Number(buffer.readBigUInt64BE(box.start + 24))
+          : buffer.readUInt32BE(box.start + 16);
+        if (timescale > 0) result.durationSeconds = Math.round((duration / timescale) * 100) / 100;
+      } else if (box.type === 'tkhd' && track) {
+        const version = buffer[box.start];
+        const matrix = box.start + (version === 1 ? 52 : 40);
+        const size = box.start + (version === 1 ? 88 : 76);
+        track.width = buffer.readUInt32BE(size) / 0x10000;
+        track.height = buffer.readUInt32BE(size + 4) / 0x10000;
+        // Phones record portrait video as landscape with a 90° rotation matrix
+        track.rotated = buffer.readInt32BE(matrix) === 0 && Math.abs(buffer.readInt32BE(matrix + 4)) === 0x10000;
+      } else if (box.type === 'hdlr' && track) {
+        track.handler = buffer.toString('latin1', box.start + 8, box.start + 12);
+      } else if (MP4_CONTAINERS.includes(box.type)) {
+        const child = box.type === 'trak' ? {} : track;
+        walk(box.start, box.end, child);
+        if (box.type === 'trak' && child.handler === 'vide' && child.width && result.width === null) {
+          result.width = Math.round(child.rotated ? child.height : child.width);
+          result.height = Math.round(child.rotated ? child.width : child.height);
+        }
+      }
+    }
+  };
+
+  walk(0, buffer.length, null);
+  return result;
+}
+
+async function readMp4(handle, fileSize, brand) {
+  let offset = 0;
+  while (offset + 8 <= fileSize) {
+    const header = await readAt(handle, offset, 16);
+    if (header.length < 8) break;
+    let size = header.readUInt32BE(0);
+    const type = header.toString('latin1', 4, 8);
+    let headerSize = 8;
+    if (size === 1 && header.length >= 16) {
+      size = Number(header.readBigUInt64BE(8));
+      headerSize = 16;
+    } else if (size === 0) {
+      size = fileSize - offset;
+    }
+    if (size < headerSize) break;
+
+    if (type === 'moov') {
+      if (size - headerSize > MAX_MOOV_BYTES) return null;
+      const moov = await readAt(handle, offset + headerSize, size - headerSize);
+      return { format: brand === 'qt  ' ? 'mov' : 'mp4', ...parseMoov(moov) };
+    }
+    offset += size;
+  }
+  return null;
+}
+
+/**
+ * Read a Matroska variable-length integer
+ * @param {boolean} keepMarker - Element IDs keep their length marker bit
+ * @returns {{value: number, length: number, unknown: boolean}|null}
+ */
+function readVint(buffer, offset, keepMarker) {
+  const first = buffer[offset];
+  if (first === undefined || first === 0) return null;
+  let length = 1;
+  while (!(first & (0x80 >> (length - 1)))) length++;
+  if (offset + length > buffer.length) return null;
+
+  let value = keepMarker ? first : first & (0xff >> length);
+  let allOnes = value === (0xff >> length);
+  for (let i = 1; i < length; i++) {
+    value = value * 256 + buffer[offset + i];
+    allOnes = allOnes && buffer[offset + i] === 0xff;
+  }
+  return { value, length, unknown: !keepMarker && allOnes };
+}
+
+function readWebm(buffer) {
+  const result = { format: 'webm', durationSeconds: null, width: null, height: null };
+  let timecodeScale = 1000000;
+  let duration = null;
+
+  const walk = (start, end, inVideoTrack) => {
+    let offset = start;
+    while (offset < end) {
+      const id = readVint(buffer, offset, true);
+      if (!id) return;
+      const size = readVint(buffer, offset + id.length, false);
+      if (!size) return;
+      const dataStart = offset + id.length + size.length;
+      // Live recordings leave the segment size unknown
+      const dataEnd = size.unknown ? end : Math.min(dataStart + size.value, end);
+
+      if (id.value === EBML.CLUSTER) return;
+      if (id.value === EBML.SEGMENT || id.value === EBML.INFO || id.value === EBML.TRACKS) {
+        walk(dataStart, dataEnd, false);
+      } else if (id.value === EBML.TRACK_ENTRY || id.value === EBML.VIDEO) {
+        walk(dataStart, dataEnd, id.value === EBML.VIDEO);
+      } else if (id.value === EBML.TIMECODE_SCALE) {
+        timecodeScale = buffer.readUIntBE(dataStart, Math.min(size.value, 6));
+      } else if (id.value === EBML.DURATION) {
+        duration = size.value === 4 ? buffer.readFloatBE(dataStart) : buffer.readDoubleBE(dataStart);
+      } else if (inVideoTrack && id.value === EBML.PIXEL_WIDTH && result.width === null) {
+        result.width = buffer.readUIntBE(dataStart, Math.min(size.value, 6));
+      } else if (inVideoTrack && id.value === EBML.PIXEL_HEIGHT && result.height === null) {
+        result.height = buffer.readUIntBE(dataStart, Math.min(size.value, 6));
+      }
+      offset = dataEnd;
+    }
+  };
+
+  walk(0, buffer.length, false);
+  if (duration !== null) {
+    result.durationSeconds = Math.round(((duration * timecodeScale) / 1e9) * 100) / 100;
+  }
+  return result;
+}
+
+/**
+ * Read a video file's container metadata
+ * @param {string} filePath - Path to the video
+ * @returns {Promise<{format, durationSeconds, width, height}|null>} - null if the file is not a readable MP4/MOV/WebM
+ */
+async function readVideoMetadata(filePath) {
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    const { size } = await handle.stat();
+    const head = await readAt(handle, 0, Math.min(size, WEBM_HEAD_BYTES));
+    if (head.length < 12) return null;
+
+    if (head.toString('latin1', 4, 8) === 'ftyp') {
+      return await readMp4(handle, size, head.toString('latin1', 8, 12));
+    }
+    if (head.readUInt32BE(0) === EBML.HEADER) {
+      return readWebm(head);
+    }
+    return null;
+  } catch (error) {
+    // Truncated or malformed container
+    return null;
+  } finally {
+    await handle.close();
+  }
+}
+
+module.exports = {
+  readVideoMetadata,
+};
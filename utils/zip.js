@@ -0,0 +1,119 @@
+/**
+ * Minimal ZIP archive reader (stored and deflated entries) built on zlib.
+ * ZIP64 archives and encrypted entries are not supported.
+ */
+
+const zlib = require('zlib');
+const { Readable, Transform, pipeline } = require('stream');
+
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const CENTRAL_DIRECTORY_ENTRY = 0x02014b50;
+const LOCAL_FILE_HEADER = 0x04034b50;
+
+const METHOD_STORED = 0;
+const METHOD_DEFLATED = 8;
+
+/**
+ * Whether a buffer starts like a ZIP archive
+ */
+function isZip(buffer) {
+  return buffer.length >= 4 && buffer.readUInt32LE(0) === LOCAL_FILE_HEADER;
+}
+
+function findEndOfCentralDirectory(buffer) {
+  // The record is 22 bytes plus a comment of up to 64KB
+  const stop = Math.max(0, buffer.length - 22 - 0xffff);
+  for (let offset = buffer.length - 22; offset >= stop; offset--) {
+    if (buffer.readUInt32LE(offset) === END_OF_CENTRAL_DIRECTORY) return offset;
+  }
+  return -1;
+}
+
+/**
+ * List the files in an archive
+ * @param {Buffer} buffer - The whole archive
+ * @returns {Array<{name, method, compressedSize, size, dataOffset}>} - Directories and unsupported entries are left out
+ */
+function listEntries(buffer) {
+  const end = findEndOfCentralDirectory(buffer);
+  if (end < 0) throw new Error('Not a valid zip archive');
+
+  const count = buffer.readUInt16LE(end + 10);
+  let offset = buffer.readUInt32LE(end + 16);
+  const entries = [];
+
+  for (let i = 0; i < count; i++) {
+    if (offset + 46 > buffer.length || buffer.readUInt32LE(offset) !== CENTRAL_DIRECTORY_ENTRY) {
+      throw new Error('Corrupt zip central directory');
+    }
+
+    const flags = buffer.readUInt16LE(offset + 8);
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const size = buffer.readUInt32LE(offset + 24);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+    offset += 46 + nameLength + extraLength + commentLength;
+
+    const encrypted = (flags & 0x1) !== 0;
+    const zip64 = compressedSize === 0xffffffff || localOffset === 0xffffffff;
+    if (name.endsWith('/') || encrypted || zip64 || ![METHOD_STORED, METHOD_DEFLATED].includes(method)) continue;
+
+    // Local header name/extra lengths can differ from the central directory's
+    if (localOffset + 30 > buffer.length || buffer.readUInt32LE(localOffset) !== LOCAL_FILE_HEADER) continue;
+    const dataOffset = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+    if (dataOffset + compressedSize > buffer.length) continue;
+
+    entries.push({ name, method, compressedSize, size, dataOffset });
+  }
+
+  return entries;
+}
+
+/**
+ * Read one entry into memory
+ * @param {number} maxSize - Refuse entries that inflate past this many bytes
+ * @returns {Buffer}
+ */
+function readEntry(buffer, entry, maxSize = 50 * 1024 * 1024) {
+  const data = buffer.subarray(entry.dataOffset, entry.dataOffset + entry.compressedSize);
+  if (entry.method === METHOD_STORED) return data;
+  return zlib.inflateRawSync(data, { maxOutputLength: maxSize });
+}
+
+/**
+ * Stream one entry's contents, for entries too large to hold in memory.
+ * The declared size can lie, so the inflated bytes are counted as well.
+ * @param {number} maxSize - Refuse entries that declare or inflate past this many bytes
+ * @returns {stream.Readable} - Errors (including a too large entry) surface when reading it
+ */
+function createEntryStream(buffer, entry, maxSize) {
+  if (entry.size > maxSize) {
+    throw new Error(`${entry.name} is larger than ${maxSize} bytes`);
+  }
+
+  const data = Readable.from([buffer.subarray(entry.dataOffset, entry.dataOffset + entry.compressedSize)]);
+  if (entry.method === METHOD_STORED) return data;
+
+  let inflated = 0;
+  const limit = new Transform({
+    transform(chunk, encoding, callback) {
+      inflated += chunk.length;
+      if (inflated > maxSize) callback(new Error(`${entry.name} inflates past ${maxSize} bytes`));
+      else callback(null, chunk);
+    }
+  });
+
+  // Errors are read from the returned stream
+  return pipeline(data, zlib.createInflateRaw(), limit, () => {});
+}
+
+module.exports = {
+  isZip,
+  listEntries,
+  readEntry,
+  createEntryStream,
+};